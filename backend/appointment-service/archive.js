@@ -0,0 +1,31 @@
+// Soft deletion. Medical records have to be kept, so DELETE marks a record
+// archived, recording who archived it and when, rather than removing it.
+// Archived records can be restored, and only an administrator can purge one.
+
+// Who made a request, as named by its bearer token
+const requestActor = (req) => req.user.username;
+
+// Filter clauses for applyFilters that hide archived records from a list
+// unless the request asks for them with includeArchived=true
+const archivedFilters = (query) => (
+  query.includeArchived === 'true' ? [] : [['attribute_not_exists(archived)', {}]]
+);
+
+const archiveFields = (req) => ({
+  archived: true,
+  archivedAt: new Date().toISOString(),
+  archivedBy: requestActor(req),
+});
+
+const withoutArchiveFields = (item) => {
+  const { archived, archivedAt, archivedBy, ...rest } = item;
+
+  return rest;
+};
+
+module.exports = {
+  requestActor,
+  archivedFilters,
+  archiveFields,
+  withoutArchiveFields,
+};
@@ -0,0 +1,27 @@
+// Whether a doctor may practise on a date, judged from the licenses doctor-service
+// records for them. A license covers the dates from its issueDate to its expiryDate
+// unless it was rejected when verified. A doctor with no license recorded cannot be
+// booked until one is entered.
+
+// Why a doctor holding `licenses` may not practise on `date`, or null when they may
+const licenseLapsedReason = (licenses, date) => {
+  if (licenses.length === 0) {
+    return 'Doctor has no license recorded';
+  }
+
+  const valid = licenses.filter((license) => license.verificationStatus !== 'rejected');
+
+  if (valid.some((license) => license.issueDate <= date && date <= license.expiryDate)) {
+    return null;
+  }
+
+  const lastExpiry = valid.map((license) => license.expiryDate).sort().pop();
+
+  return lastExpiry && lastExpiry < date
+    ? `Doctor's license expired on ${lastExpiry}`
+    : 'Doctor has no valid license on that date';
+};
+
+module.exports = {
+  licenseLapsedReason,
+};
@@ -0,0 +1,31 @@
+const { licenseLapsedReason } = require('./licenses');
+
+const license = {
+  issueDate: '2024-01-01',
+  expiryDate: '2026-12-31',
+  verificationStatus: 'verified',
+};
+
+describe('licenseLapsedReason', () => {
+  it('lets a doctor practise on a date a license covers', () => {
+    expect(licenseLapsedReason([license], '2026-11-02')).toBeNull();
+  });
+
+  it('names the date the last license expired', () => {
+    expect(licenseLapsedReason([license, { ...license, expiryDate: '2025-06-30' }], '2027-01-04'))
+      .toBe("Doctor's license expired on 2026-12-31");
+  });
+
+  it('ignores a license rejected when verified', () => {
+    expect(licenseLapsedReason([{ ...license, verificationStatus: 'rejected' }], '2026-11-02'))
+      .toBe('Doctor has no valid license on that date');
+  });
+
+  it('does not count a license before it was issued', () => {
+    expect(licenseLapsedReason([license], '2023-12-31')).toBe('Doctor has no valid license on that date');
+  });
+
+  it('refuses a doctor with no license recorded', () => {
+    expect(licenseLapsedReason([], '2026-11-02')).toBe('Doctor has no license recorded');
+  });
+});
@@ -0,0 +1,104 @@
+// Time-of-day arithmetic for doctors' shifts and appointments. Times are 24-hour
+// "HH:MM" strings in the hospital's local time and dates are "YYYY-MM-DD". Bookings
+// are made in whole slots of SLOT_MINUTES, which is also how far apart the start
+// times offered as available are.
+
+const SLOT_MINUTES = 15;
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (total) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+};
+
+// The day of the week a date falls on, as named in a doctor's schedule
+const weekdayOf = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Each SLOT_MINUTES slot an appointment starting at startTime takes up, by start time
+const slotTimes = (startTime, durationMinutes) => {
+  const start = toMinutes(startTime);
+  const times = [];
+
+  for (let minute = start; minute < start + durationMinutes; minute += SLOT_MINUTES) {
+    times.push(formatMinutes(minute));
+  }
+
+  return times;
+};
+
+// Whether [start, start + duration) lies wholly inside one of the intervals
+const withinIntervals = (intervals, startTime, durationMinutes) => {
+  const start = toMinutes(startTime);
+  const end = start + durationMinutes;
+
+  return intervals.some((interval) => toMinutes(interval.start) <= start && end <= toMinutes(interval.end));
+};
+
+// The parts of the intervals that fall between open and close, such as a doctor's
+// hours on a day cut down to the hours their hospital is open
+const clipIntervals = (intervals, { open, close }) => intervals
+  .map((interval) => ({
+    start: interval.start > open ? interval.start : open,
+    end: interval.end < close ? interval.end : close,
+  }))
+  .filter((interval) => interval.start < interval.end);
+
+// Start and end times of every appointment of durationMinutes that fits in the
+// intervals worked without overlapping a busy { startTime, durationMinutes }
+const freeSlots = (intervals, busy, durationMinutes) => {
+  const taken = busy.map((booking) => ({
+    start: toMinutes(booking.startTime),
+    end: toMinutes(booking.startTime) + booking.durationMinutes,
+  }));
+  const slots = [];
+
+  intervals.forEach((interval) => {
+    const last = toMinutes(interval.end) - durationMinutes;
+
+    for (let start = toMinutes(interval.start); start <= last; start += SLOT_MINUTES) {
+      const end = start + durationMinutes;
+
+      if (!taken.some((booking) => booking.start < end && start < booking.end)) {
+        slots.push({ startTime: formatMinutes(start), endTime: formatMinutes(end) });
+      }
+    }
+  });
+
+  return slots;
+};
+
+// Why a hospital keeping `openingHours` on the appointment's date, as hospital-service
+// gives them ({ hours: { open, close } | null, closure }), cannot take the appointment;
+// null when it is open throughout it
+const closedReason = ({ hours, closure }, appointment) => {
+  if (!hours) {
+    return closure
+      ? `Hospital is closed on ${appointment.date} (${closure.reason})`
+      : `Hospital is closed on ${appointment.date}`;
+  }
+
+  if (!withinIntervals([{ start: hours.open, end: hours.close }], appointment.startTime, appointment.durationMinutes)) {
+    return `Hospital is only open from ${hours.open} to ${hours.close} on ${appointment.date}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  DAYS,
+  toMinutes,
+  formatMinutes,
+  weekdayOf,
+  slotTimes,
+  withinIntervals,
+  clipIntervals,
+  freeSlots,
+  closedReason,
+};
@@ -0,0 +1,77 @@
+const { weekdayOf, slotTimes, withinIntervals, clipIntervals, freeSlots, closedReason } = require('./schedule');
+
+const appointment = { date: '2026-11-02', startTime: '09:30', durationMinutes: 30 };
+
+describe('closedReason', () => {
+  const hoursOn = (open, close) => ({ hours: { open, close }, closure: null });
+
+  it('accepts an appointment inside opening hours', () => {
+    expect(closedReason(hoursOn('08:00', '18:00'), appointment)).toBeNull();
+  });
+
+  it('accepts an appointment filling the opening hours exactly', () => {
+    expect(closedReason(hoursOn('09:30', '10:00'), appointment)).toBeNull();
+  });
+
+  it('refuses an appointment starting before the hospital opens', () => {
+    expect(closedReason(hoursOn('10:00', '18:00'), appointment))
+      .toBe('Hospital is only open from 10:00 to 18:00 on 2026-11-02');
+  });
+
+  it('refuses an appointment running past closing time', () => {
+    expect(closedReason(hoursOn('08:00', '09:45'), appointment))
+      .toBe('Hospital is only open from 08:00 to 09:45 on 2026-11-02');
+  });
+
+  it('refuses a day the hospital does not open', () => {
+    expect(closedReason({ hours: null, closure: null }, appointment)).toBe('Hospital is closed on 2026-11-02');
+  });
+
+  it('gives the reason for a closure', () => {
+    expect(closedReason({ hours: null, closure: { reason: 'Staff training' } }, appointment))
+      .toBe('Hospital is closed on 2026-11-02 (Staff training)');
+  });
+});
+
+describe('weekdayOf', () => {
+  it('names the day of the week a date falls on', () => {
+    expect(weekdayOf('2026-11-02')).toBe('monday');
+    expect(weekdayOf('2026-11-08')).toBe('sunday');
+  });
+});
+
+describe('slotTimes', () => {
+  it('lists the start of each slot an appointment takes up', () => {
+    expect(slotTimes('23:15', 45)).toEqual(['23:15', '23:30', '23:45']);
+  });
+});
+
+describe('withinIntervals', () => {
+  const shifts = [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:00' }];
+
+  it('accepts a time inside one interval', () => {
+    expect(withinIntervals(shifts, '11:30', 30)).toBe(true);
+  });
+
+  it('refuses a time spanning the gap between intervals', () => {
+    expect(withinIntervals(shifts, '11:45', 30)).toBe(false);
+  });
+});
+
+describe('clipIntervals', () => {
+  it('cuts intervals down to opening hours, dropping those outside them', () => {
+    expect(clipIntervals(
+      [{ start: '07:00', end: '12:00' }, { start: '13:00', end: '20:00' }, { start: '21:00', end: '23:00' }],
+      { open: '08:00', close: '18:00' },
+    )).toEqual([{ start: '08:00', end: '12:00' }, { start: '13:00', end: '18:00' }]);
+  });
+});
+
+describe('freeSlots', () => {
+  it('offers every start time that fits without overlapping a booking', () => {
+    expect(freeSlots([{ start: '09:00', end: '10:30' }], [{ startTime: '09:30', durationMinutes: 30 }], 30)).toEqual([
+      { startTime: '09:00', endTime: '09:30' },
+      { startTime: '10:00', endTime: '10:30' },
+    ]);
+  });
+});
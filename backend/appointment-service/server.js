@@ -0,0 +1,753 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { PaginationError, parsePageParams, scanPage, queryPage, applyFilters } = require('./pagination');
+const { validate, pickFields } = require('./validation');
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+const { auditPut, historyQuery } = require('./audit');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+const {
+  SLOT_MINUTES,
+  weekdayOf,
+  withinIntervals,
+  clipIntervals,
+  freeSlots,
+  closedReason,
+} = require('./schedule');
+const { licenseLapsedReason } = require('./licenses');
+const { claimWrites, findClash } = require('./slots');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'appointment-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json());
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info({
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  });
+  next();
+});
+
+// Configure AWS
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-appointments';
+const slotsTableName = process.env.SLOTS_TABLE || 'pet-hospital-appointment-slots';
+
+// Global secondary index declared for the appointments table in infrastructure/main.tf
+const DOCTOR_INDEX = 'doctorId-date-index';
+
+// Other services
+const doctorServiceUrl = process.env.DOCTOR_SERVICE_URL || 'http://doctor-service:3000';
+const petServiceUrl = process.env.PET_SERVICE_URL || 'http://pet-service:3000';
+const hospitalServiceUrl = process.env.HOSPITAL_SERVICE_URL || 'http://hospital-service:3000';
+const visitServiceUrl = process.env.VISIT_SERVICE_URL || 'http://visit-service:3000';
+
+// A booked appointment holds its time until it is cancelled; what happens at the
+// visit itself is tracked on the visit booking creates in visit-service
+const APPOINTMENT_STATUSES = ['booked', 'cancelled'];
+
+const MAX_DURATION_MINUTES = 240;
+
+const checkOnSlot = (time) => (
+  Number(time.slice(3)) % SLOT_MINUTES === 0 ? null : `must be on a ${SLOT_MINUTES} minute boundary`
+);
+
+// Request body schema, shared by booking and rescheduling. room is the exam room at
+// the hospital; an appointment without one only needs the doctor to be free.
+const appointmentSchema = {
+  petId: { type: 'string', required: true },
+  doctorId: { type: 'string', required: true },
+  hospitalId: { type: 'string', required: true },
+  room: { type: 'string', maxLength: 50 },
+  date: { type: 'string', required: true, format: 'date' },
+  startTime: { type: 'string', required: true, format: 'time', check: checkOnSlot },
+  durationMinutes: {
+    type: 'number',
+    integer: true,
+    min: SLOT_MINUTES,
+    max: MAX_DURATION_MINUTES,
+    default: 30,
+    check: (minutes) => (minutes % SLOT_MINUTES === 0 ? null : `must be a multiple of ${SLOT_MINUTES}`),
+  },
+  reason: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Schema problems, plus appointments booked for a day already gone
+const validateAppointment = (body) => {
+  const details = validate(appointmentSchema, body);
+
+  if (details.length === 0 && body.date < today()) {
+    details.push({ field: 'date', message: 'cannot be in the past' });
+  }
+
+  return details;
+};
+
+const validateAppointmentBody = (req, res, next) => {
+  const details = validateAppointment(req.body);
+
+  if (details.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details });
+  }
+
+  next();
+};
+
+// Fetch an appointment, resolving to null when it does not exist
+const getAppointment = async (id) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  };
+
+  const result = await dynamoDB.get(params).promise();
+
+  return result.Item || null;
+};
+
+// Store appointment as the next version of existingAppointment (null for a new one),
+// claiming and releasing slots to match and auditing it as `action`. Fails with
+// TransactionCanceledException if the appointment changed after it was read or
+// someone else took one of its slots first.
+const saveAppointment = async (existingAppointment, appointment, req, action) => {
+  const nextAppointment = {
+    ...appointment,
+    version: existingAppointment ? currentVersion(existingAppointment) + 1 : 1,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextAppointment,
+          ...(existingAppointment ? versionCondition(existingAppointment) : { ConditionExpression: 'attribute_not_exists(id)' }),
+        },
+      },
+      ...claimWrites(slotsTableName, existingAppointment, nextAppointment),
+      auditPut(req, 'appointment', action, existingAppointment, nextAppointment),
+    ],
+  };
+
+  await dynamoDB.transactWrite(params).promise();
+
+  return nextAppointment;
+};
+
+// A doctor's booked appointments between two dates, inclusive
+const queryDoctorAppointments = async (doctorId, fromDate, toDate) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.query({
+      TableName: tableName,
+      IndexName: DOCTOR_INDEX,
+      KeyConditionExpression: 'doctorId = :doctorId AND #date BETWEEN :fromDate AND :toDate',
+      FilterExpression: '#status = :booked',
+      ExpressionAttributeNames: {
+        '#date': 'date', // 'date' and 'status' are reserved keywords in DynamoDB
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':doctorId': doctorId,
+        ':fromDate': fromDate,
+        ':toDate': toDate,
+        ':booked': 'booked',
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+// Another service answered a call with an error; `message` is the error it gave, if any
+class ServiceError extends Error {
+  constructor(method, url, status, message) {
+    super(message || `${method} ${url} failed with status ${status}`);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+// Call another service, resolving to null when the record does not exist
+const fetchFromService = async (url, { method = 'GET', body, contentType = 'application/json', headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { ...headers, 'Content-Type': contentType },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    throw new ServiceError(method, url, response.status, errorBody.error);
+  }
+
+  return response.json();
+};
+
+// Carry a change from existingAppointment to saved over to their visit as a merge
+// patch. Should visit-service not take it, saved is put back as existingAppointment
+// was, so the two never disagree. Resolves to why visit-service refused the patch, or
+// null once the visit is updated.
+const updateVisit = async (req, existingAppointment, saved, patch) => {
+  const undo = () => saveAppointment(saved, existingAppointment, req, 'update');
+  let visit;
+
+  try {
+    visit = await fetchFromService(`${visitServiceUrl}/visits/${encodeURIComponent(saved.visitId)}`, {
+      method: 'PATCH',
+      body: patch,
+      contentType: 'application/merge-patch+json',
+      headers: authHeaders(req),
+    });
+  } catch (error) {
+    await undo();
+    if (!(error instanceof ServiceError) || error.status >= 500) {
+      throw error;
+    }
+    return error.message;
+  }
+
+  if (!visit) {
+    await undo();
+    return 'Visit not found';
+  }
+
+  return null;
+};
+
+// Appointments are booked with doctors and for pets the other services know about
+// and have not archived
+const recordExists = async (req, url) => {
+  const record = await fetchFromService(url, { headers: authHeaders(req) });
+
+  return Boolean(record && !record.archived);
+};
+
+const doctorExists = (req, doctorId) => recordExists(req, `${doctorServiceUrl}/doctors/${encodeURIComponent(doctorId)}`);
+
+const petExists = (req, petId) => recordExists(req, `${petServiceUrl}/pets/${encodeURIComponent(petId)}`);
+
+const hospitalExists = (req, hospitalId) => recordExists(req, `${hospitalServiceUrl}/hospitals/${encodeURIComponent(hospitalId)}`);
+
+// The hours a hospital keeps on a date, holidays and closures included, as
+// { hours: { open, close } | null, closure }; null when the hospital does not exist
+const fetchHospitalHours = (req, hospitalId, date) => fetchFromService(
+  `${hospitalServiceUrl}/hospitals/${encodeURIComponent(hospitalId)}/opening-hours?date=${date}`,
+  { headers: authHeaders(req) },
+);
+
+// A doctor's weekly shifts, as { weekly: { monday: [{ hospitalId, start, end }], ... } },
+// from doctor-service, which keeps them; null when the doctor does not exist
+const fetchSchedule = (req, doctorId) => fetchFromService(
+  `${doctorServiceUrl}/doctors/${encodeURIComponent(doctorId)}/schedule`,
+  { headers: authHeaders(req) },
+);
+
+// The doctor's approved time off covering a date, or null. Time off still pending
+// approval leaves the doctor bookable.
+const fetchTimeOff = async (req, doctorId, date) => {
+  const result = await fetchFromService(
+    `${doctorServiceUrl}/doctors/${encodeURIComponent(doctorId)}/time-off?status=approved&from=${date}&to=${date}`,
+    { headers: authHeaders(req) },
+  );
+
+  return (result && result.items[0]) || null;
+};
+
+// Every license doctor-service records for a doctor, following its pagination; null
+// when the doctor does not exist
+const fetchLicenses = async (req, doctorId) => {
+  const licenses = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({ limit: '100', ...(cursor ? { cursor } : {}) });
+    const page = await fetchFromService(
+      `${doctorServiceUrl}/doctors/${encodeURIComponent(doctorId)}/licenses?${query}`,
+      { headers: authHeaders(req) },
+    );
+
+    if (!page) {
+      return null;
+    }
+
+    licenses.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return licenses;
+};
+
+// Why a doctor working `weekly` shifts cannot see anyone at the appointment's time and
+// hospital, or null when they can
+const unavailableReason = async (req, appointment, weekly) => {
+  const timeOff = await fetchTimeOff(req, appointment.doctorId, appointment.date);
+
+  if (timeOff) {
+    return `Doctor is away (${timeOff.type}) from ${timeOff.startDate} to ${timeOff.endDate}`;
+  }
+
+  const shifts = weekly[weekdayOf(appointment.date)] || [];
+  const { startTime, durationMinutes } = appointment;
+
+  if (withinIntervals(shifts.filter((shift) => shift.hospitalId === appointment.hospitalId), startTime, durationMinutes)) {
+    return null;
+  }
+
+  return withinIntervals(shifts, startTime, durationMinutes)
+    ? 'Doctor is working at another hospital at that time'
+    : 'Doctor is not working at that time';
+};
+
+// The fields of the visit an appointment is for, as visit-service stores them
+const visitFields = (appointment) => ({
+  petId: appointment.petId,
+  doctorId: appointment.doctorId,
+  hospitalId: appointment.hospitalId,
+  date: appointment.date,
+  time: appointment.startTime,
+  reason: appointment.reason,
+});
+
+// Reported like a schema failure so forms can show it next to the field
+const sendUnknown = (res, field, what) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ field, message: `does not match an active ${what}` }],
+});
+
+// A double booking or a time the doctor is away or not on shift. clash names the appointment that
+// already holds the time.
+const sendUnavailable = (res, error, clash = null) => res.status(409).json({
+  error,
+  ...(clash ? { conflictingAppointmentId: clash.appointmentId, bookedFor: clash.bookedFor } : {}),
+});
+
+const CLASH_MESSAGES = {
+  doctor: 'Doctor is already booked at that time',
+  room: 'Room is already booked at that time',
+};
+
+// Answer a write that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Appointment or the time it needs was changed by another request, reload and try again',
+});
+
+// The appointment was left as it was because its visit could not be changed to match
+const sendVisitNotUpdated = (res, visitId, reason) => res.status(409).json({
+  error: `Could not update visit ${visitId}: ${reason}. The appointment was not changed.`,
+  visitId,
+});
+
+// Check a booking or move can go ahead, answering the request when it cannot.
+// Resolves to whether it was answered.
+const rejectUnbookable = async (req, res, appointment) => {
+  if (!(await doctorExists(req, appointment.doctorId))) {
+    sendUnknown(res, 'doctorId', 'doctor');
+    return true;
+  }
+
+  // The hospital may be deleted between the two calls, so a missing one is unknown either way
+  const openingHours = (await hospitalExists(req, appointment.hospitalId))
+    && await fetchHospitalHours(req, appointment.hospitalId, appointment.date);
+
+  if (!openingHours) {
+    sendUnknown(res, 'hospitalId', 'hospital');
+    return true;
+  }
+
+  // Likewise the doctor may be deleted after it was checked
+  const schedule = await fetchSchedule(req, appointment.doctorId);
+  const licenses = schedule && await fetchLicenses(req, appointment.doctorId);
+
+  if (!licenses) {
+    sendUnknown(res, 'doctorId', 'doctor');
+    return true;
+  }
+
+  const reason = closedReason(openingHours, appointment)
+    || licenseLapsedReason(licenses, appointment.date)
+    || await unavailableReason(req, appointment, schedule.weekly);
+
+  if (reason) {
+    sendUnavailable(res, reason);
+    return true;
+  }
+
+  const clash = await findClash(dynamoDB, slotsTableName, appointment);
+
+  if (clash) {
+    sendUnavailable(res, CLASH_MESSAGES[clash.bookedFor], clash);
+    return true;
+  }
+
+  return false;
+};
+
+// Front desk staff and vets book appointments, as they do visits. Anyone signed in
+// may read them.
+const APPOINTMENT_EDITORS = [ROLES.VETERINARIAN, ROLES.RECEPTIONIST];
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get appointments, optionally for one doctor or hospital and between ?from and ?to
+// dates (inclusive). Cancelled appointments are left out unless includeCancelled=true.
+app.get('/appointments', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const { doctorId, hospitalId, from, to } = req.query;
+    const filters = [
+      ['hospitalId = :hospitalId', { ':hospitalId': hospitalId }],
+      ...(req.query.includeCancelled === 'true' ? [] : [['#status = :booked', { ':booked': 'booked' }]]),
+    ];
+
+    // 'date' and 'status' are reserved keywords in DynamoDB
+    const names = { '#status': 'status', '#date': 'date' };
+
+    let result;
+
+    if (doctorId) {
+      const params = applyFilters({
+        TableName: tableName,
+        IndexName: DOCTOR_INDEX,
+        KeyConditionExpression: 'doctorId = :doctorId AND #date BETWEEN :from AND :to',
+        ExpressionAttributeValues: {
+          ':doctorId': doctorId,
+          ':from': from || '0000-01-01',
+          ':to': to || '9999-12-31',
+        },
+      }, filters);
+
+      // DynamoDB rejects names the expressions do not use; the key condition always uses #date
+      params.ExpressionAttributeNames = Object.fromEntries(Object.entries(names)
+        .filter(([name]) => name === '#date' || (params.FilterExpression || '').includes(name)));
+
+      result = await queryPage(dynamoDB, params, page, ['id', 'doctorId', 'date']);
+    } else {
+      const params = applyFilters({
+        TableName: tableName,
+      }, [
+        ...filters,
+        ['#date >= :from', { ':from': from }],
+        ['#date <= :to', { ':to': to }],
+      ]);
+
+      if (params.FilterExpression) {
+        params.ExpressionAttributeNames = Object.fromEntries(Object.entries(names)
+          .filter(([name]) => params.FilterExpression.includes(name)));
+      }
+
+      result = await scanPage(dynamoDB, params, page);
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fetching appointments:', error);
+    res.status(500).json({ error: 'Failed to fetch appointments' });
+  }
+});
+
+// Get appointment by ID
+app.get('/appointments/:id', async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    res.set('ETag', formatETag(appointment));
+    res.status(200).json(appointment);
+  } catch (error) {
+    logger.error(`Error fetching appointment ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch appointment' });
+  }
+});
+
+// Get an appointment's change history, newest first
+app.get('/appointments/:id/history', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    const result = await queryPage(dynamoDB, historyQuery('appointment', req.params.id), page, ['resourceKey', 'version']);
+
+    if (result.items.length === 0 && !req.query.cursor) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching history for appointment ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch appointment history' });
+  }
+});
+
+// Book an appointment. It must fall within the hospital's opening hours and one of
+// the doctor's shifts there and clash with nothing booked for the doctor or the room,
+// or the request fails with 409.
+// Booking creates a Scheduled visit for it in visit-service.
+app.post('/appointments', requireRole(...APPOINTMENT_EDITORS), validateAppointmentBody, async (req, res) => {
+  try {
+    if (!(await petExists(req, req.body.petId))) {
+      return sendUnknown(res, 'petId', 'pet');
+    }
+
+    const appointment = {
+      id: uuidv4(),
+      ...pickFields(appointmentSchema, req.body),
+      status: 'booked',
+      visitId: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (await rejectUnbookable(req, res, appointment)) {
+      return;
+    }
+
+    const booked = await saveAppointment(null, appointment, req, 'create');
+
+    // The slots are held, so the visit can be created; if that fails, let them go
+    let visit;
+    try {
+      visit = await fetchFromService(`${visitServiceUrl}/visits`, {
+        method: 'POST',
+        body: { ...visitFields(booked), status: 'Scheduled' },
+        headers: authHeaders(req),
+      });
+    } catch (error) {
+      await saveAppointment(booked, { ...booked, status: 'cancelled' }, req, 'cancel');
+      throw error;
+    }
+
+    const linked = await saveAppointment(booked, { ...booked, visitId: visit.id }, req, 'update');
+
+    res.set('ETag', formatETag(linked));
+    res.status(201).json(linked);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendUnavailable(res, 'That time was booked by another request, pick another and try again');
+    }
+    logger.error('Error booking appointment:', error);
+    res.status(500).json({ error: 'Failed to book appointment' });
+  }
+});
+
+// Reschedule or otherwise change an appointment with a full representation,
+// honouring If-Match. The new time is checked as a booking is; its visit follows, and
+// if the visit cannot be changed the appointment is left as it was.
+app.put('/appointments/:id', requireRole(...APPOINTMENT_EDITORS), validateAppointmentBody, async (req, res) => {
+  try {
+    const existingAppointment = await getAppointment(req.params.id);
+
+    if (!existingAppointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingAppointment)) {
+      return res.status(412).json({ error: 'Appointment has changed since it was read', etag: formatETag(existingAppointment) });
+    }
+
+    if (existingAppointment.status === 'cancelled') {
+      return res.status(409).json({ error: 'Appointment is cancelled, book a new one instead' });
+    }
+
+    if (req.body.petId !== existingAppointment.petId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'petId', message: 'cannot be changed; cancel and book a new appointment instead' }],
+      });
+    }
+
+    const appointment = {
+      ...existingAppointment,
+      ...pickFields(appointmentSchema, req.body),
+    };
+
+    if (await rejectUnbookable(req, res, appointment)) {
+      return;
+    }
+
+    const saved = await saveAppointment(existingAppointment, appointment, req, 'update');
+
+    const visitProblem = saved.visitId && await updateVisit(req, existingAppointment, saved, visitFields(saved));
+
+    if (visitProblem) {
+      return sendVisitNotUpdated(res, saved.visitId, visitProblem);
+    }
+
+    res.set('ETag', formatETag(saved));
+    res.status(200).json(saved);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error updating appointment ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update appointment' });
+  }
+});
+
+// Cancel an appointment, honouring If-Match. Its slots are freed and its visit is
+// marked Cancelled; if the visit cannot be, the appointment stays booked.
+app.post('/appointments/:id/cancel', requireRole(...APPOINTMENT_EDITORS), async (req, res) => {
+  try {
+    const existingAppointment = await getAppointment(req.params.id);
+
+    if (!existingAppointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingAppointment)) {
+      return res.status(412).json({ error: 'Appointment has changed since it was read', etag: formatETag(existingAppointment) });
+    }
+
+    if (existingAppointment.status === 'cancelled') {
+      return res.status(409).json({ error: 'Appointment is already cancelled' });
+    }
+
+    const appointment = await saveAppointment(existingAppointment, {
+      ...existingAppointment,
+      status: 'cancelled',
+      cancellationReason: (req.body && req.body.reason) || null,
+    }, req, 'cancel');
+
+    const visitProblem = appointment.visitId && await updateVisit(req, existingAppointment, appointment, { status: 'Cancelled' });
+
+    if (visitProblem) {
+      return sendVisitNotUpdated(res, appointment.visitId, visitProblem);
+    }
+
+    res.set('ETag', formatETag(appointment));
+    res.status(200).json(appointment);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error cancelling appointment ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to cancel appointment' });
+  }
+});
+
+// Get the start and end of every free appointment a doctor has on ?date, for an
+// appointment of ?duration minutes (30 by default). Given ?hospitalId, only times the
+// doctor is on shift there and the hospital is open are offered. Also returns the
+// day's shifts, the hospital's hours when asked for, when the doctor is away the
+// approved time off that says so, and licenseLapsed when no license covers the date.
+app.get('/doctors/:doctorId/availability', async (req, res) => {
+  try {
+    const { date } = req.query;
+    const duration = req.query.duration === undefined ? 30 : Number(req.query.duration);
+
+    if (validate({ date: { type: 'string', required: true, format: 'date' } }, { date }).length > 0) {
+      return res.status(400).json({ error: 'date must be given as YYYY-MM-DD' });
+    }
+
+    if (!Number.isInteger(duration) || duration < SLOT_MINUTES || duration > MAX_DURATION_MINUTES || duration % SLOT_MINUTES !== 0) {
+      return res.status(400).json({ error: `duration must be a multiple of ${SLOT_MINUTES} minutes up to ${MAX_DURATION_MINUTES}` });
+    }
+
+    const { doctorId } = req.params;
+    const { hospitalId } = req.query;
+    const [schedule, timeOff, licenses, appointments, hospitalHours] = await Promise.all([
+      fetchSchedule(req, doctorId),
+      fetchTimeOff(req, doctorId, date),
+      fetchLicenses(req, doctorId),
+      queryDoctorAppointments(doctorId, date, date),
+      hospitalId ? fetchHospitalHours(req, hospitalId, date) : undefined,
+    ]);
+
+    if (!schedule || !licenses) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    if (hospitalHours === null) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    const licenseLapsed = licenseLapsedReason(licenses, date);
+    const shifts = schedule.weekly[weekdayOf(date)] || [];
+    let bookableHours = shifts;
+
+    if (hospitalHours) {
+      const shiftsThere = shifts.filter((shift) => shift.hospitalId === hospitalId);
+      bookableHours = hospitalHours.hours ? clipIntervals(shiftsThere, hospitalHours.hours) : [];
+    }
+
+    res.status(200).json({
+      doctorId,
+      date,
+      shifts,
+      ...(hospitalHours ? { hospitalHours: { hours: hospitalHours.hours, closure: hospitalHours.closure } } : {}),
+      timeOff,
+      licenseLapsed,
+      slots: timeOff || licenseLapsed || date < today() ? [] : freeSlots(bookableHours, appointments, duration),
+    });
+  } catch (error) {
+    logger.error(`Error fetching availability for doctor ${req.params.doctorId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Start server
+app.listen(port, () => {
+  logger.info(`Appointment service listening on port ${port}`);
+});
+
+module.exports = app; // For testing
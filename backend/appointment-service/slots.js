@@ -0,0 +1,96 @@
+// Double bookings are prevented by claiming each slot an appointment takes up, for
+// its doctor and for its room, in the same transaction that stores it. A claim is
+// keyed by what is booked and when, so a second claim on it fails. Claims live in
+// their own table, named by the caller, as { slotKey, appointmentId }.
+const { slotTimes } = require('./schedule');
+
+const slotKeys = (appointment) => {
+  const times = slotTimes(appointment.startTime, appointment.durationMinutes);
+  const room = appointment.room && appointment.room.trim().toLowerCase();
+
+  return [
+    ...times.map((time) => `doctor#${appointment.doctorId}#${appointment.date}T${time}`),
+    ...(room ? times.map((time) => `room#${appointment.hospitalId}#${room}#${appointment.date}T${time}`) : []),
+  ];
+};
+
+// Writes moving an appointment's claims from `before` to `after`, either of which
+// may be null. Slots both hold are left alone, so an appointment can move by less
+// than its own length.
+const claimWrites = (tableName, before, after) => {
+  const released = before && before.status === 'booked' ? slotKeys(before) : [];
+  const claimed = after && after.status === 'booked' ? slotKeys(after) : [];
+  const appointmentId = (after || before).id;
+
+  return [
+    ...released.filter((key) => !claimed.includes(key)).map((slotKey) => ({
+      Delete: {
+        TableName: tableName,
+        Key: {
+          slotKey,
+        },
+      },
+    })),
+    ...claimed.filter((key) => !released.includes(key)).map((slotKey) => ({
+      Put: {
+        TableName: tableName,
+        Item: {
+          slotKey,
+          appointmentId,
+        },
+        ConditionExpression: 'attribute_not_exists(slotKey)',
+      },
+    })),
+  ];
+};
+
+// Attempts at reading claims DynamoDB leaves unprocessed, as it may when throttled,
+// waiting twice as long after each
+const CLAIM_READ_ATTEMPTS = 5;
+const CLAIM_READ_BACKOFF_MS = 50;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The claims held on the slots with the given keys
+const readClaims = async (dynamoDB, tableName, keys) => {
+  const claims = [];
+  let pending = keys.map((slotKey) => ({ slotKey }));
+
+  for (let attempt = 1; pending.length > 0; attempt += 1) {
+    if (attempt > CLAIM_READ_ATTEMPTS) {
+      throw new Error(`${pending.length} slot claims were still unprocessed after ${CLAIM_READ_ATTEMPTS} attempts`);
+    }
+    if (attempt > 1) {
+      await wait(CLAIM_READ_BACKOFF_MS * 2 ** (attempt - 2));
+    }
+
+    const result = await dynamoDB.batchGet({
+      RequestItems: {
+        [tableName]: {
+          Keys: pending,
+        },
+      },
+    }).promise();
+    const unprocessed = result.UnprocessedKeys && result.UnprocessedKeys[tableName];
+
+    claims.push(...(result.Responses[tableName] || []));
+    pending = unprocessed ? unprocessed.Keys : [];
+  }
+
+  return claims;
+};
+
+// The first appointment, other than this one, already holding a slot it needs, as
+// { appointmentId, bookedFor: 'doctor' | 'room' }; null when every slot is free
+const findClash = async (dynamoDB, tableName, appointment) => {
+  const claims = await readClaims(dynamoDB, tableName, slotKeys(appointment));
+  const clash = claims.find((claim) => claim.appointmentId !== appointment.id);
+
+  return clash ? { appointmentId: clash.appointmentId, bookedFor: clash.slotKey.split('#')[0] } : null;
+};
+
+module.exports = {
+  slotKeys,
+  claimWrites,
+  findClash,
+};
@@ -0,0 +1,151 @@
+const { slotKeys, claimWrites, findClash } = require('./slots');
+
+const appointment = {
+  id: 'appt-1',
+  doctorId: 'doc-1',
+  hospitalId: 'hosp-1',
+  room: ' Exam 2 ',
+  date: '2026-11-02',
+  startTime: '09:30',
+  durationMinutes: 30,
+  status: 'booked',
+};
+
+// A slot claims table holding `claims`, answering batchGet as DynamoDB does
+const fakeClaims = (claims) => ({
+  batchGet: jest.fn(({ RequestItems }) => {
+    const [[tableName, { Keys }]] = Object.entries(RequestItems);
+
+    return {
+      promise: async () => ({
+        Responses: {
+          [tableName]: claims.filter((claim) => Keys.some((key) => key.slotKey === claim.slotKey)),
+        },
+        UnprocessedKeys: {},
+      }),
+    };
+  }),
+});
+
+describe('slotKeys', () => {
+  it('claims every slot of the appointment for its doctor and its room', () => {
+    expect(slotKeys(appointment)).toEqual([
+      'doctor#doc-1#2026-11-02T09:30',
+      'doctor#doc-1#2026-11-02T09:45',
+      'room#hosp-1#exam 2#2026-11-02T09:30',
+      'room#hosp-1#exam 2#2026-11-02T09:45',
+    ]);
+  });
+
+  it('only claims the doctor when no room is booked', () => {
+    expect(slotKeys({ ...appointment, room: null, durationMinutes: 15 })).toEqual(['doctor#doc-1#2026-11-02T09:30']);
+  });
+});
+
+describe('claimWrites', () => {
+  const keysOf = (writes, kind) => writes.filter((write) => write[kind]).map((write) => (
+    kind === 'Put' ? write.Put.Item.slotKey : write.Delete.Key.slotKey
+  ));
+
+  it('claims every slot of a new booking, failing if one is already claimed', () => {
+    const writes = claimWrites('slots', null, appointment);
+
+    expect(keysOf(writes, 'Put')).toEqual(slotKeys(appointment));
+    expect(writes[0]).toEqual({
+      Put: {
+        TableName: 'slots',
+        Item: { slotKey: 'doctor#doc-1#2026-11-02T09:30', appointmentId: 'appt-1' },
+        ConditionExpression: 'attribute_not_exists(slotKey)',
+      },
+    });
+  });
+
+  it('releases every slot of a cancelled booking', () => {
+    const writes = claimWrites('slots', appointment, { ...appointment, status: 'cancelled' });
+
+    expect(keysOf(writes, 'Delete')).toEqual(slotKeys(appointment));
+    expect(keysOf(writes, 'Put')).toEqual([]);
+  });
+
+  it('only moves the slots that change when a booking moves by less than its length', () => {
+    const writes = claimWrites('slots', { ...appointment, room: null }, { ...appointment, room: null, startTime: '09:45' });
+
+    expect(keysOf(writes, 'Delete')).toEqual(['doctor#doc-1#2026-11-02T09:30']);
+    expect(keysOf(writes, 'Put')).toEqual(['doctor#doc-1#2026-11-02T10:00']);
+  });
+
+  it('claims nothing for a booking that stays cancelled', () => {
+    const cancelled = { ...appointment, status: 'cancelled' };
+
+    expect(claimWrites('slots', cancelled, cancelled)).toEqual([]);
+  });
+});
+
+describe('findClash', () => {
+  it('finds nothing when every slot is free', async () => {
+    expect(await findClash(fakeClaims([]), 'slots', appointment)).toBeNull();
+  });
+
+  it('names the appointment holding the doctor at that time', async () => {
+    const dynamoDB = fakeClaims([{ slotKey: 'doctor#doc-1#2026-11-02T09:45', appointmentId: 'appt-2' }]);
+
+    expect(await findClash(dynamoDB, 'slots', appointment)).toEqual({ appointmentId: 'appt-2', bookedFor: 'doctor' });
+  });
+
+  it('names the appointment holding the room at that time', async () => {
+    const dynamoDB = fakeClaims([{ slotKey: 'room#hosp-1#exam 2#2026-11-02T09:30', appointmentId: 'appt-3' }]);
+
+    expect(await findClash(dynamoDB, 'slots', appointment)).toEqual({ appointmentId: 'appt-3', bookedFor: 'room' });
+  });
+
+  it('ignores the slots the appointment itself holds, as when it is rescheduled', async () => {
+    const dynamoDB = fakeClaims(slotKeys(appointment).map((slotKey) => ({ slotKey, appointmentId: 'appt-1' })));
+
+    expect(await findClash(dynamoDB, 'slots', { ...appointment, startTime: '09:45' })).toBeNull();
+  });
+
+  it('reads again the slots DynamoDB leaves unprocessed', async () => {
+    const dynamoDB = fakeClaims([{ slotKey: 'room#hosp-1#exam 2#2026-11-02T09:45', appointmentId: 'appt-7' }]);
+    const batchGet = dynamoDB.batchGet.getMockImplementation();
+
+    // The first read only gets to the doctor's slots
+    dynamoDB.batchGet.mockImplementationOnce(({ RequestItems }) => {
+      const keys = RequestItems.slots.Keys;
+
+      return {
+        promise: async () => ({
+          ...(await batchGet({ RequestItems: { slots: { Keys: keys.slice(0, 2) } } }).promise()),
+          UnprocessedKeys: { slots: { Keys: keys.slice(2) } },
+        }),
+      };
+    });
+
+    expect(await findClash(dynamoDB, 'slots', appointment)).toEqual({ appointmentId: 'appt-7', bookedFor: 'room' });
+    expect(dynamoDB.batchGet).toHaveBeenCalledTimes(2);
+    expect(dynamoDB.batchGet.mock.calls[1][0].RequestItems.slots.Keys).toEqual([
+      { slotKey: 'room#hosp-1#exam 2#2026-11-02T09:30' },
+      { slotKey: 'room#hosp-1#exam 2#2026-11-02T09:45' },
+    ]);
+  });
+
+  it('gives up when slots stay unprocessed', async () => {
+    const dynamoDB = {
+      batchGet: jest.fn(({ RequestItems }) => ({
+        promise: async () => ({ Responses: { slots: [] }, UnprocessedKeys: RequestItems }),
+      })),
+    };
+
+    await expect(findClash(dynamoDB, 'slots', appointment)).rejects.toThrow('still unprocessed');
+    expect(dynamoDB.batchGet).toHaveBeenCalledTimes(5);
+  });
+
+  it('ignores other doctors and rooms', async () => {
+    const dynamoDB = fakeClaims([
+      { slotKey: 'doctor#doc-2#2026-11-02T09:30', appointmentId: 'appt-4' },
+      { slotKey: 'room#hosp-1#exam 3#2026-11-02T09:30', appointmentId: 'appt-5' },
+      { slotKey: 'doctor#doc-1#2026-11-03T09:30', appointmentId: 'appt-6' },
+    ]);
+
+    expect(await findClash(dynamoDB, 'slots', appointment)).toBeNull();
+  });
+});
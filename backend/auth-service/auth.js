@@ -0,0 +1,179 @@
+// Bearer token authentication and role-based authorization. auth-service signs
+// RS256 JWTs; every service verifies them against auth-service's public keys,
+// read from the first of:
+//
+//   JWT_PUBLIC_KEY_FILE  a PEM public key
+//   JWKS_FILE            a JSON Web Key Set on disk
+//   JWKS_URL             a JSON Web Key Set served by auth-service (the default)
+//
+// so a service can run and be tested offline with a local key.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ROLES = {
+  ADMIN: 'admin',
+  VETERINARIAN: 'veterinarian',
+  RECEPTIONIST: 'receptionist',
+  BILLING_CLERK: 'billing_clerk',
+  READ_ONLY: 'read_only',
+};
+
+const TOKEN_ISSUER = 'pet-hospital-auth';
+const jwksUrl = process.env.JWKS_URL || 'http://auth-service:3000/auth/.well-known/jwks.json';
+
+// Seconds of clock difference tolerated between auth-service and this service
+const CLOCK_TOLERANCE = 30;
+
+// How long to wait before refetching the key set for a token signed with an unknown key
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Raised for a missing, malformed, forged or expired token; answered with a 401
+class AuthenticationError extends Error {}
+
+const loadKeys = async () => {
+  if (process.env.JWT_PUBLIC_KEY_FILE) {
+    return [{ kid: null, key: crypto.createPublicKey(fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE)) }];
+  }
+
+  let jwks;
+  if (process.env.JWKS_FILE) {
+    jwks = JSON.parse(fs.readFileSync(process.env.JWKS_FILE, 'utf8'));
+  } else {
+    const response = await fetch(jwksUrl);
+
+    if (!response.ok) {
+      throw new Error(`Request to ${jwksUrl} failed with status ${response.status}`);
+    }
+
+    jwks = await response.json();
+  }
+
+  return jwks.keys.map((jwk) => ({ kid: jwk.kid || null, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+};
+
+let cachedKeys = null;
+let keysLoadedAt = 0;
+
+// Keys are cached, and refetched at most once a minute when a token names a key
+// we don't have, as happens after auth-service rotates its signing key
+const findKey = async (kid) => {
+  const matches = (entry) => !kid || !entry.kid || entry.kid === kid;
+
+  if (!cachedKeys || (!cachedKeys.some(matches) && Date.now() - keysLoadedAt > JWKS_REFRESH_INTERVAL_MS)) {
+    cachedKeys = await loadKeys();
+    keysLoadedAt = Date.now();
+  }
+
+  const entry = cachedKeys.find(matches);
+
+  if (!entry) {
+    throw new AuthenticationError('Token was signed with an unknown key');
+  }
+
+  return entry.key;
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthenticationError('Malformed token');
+  }
+};
+
+// Check a token's signature and claims, resolving to its payload
+const verifyToken = async (token) => {
+  const segments = token.split('.');
+
+  if (segments.length !== 3) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = segments;
+  const header = decodeSegment(encodedHeader);
+
+  // Only accept the algorithm auth-service signs with, never 'none' or an HMAC
+  if (header.alg !== 'RS256') {
+    throw new AuthenticationError('Unsupported token algorithm');
+  }
+
+  const key = await findKey(header.kid);
+  const signed = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key,
+    Buffer.from(signature, 'base64url'),
+  );
+
+  if (!signed) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const payload = decodeSegment(encodedPayload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.iss !== TOKEN_ISSUER) {
+    throw new AuthenticationError('Token was not issued by auth-service');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE < now) {
+    throw new AuthenticationError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE > now) {
+    throw new AuthenticationError('Token is not valid yet');
+  }
+  if (!Object.values(ROLES).includes(payload.role)) {
+    throw new AuthenticationError('Token has an unknown role');
+  }
+
+  return payload;
+};
+
+// Express middleware requiring a valid bearer token, exposing its user as req.user
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const payload = await verifyToken(token);
+
+    req.user = {
+      id: payload.sub,
+      username: payload.username,
+      name: payload.name,
+      role: payload.role,
+    };
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: error.message });
+    }
+    // The key set could not be loaded, so no token can be checked
+    return res.status(503).json({ error: 'Unable to verify credentials, try again later' });
+  }
+
+  next();
+};
+
+// Express middleware letting through only the given roles. Admins may do anything.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || (req.user.role !== ROLES.ADMIN && !roles.includes(req.user.role))) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+
+  next();
+};
+
+// Headers that make a call to another service on behalf of the same user
+const authHeaders = (req) => ({ Authorization: req.get('Authorization') });
+
+module.exports = {
+  ROLES,
+  TOKEN_ISSUER,
+  authenticate,
+  requireRole,
+  authHeaders,
+};
@@ -0,0 +1,50 @@
+// Token signing. Tokens are RS256 JWTs signed with a private key read from
+// JWT_PRIVATE_KEY_FILE; the other services verify them with the matching public
+// key, published as a JSON Web Key Set. scripts/generate-keys.js writes a key
+// pair and its key set for running everything offline.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// RFC 7638 thumbprint of an RSA public key, used as its key id
+const keyThumbprint = (jwk) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+  .digest('base64url');
+
+// The public half of a private key as a JWK, ready for a key set
+const publicJwk = (privateKey) => {
+  const { kty, n, e } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const jwk = { kty, n, e };
+
+  return { ...jwk, kid: keyThumbprint(jwk), alg: 'RS256', use: 'sig' };
+};
+
+const generatePrivateKey = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+// Load the signing key, or make up a throwaway one when none is configured. Tokens
+// signed with a throwaway key stop working when the service restarts.
+const loadSigningKey = (logger) => {
+  if (process.env.JWT_PRIVATE_KEY_FILE) {
+    return crypto.createPrivateKey(fs.readFileSync(process.env.JWT_PRIVATE_KEY_FILE));
+  }
+
+  logger.warn('JWT_PRIVATE_KEY_FILE is not set, signing tokens with a temporary key');
+  return generatePrivateKey();
+};
+
+const signToken = (privateKey, kid, claims) => {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+};
+
+module.exports = {
+  publicJwk,
+  generatePrivateKey,
+  loadSigningKey,
+  signToken,
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { publicJwk, generatePrivateKey, loadSigningKey, signToken } = require('./keys');
+
+const privateKey = generatePrivateKey();
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+describe('publicJwk', () => {
+  it('publishes only the public half, keyed by its thumbprint', () => {
+    const jwk = publicJwk(privateKey);
+
+    expect(Object.keys(jwk).sort()).toEqual(['alg', 'e', 'kid', 'kty', 'n', 'use']);
+    expect(jwk).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(jwk.kid).toBe(publicJwk(privateKey).kid);
+    expect(jwk.kid).not.toBe(publicJwk(generatePrivateKey()).kid);
+  });
+});
+
+describe('signToken', () => {
+  it('signs an RS256 token the published key verifies', () => {
+    const jwk = publicJwk(privateKey);
+    const claims = { sub: 'user-1', role: 'vet' };
+    const [header, payload, signature] = signToken(privateKey, jwk.kid, claims).split('.');
+
+    expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT', kid: jwk.kid });
+    expect(decode(payload)).toEqual(claims);
+    expect(crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${header}.${payload}`),
+      crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      Buffer.from(signature, 'base64url'),
+    )).toBe(true);
+  });
+});
+
+describe('loadSigningKey', () => {
+  const { JWT_PRIVATE_KEY_FILE } = process.env;
+
+  afterEach(() => {
+    if (JWT_PRIVATE_KEY_FILE === undefined) {
+      delete process.env.JWT_PRIVATE_KEY_FILE;
+    } else {
+      process.env.JWT_PRIVATE_KEY_FILE = JWT_PRIVATE_KEY_FILE;
+    }
+  });
+
+  it('reads the key configured in JWT_PRIVATE_KEY_FILE', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-keys-'));
+    const keyFile = path.join(directory, 'private.pem');
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    process.env.JWT_PRIVATE_KEY_FILE = keyFile;
+
+    try {
+      expect(publicJwk(loadSigningKey({ warn: jest.fn() }))).toEqual(publicJwk(privateKey));
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+
+  it('warns and makes up a key when none is configured', () => {
+    const logger = { warn: jest.fn() };
+    delete process.env.JWT_PRIVATE_KEY_FILE;
+
+    expect(loadSigningKey(logger).asymmetricKeyType).toBe('rsa');
+    expect(logger.warn).toHaveBeenCalledWith('JWT_PRIVATE_KEY_FILE is not set, signing tokens with a temporary key');
+  });
+});
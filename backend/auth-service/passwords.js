@@ -0,0 +1,34 @@
+// Password hashing with scrypt. Hashes are stored as "scrypt$<salt>$<hash>",
+// both base64url encoded, so the scheme can change without a migration.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+};
+
+// Compare in constant time so the response time gives nothing away
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = (stored || '').split('$');
+
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const hash = await scrypt(password, Buffer.from(salt, 'base64url'), KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'base64url');
+
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,29 @@
+const { hashPassword, verifyPassword } = require('./passwords');
+
+describe('hashPassword', () => {
+  it('salts each hash so the same password hashes differently', async () => {
+    const [first, second] = await Promise.all([hashPassword('correct horse'), hashPassword('correct horse')]);
+
+    expect(first).toMatch(/^scrypt\$[\w-]+\$[\w-]+$/);
+    expect(first).not.toBe(second);
+  });
+});
+
+describe('verifyPassword', () => {
+  it('accepts the password that was hashed and nothing else', async () => {
+    const stored = await hashPassword('correct horse');
+
+    await expect(verifyPassword('correct horse', stored)).resolves.toBe(true);
+    await expect(verifyPassword('Correct horse', stored)).resolves.toBe(false);
+  });
+
+  it.each([undefined, '', 'bcrypt$salt$hash', 'scrypt$salt', 'scrypt$c2FsdA$'])('rejects a stored hash of %j', async (stored) => {
+    await expect(verifyPassword('correct horse', stored)).resolves.toBe(false);
+  });
+
+  it('rejects a hash of the wrong length', async () => {
+    const [scheme, salt] = (await hashPassword('correct horse')).split('$');
+
+    await expect(verifyPassword('correct horse', `${scheme}$${salt}$c2hvcnQ`)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+// Create or reset a user directly in the users table, such as the first
+// administrator, who cannot be created through the API without one:
+//
+//   NEW_USER_PASSWORD=... node scripts/create-user.js <username> <role> "<name>"
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('../auth');
+const { hashPassword } = require('../passwords');
+
+const [username, role, name] = process.argv.slice(2);
+const password = process.env.NEW_USER_PASSWORD;
+
+if (!username || !role || !name || !password) {
+  console.error('Usage: NEW_USER_PASSWORD=<password> node scripts/create-user.js <username> <role> "<name>"');
+  process.exit(1);
+}
+
+if (!Object.values(ROLES).includes(role)) {
+  console.error(`Role must be one of: ${Object.values(ROLES).join(', ')}`);
+  process.exit(1);
+}
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-users';
+
+const main = async () => {
+  const existing = await dynamoDB.get({ TableName: tableName, Key: { username } }).promise();
+  const timestamp = new Date().toISOString();
+
+  await dynamoDB.put({
+    TableName: tableName,
+    Item: {
+      id: existing.Item ? existing.Item.id : uuidv4(),
+      username,
+      name,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: existing.Item ? existing.Item.createdAt : timestamp,
+      updatedAt: timestamp,
+    },
+  }).promise();
+
+  console.log(`${existing.Item ? 'Updated' : 'Created'} ${role} ${username}`);
+};
+
+main().catch((error) => {
+  console.error('Failed to create user:', error);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+// Write a token signing key pair for running and testing the services offline:
+//
+//   node scripts/generate-keys.js [directory]
+//
+// writes <directory>/jwt-private.pem, for auth-service's JWT_PRIVATE_KEY_FILE,
+// and <directory>/jwks.json, for the other services' JWKS_FILE.
+const fs = require('fs');
+const path = require('path');
+const { publicJwk, generatePrivateKey } = require('../keys');
+
+const directory = process.argv[2] || '.';
+const privateKey = generatePrivateKey();
+
+fs.mkdirSync(directory, { recursive: true });
+fs.writeFileSync(
+  path.join(directory, 'jwt-private.pem'),
+  privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  { mode: 0o600 },
+);
+fs.writeFileSync(path.join(directory, 'jwks.json'), `${JSON.stringify({ keys: [publicJwk(privateKey)] }, null, 2)}\n`);
+
+console.log(`Wrote jwt-private.pem and jwks.json to ${path.resolve(directory)}`);
@@ -0,0 +1,259 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { validateBody } = require('./validation');
+const { publicJwk, loadSigningKey, signToken } = require('./keys');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'auth-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Tokens presented to this service are checked against its own key set, unless
+// a key is configured for auth.js like any other service
+process.env.JWKS_URL = process.env.JWKS_URL || `http://localhost:${port}/auth/.well-known/jwks.json`;
+const { ROLES, TOKEN_ISSUER, authenticate, requireRole } = require('./auth');
+
+// Middleware
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json());
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info({
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  });
+  next();
+});
+
+// Configure AWS
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-users';
+
+// How long a signed-in session lasts, a working day by default
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS || `${8 * 60 * 60}`, 10);
+
+const signingKey = loadSigningKey(logger);
+const signingJwk = publicJwk(signingKey);
+
+const USERNAME_PATTERN = /^[a-z0-9._-]+$/;
+
+const userSchema = {
+  username: {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 50,
+    check: (value) => (USERNAME_PATTERN.test(value) ? null : 'may only contain lowercase letters, digits, ".", "_" and "-"'),
+  },
+  password: { type: 'string', required: true, minLength: 8, maxLength: 200 },
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  role: { type: 'string', required: true, enum: Object.values(ROLES) },
+};
+
+// Updates name the user in the path, and keep the password unless a new one is given
+const userUpdateSchema = {
+  name: userSchema.name,
+  role: userSchema.role,
+  password: { ...userSchema.password, required: false },
+};
+
+const loginSchema = {
+  username: { type: 'string', required: true },
+  password: { type: 'string', required: true },
+};
+
+// Hashed against when a username is unknown, so a login takes as long either way
+const unknownUserHash = hashPassword(uuidv4());
+
+// A user as returned by the API, without the password hash
+const publicUser = ({ passwordHash, ...user }) => user;
+
+// Fetch a user, resolving to null when there is none by that name
+const getUser = async (username) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      username,
+    },
+  };
+
+  const result = await dynamoDB.get(params).promise();
+
+  return result.Item || null;
+};
+
+const issueToken = (user) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + TOKEN_TTL_SECONDS;
+
+  const token = signToken(signingKey, signingJwk.kid, {
+    sub: user.id,
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    iss: TOKEN_ISSUER,
+    iat: issuedAt,
+    exp: expiresAt,
+  });
+
+  return { token, expiresAt: new Date(expiresAt * 1000).toISOString() };
+};
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Exchange a username and password for a token
+app.post('/auth/login', validateBody(loginSchema), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await getUser(username.trim().toLowerCase());
+    const passwordMatches = await verifyPassword(password, user ? user.passwordHash : await unknownUserHash);
+
+    if (!user || !passwordMatches) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    logger.info(`User ${user.username} signed in`);
+    res.status(200).json({ ...issueToken(user), user: publicUser(user) });
+  } catch (error) {
+    logger.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// The public keys tokens are verified with
+app.get('/auth/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json({ keys: [signingJwk] });
+});
+
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// The signed-in user
+app.get('/auth/me', (req, res) => {
+  res.status(200).json(req.user);
+});
+
+// Get all users
+app.get('/auth/users', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const users = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamoDB.scan({ TableName: tableName, ExclusiveStartKey: lastEvaluatedKey }).promise();
+      users.push(...result.Items);
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    res.status(200).json(users.map(publicUser).sort((a, b) => a.username.localeCompare(b.username)));
+  } catch (error) {
+    logger.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Create a user
+app.post('/auth/users', requireRole(ROLES.ADMIN), validateBody(userSchema), async (req, res) => {
+  try {
+    const { username, password, name, role } = req.body;
+    const timestamp = new Date().toISOString();
+
+    const user = {
+      id: uuidv4(),
+      username,
+      name,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+
+    const params = {
+      TableName: tableName,
+      Item: user,
+      ConditionExpression: 'attribute_not_exists(username)',
+    };
+
+    await dynamoDB.put(params).promise();
+
+    res.status(201).json(publicUser(user));
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'A user with this username already exists' });
+    }
+    logger.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update a user's name and role, and optionally reset their password
+app.put('/auth/users/:username', requireRole(ROLES.ADMIN), validateBody(userUpdateSchema), async (req, res) => {
+  try {
+    const existingUser = await getUser(req.params.username);
+
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { name, role, password } = req.body;
+
+    const user = {
+      ...existingUser,
+      name,
+      role,
+      passwordHash: password ? await hashPassword(password) : existingUser.passwordHash,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const params = {
+      TableName: tableName,
+      Item: user,
+    };
+
+    await dynamoDB.put(params).promise();
+
+    res.status(200).json(publicUser(user));
+  } catch (error) {
+    logger.error(`Error updating user ${req.params.username}:`, error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Start server
+app.listen(port, () => {
+  logger.info(`Auth service listening on port ${port}`);
+});
+
+module.exports = app; // For testing
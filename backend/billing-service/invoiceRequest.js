@@ -0,0 +1,70 @@
+// Checks on a request to raise an invoice that need nothing looked up: the visit it
+// bills, the line items to price from the hospital's catalog and when it falls due.
+
+// Whether value is a date in YYYY-MM-DD format that exists on the calendar
+const isDate = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(Date.parse(value))
+  && new Date(value).toISOString().startsWith(value);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Why the line item at `index` cannot be priced, or null when it can
+const lineItemProblem = (lineItem, index) => {
+  const label = `Line item ${index + 1}`;
+
+  if (!isPlainObject(lineItem)) {
+    return `${label} must be an object`;
+  }
+
+  if (typeof lineItem.code !== 'string' || lineItem.code.trim() === '') {
+    return `${label} must give the service code to bill`;
+  }
+
+  const quantity = lineItem.quantity === undefined ? 1 : Number(lineItem.quantity);
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return `Quantity for service ${lineItem.code} must be a positive whole number`;
+  }
+
+  if (lineItem.unitPrice !== undefined && !Number.isFinite(Number(lineItem.unitPrice))) {
+    return `Unit price for service ${lineItem.code} must be a number`;
+  }
+
+  return null;
+};
+
+// Why `body` cannot raise an invoice issued on issueDate, or null when it can. A
+// dueDate may be left out for the default payment terms.
+const invoiceRequestProblem = (body, issueDate) => {
+  const { visitId, lineItems, dueDate } = body;
+
+  if (typeof visitId !== 'string' || visitId === '' || !Array.isArray(lineItems) || lineItems.length === 0) {
+    return 'Missing required fields';
+  }
+
+  for (const [index, lineItem] of lineItems.entries()) {
+    const problem = lineItemProblem(lineItem, index);
+
+    if (problem) {
+      return problem;
+    }
+  }
+
+  if (dueDate !== undefined && dueDate !== null) {
+    if (!isDate(dueDate)) {
+      return 'dueDate must be a date in YYYY-MM-DD format';
+    }
+
+    if (dueDate < issueDate) {
+      return `dueDate cannot be before the invoice is issued on ${issueDate}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  isDate,
+  invoiceRequestProblem,
+};
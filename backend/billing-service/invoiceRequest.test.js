@@ -0,0 +1,55 @@
+const { isDate, invoiceRequestProblem } = require('./invoiceRequest');
+
+const request = {
+  visitId: 'visit-1',
+  lineItems: [{ code: 'EXAM' }, { code: 'XRAY', quantity: 2 }, { code: 'SURG', unitPrice: 450 }],
+};
+
+describe('isDate', () => {
+  it.each(['2026-02-28', '2028-02-29'])('accepts %s', (value) => {
+    expect(isDate(value)).toBe(true);
+  });
+
+  it.each(['2026-02-30', '2026-13-01', '2026-1-5', '05/01/2026', 20260501, null])('rejects %j', (value) => {
+    expect(isDate(value)).toBe(false);
+  });
+});
+
+describe('invoiceRequestProblem', () => {
+  it('accepts a request with line items and no due date', () => {
+    expect(invoiceRequestProblem(request, '2026-05-01')).toBeNull();
+  });
+
+  it.each([
+    [{ lineItems: request.lineItems }],
+    [{ visitId: 'visit-1' }],
+    [{ visitId: 'visit-1', lineItems: [] }],
+    [{ visitId: ['visit-1'], lineItems: request.lineItems }],
+  ])('asks for the missing fields of %j', (body) => {
+    expect(invoiceRequestProblem(body, '2026-05-01')).toBe('Missing required fields');
+  });
+
+  it.each([
+    [[null], 'Line item 1 must be an object'],
+    [[{ code: 'EXAM' }, 'XRAY'], 'Line item 2 must be an object'],
+    [[{ code: 'EXAM' }, { quantity: 1 }], 'Line item 2 must give the service code to bill'],
+    [[{ code: ' ' }], 'Line item 1 must give the service code to bill'],
+    [[{ code: 'XRAY', quantity: 0 }], 'Quantity for service XRAY must be a positive whole number'],
+    [[{ code: 'XRAY', quantity: 1.5 }], 'Quantity for service XRAY must be a positive whole number'],
+    [[{ code: 'SURG', unitPrice: 'a lot' }], 'Unit price for service SURG must be a number'],
+  ])('rejects line items %j', (lineItems, problem) => {
+    expect(invoiceRequestProblem({ visitId: 'visit-1', lineItems }, '2026-05-01')).toBe(problem);
+  });
+
+  it('takes a due date on or after the issue date', () => {
+    expect(invoiceRequestProblem({ ...request, dueDate: '2026-05-01' }, '2026-05-01')).toBeNull();
+    expect(invoiceRequestProblem({ ...request, dueDate: '2026-05-31' }, '2026-05-01')).toBeNull();
+  });
+
+  it('rejects a due date that is not a date or falls before the issue date', () => {
+    expect(invoiceRequestProblem({ ...request, dueDate: 'next month' }, '2026-05-01'))
+      .toBe('dueDate must be a date in YYYY-MM-DD format');
+    expect(invoiceRequestProblem({ ...request, dueDate: '2026-04-30' }, '2026-05-01'))
+      .toBe('dueDate cannot be before the invoice is issued on 2026-05-01');
+  });
+});
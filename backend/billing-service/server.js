@@ -0,0 +1,434 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+const { invoiceRequestProblem } = require('./invoiceRequest');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'billing-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json());
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info({
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  });
+  next();
+});
+
+// Configure AWS
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-billing';
+
+// Each invoiced visit is claimed here, as { visitId, invoiceId }, in the same
+// transaction that stores its invoice, so a second invoice for it fails
+const invoiceVisitsTableName = process.env.INVOICE_VISITS_TABLE || 'pet-hospital-invoice-visits';
+
+// Global secondary index declared for this table in infrastructure/main.tf
+const VISIT_INDEX = 'visitId-index';
+
+// Other services
+const visitServiceUrl = process.env.VISIT_SERVICE_URL || 'http://visit-service:3000';
+const hospitalServiceUrl = process.env.HOSPITAL_SERVICE_URL || 'http://hospital-service:3000';
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'Check', 'Insurance'];
+const PAYMENT_TERMS_DAYS = parseInt(process.env.PAYMENT_TERMS_DAYS || '30', 10);
+
+// Sales tax charged on services the catalog marks taxable, as a fraction (0.0725 for 7.25%)
+const SALES_TAX_RATE = parseFloat(process.env.SALES_TAX_RATE || '0');
+
+// Fetch a record from another service, resolving to null when it does not exist
+const fetchFromService = async (url, headers = {}) => {
+  const response = await fetch(url, { headers });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Hospital-service keeps service codes unique within a hospital whatever their case, so
+// a line item's code matches the catalog entry's in any case
+const sameServiceCode = (code, otherCode) => typeof code === 'string' && typeof otherCode === 'string'
+  && code.toUpperCase() === otherCode.toUpperCase();
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Overdue is derived from the due date rather than stored, so it never goes stale
+const withCurrentStatus = (invoice) => {
+  if (invoice.balance > 0 && invoice.dueDate < today()) {
+    return { ...invoice, status: 'Overdue' };
+  }
+  return invoice;
+};
+
+// Scan the whole table, following LastEvaluatedKey past the 1 MB page limit
+const scanAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+// Find a visit's invoices through the visit index rather than scanning every invoice
+const getInvoicesForVisit = async (visitId) => {
+  const result = await dynamoDB.query({
+    TableName: tableName,
+    IndexName: VISIT_INDEX,
+    KeyConditionExpression: 'visitId = :visitId',
+    ExpressionAttributeValues: { ':visitId': visitId },
+  }).promise();
+
+  return result.Items;
+};
+
+// Roles that may raise invoices and take payments; anyone signed in may read them
+const BILLING_EDITORS = [ROLES.BILLING_CLERK];
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get billing summary
+app.get('/billing/summary', async (req, res) => {
+  try {
+    const invoices = (await scanAll({ TableName: tableName })).map(withCurrentStatus);
+
+    const summary = invoices.reduce((totals, invoice) => ({
+      totalInvoices: totals.totalInvoices + 1,
+      totalAmount: totals.totalAmount + invoice.totalAmount,
+      paidAmount: totals.paidAmount + invoice.paidAmount,
+      pendingAmount: totals.pendingAmount + invoice.balance,
+      overdueAmount: totals.overdueAmount + (invoice.status === 'Overdue' ? invoice.balance : 0),
+    }), {
+      totalInvoices: 0,
+      totalAmount: 0,
+      paidAmount: 0,
+      pendingAmount: 0,
+      overdueAmount: 0,
+    });
+
+    res.status(200).json({
+      ...summary,
+      totalAmount: roundCurrency(summary.totalAmount),
+      paidAmount: roundCurrency(summary.paidAmount),
+      pendingAmount: roundCurrency(summary.pendingAmount),
+      overdueAmount: roundCurrency(summary.overdueAmount),
+    });
+  } catch (error) {
+    logger.error('Error fetching billing summary:', error);
+    res.status(500).json({ error: 'Failed to fetch billing summary' });
+  }
+});
+
+// Get all invoices
+app.get('/billing/invoices', async (req, res) => {
+  try {
+    const invoices = req.query.visitId
+      ? await getInvoicesForVisit(req.query.visitId)
+      : await scanAll({ TableName: tableName });
+
+    res.status(200).json(invoices.map(withCurrentStatus));
+  } catch (error) {
+    logger.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Get invoice by ID
+app.get('/billing/invoices/:id', async (req, res) => {
+  try {
+    const params = {
+      TableName: tableName,
+      Key: {
+        id: req.params.id,
+      },
+    };
+
+    const result = await dynamoDB.get(params).promise();
+
+    if (!result.Item) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.status(200).json(withCurrentStatus(result.Item));
+  } catch (error) {
+    logger.error(`Error fetching invoice ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+// Create invoice from a completed visit
+app.post('/billing/invoices', requireRole(...BILLING_EDITORS), async (req, res) => {
+  try {
+    const { visitId, lineItems, dueDate } = req.body;
+    const issueDate = today();
+    const problem = invoiceRequestProblem(req.body, issueDate);
+
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const visit = await fetchFromService(`${visitServiceUrl}/visits/${encodeURIComponent(visitId)}`, authHeaders(req));
+
+    if (!visit) {
+      return res.status(400).json({ error: 'Visit not found' });
+    }
+
+    if (visit.status !== 'Completed') {
+      return res.status(400).json({ error: 'Invoices can only be created for completed visits' });
+    }
+
+    const existingInvoices = await getInvoicesForVisit(visitId);
+
+    if (existingInvoices.length > 0) {
+      return res.status(409).json({ error: 'An invoice already exists for this visit', invoiceId: existingInvoices[0].id });
+    }
+
+    // The services the hospital billed, at the prices in force, on the day of the visit
+    const hospitalServices = await fetchFromService(
+      `${hospitalServiceUrl}/hospitals/${encodeURIComponent(visit.hospitalId)}/services?date=${encodeURIComponent(visit.date)}`,
+      authHeaders(req),
+    );
+    const catalog = (hospitalServices && hospitalServices.services) || [];
+
+    // Price each line item from the hospital's service catalog. A service priced per case
+    // has a range instead of a price, and the line item gives the unitPrice charged.
+    const pricedLineItems = [];
+    for (const lineItem of lineItems) {
+      const catalogEntry = catalog.find((entry) => sameServiceCode(entry.code, lineItem.code));
+
+      if (!catalogEntry) {
+        return res.status(400).json({ error: `Service ${lineItem.code} is not in the hospital's service catalog on ${visit.date}` });
+      }
+
+      const quantity = lineItem.quantity === undefined ? 1 : Number(lineItem.quantity);
+
+      let unitPrice = catalogEntry.price;
+
+      if (catalogEntry.price === null) {
+        unitPrice = roundCurrency(Number(lineItem.unitPrice));
+
+        if (lineItem.unitPrice === undefined || !(unitPrice >= catalogEntry.minPrice && unitPrice <= catalogEntry.maxPrice)) {
+          return res.status(400).json({
+            error: `Service ${lineItem.code} is priced per case; give a unitPrice from ${catalogEntry.minPrice.toFixed(2)} to ${catalogEntry.maxPrice.toFixed(2)}`,
+          });
+        }
+      } else if (lineItem.unitPrice !== undefined) {
+        return res.status(400).json({ error: `Service ${lineItem.code} has a fixed price of ${catalogEntry.price.toFixed(2)}` });
+      }
+
+      const amount = roundCurrency(unitPrice * quantity);
+
+      pricedLineItems.push({
+        code: catalogEntry.code,
+        description: catalogEntry.name,
+        category: catalogEntry.category,
+        quantity,
+        unitPrice,
+        amount,
+        taxable: catalogEntry.taxable,
+        taxAmount: catalogEntry.taxable ? roundCurrency(amount * SALES_TAX_RATE) : 0,
+      });
+    }
+
+    const subtotal = roundCurrency(pricedLineItems.reduce((sum, item) => sum + item.amount, 0));
+    const taxAmount = roundCurrency(pricedLineItems.reduce((sum, item) => sum + item.taxAmount, 0));
+    const totalAmount = roundCurrency(subtotal + taxAmount);
+    const defaultDueDate = new Date(Date.now() + PAYMENT_TERMS_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const id = uuidv4();
+
+    const invoice = {
+      id,
+      invoiceNumber: `INV-${issueDate.slice(0, 4)}-${id.slice(0, 8).toUpperCase()}`,
+      visitId,
+      petId: visit.petId,
+      hospitalId: visit.hospitalId,
+      date: issueDate,
+      dueDate: dueDate || defaultDueDate,
+      lineItems: pricedLineItems,
+      subtotal,
+      taxRate: SALES_TAX_RATE,
+      taxAmount,
+      totalAmount,
+      paidAmount: 0,
+      balance: totalAmount,
+      status: 'Pending',
+      payments: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    const params = {
+      TransactItems: [
+        {
+          Put: {
+            TableName: tableName,
+            Item: invoice,
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+        {
+          Put: {
+            TableName: invoiceVisitsTableName,
+            Item: {
+              visitId,
+              invoiceId: id,
+            },
+            ConditionExpression: 'attribute_not_exists(visitId)',
+          },
+        },
+      ],
+    };
+
+    await dynamoDB.transactWrite(params).promise();
+
+    res.status(201).json(withCurrentStatus(invoice));
+  } catch (error) {
+    // Another request invoiced the visit after it was checked above
+    if (error.code === 'TransactionCanceledException') {
+      const [existingInvoice] = await getInvoicesForVisit(req.body.visitId).catch(() => []);
+      return res.status(409).json({
+        error: 'An invoice already exists for this visit',
+        ...(existingInvoice ? { invoiceId: existingInvoice.id } : {}),
+      });
+    }
+    logger.error('Error creating invoice:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+});
+
+// Record a payment against an invoice
+app.post('/billing/invoices/:id/payments', requireRole(...BILLING_EDITORS), async (req, res) => {
+  try {
+    const { amount, method, reference } = req.body;
+    const paymentAmount = roundCurrency(Number(amount));
+
+    if (amount === undefined || !method) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({ error: 'Payment amount must be greater than zero' });
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    const getParams = {
+      TableName: tableName,
+      Key: {
+        id: req.params.id,
+      },
+    };
+
+    const existingInvoice = await dynamoDB.get(getParams).promise();
+
+    if (!existingInvoice.Item) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const { balance, paidAmount } = existingInvoice.Item;
+
+    if (paymentAmount > balance) {
+      return res.status(400).json({ error: `Payment exceeds the outstanding balance of ${balance.toFixed(2)}` });
+    }
+
+    const newBalance = roundCurrency(balance - paymentAmount);
+    const payment = {
+      id: uuidv4(),
+      amount: paymentAmount,
+      method,
+      reference: reference || null,
+      paidAt: new Date().toISOString(),
+    };
+
+    // The balance condition rejects a concurrent payment that raced this one
+    const updateParams = {
+      TableName: tableName,
+      Key: {
+        id: req.params.id,
+      },
+      UpdateExpression: 'set paidAmount = :paidAmount, balance = :newBalance, payments = list_append(payments, :payment), #status = :status, updatedAt = :updatedAt',
+      ConditionExpression: 'balance = :balance',
+      ExpressionAttributeNames: {
+        '#status': 'status', // 'status' is a reserved keyword in DynamoDB
+      },
+      ExpressionAttributeValues: {
+        ':paidAmount': roundCurrency(paidAmount + paymentAmount),
+        ':newBalance': newBalance,
+        ':payment': [payment],
+        ':status': newBalance === 0 ? 'Paid' : 'Pending',
+        ':balance': balance,
+        ':updatedAt': new Date().toISOString(),
+      },
+      ReturnValues: 'ALL_NEW',
+    };
+
+    const result = await dynamoDB.update(updateParams).promise();
+
+    res.status(201).json(withCurrentStatus(result.Attributes));
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Invoice balance changed, please retry the payment' });
+    }
+    logger.error(`Error recording payment for invoice ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+// Start server
+app.listen(port, () => {
+  logger.info(`Billing service listening on port ${port}`);
+});
+
+module.exports = app; // For testing
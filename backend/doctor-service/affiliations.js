@@ -0,0 +1,50 @@
+// Doctors' affiliations with hospitals. An affiliation runs from startDate to endDate,
+// both inclusive, and has no endDate while it is open-ended. A doctor can be affiliated
+// with several hospitals at once, as locums are, but with each hospital only once at a
+// time, and has at most one primary affiliation at a time.
+
+// Whether an affiliation covers a date
+const covers = (affiliation, date) => (
+  affiliation.startDate <= date && (!affiliation.endDate || date <= affiliation.endDate)
+);
+
+const overlap = (a, b) => (
+  a.startDate <= (b.endDate || '9999-12-31') && b.startDate <= (a.endDate || '9999-12-31')
+);
+
+const period = (affiliation) => (
+  affiliation.endDate ? `from ${affiliation.startDate} to ${affiliation.endDate}` : `from ${affiliation.startDate}`
+);
+
+// Why a doctor's affiliations, with `affiliation` added or replacing the one with its
+// id, would break the rules above; null when they would not
+const affiliationClash = (affiliations, affiliation) => {
+  const others = affiliations.filter((other) => other.id !== affiliation.id && overlap(other, affiliation));
+  const sameHospital = others.find((other) => other.hospitalId === affiliation.hospitalId);
+
+  if (sameHospital) {
+    return `Doctor is already affiliated with that hospital ${period(sameHospital)}`;
+  }
+
+  const primary = affiliation.primary && others.find((other) => other.primary);
+
+  return primary ? `Doctor already has a primary affiliation ${period(primary)}` : null;
+};
+
+// The hospital a doctor belongs to on a date: that of the primary affiliation covering
+// it or, when none does, of the last primary affiliation to have started; null when the
+// doctor has never had one
+const primaryHospitalId = (affiliations, date) => {
+  const primaries = affiliations
+    .filter((affiliation) => affiliation.primary && affiliation.startDate <= date)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const current = primaries.find((affiliation) => covers(affiliation, date)) || primaries[primaries.length - 1];
+
+  return current ? current.hospitalId : null;
+};
+
+module.exports = {
+  covers,
+  affiliationClash,
+  primaryHospitalId,
+};
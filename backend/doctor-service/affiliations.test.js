@@ -0,0 +1,53 @@
+const { covers, affiliationClash, primaryHospitalId } = require('./affiliations');
+
+const north = { id: 'a1', hospitalId: 'north', primary: true, startDate: '2025-01-01', endDate: '2025-12-31' };
+const south = { id: 'a2', hospitalId: 'south', primary: true, startDate: '2026-01-01' };
+const locum = { id: 'a3', hospitalId: 'east', primary: false, startDate: '2026-03-01', endDate: '2026-03-31' };
+
+describe('covers', () => {
+  it('includes both ends of the affiliation', () => {
+    expect(covers(north, '2025-01-01')).toBe(true);
+    expect(covers(north, '2025-12-31')).toBe(true);
+    expect(covers(north, '2026-01-01')).toBe(false);
+  });
+
+  it('runs on without an endDate', () => {
+    expect(covers(south, '2099-06-01')).toBe(true);
+    expect(covers(south, '2025-12-31')).toBe(false);
+  });
+});
+
+describe('affiliationClash', () => {
+  it('allows a second, non-primary hospital at the same time', () => {
+    expect(affiliationClash([north, south], locum)).toBeNull();
+  });
+
+  it('refuses a second affiliation with a hospital while the first runs', () => {
+    expect(affiliationClash([north, south, locum], { ...locum, id: 'a4', startDate: '2026-03-15', endDate: undefined }))
+      .toBe('Doctor is already affiliated with that hospital from 2026-03-01 to 2026-03-31');
+  });
+
+  it('refuses a second primary affiliation at the same time', () => {
+    expect(affiliationClash([north, south], { ...locum, primary: true }))
+      .toBe('Doctor already has a primary affiliation from 2026-01-01');
+  });
+
+  it('judges an affiliation against the others, not its own earlier version', () => {
+    expect(affiliationClash([north, south], { ...south, startDate: '2026-02-01' })).toBeNull();
+  });
+});
+
+describe('primaryHospitalId', () => {
+  it('is the hospital of the primary affiliation covering the date', () => {
+    expect(primaryHospitalId([south, north, locum], '2025-06-01')).toBe('north');
+    expect(primaryHospitalId([south, north, locum], '2026-03-15')).toBe('south');
+  });
+
+  it('falls back to the last primary affiliation to have started', () => {
+    expect(primaryHospitalId([north], '2026-06-01')).toBe('north');
+  });
+
+  it('is null before the doctor has a primary affiliation', () => {
+    expect(primaryHospitalId([north, locum], '2024-06-01')).toBeNull();
+  });
+});
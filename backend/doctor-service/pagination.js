@@ -0,0 +1,126 @@
+// Cursor pagination for list endpoints backed by a DynamoDB scan or query.
+// A cursor is the primary key a page resumes after, base64url-encoded so
+// clients treat it as opaque.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Raised for a malformed limit or cursor; routes answer it with a 400
+class PaginationError extends Error {}
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!key || typeof key !== 'object' || Array.isArray(key)) {
+      throw new Error('Cursor is not a key');
+    }
+
+    return key;
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+};
+
+// A cursor must hold exactly the key attributes of what is read, each a string
+// or number; DynamoDB would otherwise fail the read or resume from a key it
+// never handed out
+const isKeyOf = (key, keyAttributes) => (
+  Object.keys(key).length === keyAttributes.length
+  && keyAttributes.every((attribute) => ['string', 'number'].includes(typeof key[attribute]))
+);
+
+// Read `limit` and `cursor` from a request's query string
+const parsePageParams = (query) => {
+  let limit = DEFAULT_LIMIT;
+
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new PaginationError(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  return {
+    limit,
+    startKey: query.cursor ? decodeCursor(query.cursor) : undefined,
+  };
+};
+
+// Read until `limit` matching items are collected or the results run out.
+// DynamoDB applies FilterExpression after Limit, so a page can come back short
+// or, after several reads, long; a long page is trimmed and resumes after the
+// last item kept. `keyAttributes` must name the table key plus, for an index,
+// the index key, since together they form the index's LastEvaluatedKey.
+const readPage = async (read, params, { limit, startKey }, keyAttributes) => {
+  if (startKey && !isKeyOf(startKey, keyAttributes)) {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  const items = [];
+  let lastEvaluatedKey = startKey;
+
+  do {
+    const result = await read({
+      ...params,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey,
+    });
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && items.length < limit);
+
+  if (items.length > limit) {
+    items.length = limit;
+    const lastItem = items[limit - 1];
+    lastEvaluatedKey = Object.fromEntries(keyAttributes.map((attribute) => [attribute, lastItem[attribute]]));
+  }
+
+  return {
+    items,
+    nextCursor: lastEvaluatedKey ? encodeCursor(lastEvaluatedKey) : null,
+  };
+};
+
+const scanPage = (dynamoDB, params, page, keyAttributes = ['id']) => (
+  readPage((pageParams) => dynamoDB.scan(pageParams).promise(), params, page, keyAttributes)
+);
+
+const queryPage = (dynamoDB, params, page, keyAttributes = ['id']) => (
+  readPage((pageParams) => dynamoDB.query(pageParams).promise(), params, page, keyAttributes)
+);
+
+// Combine optional filter clauses into scan or query params. Each clause is
+// [expression, { ':placeholder': value }] and is skipped when a value is empty;
+// a clause with no placeholders always applies.
+const applyFilters = (params, clauses) => {
+  const active = clauses.filter(([, values]) => Object.values(values).every((value) => value !== undefined && value !== ''));
+
+  if (active.length === 0) {
+    return params;
+  }
+
+  const values = Object.assign({}, params.ExpressionAttributeValues, ...active.map(([, values]) => values));
+
+  // DynamoDB rejects an empty ExpressionAttributeValues, as when every clause is
+  // value-free like attribute_not_exists(...)
+  return {
+    ...params,
+    FilterExpression: [params.FilterExpression, ...active.map(([expression]) => expression)]
+      .filter(Boolean)
+      .join(' AND '),
+    ExpressionAttributeValues: Object.keys(values).length > 0 ? values : undefined,
+  };
+};
+
+module.exports = {
+  PaginationError,
+  encodeCursor,
+  parsePageParams,
+  scanPage,
+  queryPage,
+  applyFilters,
+};
@@ -0,0 +1,76 @@
+// Doctors' weekly schedules. A schedule is a week of shifts,
+//
+//   { monday: [{ hospitalId, start: '09:00', end: '13:00' }, { hospitalId, start: '14:00', end: '18:00' }], ... }
+//
+// where each shift is worked at one hospital, so a doctor can split a day between two.
+// Times are 24-hour HH:MM in the hospital's local time, on the quarter hour that
+// appointments are booked in, and a day left out is a day off.
+
+const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SHIFT_MINUTES = 15;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const checkShift = (shift) => {
+  if (!shift || typeof shift !== 'object' || typeof shift.hospitalId !== 'string' || !shift.hospitalId) {
+    return 'shifts must be { hospitalId, start, end }';
+  }
+  if (!TIME_OF_DAY.test(shift.start) || !TIME_OF_DAY.test(shift.end)) {
+    return 'shift times must be 24-hour times in HH:MM format';
+  }
+  if (toMinutes(shift.start) % SHIFT_MINUTES !== 0 || toMinutes(shift.end) % SHIFT_MINUTES !== 0) {
+    return `shift times must be on a ${SHIFT_MINUTES} minute boundary`;
+  }
+  if (shift.start >= shift.end) {
+    return 'has a shift that ends before it starts';
+  }
+  return null;
+};
+
+// Validation rule for a week of shifts, for use as a schema `check`. A doctor can only
+// be in one place at a time, so a day's shifts must not overlap, whatever the hospital.
+const checkWeeklyShifts = (weekly) => {
+  for (const [day, shifts] of Object.entries(weekly)) {
+    if (!DAYS_OF_WEEK.includes(day)) {
+      return `has unknown day '${day}', expected one of: ${DAYS_OF_WEEK.join(', ')}`;
+    }
+    if (!Array.isArray(shifts)) {
+      return `${day} must be a list of shifts`;
+    }
+
+    const sorted = [...shifts].sort((a, b) => String(a && a.start).localeCompare(String(b && b.start)));
+
+    for (let index = 0; index < sorted.length; index += 1) {
+      const message = checkShift(sorted[index]);
+      if (message) {
+        return `${day} ${message}`;
+      }
+      if (index > 0 && sorted[index].start < sorted[index - 1].end) {
+        return `${day} has overlapping shifts`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// The week's shifts with each day in order of start time and days off left out
+const sortShifts = (weekly) => Object.fromEntries(DAYS_OF_WEEK
+  .filter((day) => (weekly[day] || []).length > 0)
+  .map((day) => [day, [...weekly[day]]
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(({ hospitalId, start, end }) => ({ hospitalId, start, end }))]));
+
+// Every hospital the week's shifts are worked at
+const scheduledHospitals = (weekly) => [...new Set(Object.values(weekly)
+  .flatMap((shifts) => shifts.map((shift) => shift.hospitalId)))];
+
+module.exports = {
+  checkWeeklyShifts,
+  sortShifts,
+  scheduledHospitals,
+};
@@ -0,0 +1,45 @@
+const { checkWeeklyShifts, sortShifts, scheduledHospitals } = require('./schedule');
+
+const morning = { hospitalId: 'north', start: '09:00', end: '13:00' };
+const afternoon = { hospitalId: 'south', start: '14:00', end: '18:00' };
+
+describe('checkWeeklyShifts', () => {
+  it('accepts a day split between two hospitals, in any order', () => {
+    expect(checkWeeklyShifts({ monday: [afternoon, morning], tuesday: [] })).toBeNull();
+  });
+
+  it('accepts shifts that meet end to end', () => {
+    expect(checkWeeklyShifts({ monday: [morning, { ...afternoon, start: '13:00' }] })).toBeNull();
+  });
+
+  it.each([
+    ['an unknown day', { funday: [morning] }, "has unknown day 'funday', expected one of: monday, tuesday, wednesday, thursday, friday, saturday, sunday"],
+    ['a day that is not a list', { monday: morning }, 'monday must be a list of shifts'],
+    ['a shift without a hospital', { monday: [{ start: '09:00', end: '13:00' }] }, 'monday shifts must be { hospitalId, start, end }'],
+    ['times outside HH:MM', { monday: [{ ...morning, start: '9am' }] }, 'monday shift times must be 24-hour times in HH:MM format'],
+    ['times off the quarter hour', { monday: [{ ...morning, end: '13:10' }] }, 'monday shift times must be on a 15 minute boundary'],
+    ['a shift ending before it starts', { monday: [{ ...morning, start: '13:00', end: '09:00' }] }, 'monday has a shift that ends before it starts'],
+    ['overlapping shifts', { monday: [afternoon, { ...morning, end: '14:30' }] }, 'monday has overlapping shifts'],
+  ])('rejects %s', (label, weekly, message) => {
+    expect(checkWeeklyShifts(weekly)).toBe(message);
+  });
+});
+
+describe('sortShifts', () => {
+  it('orders each day by start time and leaves out days off', () => {
+    expect(sortShifts({ friday: [afternoon, morning], monday: [morning], sunday: [] })).toEqual({
+      monday: [morning],
+      friday: [morning, afternoon],
+    });
+  });
+
+  it('keeps only the fields of a shift', () => {
+    expect(sortShifts({ monday: [{ ...morning, note: 'cover' }] })).toEqual({ monday: [morning] });
+  });
+});
+
+describe('scheduledHospitals', () => {
+  it('names each hospital once', () => {
+    expect(scheduledHospitals({ monday: [morning, afternoon], tuesday: [morning] })).toEqual(['north', 'south']);
+  });
+});
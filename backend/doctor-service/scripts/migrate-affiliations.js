@@ -0,0 +1,89 @@
+// One-off migration giving every doctor recorded before affiliations existed a primary
+// affiliation with the hospital in their hospitalId, starting the day they were added
+// (today when that is not recorded). Doctors without a hospitalId are listed for an
+// administrator to sort out by hand. Every write is audited like an API change.
+//
+//   node scripts/migrate-affiliations.js [--dry-run]
+//
+// Doctors that already have an affiliation are left alone, so the migration can be re-run.
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { auditPut } = require('../audit');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const doctorsTable = process.env.DYNAMODB_TABLE || 'pet-hospital-doctors';
+const affiliationsTable = process.env.AFFILIATIONS_TABLE || 'pet-hospital-doctor-affiliations';
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Audit entries name the migration as the actor
+const migrationRequest = { user: { username: 'affiliation-migration' } };
+
+const scanAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+const createPrimaryAffiliation = (affiliation) => dynamoDB.transactWrite({
+  TransactItems: [
+    {
+      Put: {
+        TableName: affiliationsTable,
+        Item: affiliation,
+        ConditionExpression: 'attribute_not_exists(id)',
+      },
+    },
+    auditPut(migrationRequest, 'affiliation', 'create', null, affiliation),
+  ],
+}).promise();
+
+const main = async () => {
+  const affiliated = new Set((await scanAll({ TableName: affiliationsTable, ProjectionExpression: 'doctorId' }))
+    .map((affiliation) => affiliation.doctorId));
+  const doctors = (await scanAll({ TableName: doctorsTable }))
+    .filter((doctor) => !affiliated.has(doctor.id));
+  const timestamp = new Date().toISOString();
+  let unplaced = 0;
+
+  for (const doctor of doctors) {
+    if (!doctor.hospitalId) {
+      console.warn(`Doctor ${doctor.id} (${doctor.firstName} ${doctor.lastName}): no hospitalId, add an affiliation by hand`);
+      unplaced += 1;
+      continue;
+    }
+
+    const affiliation = {
+      doctorId: doctor.id,
+      id: uuidv4(),
+      hospitalId: doctor.hospitalId,
+      startDate: (doctor.createdAt || timestamp).slice(0, 10),
+      primary: true,
+      version: 1,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+
+    console.log(`Doctor ${doctor.id} (${doctor.firstName} ${doctor.lastName}): primary at ${affiliation.hospitalId} from ${affiliation.startDate}`);
+
+    if (!dryRun) {
+      await createPrimaryAffiliation(affiliation);
+    }
+  }
+
+  console.log(`${dryRun ? 'Would affiliate' : 'Affiliated'} ${doctors.length - unplaced} doctors; ${unplaced} need an affiliation added by hand`);
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+// One-off migration from the licenseNumber doctors used to be stored with to a license
+// credential. Doctors never recorded which state issued their license or when it runs
+// out, so both are given on the command line and apply to every license migrated; the
+// issue date is taken to be the day the doctor was added. Each doctor's license is
+// created, its number claimed for the state and the licenseNumber removed from the
+// doctor in one transaction, audited like an API change.
+//
+//   node scripts/migrate-licenses.js --state CA --expires 2027-12-31 [--dry-run]
+//
+// A number already claimed for the state, by an earlier license or another doctor in
+// this run, is listed per state and that doctor is left as they are to sort out by
+// hand. Doctors without a licenseNumber are skipped, so the migration can be re-run.
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { auditPut } = require('../audit');
+const { currentVersion, versionCondition } = require('../etag');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const doctorsTable = process.env.DYNAMODB_TABLE || 'pet-hospital-doctors';
+const credentialsTable = process.env.CREDENTIALS_TABLE || 'pet-hospital-doctor-credentials';
+const licenseNumbersTable = process.env.LICENSE_NUMBERS_TABLE || 'pet-hospital-license-numbers';
+
+const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const argument = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const dryRun = process.argv.includes('--dry-run');
+const state = argument('--state');
+const expiryDate = argument('--expires');
+
+// Audit entries name the migration as the actor
+const migrationRequest = { user: { username: 'license-migration' } };
+
+// Matches licenseKey in server.js
+const licenseKey = (license) => `${license.state.trim().toUpperCase()}#${license.number.trim().toUpperCase()}`;
+
+const scanAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+const isClaimed = async (key) => {
+  const result = await dynamoDB.get({ TableName: licenseNumbersTable, Key: { licenseKey: key } }).promise();
+  return Boolean(result.Item);
+};
+
+const migrateLicense = (doctor, license) => {
+  const { licenseNumber, ...rest } = doctor;
+  const nextDoctor = {
+    ...rest,
+    version: currentVersion(doctor) + 1,
+    updatedAt: license.updatedAt,
+  };
+
+  return dynamoDB.transactWrite({
+    TransactItems: [
+      {
+        Put: {
+          TableName: credentialsTable,
+          Item: license,
+          ConditionExpression: 'attribute_not_exists(id)',
+        },
+      },
+      {
+        Put: {
+          TableName: licenseNumbersTable,
+          Item: {
+            licenseKey: licenseKey(license),
+            doctorId: doctor.id,
+            credentialId: license.id,
+          },
+          ConditionExpression: 'attribute_not_exists(licenseKey)',
+        },
+      },
+      auditPut(migrationRequest, 'license', 'create', null, license),
+      {
+        Put: {
+          TableName: doctorsTable,
+          Item: nextDoctor,
+          ...versionCondition(doctor),
+        },
+      },
+      auditPut(migrationRequest, 'doctor', 'update', doctor, nextDoctor),
+    ],
+  }).promise();
+};
+
+const main = async () => {
+  if (!state || !state.trim() || !DATE.test(expiryDate || '')) {
+    console.error('Usage: node scripts/migrate-licenses.js --state <issuing state> --expires <YYYY-MM-DD> [--dry-run]');
+    process.exit(1);
+  }
+
+  const doctors = (await scanAll({ TableName: doctorsTable }))
+    .filter((doctor) => typeof doctor.licenseNumber === 'string' && doctor.licenseNumber.trim());
+  const claimed = new Set();
+  // Doctors whose number was already claimed, by issuing state
+  const duplicates = {};
+  const timestamp = new Date().toISOString();
+
+  for (const doctor of doctors) {
+    const license = {
+      doctorId: doctor.id,
+      id: uuidv4(),
+      kind: 'licenses',
+      state: state.trim(),
+      number: doctor.licenseNumber.trim(),
+      issueDate: (doctor.createdAt || timestamp).slice(0, 10),
+      expiryDate,
+      verificationStatus: 'unverified',
+      version: 1,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+    const key = licenseKey(license);
+
+    if (claimed.has(key) || await isClaimed(key)) {
+      duplicates[license.state] = [...(duplicates[license.state] || []), `${doctor.id} (${doctor.firstName} ${doctor.lastName}): ${license.number}`];
+      continue;
+    }
+
+    claimed.add(key);
+    console.log(`Doctor ${doctor.id} (${doctor.firstName} ${doctor.lastName}): ${license.state} license ${license.number}, expiring ${expiryDate}`);
+
+    if (!dryRun) {
+      await migrateLicense(doctor, license);
+    }
+  }
+
+  for (const [duplicateState, entries] of Object.entries(duplicates)) {
+    console.warn(`${duplicateState}: these doctors have a license number already recorded for the state, sort them out by hand:`);
+    entries.forEach((entry) => console.warn(`  ${entry}`));
+  }
+
+  const duplicateCount = Object.values(duplicates).reduce((sum, entries) => sum + entries.length, 0);
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${doctors.length - duplicateCount} licenses; ${duplicateCount} duplicates need sorting out by hand`);
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
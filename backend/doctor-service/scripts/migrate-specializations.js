@@ -0,0 +1,87 @@
+// One-off migration from the free-text specialization doctors used to be stored with
+// to a code from specializations.js. A doctor whose specialization names one of them
+// (its code or name, ignoring case and punctuation) is updated to the code; any other
+// is listed for an administrator to choose one by hand. Every write is audited like an
+// API change.
+//
+//   node scripts/migrate-specializations.js [--dry-run]
+//
+// Doctors already recorded under a code are left alone, so the migration can be re-run.
+const AWS = require('aws-sdk');
+const { auditPut } = require('../audit');
+const { currentVersion, versionCondition } = require('../etag');
+const { SPECIALIZATION_CODES, findSpecialization } = require('../specializations');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const doctorsTable = process.env.DYNAMODB_TABLE || 'pet-hospital-doctors';
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Audit entries name the migration as the actor
+const migrationRequest = { user: { username: 'specialization-migration' } };
+
+const scanAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+const recodeDoctor = (doctor, specialization) => {
+  const nextDoctor = {
+    ...doctor,
+    specialization,
+    version: currentVersion(doctor) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+
+  return dynamoDB.transactWrite({
+    TransactItems: [
+      {
+        Put: {
+          TableName: doctorsTable,
+          Item: nextDoctor,
+          ...versionCondition(doctor),
+        },
+      },
+      auditPut(migrationRequest, 'doctor', 'update', doctor, nextDoctor),
+    ],
+  }).promise();
+};
+
+const main = async () => {
+  const doctors = (await scanAll({ TableName: doctorsTable }))
+    .filter((doctor) => !SPECIALIZATION_CODES.includes(doctor.specialization));
+  let unmatched = 0;
+
+  for (const doctor of doctors) {
+    const code = doctor.specialization ? findSpecialization(doctor.specialization) : null;
+
+    if (!code) {
+      console.warn(`Doctor ${doctor.id} (${doctor.firstName} ${doctor.lastName}): no match for '${doctor.specialization}', choose one by hand`);
+      unmatched += 1;
+      continue;
+    }
+
+    console.log(`Doctor ${doctor.id} (${doctor.firstName} ${doctor.lastName}): '${doctor.specialization}' -> ${code}`);
+
+    if (!dryRun) {
+      await recodeDoctor(doctor, code);
+    }
+  }
+
+  console.log(`${dryRun ? 'Would recode' : 'Recoded'} ${doctors.length - unmatched} doctors; ${unmatched} need a specialization chosen by hand`);
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -4,6 +4,16 @@ const cors = require('cors');
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const { PaginationError, parsePageParams, scanPage, queryPage, applyFilters } = require('./pagination');
+const { validate, validateBody, pickFields } = require('./validation');
+const { isPlainObject, applyMergePatch } = require('./mergePatch');
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+const { requestActor, archivedFilters, archiveFields, withoutArchiveFields } = require('./archive');
+const { auditPut, historyQuery } = require('./audit');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+const { checkWeeklyShifts, sortShifts, scheduledHospitals } = require('./schedule');
+const { SPECIALIZATIONS, SPECIALIZATION_CODES } = require('./specializations');
+const { covers, affiliationClash, primaryHospitalId } = require('./affiliations');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -20,9 +30,13 @@ const logger = winston.createLogger({
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -44,31 +58,895 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
   region: process.env.AWS_REGION || 'us-west-2',
 });
 const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-doctors';
+const schedulesTableName = process.env.SCHEDULES_TABLE || 'pet-hospital-doctor-schedules';
+const timeOffTableName = process.env.TIME_OFF_TABLE || 'pet-hospital-doctor-time-off';
+const credentialsTableName = process.env.CREDENTIALS_TABLE || 'pet-hospital-doctor-credentials';
+const licenseNumbersTableName = process.env.LICENSE_NUMBERS_TABLE || 'pet-hospital-license-numbers';
+const affiliationsTableName = process.env.AFFILIATIONS_TABLE || 'pet-hospital-doctor-affiliations';
+
+// Global secondary indexes declared in infrastructure/main.tf
+const HOSPITAL_INDEX = 'hospitalId-index';
+const EXPIRY_INDEX = 'kind-expiryDate-index';
+const AFFILIATION_HOSPITAL_INDEX = 'hospitalId-startDate-index';
+
+// Other services
+const hospitalServiceUrl = process.env.HOSPITAL_SERVICE_URL || 'http://hospital-service:3000';
+const appointmentServiceUrl = process.env.APPOINTMENT_SERVICE_URL || 'http://appointment-service:3000';
+
+// Request body schema, shared by create, replace and merge-patch updates. The
+// specialization is a code from specializations.js; the rest of the profile is free text.
+// hospitalId is the hospital of the doctor's primary affiliation, which is set when the
+// doctor is created and only changes when they are transferred.
+const doctorSchema = {
+  firstName: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  lastName: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  specialization: { type: 'string', required: true, enum: SPECIALIZATION_CODES },
+  hospitalId: { type: 'string', required: true, minLength: 1 },
+  email: { type: 'string', format: 'email' },
+  phone: { type: 'string', format: 'phone' },
+  bio: { type: 'string', maxLength: 2000 },
+  education: { type: 'array', items: { type: 'string', maxLength: 200 } },
+  yearsOfExperience: { type: 'number', integer: true, min: 0, max: 70 },
+  specialInterests: { type: 'array', items: { type: 'string', maxLength: 100 } },
+};
+
+// Weekly shifts; hospitals named in them must exist
+const scheduleSchema = {
+  weekly: { type: 'object', required: true, check: checkWeeklyShifts },
+};
+
+// Leave a doctor asks for, inclusive of both dates. A request is pending until it is
+// approved or rejected, and only approved time off keeps the doctor from being booked.
+const TIME_OFF_TYPES = ['vacation', 'sick', 'training', 'other'];
+
+const timeOffSchema = {
+  type: { type: 'string', required: true, enum: TIME_OFF_TYPES },
+  startDate: { type: 'string', required: true, format: 'date' },
+  endDate: { type: 'string', required: true, format: 'date' },
+  reason: { type: 'string', maxLength: 500 },
+};
+
+const TIME_OFF_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// A doctor's time at a hospital, see affiliations.js. Affiliations added directly are
+// secondary; a doctor's primary affiliation is opened when they are created and moved
+// by transferring them.
+const affiliationSchema = {
+  hospitalId: { type: 'string', required: true, minLength: 1 },
+  startDate: { type: 'string', required: true, format: 'date' },
+  endDate: { type: 'string', format: 'date' },
+};
+
+// Close the affiliation with fromHospitalId (the primary one when it is not given) the
+// day before `date` and open one with toHospitalId on it, primary if the closed one was
+const transferSchema = {
+  toHospitalId: { type: 'string', required: true, minLength: 1 },
+  fromHospitalId: { type: 'string', minLength: 1 },
+  date: { type: 'string', format: 'date' },
+  endDate: { type: 'string', format: 'date' },
+};
+
+// Schema problems, plus the order of the two dates
+const validateAffiliation = (schema, body, startField) => {
+  const details = validate(schema, body);
+  
+  if (details.length === 0 && body.endDate && body[startField] && body.endDate < body[startField]) {
+    details.push({ field: 'endDate', message: `must not be before the ${startField === 'date' ? 'transfer date' : 'start date'}` });
+  }
+  
+  return details;
+};
+
+// Licenses and certifications are kept as credentials, one record per license or
+// certificate, told apart by kind. Each has the dates it runs between and whether it
+// has been checked with whoever issued it. A license number is unique within the
+// state that issued it.
+const VERIFICATION_STATUSES = ['unverified', 'verified', 'rejected'];
+
+const licenseSchema = {
+  state: { type: 'string', required: true, minLength: 2, maxLength: 50 },
+  number: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  issueDate: { type: 'string', required: true, format: 'date' },
+  expiryDate: { type: 'string', required: true, format: 'date' },
+  verificationStatus: { type: 'string', enum: VERIFICATION_STATUSES, default: 'unverified' },
+};
+
+const certificationSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  issuingBody: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  issueDate: { type: 'string', required: true, format: 'date' },
+  expiryDate: { type: 'string', format: 'date' },
+  verificationStatus: { type: 'string', enum: VERIFICATION_STATUSES, default: 'unverified' },
+};
+
+// Request body schema for each kind of credential, keyed by the path it is served under
+const CREDENTIAL_SCHEMAS = {
+  licenses: licenseSchema,
+  certifications: certificationSchema,
+};
+
+// The name each kind of credential is audited under
+const CREDENTIAL_RESOURCES = {
+  licenses: 'license',
+  certifications: 'certification',
+};
+
+const CREDENTIAL_KIND = `:kind(${Object.keys(CREDENTIAL_SCHEMAS).join('|')})`;
+
+// Schema problems, plus the order of the two dates
+const validateCredential = (kind, body) => {
+  const details = validate(CREDENTIAL_SCHEMAS[kind], body);
+  
+  if (details.length === 0 && body.expiryDate && body.expiryDate <= body.issueDate) {
+    details.push({ field: 'expiryDate', message: 'must be after the issue date' });
+  }
+  
+  return details;
+};
+
+// How long to look ahead for expiring licenses, given as a number of days such as
+// 60d; null when it is not in that form
+const parseWithin = (within = '60d') => {
+  const match = /^(\d{1,3})d$/.exec(within);
+  
+  return match ? Number(match[1]) : null;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const dayBefore = (date) => {
+  const previous = new Date(`${date}T00:00:00Z`);
+  previous.setUTCDate(previous.getUTCDate() - 1);
+  return previous.toISOString().slice(0, 10);
+};
+
+// Query the doctors a hospital is the primary hospital of through the hospital index
+// rather than scanning every doctor
+const queryDoctorsByHospital = (hospitalId, filters, page) => queryPage(dynamoDB, applyFilters({
+  TableName: tableName,
+  IndexName: HOSPITAL_INDEX,
+  KeyConditionExpression: 'hospitalId = :hospitalId',
+  ExpressionAttributeValues: {
+    ':hospitalId': hospitalId,
+  },
+}, filters), page, ['id', 'hospitalId']);
+
+// Fetch a doctor, resolving to null when it does not exist
+const getDoctor = async (id) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || null;
+};
+
+// Store doctor as the next version of existingDoctor, auditing it as `action`. Fails
+// with TransactionCanceledException if the doctor changed after existingDoctor was read.
+const saveDoctor = async (existingDoctor, doctor, req, action) => {
+  const nextDoctor = {
+    ...doctor,
+    version: currentVersion(existingDoctor) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextDoctor,
+          ...versionCondition(existingDoctor),
+        },
+      },
+      auditPut(req, 'doctor', action, existingDoctor, nextDoctor),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextDoctor;
+};
+
+// Store a doctor's full representation, keeping server-managed attributes such as id and createdAt
+const replaceDoctor = (existingDoctor, body, req) => saveDoctor(existingDoctor, {
+  ...existingDoctor,
+  ...pickFields(doctorSchema, body),
+}, req, 'update');
+
+// Fetch a record from another service, resolving to null when it does not exist
+const fetchFromService = async (url, headers = {}) => {
+  const response = await fetch(url, { headers });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Add each doctor's hospital as { id, name }, looking each hospital up once. A hospital
+// hospital-service no longer has is given as null.
+const expandHospitals = async (req, doctors) => {
+  const hospitalIds = [...new Set(doctors.map((doctor) => doctor.hospitalId))];
+  const hospitals = new Map(await Promise.all(hospitalIds.map(async (hospitalId) => [
+    hospitalId,
+    await fetchFromService(`${hospitalServiceUrl}/hospitals/${encodeURIComponent(hospitalId)}`, authHeaders(req)),
+  ])));
+  
+  return doctors.map((doctor) => {
+    const hospital = hospitals.get(doctor.hospitalId);
+    return { ...doctor, hospital: hospital ? { id: hospital.id, name: hospital.name } : null };
+  });
+};
+
+// ?expand names related records to include; only the hospital can be expanded.
+// Resolves to whether to expand it, or null when ?expand is not understood.
+const parseExpand = (expand) => {
+  if (expand === undefined || expand === '') {
+    return false;
+  }
+  
+  return expand === 'hospital' ? true : null;
+};
+
+// Every doctor must belong to a hospital that hospital-service knows about and has not archived
+const hospitalExists = async (req, hospitalId) => {
+  const hospital = await fetchFromService(`${hospitalServiceUrl}/hospitals/${encodeURIComponent(hospitalId)}`, authHeaders(req));
+
+  return Boolean(hospital && !hospital.archived);
+};
+
+// Reported like a schema failure so forms can show it next to the hospital field
+const sendUnknownHospital = (res, field = 'hospitalId') => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ field, message: 'does not match an active hospital' }],
+});
+
+const sendHospitalChange = (res) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ field: 'hospitalId', message: 'is changed by transferring the doctor' }],
+});
+
+// Answer a write that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Doctor was modified by another request, reload it and try again',
+});
+
+// A doctor's weekly shifts; a doctor whose schedule was never set works no days
+const getSchedule = async (doctorId) => {
+  const params = {
+    TableName: schedulesTableName,
+    Key: {
+      doctorId,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || { doctorId, weekly: {} };
+};
+
+// Fetch a time-off request, resolving to null when it does not exist
+const getTimeOff = async (doctorId, id) => {
+  const params = {
+    TableName: timeOffTableName,
+    Key: {
+      doctorId,
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || null;
+};
+
+// A doctor's pending and approved time off overlapping startDate to endDate, inclusive
+const queryOverlappingTimeOff = async (doctorId, startDate, endDate) => {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamoDB.query({
+      TableName: timeOffTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      FilterExpression: 'startDate <= :endDate AND endDate >= :startDate AND #status IN (:pending, :approved)',
+      ExpressionAttributeNames: {
+        '#status': 'status', // 'status' is a reserved keyword in DynamoDB
+      },
+      ExpressionAttributeValues: {
+        ':doctorId': doctorId,
+        ':startDate': startDate,
+        ':endDate': endDate,
+        ':pending': 'pending',
+        ':approved': 'approved',
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+};
+
+// Every time-off request a doctor has made, whatever its status
+const fetchAllTimeOff = async (doctorId) => {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamoDB.query({
+      TableName: timeOffTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      ExpressionAttributeValues: {
+        ':doctorId': doctorId,
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+};
+
+// Writes deleting a time-off request along with its doctor
+const timeOffDeleteWrites = (timeOff, req) => [
+  {
+    Delete: {
+      TableName: timeOffTableName,
+      Key: {
+        doctorId: timeOff.doctorId,
+        id: timeOff.id,
+      },
+      ...versionCondition(timeOff),
+    },
+  },
+  auditPut(req, 'time-off', 'delete', timeOff, null),
+];
+
+// Store timeOff as the next version of existingTimeOff (null for a new request),
+// auditing it as `action`. Fails with TransactionCanceledException if the request
+// changed after existingTimeOff was read.
+const saveTimeOff = async (existingTimeOff, timeOff, req, action) => {
+  const nextTimeOff = {
+    ...timeOff,
+    version: existingTimeOff ? currentVersion(existingTimeOff) + 1 : 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: timeOffTableName,
+          Item: nextTimeOff,
+          ...(existingTimeOff
+            ? versionCondition(existingTimeOff)
+            : { ConditionExpression: 'attribute_not_exists(id)' }),
+        },
+      },
+      auditPut(req, 'time-off', action, existingTimeOff, nextTimeOff),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextTimeOff;
+};
+
+// Store a doctor's weekly shifts as the next version of existingSchedule. The schedule
+// is part of the doctor, so the doctor moves to its next version too and the change is
+// audited on the doctor, as `weekly`, to appear in its history. Fails with
+// TransactionCanceledException if the schedule or the doctor changed after it was read.
+const saveSchedule = async (doctor, existingSchedule, weekly, req) => {
+  const timestamp = new Date().toISOString();
+  const schedule = {
+    doctorId: doctor.id,
+    weekly,
+    version: currentVersion(existingSchedule) + 1,
+    updatedAt: timestamp,
+  };
+  const nextDoctor = { ...doctor, version: currentVersion(doctor) + 1, updatedAt: timestamp };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: schedulesTableName,
+          Item: schedule,
+          ...(existingSchedule.version
+            ? versionCondition(existingSchedule)
+            : { ConditionExpression: 'attribute_not_exists(doctorId)' }),
+        },
+      },
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextDoctor,
+          ...versionCondition(doctor),
+        },
+      },
+      auditPut(req, 'doctor', 'schedule', { ...doctor, weekly: existingSchedule.weekly }, { ...nextDoctor, weekly }),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return schedule;
+};
+
+// Appointments still booked with a doctor between two dates, inclusive, as
+// appointment-service reports them (at most a page of them)
+const fetchBookedAppointments = async (req, doctorId, from, to) => {
+  const query = new URLSearchParams({ doctorId, from, to, limit: '100' });
+  const result = await fetchFromService(`${appointmentServiceUrl}/appointments?${query}`, authHeaders(req));
+  
+  return result ? result.items : [];
+};
+
+// Answer a time-off decision that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendTimeOffConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Time off was changed by another request, reload it and try again',
+});
+
+// The time-off request a decision is about, answering the request when it cannot be
+// made: 404 when the request does not exist, 412 on a stale If-Match and 409 unless it
+// is in one of the `from` statuses. Resolves to null when it answered.
+const timeOffForDecision = async (req, res, from) => {
+  const existingTimeOff = await getTimeOff(req.params.id, req.params.timeOffId);
+  
+  if (!existingTimeOff) {
+    res.status(404).json({ error: 'Time off not found' });
+    return null;
+  }
+  
+  if (!ifMatchAllows(req.get('If-Match'), existingTimeOff)) {
+    res.status(412).json({ error: 'Time off has changed since it was read', etag: formatETag(existingTimeOff) });
+    return null;
+  }
+  
+  if (!from.includes(existingTimeOff.status)) {
+    res.status(409).json({ error: `Time off is ${existingTimeOff.status}` });
+    return null;
+  }
+  
+  return existingTimeOff;
+};
+
+// Fetch a credential of the given kind, resolving to null when it does not exist
+const getCredential = async (doctorId, kind, id) => {
+  const params = {
+    TableName: credentialsTableName,
+    Key: {
+      doctorId,
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item && result.Item.kind === kind ? result.Item : null;
+};
+
+// Every credential a doctor holds, of either kind
+const fetchAllCredentials = async (doctorId) => {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamoDB.query({
+      TableName: credentialsTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      ExpressionAttributeValues: {
+        ':doctorId': doctorId,
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+};
+
+// A license number is claimed for its issuing state in the same transaction that
+// stores the license, so a second license with the same state and number fails
+const licenseKey = (license) => `${license.state.trim().toUpperCase()}#${license.number.trim().toUpperCase()}`;
+
+// Writes moving a credential's license-number claim from `before` to `after`, either
+// of which may be null
+const licenseClaimWrites = (before, after) => {
+  const released = before && before.kind === 'licenses' ? licenseKey(before) : null;
+  const claimed = after && after.kind === 'licenses' ? licenseKey(after) : null;
+  
+  if (released === claimed) {
+    return [];
+  }
+  
+  return [
+    ...(released ? [{
+      Delete: {
+        TableName: licenseNumbersTableName,
+        Key: {
+          licenseKey: released,
+        },
+      },
+    }] : []),
+    ...(claimed ? [{
+      Put: {
+        TableName: licenseNumbersTableName,
+        Item: {
+          licenseKey: claimed,
+          doctorId: after.doctorId,
+          credentialId: after.id,
+        },
+        ConditionExpression: 'attribute_not_exists(licenseKey)',
+      },
+    }] : []),
+  ];
+};
+
+// The claim on a license's state and number held by another license, or null
+const findLicenseHolder = async (license) => {
+  const result = await dynamoDB.get({
+    TableName: licenseNumbersTableName,
+    Key: {
+      licenseKey: licenseKey(license),
+    },
+  }).promise();
+  
+  return result.Item && result.Item.credentialId !== license.id ? result.Item : null;
+};
+
+// Store credential as the next version of existingCredential (null for a new one),
+// moving its license-number claim to match and auditing it as `action`. Fails with
+// TransactionCanceledException if the credential changed after it was read or its
+// license number was claimed first. A certification that never expires is stored
+// without an expiryDate, since the expiry index cannot hold a null one.
+const saveCredential = async (existingCredential, { expiryDate, ...credential }, req, action) => {
+  const nextCredential = {
+    ...credential,
+    ...(expiryDate ? { expiryDate } : {}),
+    version: existingCredential ? currentVersion(existingCredential) + 1 : 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: credentialsTableName,
+          Item: nextCredential,
+          ...(existingCredential ? versionCondition(existingCredential) : { ConditionExpression: 'attribute_not_exists(id)' }),
+        },
+      },
+      ...licenseClaimWrites(existingCredential, nextCredential),
+      auditPut(req, CREDENTIAL_RESOURCES[credential.kind], action, existingCredential, nextCredential),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextCredential;
+};
+
+// The most writes DynamoDB takes in one transaction
+const MAX_TRANSACTION_ITEMS = 100;
+
+// Split groups of writes into transactions of at most `size` writes, keeping each
+// group's writes together; always at least one, possibly empty, transaction
+const transactionBatches = (groups, size) => groups.reduce((batches, writes) => {
+  const last = batches[batches.length - 1];
+  
+  if (last.length + writes.length <= size) {
+    last.push(...writes);
+  } else {
+    batches.push([...writes]);
+  }
+  
+  return batches;
+}, [[]]);
+
+// Writes deleting a credential and releasing its license number, for its own
+// removal or a purge of its doctor
+const credentialDeleteWrites = (credential, req) => [
+  {
+    Delete: {
+      TableName: credentialsTableName,
+      Key: {
+        doctorId: credential.doctorId,
+        id: credential.id,
+      },
+      ...versionCondition(credential),
+    },
+  },
+  ...licenseClaimWrites(credential, null),
+  auditPut(req, CREDENTIAL_RESOURCES[credential.kind], 'delete', credential, null),
+];
+
+// holder is the claim of the license already recorded with the same state and number
+const sendDuplicateLicense = (res, holder) => res.status(409).json({
+  error: 'A license with this number is already recorded for this state',
+  doctorId: holder.doctorId,
+});
+
+const sendCredentialConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Credential was modified by another request, reload it and try again',
+});
+
+// Fetch an affiliation, resolving to null when it does not exist
+const getAffiliation = async (doctorId, id) => {
+  const params = {
+    TableName: affiliationsTableName,
+    Key: {
+      doctorId,
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || null;
+};
+
+// Every affiliation a doctor has had, has or will have
+const fetchAllAffiliations = async (doctorId) => {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamoDB.query({
+      TableName: affiliationsTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      ExpressionAttributeValues: {
+        ':doctorId': doctorId,
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+};
+
+// Writes storing nextAffiliation over existingAffiliation (null for a new one), auditing
+// it as `action`
+const affiliationWrites = (existingAffiliation, nextAffiliation, req, action) => [
+  {
+    Put: {
+      TableName: affiliationsTableName,
+      Item: nextAffiliation,
+      ...(existingAffiliation ? versionCondition(existingAffiliation) : { ConditionExpression: 'attribute_not_exists(id)' }),
+    },
+  },
+  auditPut(req, 'affiliation', action, existingAffiliation, nextAffiliation),
+];
+
+const affiliationDeleteWrites = (affiliation, req) => [
+  {
+    Delete: {
+      TableName: affiliationsTableName,
+      Key: {
+        doctorId: affiliation.doctorId,
+        id: affiliation.id,
+      },
+      ...versionCondition(affiliation),
+    },
+  },
+  auditPut(req, 'affiliation', 'delete', affiliation, null),
+];
+
+// Store each of `affiliations` as the next version of the one in `existingAffiliations`
+// with its id, or as a new one, auditing them as `action`, and move the doctor's
+// hospitalId to follow their primary affiliation. An open-ended affiliation is stored
+// without an endDate, which the hospital's doctor list relies on. Fails with
+// TransactionCanceledException if an affiliation or the doctor changed after it was read.
+const saveAffiliations = async (doctor, existingAffiliations, affiliations, req, action) => {
+  const timestamp = new Date().toISOString();
+  const changes = affiliations.map(({ endDate, ...affiliation }) => {
+    const existingAffiliation = existingAffiliations.find((existing) => existing.id === affiliation.id) || null;
+    
+    return {
+      existingAffiliation,
+      nextAffiliation: {
+        ...affiliation,
+        ...(endDate ? { endDate } : {}),
+        version: existingAffiliation ? currentVersion(existingAffiliation) + 1 : 1,
+        updatedAt: timestamp,
+      },
+    };
+  });
+  const saved = changes.map((change) => change.nextAffiliation);
+  const hospitalId = primaryHospitalId([
+    ...existingAffiliations.filter((existing) => !saved.some((affiliation) => affiliation.id === existing.id)),
+    ...saved,
+  ], today());
+  const nextDoctor = hospitalId && hospitalId !== doctor.hospitalId
+    ? { ...doctor, hospitalId, version: currentVersion(doctor) + 1, updatedAt: timestamp }
+    : null;
+  
+  const params = {
+    TransactItems: [
+      ...changes.flatMap((change) => affiliationWrites(change.existingAffiliation, change.nextAffiliation, req, action)),
+      ...(nextDoctor ? [
+        {
+          Put: {
+            TableName: tableName,
+            Item: nextDoctor,
+            ...versionCondition(doctor),
+          },
+        },
+        auditPut(req, 'doctor', action, doctor, nextDoctor),
+      ] : []),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return saved;
+};
+
+const sendAffiliationConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Affiliation or doctor was modified by another request, reload and try again',
+});
+
+// Only administrators manage doctors; anyone signed in may read them
+const DOCTOR_EDITORS = [ROLES.ADMIN];
+
+// Front desk staff keep doctors' shifts. Vets and front desk staff ask for time off,
+// and withdraw it, but only administrators approve or reject it.
+const SCHEDULE_EDITORS = [ROLES.RECEPTIONIST];
+const TIME_OFF_REQUESTERS = [ROLES.VETERINARIAN, ROLES.RECEPTIONIST];
+const TIME_OFF_APPROVERS = [ROLES.ADMIN];
 
 // Routes
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
-// Get all doctors
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get all doctors, optionally filtered by specialization code or primary hospital, or the one
+// holding the license with ?licenseState and ?licenseNumber. Archived doctors are left
+// out unless includeArchived=true, and ?expand=hospital adds each doctor's hospital name.
 app.get('/doctors', async (req, res) => {
   try {
-    const params = {
-      TableName: tableName,
-    };
+    const page = parsePageParams(req.query);
+    const expand = parseExpand(req.query.expand);
+    const { specialization, hospitalId, licenseState, licenseNumber } = req.query;
+    const specializationFilter = ['specialization = :specialization', { ':specialization': specialization }];
+    const archiveFilters = archivedFilters(req.query);
+    
+    if (expand === null) {
+      return res.status(400).json({ error: 'expand must be hospital' });
+    }
+    
+    if (specialization && !SPECIALIZATION_CODES.includes(specialization)) {
+      return res.status(400).json({ error: `specialization must be one of: ${SPECIALIZATION_CODES.join(', ')}` });
+    }
+    
+    if (Boolean(licenseState) !== Boolean(licenseNumber)) {
+      return res.status(400).json({ error: 'licenseState and licenseNumber must be given together' });
+    }
+    
+    let result;
     
-    const result = await dynamoDB.scan(params).promise();
+    // A license number names at most one doctor, found through its claim
+    if (licenseNumber) {
+      const holder = await findLicenseHolder({ state: licenseState, number: licenseNumber });
+      const doctor = holder && await getDoctor(holder.doctorId);
+      const matches = doctor
+        && (!specialization || doctor.specialization === specialization)
+        && (!hospitalId || doctor.hospitalId === hospitalId)
+        && (req.query.includeArchived === 'true' || !doctor.archived);
+      
+      result = { items: matches ? [doctor] : [], nextCursor: null };
+    } else if (hospitalId) {
+      result = await queryDoctorsByHospital(hospitalId, [specializationFilter, ...archiveFilters], page);
+    } else {
+      result = await scanPage(dynamoDB, applyFilters({
+        TableName: tableName,
+      }, [specializationFilter, ...archiveFilters]), page);
+    }
+    
+    if (expand) {
+      result = { ...result, items: await expandHospitals(req, result.items) };
+    }
     
-    res.status(200).json(result.Items);
+    res.status(200).json(result);
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Error fetching doctors:', error);
     res.status(500).json({ error: 'Failed to fetch doctors' });
   }
 });
 
-// Get doctor by ID
+// Get licenses that have expired or expire within ?within days (60d by default),
+// soonest first within a page, with the doctor each belongs to. Archived doctors'
+// licenses are left out.
+app.get('/doctors/licenses/expiring', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const within = parseWithin(req.query.within);
+    
+    if (within === null) {
+      return res.status(400).json({ error: 'within must be a number of days, such as 60d' });
+    }
+    
+    const cutoff = new Date(Date.now() + within * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    const result = await queryPage(dynamoDB, {
+      TableName: credentialsTableName,
+      IndexName: EXPIRY_INDEX,
+      KeyConditionExpression: 'kind = :kind AND expiryDate <= :cutoff',
+      ExpressionAttributeValues: {
+        ':kind': 'licenses',
+        ':cutoff': cutoff,
+      },
+    }, page, ['doctorId', 'id', 'kind', 'expiryDate']);
+    
+    const doctorIds = [...new Set(result.items.map((license) => license.doctorId))];
+    const doctors = new Map(await Promise.all(doctorIds.map(async (doctorId) => [doctorId, await getDoctor(doctorId)])));
+    const asOf = today();
+    
+    res.status(200).json({
+      items: result.items
+        .filter((license) => doctors.get(license.doctorId) && !doctors.get(license.doctorId).archived)
+        .sort((a, b) => a.expiryDate.localeCompare(b.expiryDate))
+        .map((license) => {
+          const doctor = doctors.get(license.doctorId);
+          return {
+            ...license,
+            expired: license.expiryDate < asOf,
+            doctor: {
+              id: doctor.id,
+              firstName: doctor.firstName,
+              lastName: doctor.lastName,
+              hospitalId: doctor.hospitalId,
+              email: doctor.email,
+            },
+          };
+        }),
+      nextCursor: result.nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fetching expiring licenses:', error);
+    res.status(500).json({ error: 'Failed to fetch expiring licenses' });
+  }
+});
+
+// Get the specializations doctors can be recorded under, as [{ code, name }]
+app.get('/doctors/specializations', (req, res) => {
+  res.status(200).json(SPECIALIZATIONS);
+});
+
+// Get doctor by ID, with its hospital's name when ?expand=hospital
 app.get('/doctors/:id', async (req, res) => {
   try {
+    const expand = parseExpand(req.query.expand);
+    
+    if (expand === null) {
+      return res.status(400).json({ error: 'expand must be hospital' });
+    }
+    
     const params = {
       TableName: tableName,
       Key: {
@@ -82,42 +960,80 @@ app.get('/doctors/:id', async (req, res) => {
       return res.status(404).json({ error: 'Doctor not found' });
     }
     
-    res.status(200).json(result.Item);
+    res.set('ETag', formatETag(result.Item));
+    res.status(200).json(expand ? (await expandHospitals(req, [result.Item]))[0] : result.Item);
   } catch (error) {
     logger.error(`Error fetching doctor ${req.params.id}:`, error);
     res.status(500).json({ error: 'Failed to fetch doctor' });
   }
 });
 
-// Create doctor
-app.post('/doctors', async (req, res) => {
+// Get a doctor's change history, newest first
+app.get('/doctors/:id/history', async (req, res) => {
   try {
-    const { firstName, lastName, specialization, hospitalId, email, phone, licenseNumber } = req.body;
+    const page = parsePageParams(req.query);
+    
+    const result = await queryPage(dynamoDB, historyQuery('doctor', req.params.id), page, ['resourceKey', 'version']);
+    
+    // A purged doctor keeps its history, so only one with neither is unknown
+    if (result.items.length === 0 && !req.query.cursor && !(await getDoctor(req.params.id))) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
     
-    if (!firstName || !lastName || !specialization || !hospitalId || !licenseNumber) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching history for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch doctor history' });
+  }
+});
+
+// Create doctor
+app.post('/doctors', requireRole(...DOCTOR_EDITORS), validateBody(doctorSchema), async (req, res) => {
+  try {
+    if (!(await hospitalExists(req, req.body.hospitalId))) {
+      return sendUnknownHospital(res);
     }
     
     const doctor = {
       id: uuidv4(),
-      firstName,
-      lastName,
-      specialization,
-      hospitalId,
-      email: email || null,
-      phone: phone || null,
-      licenseNumber,
+      ...pickFields(doctorSchema, req.body),
+      version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
     
+    // The doctor's primary affiliation starts the day they are added
+    const affiliation = {
+      doctorId: doctor.id,
+      id: uuidv4(),
+      hospitalId: doctor.hospitalId,
+      startDate: today(),
+      primary: true,
+      version: 1,
+      createdAt: doctor.createdAt,
+      updatedAt: doctor.updatedAt,
+    };
+    
     const params = {
-      TableName: tableName,
-      Item: doctor,
+      TransactItems: [
+        {
+          Put: {
+            TableName: tableName,
+            Item: doctor,
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+        auditPut(req, 'doctor', 'create', null, doctor),
+        ...affiliationWrites(null, affiliation, req, 'create'),
+      ],
     };
     
-    await dynamoDB.put(params).promise();
+    await dynamoDB.transactWrite(params).promise();
     
+    res.set('ETag', formatETag(doctor));
     res.status(201).json(doctor);
   } catch (error) {
     logger.error('Error creating doctor:', error);
@@ -125,93 +1041,954 @@ app.post('/doctors', async (req, res) => {
   }
 });
 
-// Update doctor
-app.put('/doctors/:id', async (req, res) => {
+// Replace doctor with a full representation; omitted optional fields are cleared
+app.put('/doctors/:id', requireRole(...DOCTOR_EDITORS), validateBody(doctorSchema), async (req, res) => {
   try {
-    const { firstName, lastName, specialization, hospitalId, email, phone, licenseNumber } = req.body;
+    const existingDoctor = await getDoctor(req.params.id);
     
-    // Check if doctor exists
-    const getParams = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-    };
+    if (!existingDoctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
     
-    const existingDoctor = await dynamoDB.get(getParams).promise();
+    if (!ifMatchAllows(req.get('If-Match'), existingDoctor)) {
+      return res.status(412).json({ error: 'Doctor has changed since it was read', etag: formatETag(existingDoctor) });
+    }
     
-    if (!existingDoctor.Item) {
-      return res.status(404).json({ error: 'Doctor not found' });
+    if (existingDoctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
     }
     
-    // Update doctor
-    const updateParams = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-      UpdateExpression: 'set firstName = :firstName, lastName = :lastName, specialization = :specialization, hospitalId = :hospitalId, email = :email, phone = :phone, licenseNumber = :licenseNumber, updatedAt = :updatedAt',
-      ExpressionAttributeValues: {
-        ':firstName': firstName || existingDoctor.Item.firstName,
-        ':lastName': lastName || existingDoctor.Item.lastName,
-        ':specialization': specialization || existingDoctor.Item.specialization,
-        ':hospitalId': hospitalId || existingDoctor.Item.hospitalId,
-        ':email': email || existingDoctor.Item.email,
-        ':phone': phone || existingDoctor.Item.phone,
-        ':licenseNumber': licenseNumber || existingDoctor.Item.licenseNumber,
-        ':updatedAt': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    };
+    if (req.body.hospitalId !== existingDoctor.hospitalId) {
+      return sendHospitalChange(res);
+    }
     
-    const result = await dynamoDB.update(updateParams).promise();
+    const doctor = await replaceDoctor(existingDoctor, req.body, req);
     
-    res.status(200).json(result.Attributes);
+    res.set('ETag', formatETag(doctor));
+    res.status(200).json(doctor);
   } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
     logger.error(`Error updating doctor ${req.params.id}:`, error);
     res.status(500).json({ error: 'Failed to update doctor' });
   }
 });
 
-// Delete doctor
-app.delete('/doctors/:id', async (req, res) => {
+// Update doctor with a JSON Merge Patch, where null clears a field
+app.patch('/doctors/:id', requireRole(...DOCTOR_EDITORS), async (req, res) => {
   try {
-    const params = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-      ReturnValues: 'ALL_OLD',
-    };
+    if (!req.is('application/merge-patch+json')) {
+      return res.status(415).json({ error: 'PATCH bodies must be sent as application/merge-patch+json' });
+    }
+    
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Merge patch must be a JSON object' });
+    }
+    
+    const existingDoctor = await getDoctor(req.params.id);
+    
+    if (!existingDoctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingDoctor)) {
+      return res.status(412).json({ error: 'Doctor has changed since it was read', etag: formatETag(existingDoctor) });
+    }
     
-    const result = await dynamoDB.delete(params).promise();
+    if (existingDoctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
+    }
+    
+    // Patch the current representation, then validate the result as a whole
+    const patchedDoctor = applyMergePatch(pickFields(doctorSchema, existingDoctor), req.body);
+    const details = validate(doctorSchema, patchedDoctor);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    if (patchedDoctor.hospitalId !== existingDoctor.hospitalId) {
+      return sendHospitalChange(res);
+    }
+    
+    const doctor = await replaceDoctor(existingDoctor, patchedDoctor, req);
+    
+    res.set('ETag', formatETag(doctor));
+    res.status(200).json(doctor);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error patching doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update doctor' });
+  }
+});
+
+// Archive doctor, honouring If-Match
+app.delete('/doctors/:id', requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const existingDoctor = await getDoctor(req.params.id);
     
-    if (!result.Attributes) {
+    if (!existingDoctor) {
       return res.status(404).json({ error: 'Doctor not found' });
     }
     
-    res.status(200).json({ message: 'Doctor deleted successfully' });
+    if (!ifMatchAllows(req.get('If-Match'), existingDoctor)) {
+      return res.status(412).json({ error: 'Doctor has changed since it was read', etag: formatETag(existingDoctor) });
+    }
+    
+    if (existingDoctor.archived) {
+      return res.status(409).json({ error: 'Doctor is already archived' });
+    }
+    
+    const doctor = await saveDoctor(existingDoctor, { ...existingDoctor, ...archiveFields(req) }, req, 'archive');
+    
+    res.set('ETag', formatETag(doctor));
+    res.status(200).json(doctor);
   } catch (error) {
-    logger.error(`Error deleting doctor ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to delete doctor' });
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error archiving doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to archive doctor' });
   }
 });
 
-// Get doctors by hospital
-app.get('/hospitals/:hospitalId/doctors', async (req, res) => {
+// Restore an archived doctor, honouring If-Match
+app.post('/doctors/:id/restore', requireRole(...DOCTOR_EDITORS), async (req, res) => {
   try {
-    const params = {
+    const existingDoctor = await getDoctor(req.params.id);
+    
+    if (!existingDoctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingDoctor)) {
+      return res.status(412).json({ error: 'Doctor has changed since it was read', etag: formatETag(existingDoctor) });
+    }
+    
+    if (!existingDoctor.archived) {
+      return res.status(409).json({ error: 'Doctor is not archived' });
+    }
+    
+    const doctor = await saveDoctor(existingDoctor, withoutArchiveFields(existingDoctor), req, 'restore');
+    
+    res.set('ETag', formatETag(doctor));
+    res.status(200).json(doctor);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error restoring doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to restore doctor' });
+  }
+});
+
+// Permanently delete an archived doctor; administrators only
+app.post('/doctors/:id/purge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existingDoctor = await getDoctor(req.params.id);
+    
+    if (!existingDoctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingDoctor)) {
+      return res.status(412).json({ error: 'Doctor has changed since it was read', etag: formatETag(existingDoctor) });
+    }
+    
+    if (!existingDoctor.archived) {
+      return res.status(409).json({ error: 'Only archived doctors can be purged' });
+    }
+    
+    // Its licenses go with it, releasing their numbers, as do its affiliations, its
+    // weekly shifts and its time off. Those that do not fit in the transaction
+    // deleting the doctor are deleted in transactions of their own first, each
+    // checking the doctor is still the archived version read. Should one fail, the
+    // doctor stays archived with the rest, and the purge can be retried. The shifts
+    // are audited on the doctor, so the doctor's purge entry covers them.
+    const schedule = await getSchedule(existingDoctor.id);
+    const timeOff = await fetchAllTimeOff(existingDoctor.id);
+    const credentials = await fetchAllCredentials(existingDoctor.id);
+    const affiliations = await fetchAllAffiliations(existingDoctor.id);
+    const scheduleDelete = {
+      Delete: {
+        TableName: schedulesTableName,
+        Key: {
+          doctorId: existingDoctor.id,
+        },
+        ...versionCondition(schedule),
+      },
+    };
+    const batches = transactionBatches([
+      ...(schedule.version ? [[scheduleDelete]] : []),
+      ...timeOff.map((request) => timeOffDeleteWrites(request, req)),
+      ...credentials.map((credential) => credentialDeleteWrites(credential, req)),
+      ...affiliations.map((affiliation) => affiliationDeleteWrites(affiliation, req)),
+    ], MAX_TRANSACTION_ITEMS - 2);
+    const doctorKey = {
       TableName: tableName,
-      FilterExpression: 'hospitalId = :hospitalId',
-      ExpressionAttributeValues: {
-        ':hospitalId': req.params.hospitalId,
+      Key: {
+        id: req.params.id,
       },
+      ...versionCondition(existingDoctor),
+    };
+    
+    for (const batch of batches.slice(0, -1)) {
+      await dynamoDB.transactWrite({ TransactItems: [{ ConditionCheck: doctorKey }, ...batch] }).promise();
+    }
+    
+    const params = {
+      TransactItems: [
+        { Delete: doctorKey },
+        auditPut(req, 'doctor', 'purge', existingDoctor, null),
+        ...batches[batches.length - 1],
+      ],
     };
     
-    const result = await dynamoDB.scan(params).promise();
+    await dynamoDB.transactWrite(params).promise();
     
-    res.status(200).json(result.Items);
+    res.status(200).json({ message: 'Doctor purged successfully' });
   } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error purging doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to purge doctor' });
+  }
+});
+
+// Get a doctor's weekly shifts, as { weekly: { monday: [{ hospitalId, start, end }], ... } }
+app.get('/doctors/:id/schedule', async (req, res) => {
+  try {
+    const doctor = await getDoctor(req.params.id);
+    
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    const schedule = await getSchedule(req.params.id);
+    
+    res.set('ETag', formatETag(schedule));
+    res.status(200).json(schedule);
+  } catch (error) {
+    logger.error(`Error fetching schedule for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+// Replace a doctor's weekly shifts, honouring If-Match. Appointments already booked
+// are kept even if they now fall outside the doctor's shifts.
+app.put('/doctors/:id/schedule', requireRole(...SCHEDULE_EDITORS), validateBody(scheduleSchema), async (req, res) => {
+  try {
+    const doctor = await getDoctor(req.params.id);
+    
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (doctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
+    }
+    
+    const existing = await getSchedule(req.params.id);
+    
+    if (!ifMatchAllows(req.get('If-Match'), existing)) {
+      return res.status(412).json({ error: 'Schedule has changed since it was read', etag: formatETag(existing) });
+    }
+    
+    for (const hospitalId of scheduledHospitals(req.body.weekly)) {
+      if (!(await hospitalExists(req, hospitalId))) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [{ field: 'weekly', message: `has a shift at ${hospitalId}, which does not match an active hospital` }],
+        });
+      }
+    }
+    
+    const schedule = await saveSchedule(doctor, existing, sortShifts(req.body.weekly), req);
+    
+    res.set('ETag', formatETag(schedule));
+    res.status(200).json(schedule);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return res.status(req.get('If-Match') ? 412 : 409).json({
+        error: 'Schedule or doctor was changed by another request, reload it and try again',
+      });
+    }
+    logger.error(`Error updating schedule for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Get a doctor's time off, optionally only that with ?status, or overlapping the
+// ?from and ?to dates (inclusive)
+app.get('/doctors/:id/time-off', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const { status, from, to } = req.query;
+    
+    if (status !== undefined && !TIME_OFF_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TIME_OFF_STATUSES.join(', ')}` });
+    }
+    
+    const params = applyFilters({
+      TableName: timeOffTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      ExpressionAttributeValues: {
+        ':doctorId': req.params.id,
+      },
+    }, [
+      ['#status = :status', { ':status': status }],
+      ['endDate >= :from', { ':from': from }],
+      ['startDate <= :to', { ':to': to }],
+    ]);
+    
+    if (status !== undefined) {
+      params.ExpressionAttributeNames = { '#status': 'status' }; // 'status' is a reserved keyword in DynamoDB
+    }
+    
+    const result = await queryPage(dynamoDB, params, page, ['doctorId', 'id']);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching time off for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch time off' });
+  }
+});
+
+// Ask for time off. The request is pending until an administrator decides on it, and
+// fails with 409 if it overlaps time off already pending or approved.
+app.post('/doctors/:id/time-off', requireRole(...TIME_OFF_REQUESTERS), validateBody(timeOffSchema), async (req, res) => {
+  try {
+    if (req.body.endDate < req.body.startDate) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'endDate', message: 'cannot be before the start date' }],
+      });
+    }
+    
+    const doctor = await getDoctor(req.params.id);
+    
+    if (!doctor || doctor.archived) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    const overlapping = await queryOverlappingTimeOff(req.params.id, req.body.startDate, req.body.endDate);
+    
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: `Overlaps time off already ${overlapping[0].status} from ${overlapping[0].startDate} to ${overlapping[0].endDate}`,
+        conflictingTimeOffId: overlapping[0].id,
+      });
+    }
+    
+    const timeOff = await saveTimeOff(null, {
+      doctorId: req.params.id,
+      id: uuidv4(),
+      ...pickFields(timeOffSchema, req.body),
+      status: 'pending',
+      requestedBy: requestActor(req),
+      createdAt: new Date().toISOString(),
+    }, req, 'create');
+    
+    res.set('ETag', formatETag(timeOff));
+    res.status(201).json(timeOff);
+  } catch (error) {
+    logger.error(`Error requesting time off for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to request time off' });
+  }
+});
+
+// Approve pending time off, honouring If-Match. Fails with 409 while the doctor has
+// appointments booked on those days, which have to be moved or cancelled first.
+app.post('/doctors/:id/time-off/:timeOffId/approve', requireRole(...TIME_OFF_APPROVERS), async (req, res) => {
+  try {
+    const existingTimeOff = await timeOffForDecision(req, res, ['pending']);
+    
+    if (!existingTimeOff) {
+      return;
+    }
+    
+    const booked = await fetchBookedAppointments(req, req.params.id, existingTimeOff.startDate, existingTimeOff.endDate);
+    
+    if (booked.length > 0) {
+      return res.status(409).json({
+        error: `Doctor has ${booked.length} appointment${booked.length === 1 ? '' : 's'} booked in that period; reschedule or cancel them first`,
+        appointmentIds: booked.map((appointment) => appointment.id),
+      });
+    }
+    
+    const timeOff = await saveTimeOff(existingTimeOff, {
+      ...existingTimeOff,
+      status: 'approved',
+      decidedBy: requestActor(req),
+      decidedAt: new Date().toISOString(),
+    }, req, 'approve');
+    
+    res.set('ETag', formatETag(timeOff));
+    res.status(200).json(timeOff);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendTimeOffConflict(req, res);
+    }
+    logger.error(`Error approving time off ${req.params.timeOffId}:`, error);
+    res.status(500).json({ error: 'Failed to approve time off' });
+  }
+});
+
+// Reject pending time off with an optional { reason }, honouring If-Match
+app.post('/doctors/:id/time-off/:timeOffId/reject', requireRole(...TIME_OFF_APPROVERS), async (req, res) => {
+  try {
+    const existingTimeOff = await timeOffForDecision(req, res, ['pending']);
+    
+    if (!existingTimeOff) {
+      return;
+    }
+    
+    const timeOff = await saveTimeOff(existingTimeOff, {
+      ...existingTimeOff,
+      status: 'rejected',
+      decidedBy: requestActor(req),
+      decidedAt: new Date().toISOString(),
+      decisionReason: (req.body && req.body.reason) || null,
+    }, req, 'reject');
+    
+    res.set('ETag', formatETag(timeOff));
+    res.status(200).json(timeOff);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendTimeOffConflict(req, res);
+    }
+    logger.error(`Error rejecting time off ${req.params.timeOffId}:`, error);
+    res.status(500).json({ error: 'Failed to reject time off' });
+  }
+});
+
+// Withdraw pending or approved time off that has not ended, honouring If-Match. The
+// doctor can be booked on those days again.
+app.post('/doctors/:id/time-off/:timeOffId/cancel', requireRole(...TIME_OFF_REQUESTERS), async (req, res) => {
+  try {
+    const existingTimeOff = await timeOffForDecision(req, res, ['pending', 'approved']);
+    
+    if (!existingTimeOff) {
+      return;
+    }
+    
+    if (existingTimeOff.endDate < today()) {
+      return res.status(409).json({ error: 'Time off has already ended' });
+    }
+    
+    const timeOff = await saveTimeOff(existingTimeOff, {
+      ...existingTimeOff,
+      status: 'cancelled',
+      cancelledBy: requestActor(req),
+      cancelledAt: new Date().toISOString(),
+    }, req, 'cancel');
+    
+    res.set('ETag', formatETag(timeOff));
+    res.status(200).json(timeOff);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendTimeOffConflict(req, res);
+    }
+    logger.error(`Error cancelling time off ${req.params.timeOffId}:`, error);
+    res.status(500).json({ error: 'Failed to cancel time off' });
+  }
+});
+
+// Get a doctor's licenses or certifications
+app.get(`/doctors/:id/${CREDENTIAL_KIND}`, async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    
+    const result = await queryPage(dynamoDB, applyFilters({
+      TableName: credentialsTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      ExpressionAttributeValues: {
+        ':doctorId': req.params.id,
+      },
+    }, [
+      ['kind = :kind', { ':kind': req.params.kind }],
+    ]), page, ['doctorId', 'id']);
+    
+    if (result.items.length === 0 && !req.query.cursor && !(await getDoctor(req.params.id))) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching ${req.params.kind} for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: `Failed to fetch ${req.params.kind}` });
+  }
+});
+
+// Get a license or certification by ID
+app.get(`/doctors/:id/${CREDENTIAL_KIND}/:credentialId`, async (req, res) => {
+  try {
+    const credential = await getCredential(req.params.id, req.params.kind, req.params.credentialId);
+    
+    if (!credential) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+    
+    res.set('ETag', formatETag(credential));
+    res.status(200).json(credential);
+  } catch (error) {
+    logger.error(`Error fetching credential ${req.params.credentialId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch credential' });
+  }
+});
+
+// Record a license or certification. A license whose number is already recorded for
+// its state fails with 409.
+app.post(`/doctors/:id/${CREDENTIAL_KIND}`, requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const details = validateCredential(kind, req.body);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const doctor = await getDoctor(req.params.id);
+    
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (doctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
+    }
+    
+    const credential = {
+      doctorId: doctor.id,
+      id: uuidv4(),
+      kind,
+      ...pickFields(CREDENTIAL_SCHEMAS[kind], req.body),
+      createdAt: new Date().toISOString(),
+    };
+    
+    const holder = kind === 'licenses' && await findLicenseHolder(credential);
+    
+    if (holder) {
+      return sendDuplicateLicense(res, holder);
+    }
+    
+    const saved = await saveCredential(null, credential, req, 'create');
+    
+    res.set('ETag', formatETag(saved));
+    res.status(201).json(saved);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendCredentialConflict(req, res);
+    }
+    logger.error(`Error adding to ${req.params.kind} for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to create credential' });
+  }
+});
+
+// Replace a license or certification with a full representation, honouring If-Match
+app.put(`/doctors/:id/${CREDENTIAL_KIND}/:credentialId`, requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const details = validateCredential(kind, req.body);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const existingCredential = await getCredential(req.params.id, kind, req.params.credentialId);
+    
+    if (!existingCredential) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingCredential)) {
+      return res.status(412).json({ error: 'Credential has changed since it was read', etag: formatETag(existingCredential) });
+    }
+    
+    const credential = {
+      ...existingCredential,
+      ...pickFields(CREDENTIAL_SCHEMAS[kind], req.body),
+    };
+    
+    const holder = kind === 'licenses' && await findLicenseHolder(credential);
+    
+    if (holder) {
+      return sendDuplicateLicense(res, holder);
+    }
+    
+    const saved = await saveCredential(existingCredential, credential, req, 'update');
+    
+    res.set('ETag', formatETag(saved));
+    res.status(200).json(saved);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendCredentialConflict(req, res);
+    }
+    logger.error(`Error updating credential ${req.params.credentialId}:`, error);
+    res.status(500).json({ error: 'Failed to update credential' });
+  }
+});
+
+// Remove a license or certification recorded in error, honouring If-Match. Its
+// license number can be recorded again.
+app.delete(`/doctors/:id/${CREDENTIAL_KIND}/:credentialId`, requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const existingCredential = await getCredential(req.params.id, req.params.kind, req.params.credentialId);
+    
+    if (!existingCredential) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingCredential)) {
+      return res.status(412).json({ error: 'Credential has changed since it was read', etag: formatETag(existingCredential) });
+    }
+    
+    await dynamoDB.transactWrite({
+      TransactItems: credentialDeleteWrites(existingCredential, req),
+    }).promise();
+    
+    res.status(200).json({ message: 'Credential removed successfully' });
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendCredentialConflict(req, res);
+    }
+    logger.error(`Error removing credential ${req.params.credentialId}:`, error);
+    res.status(500).json({ error: 'Failed to remove credential' });
+  }
+});
+
+// Get a doctor's affiliations, past, present and future
+app.get('/doctors/:id/affiliations', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    
+    const result = await queryPage(dynamoDB, {
+      TableName: affiliationsTableName,
+      KeyConditionExpression: 'doctorId = :doctorId',
+      ExpressionAttributeValues: {
+        ':doctorId': req.params.id,
+      },
+    }, page, ['doctorId', 'id']);
+    
+    if (result.items.length === 0 && !req.query.cursor && !(await getDoctor(req.params.id))) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching affiliations for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch affiliations' });
+  }
+});
+
+// Get an affiliation by ID
+app.get('/doctors/:id/affiliations/:affiliationId', async (req, res) => {
+  try {
+    const affiliation = await getAffiliation(req.params.id, req.params.affiliationId);
+    
+    if (!affiliation) {
+      return res.status(404).json({ error: 'Affiliation not found' });
+    }
+    
+    res.set('ETag', formatETag(affiliation));
+    res.status(200).json(affiliation);
+  } catch (error) {
+    logger.error(`Error fetching affiliation ${req.params.affiliationId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch affiliation' });
+  }
+});
+
+// Affiliate a doctor with another hospital, such as a locum's rotation. Fails with 409
+// if the doctor is already affiliated with the hospital for any of the period.
+app.post('/doctors/:id/affiliations', requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const details = validateAffiliation(affiliationSchema, req.body, 'startDate');
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const doctor = await getDoctor(req.params.id);
+    
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (doctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
+    }
+    
+    if (!(await hospitalExists(req, req.body.hospitalId))) {
+      return sendUnknownHospital(res);
+    }
+    
+    const affiliations = await fetchAllAffiliations(doctor.id);
+    const affiliation = {
+      doctorId: doctor.id,
+      id: uuidv4(),
+      ...pickFields(affiliationSchema, req.body),
+      primary: false,
+      createdAt: new Date().toISOString(),
+    };
+    const clash = affiliationClash(affiliations, affiliation);
+    
+    if (clash) {
+      return res.status(409).json({ error: clash });
+    }
+    
+    const [saved] = await saveAffiliations(doctor, affiliations, [affiliation], req, 'create');
+    
+    res.set('ETag', formatETag(saved));
+    res.status(201).json(saved);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendAffiliationConflict(req, res);
+    }
+    logger.error(`Error adding affiliation for doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to create affiliation' });
+  }
+});
+
+// Change when an affiliation starts and ends, honouring If-Match. Its hospital and
+// whether it is primary stay as they are.
+app.put('/doctors/:id/affiliations/:affiliationId', requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const details = validateAffiliation(affiliationSchema, req.body, 'startDate');
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const doctor = await getDoctor(req.params.id);
+    const existingAffiliation = doctor && await getAffiliation(doctor.id, req.params.affiliationId);
+    
+    if (!existingAffiliation) {
+      return res.status(404).json({ error: 'Affiliation not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingAffiliation)) {
+      return res.status(412).json({ error: 'Affiliation has changed since it was read', etag: formatETag(existingAffiliation) });
+    }
+    
+    if (doctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
+    }
+    
+    if (req.body.hospitalId !== existingAffiliation.hospitalId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'hospitalId', message: 'cannot be changed; add an affiliation with the other hospital instead' }],
+      });
+    }
+    
+    const affiliations = await fetchAllAffiliations(doctor.id);
+    const affiliation = {
+      ...existingAffiliation,
+      ...pickFields(affiliationSchema, req.body),
+    };
+    const clash = affiliationClash(affiliations, affiliation);
+    
+    if (clash) {
+      return res.status(409).json({ error: clash });
+    }
+    
+    const [saved] = await saveAffiliations(doctor, affiliations, [affiliation], req, 'update');
+    
+    res.set('ETag', formatETag(saved));
+    res.status(200).json(saved);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendAffiliationConflict(req, res);
+    }
+    logger.error(`Error updating affiliation ${req.params.affiliationId}:`, error);
+    res.status(500).json({ error: 'Failed to update affiliation' });
+  }
+});
+
+// Remove a secondary affiliation recorded in error, honouring If-Match. A doctor's
+// primary affiliation is only ended by transferring them.
+app.delete('/doctors/:id/affiliations/:affiliationId', requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const existingAffiliation = await getAffiliation(req.params.id, req.params.affiliationId);
+    
+    if (!existingAffiliation) {
+      return res.status(404).json({ error: 'Affiliation not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingAffiliation)) {
+      return res.status(412).json({ error: 'Affiliation has changed since it was read', etag: formatETag(existingAffiliation) });
+    }
+    
+    if (existingAffiliation.primary) {
+      return res.status(409).json({ error: 'A primary affiliation cannot be removed, transfer the doctor instead' });
+    }
+    
+    await dynamoDB.transactWrite({
+      TransactItems: affiliationDeleteWrites(existingAffiliation, req),
+    }).promise();
+    
+    res.status(200).json({ message: 'Affiliation removed successfully' });
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendAffiliationConflict(req, res);
+    }
+    logger.error(`Error removing affiliation ${req.params.affiliationId}:`, error);
+    res.status(500).json({ error: 'Failed to remove affiliation' });
+  }
+});
+
+// Transfer a doctor from one hospital to another on ?date (today by default): the
+// affiliation with fromHospitalId, or the primary one, ends the day before and one with
+// toHospitalId opens that day, running to endDate if given. A primary affiliation stays
+// primary, moving the doctor's hospitalId. Transfers cannot be dated in the future; a
+// planned rotation is added as an affiliation instead.
+app.post('/doctors/:id/transfer', requireRole(...DOCTOR_EDITORS), async (req, res) => {
+  try {
+    const details = validateAffiliation(transferSchema, req.body, 'date');
+    const date = req.body.date || today();
+    
+    if (details.length === 0 && date > today()) {
+      details.push({ field: 'date', message: 'cannot be in the future' });
+    }
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const doctor = await getDoctor(req.params.id);
+    
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), doctor)) {
+      return res.status(412).json({ error: 'Doctor has changed since it was read', etag: formatETag(doctor) });
+    }
+    
+    if (doctor.archived) {
+      return res.status(409).json({ error: 'Doctor is archived, restore it before changing it' });
+    }
+    
+    const { fromHospitalId, toHospitalId } = req.body;
+    const affiliations = await fetchAllAffiliations(doctor.id);
+    const from = affiliations.find((affiliation) => covers(affiliation, date)
+      && (fromHospitalId ? affiliation.hospitalId === fromHospitalId : affiliation.primary));
+    
+    if (!from) {
+      return res.status(409).json({
+        error: fromHospitalId
+          ? `Doctor is not affiliated with that hospital on ${date}`
+          : `Doctor has no primary affiliation on ${date}`,
+      });
+    }
+    
+    if (from.startDate >= date) {
+      return res.status(409).json({ error: `The affiliation being ended starts on ${from.startDate}, the transfer must be dated after it` });
+    }
+    
+    if (toHospitalId === from.hospitalId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'toHospitalId', message: 'must differ from the hospital the doctor is transferred from' }],
+      });
+    }
+    
+    if (!(await hospitalExists(req, toHospitalId))) {
+      return sendUnknownHospital(res, 'toHospitalId');
+    }
+    
+    const ended = { ...from, endDate: dayBefore(date) };
+    const opened = {
+      doctorId: doctor.id,
+      id: uuidv4(),
+      hospitalId: toHospitalId,
+      startDate: date,
+      endDate: req.body.endDate || null,
+      primary: from.primary,
+      createdAt: new Date().toISOString(),
+    };
+    const clash = affiliationClash([...affiliations.filter((affiliation) => affiliation.id !== from.id), ended], opened);
+    
+    if (clash) {
+      return res.status(409).json({ error: clash });
+    }
+    
+    const [endedSaved, openedSaved] = await saveAffiliations(doctor, affiliations, [ended, opened], req, 'transfer');
+    
+    res.status(200).json({ from: endedSaved, to: openedSaved });
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendAffiliationConflict(req, res);
+    }
+    logger.error(`Error transferring doctor ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to transfer doctor' });
+  }
+});
+
+// Get the doctors affiliated with a hospital on ?date (today by default), each with the
+// affiliation that places them there. Archived doctors are left out unless
+// includeArchived=true, so a page can hold fewer than ?limit doctors.
+app.get('/hospitals/:hospitalId/doctors', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const date = req.query.date || today();
+    const { specialization } = req.query;
+    
+    if (validate({ date: { type: 'string', format: 'date' } }, { date }).length > 0) {
+      return res.status(400).json({ error: 'date must be given as YYYY-MM-DD' });
+    }
+    
+    if (specialization && !SPECIALIZATION_CODES.includes(specialization)) {
+      return res.status(400).json({ error: `specialization must be one of: ${SPECIALIZATION_CODES.join(', ')}` });
+    }
+    
+    const result = await queryPage(dynamoDB, {
+      TableName: affiliationsTableName,
+      IndexName: AFFILIATION_HOSPITAL_INDEX,
+      KeyConditionExpression: 'hospitalId = :hospitalId AND startDate <= :date',
+      FilterExpression: 'attribute_not_exists(endDate) OR endDate >= :date',
+      ExpressionAttributeValues: {
+        ':hospitalId': req.params.hospitalId,
+        ':date': date,
+      },
+    }, page, ['doctorId', 'id', 'hospitalId', 'startDate']);
+    
+    const doctors = await Promise.all(result.items.map((affiliation) => getDoctor(affiliation.doctorId)));
+    
+    res.status(200).json({
+      items: result.items
+        .map((affiliation, index) => ({
+          doctor: doctors[index],
+          affiliation: {
+            id: affiliation.id,
+            startDate: affiliation.startDate,
+            endDate: affiliation.endDate || null,
+            primary: affiliation.primary,
+          },
+        }))
+        .filter(({ doctor }) => doctor
+          && (!specialization || doctor.specialization === specialization)
+          && (req.query.includeArchived === 'true' || !doctor.archived))
+        .map(({ doctor, affiliation }) => ({ ...doctor, affiliation })),
+      nextCursor: result.nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error(`Error fetching doctors for hospital ${req.params.hospitalId}:`, error);
     res.status(500).json({ error: 'Failed to fetch doctors for hospital' });
   }
@@ -0,0 +1,41 @@
+// The specializations a doctor can be recorded under. Doctors are stored and filtered
+// by code; the name is what the frontend shows.
+
+const SPECIALIZATIONS = [
+  { code: 'general-practice', name: 'General Practice' },
+  { code: 'surgery', name: 'Surgery' },
+  { code: 'dentistry', name: 'Dentistry' },
+  { code: 'dermatology', name: 'Dermatology' },
+  { code: 'exotics', name: 'Exotics' },
+  { code: 'internal-medicine', name: 'Internal Medicine' },
+  { code: 'cardiology', name: 'Cardiology' },
+  { code: 'oncology', name: 'Oncology' },
+  { code: 'neurology', name: 'Neurology' },
+  { code: 'ophthalmology', name: 'Ophthalmology' },
+  { code: 'orthopedics', name: 'Orthopedics' },
+  { code: 'emergency-critical-care', name: 'Emergency and Critical Care' },
+  { code: 'anesthesiology', name: 'Anesthesiology' },
+  { code: 'radiology', name: 'Radiology' },
+  { code: 'behavior', name: 'Behavior' },
+];
+
+const SPECIALIZATION_CODES = SPECIALIZATIONS.map((specialization) => specialization.code);
+
+const normalize = (text) => text.trim().toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+// The code for a specialization given as free text, matching its code or name ignoring
+// case and punctuation; null when it matches neither
+const findSpecialization = (text) => {
+  const wanted = normalize(text);
+  const match = SPECIALIZATIONS.find((specialization) => (
+    normalize(specialization.code) === wanted || normalize(specialization.name) === wanted
+  ));
+
+  return match ? match.code : null;
+};
+
+module.exports = {
+  SPECIALIZATIONS,
+  SPECIALIZATION_CODES,
+  findSpecialization,
+};
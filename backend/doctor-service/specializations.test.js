@@ -0,0 +1,22 @@
+const { SPECIALIZATIONS, SPECIALIZATION_CODES, findSpecialization } = require('./specializations');
+
+describe('findSpecialization', () => {
+  it.each([
+    ['internal-medicine', 'internal-medicine'],
+    ['Internal Medicine', 'internal-medicine'],
+    [' internal  MEDICINE ', 'internal-medicine'],
+    ['Emergency and Critical Care', 'emergency-critical-care'],
+    ['emergency/critical care', 'emergency-critical-care'],
+  ])('reads %j as %s', (text, code) => {
+    expect(findSpecialization(text)).toBe(code);
+  });
+
+  it('finds nothing for a specialization that is not recorded', () => {
+    expect(findSpecialization('Acupuncture')).toBeNull();
+  });
+
+  it('finds every specialization by its own name', () => {
+    expect(SPECIALIZATIONS.map((specialization) => findSpecialization(specialization.name)))
+      .toEqual(SPECIALIZATION_CODES);
+  });
+});
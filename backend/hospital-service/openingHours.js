@@ -0,0 +1,224 @@
+// Hospital opening hours. A hospital's operatingHours are
+//
+//   {
+//     timezone: 'America/Los_Angeles',                  // IANA zone the hours are kept in
+//     weekly: { monday: { open: '08:00', close: '18:00' }, ... },
+//     closures: [{ type: 'holiday' | 'closure', startDate, endDate, reason, hours }],
+//     emergency24x7: false,                             // emergency care around the clock
+//   }
+//
+// Times are 24-hour HH:MM in the hospital's timezone and a day missing from weekly, or
+// null, is closed. A closure covers startDate to endDate inclusive and closes the
+// hospital on those days, unless it gives the reduced { open, close } hours it keeps.
+
+const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_OF_DAY = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const CLOSURE_TYPES = ['holiday', 'closure'];
+
+// Hours recorded without a timezone are taken to be in the one the hospitals are in
+const DEFAULT_TIMEZONE = process.env.HOSPITAL_TIMEZONE || 'America/Los_Angeles';
+
+// How far ahead to look for the next opening before giving up
+const MAX_DAYS_AHEAD = 366;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const checkHours = (hours) => {
+  if (typeof hours !== 'object' || !TIME_OF_DAY.test(hours.open) || !TIME_OF_DAY.test(hours.close)) {
+    return 'must be null or { open, close } times in HH:MM';
+  }
+  if (hours.open >= hours.close) {
+    return 'must open before it closes';
+  }
+  return null;
+};
+
+const checkClosure = (closure) => {
+  if (!closure || typeof closure !== 'object') {
+    return 'must be an object';
+  }
+  if (!CLOSURE_TYPES.includes(closure.type)) {
+    return `type must be one of: ${CLOSURE_TYPES.join(', ')}`;
+  }
+  if (!DATE.test(closure.startDate) || !DATE.test(closure.endDate)) {
+    return 'startDate and endDate must be dates in YYYY-MM-DD format';
+  }
+  if (closure.endDate < closure.startDate) {
+    return 'cannot end before it starts';
+  }
+  if (typeof closure.reason !== 'string' || !closure.reason.trim() || closure.reason.length > 200) {
+    return 'reason must be given, in at most 200 characters';
+  }
+  if (closure.hours !== undefined && closure.hours !== null) {
+    const message = checkHours(closure.hours);
+    return message && `hours ${message}`;
+  }
+  return null;
+};
+
+// Validation rule for operatingHours, for use as a schema `check`
+const checkOperatingHours = (operatingHours) => {
+  const { timezone, weekly, closures, emergency24x7, ...unknown } = operatingHours;
+
+  if (Object.keys(unknown).length > 0) {
+    return `has unknown field '${Object.keys(unknown)[0]}', expected timezone, weekly, closures and emergency24x7`;
+  }
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    return 'timezone must be an IANA time zone such as America/Los_Angeles';
+  }
+  if (!weekly || typeof weekly !== 'object' || Array.isArray(weekly)) {
+    return 'weekly must map days of the week to { open, close } hours';
+  }
+  for (const [day, hours] of Object.entries(weekly)) {
+    if (!DAYS_OF_WEEK.includes(day)) {
+      return `weekly has unknown day '${day}', expected one of: ${DAYS_OF_WEEK.join(', ')}`;
+    }
+    const message = hours === null ? null : checkHours(hours);
+    if (message) {
+      return `weekly hours for ${day} ${message}`;
+    }
+  }
+  if (closures !== undefined && !Array.isArray(closures)) {
+    return 'closures must be a list';
+  }
+  const sorted = [...(closures || [])].sort((a, b) => String(a && a.startDate).localeCompare(String(b && b.startDate)));
+  for (let index = 0; index < sorted.length; index += 1) {
+    const message = checkClosure(sorted[index]);
+    if (message) {
+      return `closure ${message}`;
+    }
+    if (index > 0 && sorted[index].startDate <= sorted[index - 1].endDate) {
+      return `closures must not overlap (${sorted[index - 1].reason} and ${sorted[index].reason})`;
+    }
+  }
+  if (emergency24x7 !== undefined && typeof emergency24x7 !== 'boolean') {
+    return 'emergency24x7 must be true or false';
+  }
+  return null;
+};
+
+// operatingHours as stored, in full. Hospitals from before timezones and closures kept
+// just the weekly hours, keyed by day, which are read as weekly hours in the default zone.
+const normalizeOperatingHours = (operatingHours) => {
+  const hours = operatingHours || {};
+
+  if (Object.keys(hours).some((key) => DAYS_OF_WEEK.includes(key))) {
+    return { timezone: DEFAULT_TIMEZONE, weekly: hours, closures: [], emergency24x7: false };
+  }
+
+  return {
+    timezone: hours.timezone || DEFAULT_TIMEZONE,
+    weekly: hours.weekly || {},
+    closures: hours.closures || [],
+    emergency24x7: hours.emergency24x7 || false,
+  };
+};
+
+// The date, time and day of the week an instant falls on in a timezone
+const localParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'long',
+  }).formatToParts(instant).map((part) => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    day: parts.weekday.toLowerCase(),
+  };
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+const dayOfWeek = (date) => DAYS_OF_WEEK[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+// The instant, as an ISO timestamp, at which a wall-clock date and time happen in a timezone
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const offsetAt = (instant) => {
+    const local = localParts(new Date(instant), timeZone);
+    return Date.parse(`${local.date}T${local.time}:00Z`) - Math.floor(instant / 60000) * 60000;
+  };
+  // The offset at the wall-clock time read as UTC can be an hour out around a DST change
+  const firstGuess = wallClock - offsetAt(wallClock);
+
+  return new Date(wallClock - offsetAt(firstGuess)).toISOString();
+};
+
+// The hours a hospital keeps on a date, as { hours: { open, close } | null, closure },
+// where closure is the holiday or closure in force that day, if any
+const hoursOn = (operatingHours, date) => {
+  const { weekly, closures } = normalizeOperatingHours(operatingHours);
+  const closure = closures.find((entry) => entry.startDate <= date && date <= entry.endDate) || null;
+
+  if (closure) {
+    return { hours: closure.hours || null, closure };
+  }
+
+  return { hours: weekly[dayOfWeek(date)] || null, closure: null };
+};
+
+// Whether a hospital keeps its regular hours at an instant, with the local date and time
+// there, when it closes if it is open, and the closure keeping it shut if there is one
+const openAt = (operatingHours, instant) => {
+  const { timezone, emergency24x7 } = normalizeOperatingHours(operatingHours);
+  const local = localParts(instant, timezone);
+  const { hours, closure } = hoursOn(operatingHours, local.date);
+  const open = Boolean(hours && hours.open <= local.time && local.time < hours.close);
+
+  return {
+    open,
+    emergencyOpen: emergency24x7,
+    timezone,
+    localDate: local.date,
+    localTime: local.time,
+    closesAt: open ? hours.close : null,
+    closure,
+  };
+};
+
+// When a hospital next keeps its regular hours at or after an instant, as the local
+// { date, time } and the instant `at`; null when it has no opening within a year
+const nextOpening = (operatingHours, instant) => {
+  const { timezone } = normalizeOperatingHours(operatingHours);
+  const local = localParts(instant, timezone);
+
+  for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset += 1) {
+    const date = addDays(local.date, offset);
+    const { hours } = hoursOn(operatingHours, date);
+
+    if (hours && (offset > 0 || local.time < hours.close)) {
+      const time = offset === 0 && hours.open < local.time ? local.time : hours.open;
+      return { date, time, at: offset === 0 && time === local.time ? instant.toISOString() : zonedTimeToUtc(date, time, timezone) };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  checkOperatingHours,
+  normalizeOperatingHours,
+  hoursOn,
+  openAt,
+  nextOpening,
+};
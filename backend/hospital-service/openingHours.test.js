@@ -0,0 +1,141 @@
+const { checkOperatingHours, normalizeOperatingHours, hoursOn, openAt, nextOpening } = require('./openingHours');
+
+const weekdays = {
+  monday: { open: '08:00', close: '18:00' },
+  tuesday: { open: '08:00', close: '18:00' },
+  wednesday: { open: '08:00', close: '18:00' },
+  thursday: { open: '08:00', close: '18:00' },
+  friday: { open: '08:00', close: '18:00' },
+  saturday: { open: '09:00', close: '13:00' },
+  sunday: null,
+};
+
+const christmas = { type: 'holiday', startDate: '2026-12-25', endDate: '2026-12-25', reason: 'Christmas' };
+const christmasEve = {
+  type: 'holiday',
+  startDate: '2026-12-24',
+  endDate: '2026-12-24',
+  reason: 'Christmas Eve',
+  hours: { open: '08:00', close: '12:00' },
+};
+
+const operatingHours = {
+  timezone: 'America/Los_Angeles',
+  weekly: weekdays,
+  closures: [christmasEve, christmas],
+  emergency24x7: false,
+};
+
+describe('checkOperatingHours', () => {
+  it('accepts hours with closures and reduced hours', () => {
+    expect(checkOperatingHours(operatingHours)).toBeNull();
+  });
+
+  it.each([
+    ['an unknown field', { ...operatingHours, hours: {} }, "has unknown field 'hours', expected timezone, weekly, closures and emergency24x7"],
+    ['an unknown timezone', { ...operatingHours, timezone: 'Pacific Time' }, 'timezone must be an IANA time zone such as America/Los_Angeles'],
+    ['weekly hours as a list', { ...operatingHours, weekly: [] }, 'weekly must map days of the week to { open, close } hours'],
+    ['an unknown day', { ...operatingHours, weekly: { funday: null } }, "weekly has unknown day 'funday', expected one of: monday, tuesday, wednesday, thursday, friday, saturday, sunday"],
+    ['times outside HH:MM', { ...operatingHours, weekly: { monday: { open: '8am', close: '6pm' } } }, 'weekly hours for monday must be null or { open, close } times in HH:MM'],
+    ['closing before opening', { ...operatingHours, weekly: { monday: { open: '18:00', close: '08:00' } } }, 'weekly hours for monday must open before it closes'],
+    ['closures that are not a list', { ...operatingHours, closures: {} }, 'closures must be a list'],
+    ['an unknown closure type', { ...operatingHours, closures: [{ ...christmas, type: 'vacation' }] }, 'closure type must be one of: holiday, closure'],
+    ['a closure ending before it starts', { ...operatingHours, closures: [{ ...christmas, endDate: '2026-12-20' }] }, 'closure cannot end before it starts'],
+    ['a closure without a reason', { ...operatingHours, closures: [{ ...christmas, reason: ' ' }] }, 'closure reason must be given, in at most 200 characters'],
+    ['emergency24x7 that is not a boolean', { ...operatingHours, emergency24x7: 'yes' }, 'emergency24x7 must be true or false'],
+  ])('rejects %s', (label, hours, message) => {
+    expect(checkOperatingHours(hours)).toBe(message);
+  });
+
+  it('rejects closures that overlap, whatever order they are given in', () => {
+    const winterBreak = { type: 'closure', startDate: '2026-12-23', endDate: '2026-12-31', reason: 'Winter break' };
+
+    expect(checkOperatingHours({ ...operatingHours, closures: [christmas, winterBreak] }))
+      .toBe('closures must not overlap (Winter break and Christmas)');
+  });
+});
+
+describe('normalizeOperatingHours', () => {
+  it('reads hours kept by day as weekly hours in the default timezone', () => {
+    expect(normalizeOperatingHours({ monday: { open: '08:00', close: '18:00' } })).toEqual({
+      timezone: 'America/Los_Angeles',
+      weekly: { monday: { open: '08:00', close: '18:00' } },
+      closures: [],
+      emergency24x7: false,
+    });
+  });
+
+  it('fills in what a hospital without hours leaves out', () => {
+    expect(normalizeOperatingHours(undefined)).toEqual({
+      timezone: 'America/Los_Angeles',
+      weekly: {},
+      closures: [],
+      emergency24x7: false,
+    });
+  });
+});
+
+describe('hoursOn', () => {
+  it('keeps the weekly hours on a day without a closure', () => {
+    expect(hoursOn(operatingHours, '2026-12-21')).toEqual({ hours: weekdays.monday, closure: null });
+  });
+
+  it('closes on a holiday and keeps reduced hours when one gives them', () => {
+    expect(hoursOn(operatingHours, '2026-12-25')).toEqual({ hours: null, closure: christmas });
+    expect(hoursOn(operatingHours, '2026-12-24')).toEqual({ hours: christmasEve.hours, closure: christmasEve });
+  });
+
+  it('is closed on a day missing from the weekly hours', () => {
+    expect(hoursOn({ ...operatingHours, weekly: { monday: weekdays.monday } }, '2026-12-22').hours).toBeNull();
+  });
+});
+
+describe('openAt', () => {
+  it('judges an instant by the wall clock in the hospital timezone', () => {
+    // 17:30 in Los Angeles, 01:30 the next day in UTC
+    expect(openAt(operatingHours, new Date('2026-12-22T01:30:00Z'))).toEqual({
+      open: true,
+      emergencyOpen: false,
+      timezone: 'America/Los_Angeles',
+      localDate: '2026-12-21',
+      localTime: '17:30',
+      closesAt: '18:00',
+      closure: null,
+    });
+  });
+
+  it('is closed at closing time and through a closure', () => {
+    expect(openAt(operatingHours, new Date('2026-12-22T02:00:00Z')).open).toBe(false);
+    expect(openAt(operatingHours, new Date('2026-12-25T18:00:00Z'))).toMatchObject({ open: false, closure: christmas });
+  });
+});
+
+describe('nextOpening', () => {
+  it('is the instant asked about while the hospital is open', () => {
+    const instant = new Date('2026-12-21T20:00:00Z');
+
+    expect(nextOpening(operatingHours, instant)).toEqual({ date: '2026-12-21', time: '12:00', at: instant.toISOString() });
+  });
+
+  it('skips closed days to the next day with hours', () => {
+    // Friday evening after Christmas: Saturday opens at 09:00
+    expect(nextOpening(operatingHours, new Date('2026-12-26T03:00:00Z'))).toEqual({
+      date: '2026-12-26',
+      time: '09:00',
+      at: '2026-12-26T17:00:00.000Z',
+    });
+  });
+
+  it('finds the opening time across a change to daylight saving time', () => {
+    // Sunday 8 March 2026, when Los Angeles moves from UTC-8 to UTC-7
+    expect(nextOpening(operatingHours, new Date('2026-03-08T12:00:00Z'))).toEqual({
+      date: '2026-03-09',
+      time: '08:00',
+      at: '2026-03-09T15:00:00.000Z',
+    });
+  });
+
+  it('is null for a hospital that never opens', () => {
+    expect(nextOpening({ ...operatingHours, weekly: {}, closures: [] }, new Date('2026-12-21T20:00:00Z'))).toBeNull();
+  });
+});
@@ -4,6 +4,22 @@ const cors = require('cors');
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const { PaginationError, parsePageParams, scanPage, queryPage, applyFilters } = require('./pagination');
+const { validate, validateBody, pickFields } = require('./validation');
+const { isPlainObject, applyMergePatch } = require('./mergePatch');
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+const { archivedFilters, archiveFields, withoutArchiveFields } = require('./archive');
+const { auditPut, historyQuery } = require('./audit');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+const {
+  DEFAULT_TIMEZONE,
+  checkOperatingHours,
+  normalizeOperatingHours,
+  hoursOn,
+  openAt,
+  nextOpening,
+} = require('./openingHours');
+const { SERVICE_CATEGORIES, checkServiceCatalog, normalizeServiceCatalog, catalogOn } = require('./serviceCatalog');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -20,9 +36,13 @@ const logger = winston.createLogger({
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -45,22 +65,259 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
 });
 const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-hospitals';
 
+// Other services
+const doctorServiceUrl = process.env.DOCTOR_SERVICE_URL || 'http://doctor-service:3000';
+
+// Request body schema, shared by create, replace and merge-patch updates
+const hospitalSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  address: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  phone: { type: 'string', required: true, format: 'phone' },
+  email: { type: 'string', format: 'email' },
+  capacity: { type: 'number', integer: true, min: 0 },
+  services: { type: 'array', items: { type: 'string', maxLength: 100 }, default: [] },
+  operatingHours: {
+    type: 'object',
+    check: checkOperatingHours,
+    default: { timezone: DEFAULT_TIMEZONE, weekly: {}, closures: [], emergency24x7: false },
+  },
+  // Billable services offered by the hospital, used by billing-service to price invoices
+  serviceCatalog: { type: 'array', default: [], check: checkServiceCatalog },
+};
+
+// Fetch a hospital, resolving to null when it does not exist
+const getHospital = async (id) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || null;
+};
+
+// Store hospital as the next version of existingHospital, auditing it as `action`. Fails
+// with TransactionCanceledException if the hospital changed after existingHospital was read.
+const saveHospital = async (existingHospital, hospital, req, action) => {
+  const nextHospital = {
+    ...hospital,
+    version: currentVersion(existingHospital) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextHospital,
+          ...versionCondition(existingHospital),
+        },
+      },
+      auditPut(req, 'hospital', action, existingHospital, nextHospital),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextHospital;
+};
+
+// Store a hospital's full representation, keeping server-managed attributes such as id and createdAt
+const replaceHospital = (existingHospital, body, req) => saveHospital(existingHospital, {
+  ...existingHospital,
+  ...pickFields(hospitalSchema, body),
+}, req, 'update');
+
+// Another service answered a call with an error; `message` is the error it gave, if any
+class ServiceError extends Error {
+  constructor(method, url, status, message) {
+    super(message || `${method} ${url} failed with status ${status}`);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+// Call another service, resolving to null when the record does not exist
+const fetchFromService = async (url, { method = 'GET', body, contentType = 'application/json', headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { ...headers, 'Content-Type': contentType },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    throw new ServiceError(method, url, response.status, errorBody.error);
+  }
+
+  return response.json();
+};
+
+// Fetch one page of the doctors doctor-service lists for a hospital. It lists a hospital
+// nobody is affiliated with as empty, so a 404 is a failure rather than "no doctors".
+const fetchHospitalDoctorsPage = async (req, hospitalId, query) => {
+  const url = `${doctorServiceUrl}/hospitals/${encodeURIComponent(hospitalId)}/doctors?${query}`;
+  const page = await fetchFromService(url, { headers: authHeaders(req) });
+
+  if (!page) {
+    throw new ServiceError('GET', url, 404);
+  }
+
+  return page;
+};
+
+// Fetch every doctor affiliated with a hospital today, each with the affiliation that
+// places them there, following doctor-service's pagination
+const fetchHospitalDoctors = async (req, hospitalId, { includeArchived = false } = {}) => {
+  const doctors = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({
+      limit: '100',
+      ...(includeArchived ? { includeArchived: 'true' } : {}),
+      ...(cursor ? { cursor } : {}),
+    });
+    const page = await fetchHospitalDoctorsPage(req, hospitalId, query);
+    doctors.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return doctors;
+};
+
+const doctorName = (doctor) => `Dr. ${doctor.firstName} ${doctor.lastName}`;
+
+// Why a doctor affiliated with a hospital being archived cannot be transferred from it to
+// toHospitalId today, checked before any doctor is moved; null when they can be. Mirrors
+// the checks doctor-service's transfer makes: the affiliation being ended must have
+// started before today, and the doctor must not already be affiliated with the target.
+const transferProblem = async (req, doctor, toHospitalId) => {
+  const today = new Date().toISOString().slice(0, 10);
+
+  if (doctor.affiliation.startDate >= today) {
+    return `${doctorName(doctor)} only joined on ${doctor.affiliation.startDate} and can be transferred from tomorrow`;
+  }
+
+  const affiliations = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({ limit: '100', ...(cursor ? { cursor } : {}) });
+    const page = await fetchFromService(`${doctorServiceUrl}/doctors/${encodeURIComponent(doctor.id)}/affiliations?${query}`, {
+      headers: authHeaders(req),
+    });
+
+    // The doctor was purged after the hospital's doctors were listed
+    if (!page) {
+      return `${doctorName(doctor)} no longer exists; try archiving the hospital again`;
+    }
+
+    affiliations.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const clash = affiliations.find((affiliation) => affiliation.hospitalId === toHospitalId
+    && (!affiliation.endDate || affiliation.endDate >= today));
+
+  return clash ? `${doctorName(doctor)} is already affiliated with that hospital from ${clash.startDate}; end that affiliation first` : null;
+};
+
+// End a doctor's secondary affiliation with a hospital being archived: it runs to
+// yesterday, or is removed if it only started today
+const endAffiliation = async (doctor, hospitalId, headers) => {
+  const { affiliation } = doctor;
+  const url = `${doctorServiceUrl}/doctors/${encodeURIComponent(doctor.id)}/affiliations/${encodeURIComponent(affiliation.id)}`;
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  if (affiliation.startDate > yesterday) {
+    await fetchFromService(url, { method: 'DELETE', headers });
+  } else {
+    await fetchFromService(url, {
+      method: 'PUT',
+      body: { hospitalId, startDate: affiliation.startDate, endDate: yesterday },
+      headers,
+    });
+  }
+};
+
+// Apply `update` to each doctor of a hospital being archived in turn, stopping at the
+// first doctor-service refuses. Resolves to null when every doctor was updated, otherwise
+// to a 409 body naming that doctor and those already updated.
+const updateDoctors = async (doctors, action, update) => {
+  const updated = [];
+
+  for (const doctor of doctors) {
+    try {
+      await update(doctor);
+    } catch (error) {
+      if (!(error instanceof ServiceError) || error.status >= 500) {
+        throw error;
+      }
+      return {
+        error: `Could not ${action} ${doctorName(doctor)}: ${error.message}. The hospital was not archived.`,
+        doctorId: doctor.id,
+        updatedDoctorIds: updated,
+      };
+    }
+    updated.push(doctor.id);
+  }
+
+  return null;
+};
+
+// Answer a write that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Hospital was modified by another request, reload it and try again',
+});
+
+// The instant given as ?at (an ISO timestamp), or now; null when it is not a valid time
+const parseInstant = (at) => {
+  const instant = at === undefined ? new Date() : new Date(at);
+  
+  return Number.isNaN(instant.getTime()) ? null : instant;
+};
+
+// Only administrators manage hospitals; anyone signed in may read them
+const HOSPITAL_EDITORS = [ROLES.ADMIN];
+
 // Routes
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
-// Get all hospitals
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get all hospitals, optionally only those offering every listed service.
+// Archived hospitals are left out unless includeArchived=true.
 app.get('/hospitals', async (req, res) => {
   try {
-    const params = {
+    const page = parsePageParams(req.query);
+    const services = (req.query.services || '').split(',').map((service) => service.trim()).filter(Boolean);
+    
+    const params = applyFilters({
       TableName: tableName,
-    };
+    }, [
+      ...services.map((service, index) => [`contains(services, :service${index})`, { [`:service${index}`]: service }]),
+      ...archivedFilters(req.query),
+    ]);
     
-    const result = await dynamoDB.scan(params).promise();
+    const result = await scanPage(dynamoDB, params, page);
     
-    res.status(200).json(result.Items);
+    res.status(200).json(result);
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Error fetching hospitals:', error);
     res.status(500).json({ error: 'Failed to fetch hospitals' });
   }
@@ -82,42 +339,217 @@ app.get('/hospitals/:id', async (req, res) => {
       return res.status(404).json({ error: 'Hospital not found' });
     }
     
-    res.status(200).json(result.Item);
+    res.set('ETag', formatETag(result.Item));
+    // Hours and catalogs saved in an older shape are shown in the current one
+    res.status(200).json({
+      ...result.Item,
+      operatingHours: normalizeOperatingHours(result.Item.operatingHours),
+      serviceCatalog: normalizeServiceCatalog(result.Item.serviceCatalog),
+    });
   } catch (error) {
     logger.error(`Error fetching hospital ${req.params.id}:`, error);
     res.status(500).json({ error: 'Failed to fetch hospital' });
   }
 });
 
-// Create hospital
-app.post('/hospitals', async (req, res) => {
+// Get a hospital's change history, newest first
+app.get('/hospitals/:id/history', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    
+    const result = await queryPage(dynamoDB, historyQuery('hospital', req.params.id), page, ['resourceKey', 'version']);
+    
+    // A purged hospital keeps its history, so only one with neither is unknown
+    if (result.items.length === 0 && !req.query.cursor && !(await getHospital(req.params.id))) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching history for hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch hospital history' });
+  }
+});
+
+// Whether a hospital is keeping its regular hours now (or at ?at), with its local time,
+// when it closes and whether its emergency service is open regardless
+app.get('/hospitals/:id/open-now', async (req, res) => {
+  try {
+    const instant = parseInstant(req.query.at);
+    
+    if (!instant) {
+      return res.status(400).json({ error: 'at must be an ISO 8601 timestamp' });
+    }
+    
+    const hospital = await getHospital(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    res.status(200).json({ hospitalId: hospital.id, ...openAt(hospital.operatingHours, instant) });
+  } catch (error) {
+    logger.error(`Error checking whether hospital ${req.params.id} is open:`, error);
+    res.status(500).json({ error: 'Failed to check opening hours' });
+  }
+});
+
+// When a hospital next opens at or after now (or ?at), in its local time and as an
+// instant; date and time are null when it has no opening within a year
+app.get('/hospitals/:id/next-open', async (req, res) => {
+  try {
+    const instant = parseInstant(req.query.at);
+    
+    if (!instant) {
+      return res.status(400).json({ error: 'at must be an ISO 8601 timestamp' });
+    }
+    
+    const hospital = await getHospital(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    const { timezone } = normalizeOperatingHours(hospital.operatingHours);
+    const opening = nextOpening(hospital.operatingHours, instant) || { date: null, time: null, at: null };
+    
+    res.status(200).json({
+      hospitalId: hospital.id,
+      timezone,
+      openNow: opening.at === instant.toISOString(),
+      ...opening,
+    });
+  } catch (error) {
+    logger.error(`Error finding when hospital ${req.params.id} next opens:`, error);
+    res.status(500).json({ error: 'Failed to check opening hours' });
+  }
+});
+
+// The hours a hospital keeps on ?date (YYYY-MM-DD, in its timezone), taking holidays and
+// closures into account; hours is null when it is closed all day
+app.get('/hospitals/:id/opening-hours', async (req, res) => {
+  try {
+    const details = validate({ date: { type: 'string', required: true, format: 'date' } }, req.query);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const hospital = await getHospital(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    const { timezone, emergency24x7 } = normalizeOperatingHours(hospital.operatingHours);
+    
+    res.status(200).json({
+      hospitalId: hospital.id,
+      date: req.query.date,
+      timezone,
+      emergency24x7,
+      ...hoursOn(hospital.operatingHours, req.query.date),
+    });
+  } catch (error) {
+    logger.error(`Error fetching opening hours for hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch opening hours' });
+  }
+});
+
+// The services a hospital bills on ?date (today by default), optionally only those in
+// ?category, each with the price then in force
+app.get('/hospitals/:id/services', async (req, res) => {
+  try {
+    const details = validate({
+      date: { type: 'string', format: 'date' },
+      category: { type: 'string', enum: SERVICE_CATEGORIES },
+    }, req.query);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const hospital = await getHospital(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const services = catalogOn(hospital.serviceCatalog, date)
+      .filter((service) => !req.query.category || service.category === req.query.category);
+    
+    res.status(200).json({ hospitalId: hospital.id, date, services });
+  } catch (error) {
+    logger.error(`Error fetching services for hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch hospital services' });
+  }
+});
+
+// The doctors affiliated with a hospital on ?date (today by default), each with the
+// affiliation that places them there, a page at a time as doctor-service lists them
+app.get('/hospitals/:id/doctors', async (req, res) => {
   try {
-    const { name, address, phone, email, capacity, services, operatingHours } = req.body;
+    parsePageParams(req.query);
+    const details = validate({ date: { type: 'string', format: 'date' } }, req.query);
     
-    if (!name || !address || !phone) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
     }
     
+    const hospital = await getHospital(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    const { date, limit, cursor } = req.query;
+    const query = new URLSearchParams({
+      ...(date ? { date } : {}),
+      ...(limit ? { limit } : {}),
+      ...(cursor ? { cursor } : {}),
+    });
+    
+    res.status(200).json(await fetchHospitalDoctorsPage(req, hospital.id, query));
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching doctors for hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch doctors for hospital' });
+  }
+});
+
+// Create hospital
+app.post('/hospitals', requireRole(...HOSPITAL_EDITORS), validateBody(hospitalSchema), async (req, res) => {
+  try {
     const hospital = {
       id: uuidv4(),
-      name,
-      address,
-      phone,
-      email: email || null,
-      capacity: capacity || null,
-      services: services || [],
-      operatingHours: operatingHours || {},
+      ...pickFields(hospitalSchema, req.body),
+      version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
     
     const params = {
-      TableName: tableName,
-      Item: hospital,
+      TransactItems: [
+        {
+          Put: {
+            TableName: tableName,
+            Item: hospital,
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+        auditPut(req, 'hospital', 'create', null, hospital),
+      ],
     };
     
-    await dynamoDB.put(params).promise();
+    await dynamoDB.transactWrite(params).promise();
     
+    res.set('ETag', formatETag(hospital));
     res.status(201).json(hospital);
   } catch (error) {
     logger.error('Error creating hospital:', error);
@@ -125,78 +557,263 @@ app.post('/hospitals', async (req, res) => {
   }
 });
 
-// Update hospital
-app.put('/hospitals/:id', async (req, res) => {
+// Replace hospital with a full representation; omitted optional fields are cleared
+app.put('/hospitals/:id', requireRole(...HOSPITAL_EDITORS), validateBody(hospitalSchema), async (req, res) => {
   try {
-    const { name, address, phone, email, capacity, services, operatingHours } = req.body;
+    const existingHospital = await getHospital(req.params.id);
     
-    // Check if hospital exists
-    const getParams = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-    };
+    if (!existingHospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
     
-    const existingHospital = await dynamoDB.get(getParams).promise();
+    if (!ifMatchAllows(req.get('If-Match'), existingHospital)) {
+      return res.status(412).json({ error: 'Hospital has changed since it was read', etag: formatETag(existingHospital) });
+    }
     
-    if (!existingHospital.Item) {
+    if (existingHospital.archived) {
+      return res.status(409).json({ error: 'Hospital is archived, restore it before changing it' });
+    }
+    
+    const hospital = await replaceHospital(existingHospital, req.body, req);
+    
+    res.set('ETag', formatETag(hospital));
+    res.status(200).json(hospital);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error updating hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update hospital' });
+  }
+});
+
+// Update hospital with a JSON Merge Patch, where null clears a field
+app.patch('/hospitals/:id', requireRole(...HOSPITAL_EDITORS), async (req, res) => {
+  try {
+    if (!req.is('application/merge-patch+json')) {
+      return res.status(415).json({ error: 'PATCH bodies must be sent as application/merge-patch+json' });
+    }
+    
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Merge patch must be a JSON object' });
+    }
+    
+    const existingHospital = await getHospital(req.params.id);
+    
+    if (!existingHospital) {
       return res.status(404).json({ error: 'Hospital not found' });
     }
     
-    // Update hospital
-    const updateParams = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-      UpdateExpression: 'set #name = :name, address = :address, phone = :phone, email = :email, capacity = :capacity, services = :services, operatingHours = :operatingHours, updatedAt = :updatedAt',
-      ExpressionAttributeNames: {
-        '#name': 'name', // 'name' is a reserved keyword in DynamoDB
-      },
-      ExpressionAttributeValues: {
-        ':name': name || existingHospital.Item.name,
-        ':address': address || existingHospital.Item.address,
-        ':phone': phone || existingHospital.Item.phone,
-        ':email': email || existingHospital.Item.email,
-        ':capacity': capacity || existingHospital.Item.capacity,
-        ':services': services || existingHospital.Item.services,
-        ':operatingHours': operatingHours || existingHospital.Item.operatingHours,
-        ':updatedAt': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    };
+    if (!ifMatchAllows(req.get('If-Match'), existingHospital)) {
+      return res.status(412).json({ error: 'Hospital has changed since it was read', etag: formatETag(existingHospital) });
+    }
     
-    const result = await dynamoDB.update(updateParams).promise();
+    if (existingHospital.archived) {
+      return res.status(409).json({ error: 'Hospital is archived, restore it before changing it' });
+    }
+    
+    // Patch the current representation, then validate the result as a whole. Hours and
+    // catalogs kept in an older shape are patched as their full equivalent.
+    const patchedHospital = applyMergePatch(pickFields(hospitalSchema, {
+      ...existingHospital,
+      operatingHours: normalizeOperatingHours(existingHospital.operatingHours),
+      serviceCatalog: normalizeServiceCatalog(existingHospital.serviceCatalog),
+    }), req.body);
+    const details = validate(hospitalSchema, patchedHospital);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
     
-    res.status(200).json(result.Attributes);
+    const hospital = await replaceHospital(existingHospital, patchedHospital, req);
+    
+    res.set('ETag', formatETag(hospital));
+    res.status(200).json(hospital);
   } catch (error) {
-    logger.error(`Error updating hospital ${req.params.id}:`, error);
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error patching hospital ${req.params.id}:`, error);
     res.status(500).json({ error: 'Failed to update hospital' });
   }
 });
 
-// Delete hospital
-app.delete('/hospitals/:id', async (req, res) => {
+// Archive hospital, honouring If-Match. A hospital with doctors affiliated with it is only
+// archived when the request says what happens to them: ?reassignTo=<hospitalId>
+// transfers them to another hospital, and ?cascade=true archives the doctors it is the
+// primary hospital of and ends the other doctors' affiliations with it. Every doctor is
+// checked before any is transferred, answering 409 with the problems found. Doctors
+// are changed one call at a time, so should doctor-service still refuse one, the
+// answer is a 409 naming that doctor and those already handled, and the hospital stays
+// active for the request to be retried once it is sorted out.
+app.delete('/hospitals/:id', requireRole(...HOSPITAL_EDITORS), async (req, res) => {
   try {
-    const params = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-      ReturnValues: 'ALL_OLD',
-    };
+    const existingHospital = await getHospital(req.params.id);
+    
+    if (!existingHospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingHospital)) {
+      return res.status(412).json({ error: 'Hospital has changed since it was read', etag: formatETag(existingHospital) });
+    }
+    
+    if (existingHospital.archived) {
+      return res.status(409).json({ error: 'Hospital is already archived' });
+    }
+    
+    const { reassignTo, cascade } = req.query;
+    
+    if (reassignTo && cascade) {
+      return res.status(400).json({ error: 'Use either reassignTo or cascade, not both' });
+    }
+    
+    const doctors = await fetchHospitalDoctors(req, existingHospital.id);
+    
+    if (doctors.length > 0) {
+      // Changes to the doctors are made on behalf of whoever archives the hospital
+      const headers = authHeaders(req);
+      
+      if (reassignTo) {
+        const targetHospital = reassignTo === existingHospital.id ? null : await getHospital(reassignTo);
+        
+        if (!targetHospital || targetHospital.archived) {
+          return res.status(400).json({ error: 'Hospital to reassign doctors to not found' });
+        }
+        
+        const problems = (await Promise.all(doctors.map(async (doctor) => ({
+          doctorId: doctor.id,
+          error: await transferProblem(req, doctor, reassignTo),
+        })))).filter((problem) => problem.error);
+        
+        if (problems.length > 0) {
+          return res.status(409).json({
+            error: `${problems.length} of the hospital's doctors cannot be reassigned; nothing was changed`,
+            doctors: problems,
+          });
+        }
+        
+        const failure = await updateDoctors(doctors, 'reassign', (doctor) => fetchFromService(
+          `${doctorServiceUrl}/doctors/${encodeURIComponent(doctor.id)}/transfer`,
+          { method: 'POST', body: { fromHospitalId: existingHospital.id, toHospitalId: reassignTo }, headers },
+        ));
+        
+        if (failure) {
+          return res.status(409).json(failure);
+        }
+      } else if (cascade === 'true') {
+        const failure = await updateDoctors(doctors, 'archive', (doctor) => (doctor.affiliation.primary
+          ? fetchFromService(`${doctorServiceUrl}/doctors/${encodeURIComponent(doctor.id)}`, { method: 'DELETE', headers })
+          : endAffiliation(doctor, existingHospital.id, headers)));
+        
+        if (failure) {
+          return res.status(409).json(failure);
+        }
+      } else {
+        const count = doctors.length;
+        return res.status(409).json({
+          error: `Hospital has ${count} doctor${count === 1 ? '' : 's'}; reassign them with ?reassignTo=<hospitalId> or archive them with ?cascade=true`,
+          doctorCount: count,
+        });
+      }
+    }
+    
+    const hospital = await saveHospital(existingHospital, { ...existingHospital, ...archiveFields(req) }, req, 'archive');
+    
+    res.set('ETag', formatETag(hospital));
+    res.status(200).json(hospital);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error archiving hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to archive hospital' });
+  }
+});
+
+// Restore an archived hospital, honouring If-Match. Doctors archived along with it
+// stay archived until they are restored themselves.
+app.post('/hospitals/:id/restore', requireRole(...HOSPITAL_EDITORS), async (req, res) => {
+  try {
+    const existingHospital = await getHospital(req.params.id);
+    
+    if (!existingHospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingHospital)) {
+      return res.status(412).json({ error: 'Hospital has changed since it was read', etag: formatETag(existingHospital) });
+    }
     
-    const result = await dynamoDB.delete(params).promise();
+    if (!existingHospital.archived) {
+      return res.status(409).json({ error: 'Hospital is not archived' });
+    }
+    
+    const hospital = await saveHospital(existingHospital, withoutArchiveFields(existingHospital), req, 'restore');
+    
+    res.set('ETag', formatETag(hospital));
+    res.status(200).json(hospital);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error restoring hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to restore hospital' });
+  }
+});
+
+// Permanently delete an archived hospital; administrators only. Doctors still refer
+// to it while archived, so every one of them has to be reassigned or purged first.
+app.post('/hospitals/:id/purge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existingHospital = await getHospital(req.params.id);
     
-    if (!result.Attributes) {
+    if (!existingHospital) {
       return res.status(404).json({ error: 'Hospital not found' });
     }
     
-    res.status(200).json({ message: 'Hospital deleted successfully' });
+    if (!ifMatchAllows(req.get('If-Match'), existingHospital)) {
+      return res.status(412).json({ error: 'Hospital has changed since it was read', etag: formatETag(existingHospital) });
+    }
+    
+    if (!existingHospital.archived) {
+      return res.status(409).json({ error: 'Only archived hospitals can be purged' });
+    }
+    
+    const doctors = await fetchHospitalDoctors(req, existingHospital.id, { includeArchived: true });
+    
+    if (doctors.length > 0) {
+      const count = doctors.length;
+      return res.status(409).json({
+        error: `Hospital still has ${count} doctor${count === 1 ? '' : 's'}, including archived ones; reassign or purge them first`,
+        doctorCount: count,
+      });
+    }
+    
+    const params = {
+      TransactItems: [
+        {
+          Delete: {
+            TableName: tableName,
+            Key: {
+              id: req.params.id,
+            },
+            ...versionCondition(existingHospital),
+          },
+        },
+        auditPut(req, 'hospital', 'purge', existingHospital, null),
+      ],
+    };
+    
+    await dynamoDB.transactWrite(params).promise();
+    
+    res.status(200).json({ message: 'Hospital purged successfully' });
   } catch (error) {
-    logger.error(`Error deleting hospital ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to delete hospital' });
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error purging hospital ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to purge hospital' });
   }
 });
 
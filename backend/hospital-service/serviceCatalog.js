@@ -0,0 +1,166 @@
+// A hospital's catalog of billable services and procedures. Its serviceCatalog is a
+// list of
+//
+//   {
+//     code: 'DENT-CLEAN',                              // unique within the hospital
+//     name: 'Dental Cleaning',
+//     category: 'dental',                              // one of SERVICE_CATEGORIES
+//     taxable: true,                                   // whether sales tax is charged on it
+//     prices: [
+//       { effectiveFrom: '2026-01-01', price: 250 },                   // fixed price
+//       { effectiveFrom: '2026-07-01', minPrice: 200, maxPrice: 400 }, // priced per case
+//     ],
+//   }
+//
+// A price is in force from its effectiveFrom date until the next one takes over, so a
+// price change is recorded ahead of time by adding a price with a later date. A service
+// whose first price has not come into force yet cannot be billed.
+
+const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const CODE = /^[A-Za-z0-9][A-Za-z0-9-]{0,29}$/;
+
+const SERVICE_CATEGORIES = [
+  'consultation',
+  'vaccination',
+  'diagnostics',
+  'dental',
+  'surgery',
+  'treatment',
+  'medication',
+  'hospitalization',
+  'grooming',
+  'other',
+];
+
+// The date prices recorded before they were effective-dated are taken to apply from
+const LEGACY_EFFECTIVE_FROM = '1970-01-01';
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const checkPrice = (price) => {
+  if (!price || typeof price !== 'object') {
+    return 'must be an object';
+  }
+  const { effectiveFrom, price: fixed, minPrice, maxPrice, ...unknown } = price;
+
+  if (Object.keys(unknown).length > 0) {
+    return `has unknown field '${Object.keys(unknown)[0]}', expected effectiveFrom and price, or minPrice and maxPrice`;
+  }
+  if (!DATE.test(effectiveFrom)) {
+    return 'effectiveFrom must be a date in YYYY-MM-DD format';
+  }
+  if (fixed !== undefined) {
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      return 'must give either a price or a minPrice and maxPrice, not both';
+    }
+    return isAmount(fixed) ? null : 'price must be a non-negative number';
+  }
+  if (!isAmount(minPrice) || !isAmount(maxPrice)) {
+    return 'must give a non-negative price, or a non-negative minPrice and maxPrice';
+  }
+  return minPrice <= maxPrice ? null : 'minPrice cannot be more than maxPrice';
+};
+
+const checkEntry = (entry) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return 'must be an object';
+  }
+  const { code, name, category, taxable, prices, ...unknown } = entry;
+
+  if (Object.keys(unknown).length > 0) {
+    return `has unknown field '${Object.keys(unknown)[0]}', expected code, name, category, taxable and prices`;
+  }
+  if (typeof code !== 'string' || !CODE.test(code)) {
+    return 'code must be up to 30 letters, digits and dashes';
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return `${code} name must be given, in at most 100 characters`;
+  }
+  if (!SERVICE_CATEGORIES.includes(category)) {
+    return `${code} category must be one of: ${SERVICE_CATEGORIES.join(', ')}`;
+  }
+  if (typeof taxable !== 'boolean') {
+    return `${code} taxable must be true or false`;
+  }
+  if (!Array.isArray(prices) || prices.length === 0) {
+    return `${code} must have at least one price`;
+  }
+  for (const price of prices) {
+    const message = checkPrice(price);
+    if (message) {
+      return `${code} price ${message}`;
+    }
+  }
+  const dates = prices.map((price) => price.effectiveFrom);
+  const repeated = dates.find((date, index) => dates.indexOf(date) !== index);
+
+  return repeated ? `${code} has two prices effective from ${repeated}` : null;
+};
+
+// Validation rule for serviceCatalog, for use as a schema `check`
+const checkServiceCatalog = (serviceCatalog) => {
+  for (const entry of serviceCatalog) {
+    const message = checkEntry(entry);
+    if (message) {
+      return `entry ${message}`;
+    }
+  }
+  const codes = serviceCatalog.map((entry) => entry.code.toUpperCase());
+  const repeated = serviceCatalog.find((entry, index) => codes.indexOf(entry.code.toUpperCase()) !== index);
+
+  return repeated ? `has two entries with code ${repeated.code}` : null;
+};
+
+// serviceCatalog as stored, in full, with each entry's prices oldest first. Entries from
+// before the catalog was categorised kept a single { code, name, price }, which is read
+// as an untaxed service of category 'other' that has always had that price.
+const normalizeServiceCatalog = (serviceCatalog) => (serviceCatalog || []).map((entry) => {
+  if (!Array.isArray(entry.prices)) {
+    return {
+      code: entry.code,
+      name: entry.name,
+      category: 'other',
+      taxable: false,
+      prices: [{ effectiveFrom: LEGACY_EFFECTIVE_FROM, price: entry.price }],
+    };
+  }
+
+  return {
+    ...entry,
+    prices: [...entry.prices].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)),
+  };
+});
+
+// The price of a catalog entry in force on a date; null before its first price
+const priceOn = (entry, date) => {
+  const inForce = normalizeServiceCatalog([entry])[0].prices.filter((price) => price.effectiveFrom <= date);
+
+  return inForce.length > 0 ? inForce[inForce.length - 1] : null;
+};
+
+// The services that can be billed on a date, each with the price then in force and the
+// date that price took effect; a ranged price has a null price and its minPrice and
+// maxPrice, a fixed one null minPrice and maxPrice
+const catalogOn = (serviceCatalog, date) => normalizeServiceCatalog(serviceCatalog)
+  .map((entry) => {
+    const price = priceOn(entry, date);
+
+    return price && {
+      code: entry.code,
+      name: entry.name,
+      category: entry.category,
+      taxable: entry.taxable,
+      effectiveFrom: price.effectiveFrom,
+      price: price.price === undefined ? null : price.price,
+      minPrice: price.price === undefined ? price.minPrice : null,
+      maxPrice: price.price === undefined ? price.maxPrice : null,
+    };
+  })
+  .filter(Boolean);
+
+module.exports = {
+  SERVICE_CATEGORIES,
+  checkServiceCatalog,
+  normalizeServiceCatalog,
+  catalogOn,
+};
@@ -0,0 +1,107 @@
+const { checkServiceCatalog, normalizeServiceCatalog, catalogOn } = require('./serviceCatalog');
+
+const cleaning = {
+  code: 'DENT-CLEAN',
+  name: 'Dental Cleaning',
+  category: 'dental',
+  taxable: true,
+  prices: [
+    { effectiveFrom: '2026-07-01', minPrice: 200, maxPrice: 400 },
+    { effectiveFrom: '2026-01-01', price: 250 },
+  ],
+};
+
+const exam = {
+  code: 'EXAM',
+  name: 'Wellness Exam',
+  category: 'consultation',
+  taxable: false,
+  prices: [{ effectiveFrom: '2026-03-01', price: 75 }],
+};
+
+describe('checkServiceCatalog', () => {
+  it('accepts fixed and ranged prices', () => {
+    expect(checkServiceCatalog([cleaning, exam])).toBeNull();
+  });
+
+  it.each([
+    ['an unknown field', { ...exam, cost: 75 }, "entry has unknown field 'cost', expected code, name, category, taxable and prices"],
+    ['a code with spaces', { ...exam, code: 'WELL EXAM' }, 'entry code must be up to 30 letters, digits and dashes'],
+    ['a blank name', { ...exam, name: ' ' }, 'entry EXAM name must be given, in at most 100 characters'],
+    ['an unknown category', { ...exam, category: 'spa' }, 'entry EXAM category must be one of: consultation, vaccination, diagnostics, dental, surgery, treatment, medication, hospitalization, grooming, other'],
+    ['taxable that is not a boolean', { ...exam, taxable: 'no' }, 'entry EXAM taxable must be true or false'],
+    ['no prices', { ...exam, prices: [] }, 'entry EXAM must have at least one price'],
+    ['a price without a date', { ...exam, prices: [{ price: 75 }] }, 'entry EXAM price effectiveFrom must be a date in YYYY-MM-DD format'],
+    ['a fixed and a ranged price together', { ...exam, prices: [{ effectiveFrom: '2026-03-01', price: 75, minPrice: 50, maxPrice: 100 }] }, 'entry EXAM price must give either a price or a minPrice and maxPrice, not both'],
+    ['a negative price', { ...exam, prices: [{ effectiveFrom: '2026-03-01', price: -1 }] }, 'entry EXAM price price must be a non-negative number'],
+    ['a range that runs backwards', { ...exam, prices: [{ effectiveFrom: '2026-03-01', minPrice: 100, maxPrice: 50 }] }, 'entry EXAM price minPrice cannot be more than maxPrice'],
+    ['two prices from one date', { ...exam, prices: [exam.prices[0], { effectiveFrom: '2026-03-01', price: 80 }] }, 'entry EXAM has two prices effective from 2026-03-01'],
+  ])('rejects an entry with %s', (label, entry, message) => {
+    expect(checkServiceCatalog([entry])).toBe(message);
+  });
+
+  it('rejects two entries with the same code, however it is capitalised', () => {
+    expect(checkServiceCatalog([exam, { ...exam, code: 'exam' }])).toBe('has two entries with code exam');
+  });
+});
+
+describe('normalizeServiceCatalog', () => {
+  it('reads a legacy entry as an untaxed service that has always had its price', () => {
+    expect(normalizeServiceCatalog([{ code: 'XRAY', name: 'X-Ray', price: 120 }])).toEqual([{
+      code: 'XRAY',
+      name: 'X-Ray',
+      category: 'other',
+      taxable: false,
+      prices: [{ effectiveFrom: '1970-01-01', price: 120 }],
+    }]);
+  });
+
+  it('puts prices oldest first', () => {
+    expect(normalizeServiceCatalog([cleaning])[0].prices.map((price) => price.effectiveFrom))
+      .toEqual(['2026-01-01', '2026-07-01']);
+  });
+
+  it('is empty for a hospital without a catalog', () => {
+    expect(normalizeServiceCatalog(undefined)).toEqual([]);
+  });
+});
+
+describe('catalogOn', () => {
+  it('prices each service at the price in force on the date', () => {
+    expect(catalogOn([cleaning, exam], '2026-06-30')).toEqual([
+      {
+        code: 'DENT-CLEAN',
+        name: 'Dental Cleaning',
+        category: 'dental',
+        taxable: true,
+        effectiveFrom: '2026-01-01',
+        price: 250,
+        minPrice: null,
+        maxPrice: null,
+      },
+      {
+        code: 'EXAM',
+        name: 'Wellness Exam',
+        category: 'consultation',
+        taxable: false,
+        effectiveFrom: '2026-03-01',
+        price: 75,
+        minPrice: null,
+        maxPrice: null,
+      },
+    ]);
+  });
+
+  it('gives the range of a service priced per case from the day it takes effect', () => {
+    expect(catalogOn([cleaning], '2026-07-01')[0]).toMatchObject({
+      effectiveFrom: '2026-07-01',
+      price: null,
+      minPrice: 200,
+      maxPrice: 400,
+    });
+  });
+
+  it('leaves out a service whose first price is not in force yet', () => {
+    expect(catalogOn([cleaning, exam], '2026-02-01').map((entry) => entry.code)).toEqual(['DENT-CLEAN']);
+  });
+});
@@ -0,0 +1,21 @@
+// The coverage period of a policy, which runs for one year from its start date
+
+// Whether value is a date in YYYY-MM-DD format that exists on the calendar
+const isDate = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(Date.parse(value))
+  && new Date(value).toISOString().startsWith(value);
+
+// The last day covered by a policy starting on startDate, the day before its anniversary
+const policyEndDate = (startDate) => {
+  const endDate = new Date(`${startDate}T00:00:00Z`);
+  endDate.setUTCFullYear(endDate.getUTCFullYear() + 1);
+  endDate.setUTCDate(endDate.getUTCDate() - 1);
+
+  return endDate.toISOString().split('T')[0];
+};
+
+module.exports = {
+  isDate,
+  policyEndDate,
+};
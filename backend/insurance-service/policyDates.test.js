@@ -0,0 +1,22 @@
+const { isDate, policyEndDate } = require('./policyDates');
+
+describe('isDate', () => {
+  it.each(['2026-03-01', '2028-02-29'])('accepts %s', (value) => {
+    expect(isDate(value)).toBe(true);
+  });
+
+  it.each(['2026-02-29', '2026-04-31', '2026-00-10', 'March 1st', '2026-3-1', 20260301, undefined])('rejects %j', (value) => {
+    expect(isDate(value)).toBe(false);
+  });
+});
+
+describe('policyEndDate', () => {
+  it('ends the day before the anniversary of the start date', () => {
+    expect(policyEndDate('2026-03-01')).toBe('2027-02-28');
+    expect(policyEndDate('2026-01-01')).toBe('2026-12-31');
+  });
+
+  it('ends on the last day of February for a policy starting on a leap day', () => {
+    expect(policyEndDate('2028-02-29')).toBe('2029-02-28');
+  });
+});
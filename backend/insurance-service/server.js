@@ -0,0 +1,582 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+const { isDate, policyEndDate } = require('./policyDates');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'insurance-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json());
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info({
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  });
+  next();
+});
+
+// Configure AWS
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+// Providers, plans, policies and claims share one table, told apart by recordType
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-insurance';
+
+// Other services
+const petServiceUrl = process.env.PET_SERVICE_URL || 'http://pet-service:3000';
+const billingServiceUrl = process.env.BILLING_SERVICE_URL || 'http://billing-service:3000';
+
+// Allowed claim status changes, keyed by the current status
+const CLAIM_TRANSITIONS = {
+  Submitted: ['Approved', 'Denied'],
+  Approved: ['Paid'],
+  Denied: [],
+  Paid: [],
+};
+
+// A claim holds its invoice until it is denied, through a record keyed by the invoice
+// that is written in the same transaction as the claim, so an invoice has at most one
+// claim in progress or settled
+const invoiceHoldId = (invoiceId) => `invoice-claim#${invoiceId}`;
+
+// Fetch a record from another service, resolving to null when it does not exist
+const fetchFromService = async (url, headers = {}) => {
+  const response = await fetch(url, { headers });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Policy status follows its coverage period, so it is derived on read
+const withCurrentStatus = (policy) => {
+  if (policy.status === 'Cancelled') {
+    return policy;
+  }
+  if (policy.startDate > today()) {
+    return { ...policy, status: 'Pending' };
+  }
+  if (policy.endDate < today()) {
+    return { ...policy, status: 'Expired' };
+  }
+  return { ...policy, status: 'Active' };
+};
+
+// Scan the whole table, following LastEvaluatedKey past the 1 MB page limit
+const scanAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+// List records of one type, optionally narrowed to a single attribute value
+const listRecords = (recordType, filterAttribute, filterValue) => {
+  const params = {
+    TableName: tableName,
+    FilterExpression: 'recordType = :recordType',
+    ExpressionAttributeValues: {
+      ':recordType': recordType,
+    },
+  };
+
+  if (filterValue) {
+    params.FilterExpression += ` AND ${filterAttribute} = :filterValue`;
+    params.ExpressionAttributeValues[':filterValue'] = filterValue;
+  }
+
+  return scanAll(params);
+};
+
+// Get a record by ID, resolving to null unless it exists with the expected type
+const getRecord = async (recordType, id) => {
+  const result = await dynamoDB.get({
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  }).promise();
+
+  if (!result.Item || result.Item.recordType !== recordType) {
+    return null;
+  }
+
+  return result.Item;
+};
+
+// Billing clerks manage the insurers and plans on offer and settle claims.
+// Receptionists also record the policies pets are covered by and file claims.
+// Anyone signed in may read them.
+const BILLING_STAFF = [ROLES.BILLING_CLERK];
+const FRONT_DESK_STAFF = [ROLES.RECEPTIONIST, ROLES.BILLING_CLERK];
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get all providers
+app.get('/insurance/providers', async (req, res) => {
+  try {
+    const providers = await listRecords('provider');
+
+    res.status(200).json(providers);
+  } catch (error) {
+    logger.error('Error fetching insurance providers:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance providers' });
+  }
+});
+
+// Create provider
+app.post('/insurance/providers', requireRole(...BILLING_STAFF), async (req, res) => {
+  try {
+    const { name, phone, email } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const provider = {
+      id: uuidv4(),
+      recordType: 'provider',
+      name,
+      phone: phone || null,
+      email: email || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await dynamoDB.put({ TableName: tableName, Item: provider }).promise();
+
+    res.status(201).json(provider);
+  } catch (error) {
+    logger.error('Error creating insurance provider:', error);
+    res.status(500).json({ error: 'Failed to create insurance provider' });
+  }
+});
+
+// Get all plans
+app.get('/insurance/plans', async (req, res) => {
+  try {
+    const plans = await listRecords('plan', 'providerId', req.query.providerId);
+
+    res.status(200).json(plans);
+  } catch (error) {
+    logger.error('Error fetching insurance plans:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance plans' });
+  }
+});
+
+// Create plan
+app.post('/insurance/plans', requireRole(...BILLING_STAFF), async (req, res) => {
+  try {
+    const { providerId, name, coverageAmount, monthlyPremium } = req.body;
+
+    if (!providerId || !name || coverageAmount === undefined || monthlyPremium === undefined) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!(Number(coverageAmount) > 0) || !(Number(monthlyPremium) >= 0)) {
+      return res.status(400).json({ error: 'Coverage must be positive and premium must not be negative' });
+    }
+
+    const provider = await getRecord('provider', providerId);
+
+    if (!provider) {
+      return res.status(400).json({ error: 'Insurance provider not found' });
+    }
+
+    const plan = {
+      id: uuidv4(),
+      recordType: 'plan',
+      providerId,
+      providerName: provider.name,
+      name,
+      coverageAmount: roundCurrency(Number(coverageAmount)),
+      monthlyPremium: roundCurrency(Number(monthlyPremium)),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await dynamoDB.put({ TableName: tableName, Item: plan }).promise();
+
+    res.status(201).json(plan);
+  } catch (error) {
+    logger.error('Error creating insurance plan:', error);
+    res.status(500).json({ error: 'Failed to create insurance plan' });
+  }
+});
+
+// Get all policies
+app.get('/insurance/policies', async (req, res) => {
+  try {
+    const policies = await listRecords('policy', 'petId', req.query.petId);
+
+    res.status(200).json(policies.map(withCurrentStatus));
+  } catch (error) {
+    logger.error('Error fetching insurance policies:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance policies' });
+  }
+});
+
+// Get policy by ID
+app.get('/insurance/policies/:id', async (req, res) => {
+  try {
+    const policy = await getRecord('policy', req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    res.status(200).json(withCurrentStatus(policy));
+  } catch (error) {
+    logger.error(`Error fetching insurance policy ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch insurance policy' });
+  }
+});
+
+// Issue policy for a pet
+app.post('/insurance/policies', requireRole(...FRONT_DESK_STAFF), async (req, res) => {
+  try {
+    const { petId, planId, startDate } = req.body;
+
+    if (!petId || !planId || !startDate) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!isDate(startDate)) {
+      return res.status(400).json({ error: 'startDate must be a date in YYYY-MM-DD format' });
+    }
+
+    const plan = await getRecord('plan', planId);
+
+    if (!plan) {
+      return res.status(400).json({ error: 'Insurance plan not found' });
+    }
+
+    const pet = await fetchFromService(`${petServiceUrl}/pets/${encodeURIComponent(petId)}`, authHeaders(req));
+
+    if (!pet) {
+      return res.status(400).json({ error: 'Pet not found' });
+    }
+
+    const id = uuidv4();
+    const policy = {
+      id,
+      recordType: 'policy',
+      policyNumber: `POL-${startDate.slice(0, 4)}-${id.slice(0, 8).toUpperCase()}`,
+      petId,
+      planId,
+      planName: plan.name,
+      providerId: plan.providerId,
+      providerName: plan.providerName,
+      startDate,
+      endDate: policyEndDate(startDate),
+      coverageAmount: plan.coverageAmount,
+      remainingCoverage: plan.coverageAmount,
+      monthlyPremium: plan.monthlyPremium,
+      status: 'Active',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await dynamoDB.put({ TableName: tableName, Item: policy }).promise();
+
+    res.status(201).json(withCurrentStatus(policy));
+  } catch (error) {
+    logger.error('Error creating insurance policy:', error);
+    res.status(500).json({ error: 'Failed to create insurance policy' });
+  }
+});
+
+// Get all claims
+app.get('/insurance/claims', async (req, res) => {
+  try {
+    const claims = await listRecords('claim', 'policyId', req.query.policyId);
+
+    res.status(200).json(claims);
+  } catch (error) {
+    logger.error('Error fetching insurance claims:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance claims' });
+  }
+});
+
+// Get claim by ID
+app.get('/insurance/claims/:id', async (req, res) => {
+  try {
+    const claim = await getRecord('claim', req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.status(200).json(claim);
+  } catch (error) {
+    logger.error(`Error fetching insurance claim ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch insurance claim' });
+  }
+});
+
+// File claim against a visit invoice
+app.post('/insurance/claims', requireRole(...FRONT_DESK_STAFF), async (req, res) => {
+  try {
+    const { policyId, invoiceId, amount, notes } = req.body;
+
+    if (!policyId || !invoiceId) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const storedPolicy = await getRecord('policy', policyId);
+
+    if (!storedPolicy) {
+      return res.status(400).json({ error: 'Policy not found' });
+    }
+
+    const policy = withCurrentStatus(storedPolicy);
+
+    if (policy.status !== 'Active') {
+      return res.status(400).json({ error: `Claims cannot be filed against a policy that is ${policy.status}` });
+    }
+
+    const invoice = await fetchFromService(`${billingServiceUrl}/billing/invoices/${encodeURIComponent(invoiceId)}`, authHeaders(req));
+
+    if (!invoice) {
+      return res.status(400).json({ error: 'Invoice not found' });
+    }
+
+    if (invoice.petId !== policy.petId) {
+      return res.status(400).json({ error: 'Invoice is for a different pet than the policy covers' });
+    }
+
+    // Look through the claims rather than at the hold, which claims filed before
+    // invoices were held do not have, to name the claim already on the invoice
+    const openClaim = (await listRecords('claim', 'invoiceId', invoiceId)).find((other) => other.status !== 'Denied');
+
+    if (openClaim) {
+      return res.status(409).json({ error: `Invoice is already claimed under ${openClaim.claimNumber}`, claimId: openClaim.id });
+    }
+
+    const claimedAmount = roundCurrency(amount === undefined ? invoice.totalAmount : Number(amount));
+
+    if (!(claimedAmount > 0) || claimedAmount > invoice.totalAmount) {
+      return res.status(400).json({ error: 'Claimed amount must be positive and no more than the invoice total' });
+    }
+
+    const id = uuidv4();
+    const claim = {
+      id,
+      recordType: 'claim',
+      claimNumber: `CLM-${today().slice(0, 4)}-${id.slice(0, 8).toUpperCase()}`,
+      policyId,
+      petId: policy.petId,
+      invoiceId,
+      visitId: invoice.visitId,
+      claimedAmount,
+      approvedAmount: null,
+      status: 'Submitted',
+      notes: notes || null,
+      denialReason: null,
+      submittedAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: tableName,
+            Item: claim,
+          },
+        },
+        {
+          Put: {
+            TableName: tableName,
+            Item: {
+              id: invoiceHoldId(invoiceId),
+              recordType: 'invoiceHold',
+              claimId: id,
+            },
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+      ],
+    }).promise();
+
+    res.status(201).json(claim);
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return res.status(409).json({ error: 'Invoice was claimed by another request' });
+    }
+    logger.error('Error filing insurance claim:', error);
+    res.status(500).json({ error: 'Failed to file insurance claim' });
+  }
+});
+
+// Move claim to its next status
+app.put('/insurance/claims/:id/status', requireRole(...BILLING_STAFF), async (req, res) => {
+  try {
+    const { status, approvedAmount, denialReason } = req.body;
+
+    const claim = await getRecord('claim', req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    if (!CLAIM_TRANSITIONS[claim.status].includes(status)) {
+      return res.status(409).json({ error: `Claim cannot move from ${claim.status} to ${status}` });
+    }
+
+    const now = new Date().toISOString();
+    const claimUpdate = {
+      TableName: tableName,
+      Key: {
+        id: claim.id,
+      },
+      UpdateExpression: 'set #status = :status, updatedAt = :updatedAt',
+      ConditionExpression: '#status = :currentStatus',
+      ExpressionAttributeNames: {
+        '#status': 'status', // 'status' is a reserved keyword in DynamoDB
+      },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ':currentStatus': claim.status,
+        ':updatedAt': now,
+      },
+    };
+
+    if (status === 'Denied') {
+      if (!denialReason) {
+        return res.status(400).json({ error: 'A denial reason is required' });
+      }
+      claimUpdate.UpdateExpression += ', denialReason = :denialReason';
+      claimUpdate.ExpressionAttributeValues[':denialReason'] = denialReason;
+    }
+
+    if (status === 'Approved') {
+      const amount = roundCurrency(approvedAmount === undefined ? claim.claimedAmount : Number(approvedAmount));
+
+      if (!(amount > 0) || amount > claim.claimedAmount) {
+        return res.status(400).json({ error: 'Approved amount must be positive and no more than the claimed amount' });
+      }
+
+      claimUpdate.UpdateExpression += ', approvedAmount = :approvedAmount';
+      claimUpdate.ExpressionAttributeValues[':approvedAmount'] = amount;
+
+      // Approval draws down the policy's remaining coverage in the same transaction
+      await dynamoDB.transactWrite({
+        TransactItems: [
+          { Update: claimUpdate },
+          {
+            Update: {
+              TableName: tableName,
+              Key: {
+                id: claim.policyId,
+              },
+              UpdateExpression: 'set remainingCoverage = remainingCoverage - :amount, updatedAt = :updatedAt',
+              ConditionExpression: 'remainingCoverage >= :amount',
+              ExpressionAttributeValues: {
+                ':amount': amount,
+                ':updatedAt': now,
+              },
+            },
+          },
+        ],
+      }).promise();
+    } else if (status === 'Denied') {
+      // A denied claim lets go of its invoice so that a corrected claim can be filed
+      await dynamoDB.transactWrite({
+        TransactItems: [
+          { Update: claimUpdate },
+          {
+            Delete: {
+              TableName: tableName,
+              Key: {
+                id: invoiceHoldId(claim.invoiceId),
+              },
+              ConditionExpression: 'attribute_not_exists(id) OR claimId = :claimId',
+              ExpressionAttributeValues: {
+                ':claimId': claim.id,
+              },
+            },
+          },
+        ],
+      }).promise();
+    } else {
+      await dynamoDB.update(claimUpdate).promise();
+    }
+
+    const updatedClaim = await getRecord('claim', claim.id);
+
+    res.status(200).json(updatedClaim);
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException' && req.body.status === 'Approved') {
+      return res.status(409).json({ error: 'Approved amount exceeds the remaining coverage, or the claim was changed concurrently' });
+    }
+    if (error.code === 'TransactionCanceledException') {
+      return res.status(409).json({ error: 'Claim was changed concurrently, please retry' });
+    }
+    if (error.code === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ error: 'Claim was changed concurrently, please retry' });
+    }
+    logger.error(`Error updating insurance claim ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update insurance claim' });
+  }
+});
+
+// Start server
+app.listen(port, () => {
+  logger.info(`Insurance service listening on port ${port}`);
+});
+
+module.exports = app; // For testing
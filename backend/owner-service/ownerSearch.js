@@ -0,0 +1,57 @@
+// How GET /owners reads the owners table for a search. An email or phone is looked
+// up through its global secondary index, declared for the table in
+// infrastructure/main.tf, rather than by scanning every owner; a search by name alone
+// scans.
+const { applyFilters } = require('./pagination');
+const { archivedFilters } = require('./archive');
+
+const EMAIL_INDEX = 'email-index';
+const PHONE_INDEX = 'phone-index';
+
+// The read to make for a search in `query`, as { params, keyAttributes }, where
+// params.IndexName is set when it is a query of an index and keyAttributes are the
+// table and index keys a page of it resumes from
+const ownerSearch = (tableName, query) => {
+  const { email, phone, name } = query;
+  const filters = [
+    ['contains(#name, :name)', { ':name': name }],
+    // Only one of email and phone is looked up by index; the other is a filter
+    ...(email ? [['phone = :phone', { ':phone': phone }]] : []),
+    ...archivedFilters(query),
+  ];
+  let params = { TableName: tableName };
+  let keyAttributes = ['id'];
+
+  if (email) {
+    params = {
+      ...params,
+      IndexName: EMAIL_INDEX,
+      KeyConditionExpression: 'email = :email',
+      ExpressionAttributeValues: { ':email': email },
+    };
+    keyAttributes = ['id', 'email'];
+  } else if (phone) {
+    params = {
+      ...params,
+      IndexName: PHONE_INDEX,
+      KeyConditionExpression: 'phone = :phone',
+      ExpressionAttributeValues: { ':phone': phone },
+    };
+    keyAttributes = ['id', 'phone'];
+  }
+
+  params = applyFilters(params, filters);
+
+  // name is a DynamoDB reserved word
+  if (name) {
+    params = { ...params, ExpressionAttributeNames: { '#name': 'name' } };
+  }
+
+  return { params, keyAttributes };
+};
+
+module.exports = {
+  EMAIL_INDEX,
+  PHONE_INDEX,
+  ownerSearch,
+};
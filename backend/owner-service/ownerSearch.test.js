@@ -0,0 +1,48 @@
+const { ownerSearch } = require('./ownerSearch');
+
+describe('ownerSearch', () => {
+  it('looks an email up through its index, filtering on any phone given with it', () => {
+    expect(ownerSearch('owners', { email: 'sam@example.com', phone: '555-0100' })).toEqual({
+      params: {
+        TableName: 'owners',
+        IndexName: 'email-index',
+        KeyConditionExpression: 'email = :email',
+        FilterExpression: 'phone = :phone AND attribute_not_exists(archived)',
+        ExpressionAttributeValues: { ':email': 'sam@example.com', ':phone': '555-0100' },
+      },
+      keyAttributes: ['id', 'email'],
+    });
+  });
+
+  it('looks a phone up through its index when no email is given', () => {
+    expect(ownerSearch('owners', { phone: '555-0100', includeArchived: 'true' })).toEqual({
+      params: {
+        TableName: 'owners',
+        IndexName: 'phone-index',
+        KeyConditionExpression: 'phone = :phone',
+        ExpressionAttributeValues: { ':phone': '555-0100' },
+      },
+      keyAttributes: ['id', 'phone'],
+    });
+  });
+
+  it('scans for a search by name alone', () => {
+    expect(ownerSearch('owners', { name: 'Sam' })).toEqual({
+      params: {
+        TableName: 'owners',
+        FilterExpression: 'contains(#name, :name) AND attribute_not_exists(archived)',
+        ExpressionAttributeNames: { '#name': 'name' },
+        ExpressionAttributeValues: { ':name': 'Sam' },
+      },
+      keyAttributes: ['id'],
+    });
+  });
+
+  it('narrows an index lookup by name', () => {
+    expect(ownerSearch('owners', { phone: '555-0100', name: 'Sam' }).params).toMatchObject({
+      IndexName: 'phone-index',
+      FilterExpression: 'contains(#name, :name) AND attribute_not_exists(archived)',
+      ExpressionAttributeNames: { '#name': 'name' },
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// One-off migration from the ownerName/ownerContact strings stored on each pet to
+// owner records. Pets naming the same owner (compared ignoring case and spacing, and
+// for phone numbers, punctuation) share one owner, which each of them then references
+// by ownerId in place of the strings. Every write is audited like an API change.
+//
+//   node scripts/migrate-pet-owners.js [--dry-run]
+//
+// Pets that already have an ownerId are left alone, so the migration can be re-run
+// after a failure; owners it created before are reused rather than duplicated.
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { auditPut } = require('../audit');
+const { currentVersion, versionCondition } = require('../etag');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const ownersTable = process.env.DYNAMODB_TABLE || 'pet-hospital-owners';
+const petsTable = process.env.PETS_TABLE || 'pet-hospital-pets';
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Audit entries name the migration as the actor
+const migrationRequest = { user: { username: 'owner-migration' } };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const scanAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const normalizeContact = (contact) => {
+  const trimmed = contact.trim().toLowerCase();
+
+  return EMAIL_PATTERN.test(trimmed) ? trimmed : trimmed.replace(/[^0-9+]/g, '');
+};
+
+const ownerKey = (name, contact) => `${normalizeName(name)}|${normalizeContact(contact)}`;
+
+const newOwner = (pet) => {
+  const contact = pet.ownerContact.trim();
+  const timestamp = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    name: pet.ownerName.trim().replace(/\s+/g, ' '),
+    email: EMAIL_PATTERN.test(contact) ? contact : null,
+    phone: EMAIL_PATTERN.test(contact) ? null : contact,
+    address: null,
+    communicationPreferences: {
+      preferredChannel: EMAIL_PATTERN.test(contact) ? 'email' : 'phone',
+      appointmentReminders: true,
+      vaccinationReminders: true,
+      marketing: false,
+    },
+    notes: null,
+    version: 1,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+};
+
+const createOwner = (owner) => dynamoDB.transactWrite({
+  TransactItems: [
+    {
+      Put: {
+        TableName: ownersTable,
+        Item: owner,
+        ConditionExpression: 'attribute_not_exists(id)',
+      },
+    },
+    auditPut(migrationRequest, 'owner', 'create', null, owner),
+  ],
+}).promise();
+
+// Point a pet at its owner, dropping the strings it replaces
+const linkPet = (pet, ownerId) => {
+  const { ownerName, ownerContact, ...rest } = pet;
+  const nextPet = {
+    ...rest,
+    ownerId,
+    version: currentVersion(pet) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+
+  return dynamoDB.transactWrite({
+    TransactItems: [
+      {
+        Put: {
+          TableName: petsTable,
+          Item: nextPet,
+          ...versionCondition(pet),
+        },
+      },
+      auditPut(migrationRequest, 'pet', 'update', pet, nextPet),
+    ],
+  }).promise();
+};
+
+const main = async () => {
+  const owners = new Map();
+
+  (await scanAll({ TableName: ownersTable })).forEach((owner) => {
+    const contact = owner.email || owner.phone;
+
+    if (contact) {
+      owners.set(ownerKey(owner.name, contact), owner);
+    }
+  });
+
+  const pets = (await scanAll({ TableName: petsTable })).filter((pet) => !pet.ownerId);
+  let created = 0;
+  let skipped = 0;
+
+  for (const pet of pets) {
+    if (!pet.ownerName || !pet.ownerContact) {
+      console.warn(`Skipping pet ${pet.id}: it has no owner name or contact`);
+      skipped += 1;
+      continue;
+    }
+
+    const key = ownerKey(pet.ownerName, pet.ownerContact);
+    let owner = owners.get(key);
+
+    if (!owner) {
+      owner = newOwner(pet);
+      owners.set(key, owner);
+      created += 1;
+
+      if (!dryRun) {
+        await createOwner(owner);
+      }
+    }
+
+    console.log(`Pet ${pet.id} (${pet.name}) -> owner ${owner.id} (${owner.name})`);
+
+    if (!dryRun) {
+      await linkPet(pet, owner.id);
+    }
+  }
+
+  console.log(`${dryRun ? 'Would link' : 'Linked'} ${pets.length - skipped} pets to owners, creating ${created} owners; skipped ${skipped}`);
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,603 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { PaginationError, parsePageParams, scanPage, queryPage } = require('./pagination');
+const { validate, pickFields } = require('./validation');
+const { isPlainObject, applyMergePatch } = require('./mergePatch');
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+const { archiveFields, withoutArchiveFields } = require('./archive');
+const { auditPut, historyQuery } = require('./audit');
+const { ownerSearch } = require('./ownerSearch');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'owner-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info({
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  });
+  next();
+});
+
+// Configure AWS
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-owners';
+
+// Other services
+const petServiceUrl = process.env.PET_SERVICE_URL || 'http://pet-service:3000';
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'country'];
+const CONTACT_CHANNELS = ['email', 'phone', 'sms', 'mail'];
+const REMINDER_TYPES = ['appointmentReminders', 'vaccinationReminders', 'marketing'];
+
+// Reminders about appointments and vaccinations are on unless an owner opts out
+const DEFAULT_PREFERENCES = {
+  appointmentReminders: true,
+  vaccinationReminders: true,
+  marketing: false,
+};
+
+const checkAddress = (address) => {
+  const unknown = Object.keys(address).find((field) => !ADDRESS_FIELDS.includes(field));
+
+  if (unknown) {
+    return `has an unknown field ${unknown}; expected ${ADDRESS_FIELDS.join(', ')}`;
+  }
+
+  const invalid = ADDRESS_FIELDS.find((field) => address[field] !== undefined && address[field] !== null
+    && (typeof address[field] !== 'string' || address[field].length > 100));
+
+  return invalid ? `${invalid} must be a string of at most 100 characters` : null;
+};
+
+const checkPreferences = (preferences) => {
+  const unknown = Object.keys(preferences).find((field) => field !== 'preferredChannel' && !REMINDER_TYPES.includes(field));
+
+  if (unknown) {
+    return `has an unknown field ${unknown}`;
+  }
+  if (preferences.preferredChannel !== undefined && !CONTACT_CHANNELS.includes(preferences.preferredChannel)) {
+    return `preferredChannel must be one of: ${CONTACT_CHANNELS.join(', ')}`;
+  }
+
+  const invalid = REMINDER_TYPES.find((field) => preferences[field] !== undefined && typeof preferences[field] !== 'boolean');
+
+  return invalid ? `${invalid} must be true or false` : null;
+};
+
+// Request body schema, shared by create, replace and merge-patch updates
+const ownerSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  email: { type: 'string', maxLength: 254, format: 'email' },
+  phone: { type: 'string', format: 'phone' },
+  address: { type: 'object', check: checkAddress },
+  communicationPreferences: { type: 'object', check: checkPreferences },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
+// Schema problems, plus the one rule a per-field schema can't express: there has
+// to be some way of reaching the owner
+const validateOwner = (body) => {
+  const details = validate(ownerSchema, body);
+
+  if (details.length === 0 && !body.email && !body.phone) {
+    details.push({ field: 'email', message: 'or phone is required' });
+  }
+
+  return details;
+};
+
+const validateOwnerBody = (req, res, next) => {
+  const details = validateOwner(req.body);
+
+  if (details.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details });
+  }
+
+  next();
+};
+
+// The fields stored for an owner, with any preferences left out taking their defaults.
+// Owners are contacted by email when they have an address, by phone otherwise.
+const ownerFields = (body) => {
+  const fields = pickFields(ownerSchema, body);
+
+  return {
+    ...fields,
+    communicationPreferences: {
+      ...DEFAULT_PREFERENCES,
+      preferredChannel: fields.email ? 'email' : 'phone',
+      ...fields.communicationPreferences,
+    },
+  };
+};
+
+// Fetch an owner, resolving to null when it does not exist
+const getOwner = async (id) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || null;
+};
+
+// Store owner as the next version of existingOwner, auditing it as `action`. Fails
+// with TransactionCanceledException if the owner changed after existingOwner was read.
+const saveOwner = async (existingOwner, owner, req, action) => {
+  const nextOwner = {
+    ...owner,
+    version: currentVersion(existingOwner) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextOwner,
+          ...versionCondition(existingOwner),
+        },
+      },
+      auditPut(req, 'owner', action, existingOwner, nextOwner),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextOwner;
+};
+
+// Store an owner's full representation, keeping server-managed attributes such as id and createdAt
+const replaceOwner = (existingOwner, body, req) => saveOwner(existingOwner, {
+  ...existingOwner,
+  ...ownerFields(body),
+}, req, 'update');
+
+// Call another service, resolving to null when the record does not exist
+const fetchFromService = async (url, { method = 'GET', body, contentType = 'application/json', headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { ...headers, 'Content-Type': contentType },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`${method} ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Fetch every pet an owner has, following pet-service's pagination. With `linked`,
+// fetch the pets they are linked to in another role, such as co-owner, instead.
+const fetchOwnerPets = async (req, ownerId, { includeArchived = false, linked = false } = {}) => {
+  const pets = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({
+      limit: '100',
+      ...(includeArchived ? { includeArchived: 'true' } : {}),
+      ...(cursor ? { cursor } : {}),
+    });
+    const path = linked ? 'linked-pets' : 'pets';
+    const page = await fetchFromService(`${petServiceUrl}/owners/${encodeURIComponent(ownerId)}/${path}?${query}`, {
+      headers: authHeaders(req),
+    });
+    pets.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return pets;
+};
+
+// Answer a write that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Owner was modified by another request, reload it and try again',
+});
+
+// Front desk staff and vets keep owners' details up to date; anyone signed in may read them
+const OWNER_EDITORS = [ROLES.VETERINARIAN, ROLES.RECEPTIONIST];
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get all owners, optionally filtered by name, email or phone. An email or phone is
+// looked up through its index rather than by scanning every owner.
+// Archived owners are left out unless includeArchived=true.
+app.get('/owners', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const { params, keyAttributes } = ownerSearch(tableName, req.query);
+    
+    const result = params.IndexName
+      ? await queryPage(dynamoDB, params, page, keyAttributes)
+      : await scanPage(dynamoDB, params, page);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fetching owners:', error);
+    res.status(500).json({ error: 'Failed to fetch owners' });
+  }
+});
+
+// Get owner by ID
+app.get('/owners/:id', async (req, res) => {
+  try {
+    const params = {
+      TableName: tableName,
+      Key: {
+        id: req.params.id,
+      },
+    };
+    
+    const result = await dynamoDB.get(params).promise();
+    
+    if (!result.Item) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    res.set('ETag', formatETag(result.Item));
+    res.status(200).json(result.Item);
+  } catch (error) {
+    logger.error(`Error fetching owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch owner' });
+  }
+});
+
+// Get an owner's change history, newest first
+app.get('/owners/:id/history', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    
+    const result = await queryPage(dynamoDB, historyQuery('owner', req.params.id), page, ['resourceKey', 'version']);
+    
+    // A purged owner keeps its history, so only one with neither is unknown
+    if (result.items.length === 0 && !req.query.cursor && !(await getOwner(req.params.id))) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching history for owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch owner history' });
+  }
+});
+
+// Create owner
+app.post('/owners', requireRole(...OWNER_EDITORS), validateOwnerBody, async (req, res) => {
+  try {
+    const owner = {
+      id: uuidv4(),
+      ...ownerFields(req.body),
+      version: 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    
+    const params = {
+      TransactItems: [
+        {
+          Put: {
+            TableName: tableName,
+            Item: owner,
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+        auditPut(req, 'owner', 'create', null, owner),
+      ],
+    };
+    
+    await dynamoDB.transactWrite(params).promise();
+    
+    res.set('ETag', formatETag(owner));
+    res.status(201).json(owner);
+  } catch (error) {
+    logger.error('Error creating owner:', error);
+    res.status(500).json({ error: 'Failed to create owner' });
+  }
+});
+
+// Replace owner with a full representation; omitted optional fields are cleared
+app.put('/owners/:id', requireRole(...OWNER_EDITORS), validateOwnerBody, async (req, res) => {
+  try {
+    const existingOwner = await getOwner(req.params.id);
+    
+    if (!existingOwner) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingOwner)) {
+      return res.status(412).json({ error: 'Owner has changed since it was read', etag: formatETag(existingOwner) });
+    }
+    
+    if (existingOwner.archived) {
+      return res.status(409).json({ error: 'Owner is archived, restore it before changing it' });
+    }
+    
+    const owner = await replaceOwner(existingOwner, req.body, req);
+    
+    res.set('ETag', formatETag(owner));
+    res.status(200).json(owner);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error updating owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update owner' });
+  }
+});
+
+// Update owner with a JSON Merge Patch, where null clears a field
+app.patch('/owners/:id', requireRole(...OWNER_EDITORS), async (req, res) => {
+  try {
+    if (!req.is('application/merge-patch+json')) {
+      return res.status(415).json({ error: 'PATCH bodies must be sent as application/merge-patch+json' });
+    }
+    
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Merge patch must be a JSON object' });
+    }
+    
+    const existingOwner = await getOwner(req.params.id);
+    
+    if (!existingOwner) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingOwner)) {
+      return res.status(412).json({ error: 'Owner has changed since it was read', etag: formatETag(existingOwner) });
+    }
+    
+    if (existingOwner.archived) {
+      return res.status(409).json({ error: 'Owner is archived, restore it before changing it' });
+    }
+    
+    // Patch the current representation, then validate the result as a whole
+    const patchedOwner = applyMergePatch(pickFields(ownerSchema, existingOwner), req.body);
+    const details = validateOwner(patchedOwner);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const owner = await replaceOwner(existingOwner, patchedOwner, req);
+    
+    res.set('ETag', formatETag(owner));
+    res.status(200).json(owner);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error patching owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update owner' });
+  }
+});
+
+// Archive owner, honouring If-Match. An owner with pets is only archived when the
+// request says what happens to them: ?reassignTo=<ownerId> moves them to another
+// owner and ?cascade=true archives them too.
+app.delete('/owners/:id', requireRole(...OWNER_EDITORS), async (req, res) => {
+  try {
+    const existingOwner = await getOwner(req.params.id);
+    
+    if (!existingOwner) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingOwner)) {
+      return res.status(412).json({ error: 'Owner has changed since it was read', etag: formatETag(existingOwner) });
+    }
+    
+    if (existingOwner.archived) {
+      return res.status(409).json({ error: 'Owner is already archived' });
+    }
+    
+    const { reassignTo, cascade } = req.query;
+    
+    if (reassignTo && cascade) {
+      return res.status(400).json({ error: 'Use either reassignTo or cascade, not both' });
+    }
+    
+    const pets = await fetchOwnerPets(req, existingOwner.id);
+    
+    if (pets.length > 0) {
+      // Changes to the pets are made on behalf of whoever archives the owner
+      const headers = authHeaders(req);
+      
+      if (reassignTo) {
+        const targetOwner = reassignTo === existingOwner.id ? null : await getOwner(reassignTo);
+        
+        if (!targetOwner || targetOwner.archived) {
+          return res.status(400).json({ error: 'Owner to reassign pets to not found' });
+        }
+        
+        for (const pet of pets) {
+          await fetchFromService(`${petServiceUrl}/pets/${encodeURIComponent(pet.id)}/transfer`, {
+            method: 'POST',
+            body: { ownerId: reassignTo, reason: `Previous owner ${existingOwner.name} archived` },
+            headers,
+          });
+        }
+      } else if (cascade === 'true') {
+        for (const pet of pets) {
+          await fetchFromService(`${petServiceUrl}/pets/${encodeURIComponent(pet.id)}`, { method: 'DELETE', headers });
+        }
+      } else {
+        const count = pets.length;
+        return res.status(409).json({
+          error: `Owner has ${count} pet${count === 1 ? '' : 's'}; reassign them with ?reassignTo=<ownerId> or archive them with ?cascade=true`,
+          petCount: count,
+        });
+      }
+    }
+    
+    const owner = await saveOwner(existingOwner, { ...existingOwner, ...archiveFields(req) }, req, 'archive');
+    
+    res.set('ETag', formatETag(owner));
+    res.status(200).json(owner);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error archiving owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to archive owner' });
+  }
+});
+
+// Restore an archived owner, honouring If-Match. Pets archived along with them
+// stay archived until they are restored themselves.
+app.post('/owners/:id/restore', requireRole(...OWNER_EDITORS), async (req, res) => {
+  try {
+    const existingOwner = await getOwner(req.params.id);
+    
+    if (!existingOwner) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingOwner)) {
+      return res.status(412).json({ error: 'Owner has changed since it was read', etag: formatETag(existingOwner) });
+    }
+    
+    if (!existingOwner.archived) {
+      return res.status(409).json({ error: 'Owner is not archived' });
+    }
+    
+    const owner = await saveOwner(existingOwner, withoutArchiveFields(existingOwner), req, 'restore');
+    
+    res.set('ETag', formatETag(owner));
+    res.status(200).json(owner);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error restoring owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to restore owner' });
+  }
+});
+
+// Permanently delete an archived owner; administrators only
+app.post('/owners/:id/purge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existingOwner = await getOwner(req.params.id);
+    
+    if (!existingOwner) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingOwner)) {
+      return res.status(412).json({ error: 'Owner has changed since it was read', etag: formatETag(existingOwner) });
+    }
+    
+    if (!existingOwner.archived) {
+      return res.status(409).json({ error: 'Only archived owners can be purged' });
+    }
+    
+    const pets = await fetchOwnerPets(req, existingOwner.id, { includeArchived: true });
+    
+    if (pets.length > 0) {
+      const count = pets.length;
+      return res.status(409).json({
+        error: `Owner still has ${count} pet${count === 1 ? '' : 's'}, including archived ones; reassign or purge them first`,
+        petCount: count,
+      });
+    }
+    
+    const linkedPets = await fetchOwnerPets(req, existingOwner.id, { includeArchived: true, linked: true });
+    
+    if (linkedPets.length > 0) {
+      const count = linkedPets.length;
+      return res.status(409).json({
+        error: `Owner is still linked to ${count} pet${count === 1 ? '' : 's'} as a co-owner or contact; unlink them first`,
+        linkedPetCount: count,
+      });
+    }
+    
+    const params = {
+      TransactItems: [
+        {
+          Delete: {
+            TableName: tableName,
+            Key: {
+              id: req.params.id,
+            },
+            ...versionCondition(existingOwner),
+          },
+        },
+        auditPut(req, 'owner', 'purge', existingOwner, null),
+      ],
+    };
+    
+    await dynamoDB.transactWrite(params).promise();
+    
+    res.status(200).json({ message: 'Owner purged successfully' });
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error purging owner ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to purge owner' });
+  }
+});
+
+// Start server
+app.listen(port, () => {
+  logger.info(`Owner service listening on port ${port}`);
+});
+
+module.exports = app; // For testing
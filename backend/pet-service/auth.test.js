@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tokens are verified against a JWKS file written here, as a service run offline would be
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const jwksFile = path.join(directory, 'jwks.json');
+
+fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key' }] }));
+process.env.JWKS_FILE = jwksFile;
+
+const { ROLES, TOKEN_ISSUER, authenticate, requireRole } = require('./auth');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (claims = {}, { key = privateKey, header = { alg: 'RS256', typ: 'JWT', kid: 'test-key' } } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: 'user-1',
+    username: 'jdoe',
+    name: 'Jane Doe',
+    role: ROLES.VETERINARIAN,
+    iss: TOKEN_ISSUER,
+    iat: now,
+    exp: now + 900,
+    ...claims,
+  };
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key).toString('base64url');
+
+  return `${signingInput}.${signature}`;
+};
+
+const mockRequest = (headers = {}, user) => ({
+  user,
+  get: (name) => headers[name],
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+const runAuthenticate = async (authorization) => {
+  const req = mockRequest(authorization === undefined ? {} : { Authorization: authorization });
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await authenticate(req, res, next);
+
+  return { req, res, next };
+};
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('authenticate', () => {
+  it('accepts a token signed with a key from the JWKS file and exposes its user', async () => {
+    const { req, res, next } = await runAuthenticate(`Bearer ${signToken()}`);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(req.user).toEqual({ id: 'user-1', username: 'jdoe', name: 'Jane Doe', role: ROLES.VETERINARIAN });
+  });
+
+  it('asks for a token when none is given', async () => {
+    const { res, next } = await runAuthenticate(undefined);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+  });
+
+  it('rejects a scheme other than Bearer', async () => {
+    const { res, next } = await runAuthenticate(`Basic ${signToken()}`);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it.each([
+    ['a malformed token', 'not-a-token', 'Malformed token'],
+    ['a token signed with another key', signToken({}, { key: otherKey }), 'Invalid token signature'],
+    ['an expired token', signToken({ exp: Math.floor(Date.now() / 1000) - 3600 }), 'Token has expired'],
+    ['a token from another issuer', signToken({ iss: 'someone-else' }), 'Token was not issued by auth-service'],
+    ['a token with an unknown role', signToken({ role: 'superuser' }), 'Token has an unknown role'],
+  ])('rejects %s', async (description, token, message) => {
+    const { res, next } = await runAuthenticate(`Bearer ${token}`);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ error: message });
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer error="invalid_token"');
+  });
+
+  it('rejects an unsigned token', async () => {
+    const token = signToken({}, { header: { alg: 'none', typ: 'JWT' } });
+    const { res } = await runAuthenticate(`Bearer ${token.split('.').slice(0, 2).join('.')}.`);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ error: 'Unsupported token algorithm' });
+  });
+
+  it('tolerates a little clock difference on expiry', async () => {
+    const { next } = await runAuthenticate(`Bearer ${signToken({ exp: Math.floor(Date.now() / 1000) - 10 })}`);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('requireRole', () => {
+  const runRequireRole = (roles, user) => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireRole(...roles)(mockRequest({}, user), res, next);
+
+    return { res, next };
+  };
+
+  it('lets through a user with one of the roles', () => {
+    const { next } = runRequireRole([ROLES.VETERINARIAN, ROLES.RECEPTIONIST], { role: ROLES.RECEPTIONIST });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('forbids a user with another role', () => {
+    const { res, next } = runRequireRole([ROLES.VETERINARIAN], { role: ROLES.READ_ONLY });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('forbids a request that was not authenticated', () => {
+    const { res, next } = runRequireRole([ROLES.VETERINARIAN], undefined);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  it.each(Object.values(ROLES).filter((role) => role !== ROLES.ADMIN))('lets an admin through a check for %s', (role) => {
+    const { next } = runRequireRole([role], { role: ROLES.ADMIN });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('lets an admin through a check naming no roles', () => {
+    const { next } = runRequireRole([], { role: ROLES.ADMIN });
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+const { PaginationError, parsePageParams, scanPage, queryPage, applyFilters } = require('./pagination');
+
+// A table read the way DynamoDB reads one: up to Limit items are read after
+// ExclusiveStartKey, then `keep` drops some, as a FilterExpression would, so a
+// read can come back with fewer items than its Limit
+const fakeTable = (items, keyAttributes, keep = () => true) => {
+  const reads = [];
+  const sameKey = (item, key) => keyAttributes.every((attribute) => item[attribute] === key[attribute]);
+  const read = (params) => {
+    reads.push(params);
+    const start = params.ExclusiveStartKey ? items.findIndex((item) => sameKey(item, params.ExclusiveStartKey)) + 1 : 0;
+    const evaluated = items.slice(start, start + params.Limit);
+    const last = evaluated[evaluated.length - 1];
+
+    return {
+      promise: async () => ({
+        Items: evaluated.filter(keep),
+        LastEvaluatedKey: start + params.Limit < items.length
+          ? Object.fromEntries(keyAttributes.map((attribute) => [attribute, last[attribute]]))
+          : undefined,
+      }),
+    };
+  };
+
+  return { reads, scan: read, query: read };
+};
+
+const pets = Array.from({ length: 23 }, (_, index) => ({ id: `pet-${String(index).padStart(2, '0')}`, species: index % 3 === 0 ? 'cat' : 'dog' }));
+
+// Follow nextCursor through every page, the way a client would
+const readAll = async (readPage, query) => {
+  const pages = [];
+  let cursor = null;
+
+  do {
+    const page = await readPage(parsePageParams({ ...query, ...(cursor ? { cursor } : {}) }));
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return pages;
+};
+
+describe('parsePageParams', () => {
+  it('defaults to 20 items from the start', () => {
+    expect(parsePageParams({})).toEqual({ limit: 20, startKey: undefined });
+  });
+
+  it.each(['0', '101', '2.5', 'ten'])('rejects a limit of %s', (limit) => {
+    expect(() => parsePageParams({ limit })).toThrow(PaginationError);
+  });
+
+  it.each(['not base64 json', Buffer.from('[1,2]').toString('base64url'), Buffer.from('null').toString('base64url')])(
+    'rejects the cursor %s',
+    (cursor) => {
+      expect(() => parsePageParams({ cursor })).toThrow(new PaginationError('Invalid cursor'));
+    },
+  );
+});
+
+describe('scanPage', () => {
+  it('pages through a table, each cursor resuming where the last page ended', async () => {
+    const table = fakeTable(pets, ['id']);
+    const pages = await readAll((page) => scanPage(table, { TableName: 'pets' }, page), { limit: '10' });
+
+    expect(pages.map((page) => page.items.length)).toEqual([10, 10, 3]);
+    expect(pages.flatMap((page) => page.items)).toEqual(pets);
+    expect(pages[pages.length - 1].nextCursor).toBeNull();
+  });
+
+  it('hands back an opaque cursor that decodes to the key of the last item', async () => {
+    const table = fakeTable(pets, ['id']);
+    const { items, nextCursor } = await scanPage(table, { TableName: 'pets' }, parsePageParams({ limit: '5' }));
+
+    expect(nextCursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(parsePageParams({ cursor: nextCursor }).startKey).toEqual({ id: items[4].id });
+  });
+
+  it('fills short filtered pages and trims long ones without skipping or repeating items', async () => {
+    // Two in every three pets are dogs, so each page takes two reads and keeps three of the four dogs found
+    const table = fakeTable(pets, ['id'], (pet) => pet.species === 'dog');
+    const dogs = pets.filter((pet) => pet.species === 'dog');
+    const pages = await readAll((page) => scanPage(table, { TableName: 'pets' }, page), { limit: '3' });
+
+    expect(pages.flatMap((page) => page.items)).toEqual(dogs);
+    expect(pages.slice(0, -1).every((page) => page.items.length === 3)).toBe(true);
+  });
+
+  it.each([
+    ['a key of another table', { petId: 'pet-01', id: 'visit-1' }],
+    ['a key missing its attribute', {}],
+    ['a key with a value that is not a string or number', { id: { S: 'pet-01' } }],
+  ])('rejects a cursor holding %s without reading', async (description, key) => {
+    const table = fakeTable(pets, ['id']);
+    const cursor = Buffer.from(JSON.stringify(key)).toString('base64url');
+
+    await expect(scanPage(table, { TableName: 'pets' }, parsePageParams({ cursor })))
+      .rejects.toThrow(new PaginationError('Invalid cursor'));
+    expect(table.reads).toEqual([]);
+  });
+});
+
+describe('queryPage', () => {
+  it('resumes an index query from a cursor holding the table and index keys', async () => {
+    const visits = pets.map((pet, index) => ({ id: `visit-${index}`, petId: 'pet-1', date: `2026-01-${String(index + 1).padStart(2, '0')}` }));
+    const table = fakeTable(visits, ['id', 'petId', 'date'], (visit) => visit.date.endsWith('5') === false);
+    const pages = await readAll((page) => queryPage(table, { TableName: 'visits' }, page, ['id', 'petId', 'date']), { limit: '4' });
+
+    expect(pages.flatMap((page) => page.items)).toEqual(visits.filter((visit) => !visit.date.endsWith('5')));
+    expect(parsePageParams({ cursor: pages[0].nextCursor }).startKey).toEqual({
+      id: pages[0].items[3].id,
+      petId: 'pet-1',
+      date: pages[0].items[3].date,
+    });
+    expect(table.reads[0]).toMatchObject({ TableName: 'visits', Limit: 4, ExclusiveStartKey: undefined });
+  });
+
+  it('rejects a cursor holding only the table key of an index query', async () => {
+    const table = fakeTable([], ['id', 'petId', 'date']);
+    const cursor = Buffer.from(JSON.stringify({ id: 'visit-1' })).toString('base64url');
+
+    await expect(queryPage(table, { TableName: 'visits' }, parsePageParams({ cursor }), ['id', 'petId', 'date']))
+      .rejects.toThrow(PaginationError);
+  });
+});
+
+describe('applyFilters', () => {
+  const params = { TableName: 'pets', FilterExpression: 'ownerId = :ownerId', ExpressionAttributeValues: { ':ownerId': 'o-1' } };
+
+  it('adds the clauses whose values are given', () => {
+    expect(applyFilters(params, [
+      ['species = :species', { ':species': 'cat' }],
+      ['breed = :breed', { ':breed': '' }],
+      ['attribute_not_exists(archived)', {}],
+    ])).toEqual({
+      TableName: 'pets',
+      FilterExpression: 'ownerId = :ownerId AND species = :species AND attribute_not_exists(archived)',
+      ExpressionAttributeValues: { ':ownerId': 'o-1', ':species': 'cat' },
+    });
+  });
+
+  it('leaves the params alone when no clause applies', () => {
+    expect(applyFilters(params, [['species = :species', { ':species': undefined }]])).toBe(params);
+  });
+
+  it('leaves out ExpressionAttributeValues when no clause has a value', () => {
+    expect(applyFilters({ TableName: 'pets' }, [['attribute_not_exists(archived)', {}]]).ExpressionAttributeValues).toBeUndefined();
+  });
+});
@@ -4,6 +4,14 @@ const cors = require('cors');
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const { PaginationError, encodeCursor, parsePageParams, scanPage, queryPage, applyFilters } = require('./pagination');
+const { validate, validateBody, pickFields } = require('./validation');
+const { isPlainObject, applyMergePatch } = require('./mergePatch');
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+const { requestActor, archivedFilters, archiveFields, withoutArchiveFields } = require('./archive');
+const { auditPut, historyQuery } = require('./audit');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+const { protocolFor, findVaccine, computeExpiryDate } = require('./vaccineProtocols');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -20,9 +28,13 @@ const logger = winston.createLogger({
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -44,28 +56,682 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
   region: process.env.AWS_REGION || 'us-west-2',
 });
 const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-pets';
+const linksTableName = process.env.OWNER_LINKS_TABLE || 'pet-hospital-pet-owner-links';
+const medicalRecordsTableName = process.env.MEDICAL_RECORDS_TABLE || 'pet-hospital-medical-records';
+
+// Global secondary indexes declared for these tables in infrastructure/main.tf
+const OWNER_INDEX = 'ownerId-index';
+const DUE_INDEX = 'category-dueDate-index';
+
+// Other services
+const visitServiceUrl = process.env.VISIT_SERVICE_URL || 'http://visit-service:3000';
+const ownerServiceUrl = process.env.OWNER_SERVICE_URL || 'http://owner-service:3000';
+const doctorServiceUrl = process.env.DOCTOR_SERVICE_URL || 'http://doctor-service:3000';
+
+// Request body schema, shared by create, replace and merge-patch updates
+const petSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  species: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  breed: { type: 'string', maxLength: 100 },
+  age: { type: 'number', min: 0, max: 50 },
+  ownerId: { type: 'string', required: true },
+};
+
+// How people other than a pet's owner are linked to it. The owner is the pet's
+// ownerId; anyone else is listed in its linkedOwners as { ownerId, role, since }.
+const LINK_ROLES = ['co_owner', 'emergency_contact', 'authorized_pickup'];
+
+const linkSchema = {
+  role: { type: 'string', required: true, enum: LINK_ROLES },
+};
+
+// A change of owner. The previous owner can stay linked to the pet in another role.
+const transferSchema = {
+  ownerId: { type: 'string', required: true },
+  effectiveDate: { type: 'string', format: 'date' },
+  reason: { type: 'string', maxLength: 500 },
+  previousOwnerRole: { type: 'string', enum: LINK_ROLES },
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// When the current owner took the pet on; pets that have never changed hands
+// have been with them since they were registered
+const ownerSince = (pet) => pet.ownerSince || pet.createdAt.slice(0, 10);
+
+// Medical history. A pet's allergies, conditions and medications are collections
+// under it, stored in one table keyed by pet and told apart by category. Each
+// entry names the clinician (a doctor) who recorded it.
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const RECORD_STATUSES = ['active', 'inactive'];
+
+const medicalRecordSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  status: { type: 'string', enum: RECORD_STATUSES, default: 'active' },
+  severity: { type: 'string', enum: SEVERITIES },
+  onsetDate: { type: 'string', format: 'date' },
+  resolutionDate: { type: 'string', format: 'date' },
+  clinicianId: { type: 'string', required: true },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
+// Request body schema for each collection, keyed by the path it is served under
+const MEDICAL_RECORD_SCHEMAS = {
+  allergies: {
+    ...medicalRecordSchema,
+    reaction: { type: 'string', maxLength: 500 },
+  },
+  conditions: medicalRecordSchema,
+  medications: {
+    ...medicalRecordSchema,
+    dosage: { type: 'string', required: true, maxLength: 200 },
+    frequency: { type: 'string', maxLength: 100 },
+  },
+};
+
+// Vaccinations are kept with the rest of the medical history, one record per dose,
+// naming the doctor who gave it as its clinician. A dose's expiryDate comes from the
+// vaccine protocol for the pet's species (see vaccineProtocols.js); vaccines outside
+// the protocol need one given.
+const vaccinationSchema = {
+  vaccine: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  administeredDate: { type: 'string', required: true, format: 'date' },
+  expiryDate: { type: 'string', format: 'date' },
+  lotNumber: { type: 'string', maxLength: 100 },
+  manufacturer: { type: 'string', maxLength: 200 },
+  clinicianId: { type: 'string', required: true },
+  visitId: { type: 'string' },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
+// The name each collection's entries are audited under
+const MEDICAL_RECORD_RESOURCES = {
+  allergies: 'allergy',
+  conditions: 'condition',
+  medications: 'medication',
+  vaccinations: 'vaccination',
+};
+
+// Route parameters matching the collections written through MEDICAL_RECORD_SCHEMAS,
+// and every collection including vaccinations
+const MEDICAL_CATEGORY = `:category(${Object.keys(MEDICAL_RECORD_SCHEMAS).join('|')})`;
+const RECORD_CATEGORY = `:category(${Object.keys(MEDICAL_RECORD_RESOURCES).join('|')})`;
+
+// Schema problems, plus the order of the two dates
+const validateMedicalRecord = (category, body) => {
+  const details = validate(MEDICAL_RECORD_SCHEMAS[category], body);
+
+  if (details.length === 0 && body.onsetDate && body.resolutionDate && body.resolutionDate < body.onsetDate) {
+    details.push({ field: 'resolutionDate', message: 'cannot be before the onset date' });
+  }
+
+  return details;
+};
+
+// Schema problems, plus doses recorded ahead of time
+const validateVaccination = (body) => {
+  const details = validate(vaccinationSchema, body);
+  
+  if (details.length === 0 && body.administeredDate > today()) {
+    details.push({ field: 'administeredDate', message: 'cannot be in the future' });
+  }
+  
+  return details;
+};
+
+// How long to look ahead for due vaccinations, given as a number of days such as
+// 30d; null when it is not in that form
+const parseWithin = (within = '30d') => {
+  const match = /^(\d{1,3})d$/.exec(within);
+  
+  return match ? Number(match[1]) : null;
+};
+
+// Fetch a pet, resolving to null when it does not exist
+const getPet = async (id) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item || null;
+};
+
+// Writes keeping the links table, which is keyed by owner so that an owner's linked
+// pets can be listed, in step with a pet's linkedOwners. `pet` is null for a purge.
+const linkWrites = (existingPet, pet) => {
+  const before = existingPet.linkedOwners || [];
+  const after = (pet && pet.linkedOwners) || [];
+  const removed = before.filter((link) => !after.some((other) => other.ownerId === link.ownerId));
+  const changed = after.filter((link) => {
+    const previous = before.find((other) => other.ownerId === link.ownerId);
+    return !previous || previous.role !== link.role || previous.since !== link.since;
+  });
+  
+  return [
+    ...removed.map((link) => ({
+      Delete: {
+        TableName: linksTableName,
+        Key: {
+          ownerId: link.ownerId,
+          petId: existingPet.id,
+        },
+      },
+    })),
+    ...changed.map((link) => ({
+      Put: {
+        TableName: linksTableName,
+        Item: {
+          ownerId: link.ownerId,
+          petId: existingPet.id,
+          role: link.role,
+          since: link.since,
+        },
+      },
+    })),
+  ];
+};
+
+// Store pet as the next version of existingPet, auditing it as `action`. Fails
+// with TransactionCanceledException if the pet changed after existingPet was read.
+const savePet = async (existingPet, pet, req, action) => {
+  const nextPet = {
+    ...pet,
+    version: currentVersion(existingPet) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextPet,
+          ...versionCondition(existingPet),
+        },
+      },
+      ...linkWrites(existingPet, nextPet),
+      auditPut(req, 'pet', action, existingPet, nextPet),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextPet;
+};
+
+// Store a pet's full representation, keeping server-managed attributes such as id and createdAt
+const replacePet = (existingPet, body, req) => savePet(existingPet, {
+  ...existingPet,
+  ...pickFields(petSchema, body),
+}, req, 'update');
+
+// A page of an owner's pets, straight from the owner index
+const queryOwnerPets = (ownerId, filters, page) => queryPage(dynamoDB, applyFilters({
+  TableName: tableName,
+  IndexName: OWNER_INDEX,
+  KeyConditionExpression: 'ownerId = :ownerId',
+  ExpressionAttributeValues: {
+    ':ownerId': ownerId,
+  },
+}, filters), page, ['id', 'ownerId']);
+
+// A page of the pets of every owner whose name contains ownerName, read owner by owner
+// through the owner index in order of owner ID. Its cursor is the owner index's own,
+// so it names the owner a page stopped at as well as the pet to resume after.
+const queryPetsByOwnerName = async (req, ownerName, filters, { limit, startKey }) => {
+  if (startKey && typeof startKey.ownerId !== 'string') {
+    throw new PaginationError('Invalid cursor');
+  }
+  
+  const ownerIds = (await fetchOwnersNamed(req, ownerName)).map((owner) => owner.id).sort();
+  const items = [];
+  
+  // Owners before the one the cursor names were read on earlier pages
+  let position = startKey ? ownerIds.findIndex((ownerId) => ownerId >= startKey.ownerId) : 0;
+  if (position === -1) {
+    position = ownerIds.length;
+  }
+  
+  for (; position < ownerIds.length; position += 1) {
+    const ownerId = ownerIds[position];
+    const result = await queryOwnerPets(ownerId, filters, {
+      limit: limit - items.length,
+      startKey: startKey && startKey.ownerId === ownerId ? startKey : undefined,
+    });
+    items.push(...result.items);
+    
+    if (result.nextCursor) {
+      return { items, nextCursor: result.nextCursor };
+    }
+    if (items.length === limit) {
+      break;
+    }
+  }
+  
+  // A full page that used up its owner's pets resumes with the next owner
+  const lastItem = items[items.length - 1];
+  
+  return {
+    items,
+    nextCursor: position < ownerIds.length - 1 ? encodeCursor({ id: lastItem.id, ownerId: lastItem.ownerId }) : null,
+  };
+};
+
+// A page of the pets an owner is linked to without owning, each with the owner's role
+const queryLinkedPets = async (ownerId, query, page) => {
+  const result = await queryPage(dynamoDB, {
+    TableName: linksTableName,
+    KeyConditionExpression: 'ownerId = :ownerId',
+    ExpressionAttributeValues: {
+      ':ownerId': ownerId,
+    },
+  }, page, ['ownerId', 'petId']);
+  
+  const pets = await Promise.all(result.items.map(async (link) => {
+    const pet = await getPet(link.petId);
+    return pet && { ...pet, ownerRole: link.role };
+  }));
+  
+  return {
+    items: pets.filter((pet) => pet && (query.includeArchived === 'true' || !pet.archived)),
+    nextCursor: result.nextCursor,
+  };
+};
+
+// Fetch one of a pet's medical records, resolving to null when it does not exist
+// or belongs to a different collection
+const getMedicalRecord = async (petId, category, id) => {
+  const params = {
+    TableName: medicalRecordsTableName,
+    Key: {
+      petId,
+      id,
+    },
+  };
+  
+  const result = await dynamoDB.get(params).promise();
+  
+  return result.Item && result.Item.category === category ? result.Item : null;
+};
+
+// The latest of a pet's doses of a vaccine that has not been archived, or null
+const latestDose = (doses) => doses
+  .filter((dose) => !dose.archived)
+  .sort((a, b) => b.administeredDate.localeCompare(a.administeredDate) || b.createdAt.localeCompare(a.createdAt))[0] || null;
+
+// Only the latest dose of each vaccine is due again, so only it carries a dueDate,
+// which is what lists it in the due index. Given a dose about to be stored, resolves
+// to it with its dueDate set or cleared, along with the writes moving dueDate among
+// the pet's other doses of the vaccine (and of the one it was, if that changed).
+// dueDate is derived, so moving it does not count as a new version of a dose.
+const withDueDates = async (existingDose, dose) => {
+  const vaccines = [dose.vaccine, existingDose ? existingDose.vaccine : dose.vaccine];
+  const otherDoses = (await fetchAllMedicalRecords(dose.petId))
+    .filter((other) => other.category === 'vaccinations' && other.id !== dose.id && vaccines.includes(other.vaccine));
+  const latestIds = vaccines.map((vaccine) => {
+    const latest = latestDose([...otherDoses, dose].filter((other) => other.vaccine === vaccine));
+    return latest && latest.id;
+  });
+  
+  const { dueDate, ...undueDose } = dose;
+  const nextDose = latestIds.includes(dose.id) ? { ...undueDose, dueDate: dose.expiryDate } : undueDose;
+  
+  const writes = otherDoses
+    .filter((other) => Boolean(other.dueDate) !== latestIds.includes(other.id))
+    .map((other) => {
+      const condition = versionCondition(other);
+      const isLatest = latestIds.includes(other.id);
+      return {
+        Update: {
+          TableName: medicalRecordsTableName,
+          Key: {
+            petId: other.petId,
+            id: other.id,
+          },
+          UpdateExpression: isLatest ? 'SET dueDate = :dueDate' : 'REMOVE dueDate',
+          ...condition,
+          ExpressionAttributeValues: {
+            ...condition.ExpressionAttributeValues,
+            ...(isLatest ? { ':dueDate': other.expiryDate } : {}),
+          },
+        },
+      };
+    });
+  
+  return { nextDose, writes };
+};
+
+// Store a medical record as the next version of existingRecord (null for a new one),
+// auditing it as `action`. Vaccinations also get their due dates kept in order.
+const saveMedicalRecord = async (existingRecord, record, req, action) => {
+  let nextRecord = {
+    ...record,
+    version: existingRecord ? currentVersion(existingRecord) + 1 : 1,
+    updatedAt: new Date().toISOString(),
+  };
+  let dueWrites = [];
+  
+  if (record.category === 'vaccinations') {
+    const { nextDose, writes } = await withDueDates(existingRecord, nextRecord);
+    nextRecord = nextDose;
+    dueWrites = writes;
+  }
+  
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: medicalRecordsTableName,
+          Item: nextRecord,
+          ...(existingRecord ? versionCondition(existingRecord) : { ConditionExpression: 'attribute_not_exists(id)' }),
+        },
+      },
+      ...dueWrites,
+      auditPut(req, MEDICAL_RECORD_RESOURCES[record.category], action, existingRecord, nextRecord),
+    ],
+  };
+  
+  await dynamoDB.transactWrite(params).promise();
+  
+  return nextRecord;
+};
+
+// Every medical record a pet has, in every collection, archived ones included
+const fetchAllMedicalRecords = async (petId) => {
+  const records = [];
+  let cursor;
+  
+  do {
+    const result = await queryPage(dynamoDB, {
+      TableName: medicalRecordsTableName,
+      KeyConditionExpression: 'petId = :petId',
+      ExpressionAttributeValues: {
+        ':petId': petId,
+      },
+    }, parsePageParams({ limit: '100', cursor }), ['petId', 'id']);
+    records.push(...result.items);
+    cursor = result.nextCursor;
+  } while (cursor);
+  
+  return records;
+};
+
+// Move a medical record to another pet. Records are keyed by pet, so this replaces
+// the stored item with one under the new pet, keeping its id and history.
+const moveMedicalRecord = async (record, petId, req) => {
+  let movedRecord = {
+    ...record,
+    petId,
+    version: currentVersion(record) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  let dueWrites = [];
+  
+  // The new pet may have had the vaccine too, making this dose no longer the latest
+  if (record.category === 'vaccinations') {
+    const { nextDose, writes } = await withDueDates(record, movedRecord);
+    movedRecord = nextDose;
+    dueWrites = writes;
+  }
+  
+  return dynamoDB.transactWrite({
+    TransactItems: [
+      {
+        Delete: {
+          TableName: medicalRecordsTableName,
+          Key: {
+            petId: record.petId,
+            id: record.id,
+          },
+          ...versionCondition(record),
+        },
+      },
+      {
+        Put: {
+          TableName: medicalRecordsTableName,
+          Item: movedRecord,
+          ConditionExpression: 'attribute_not_exists(id)',
+        },
+      },
+      ...dueWrites,
+      auditPut(req, MEDICAL_RECORD_RESOURCES[record.category], 'update', record, movedRecord),
+    ],
+  }).promise();
+};
+
+const purgeMedicalRecord = (record, req) => dynamoDB.transactWrite({
+  TransactItems: [
+    {
+      Delete: {
+        TableName: medicalRecordsTableName,
+        Key: {
+          petId: record.petId,
+          id: record.id,
+        },
+        ...versionCondition(record),
+      },
+    },
+    auditPut(req, MEDICAL_RECORD_RESOURCES[record.category], 'purge', record, null),
+  ],
+}).promise();
+
+// Call another service, resolving to null when the record does not exist
+const fetchFromService = async (url, { method = 'GET', body, contentType = 'application/json', headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { ...headers, 'Content-Type': contentType },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`${method} ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Every pet must belong to an owner that owner-service knows about and has not archived
+const ownerExists = async (req, ownerId) => {
+  const owner = await fetchFromService(`${ownerServiceUrl}/owners/${encodeURIComponent(ownerId)}`, {
+    headers: authHeaders(req),
+  });
+
+  return Boolean(owner && !owner.archived);
+};
+
+// Fetch every owner, archived or not, whose name contains `name`, following
+// owner-service's pagination
+const fetchOwnersNamed = async (req, name) => {
+  const owners = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({
+      name,
+      limit: '100',
+      includeArchived: 'true',
+      ...(cursor ? { cursor } : {}),
+    });
+    const page = await fetchFromService(`${ownerServiceUrl}/owners?${query}`, {
+      headers: authHeaders(req),
+    });
+    owners.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return owners;
+};
+
+// The clinician recording a medical record must be a doctor doctor-service knows about
+const clinicianExists = async (req, doctorId) => {
+  const doctor = await fetchFromService(`${doctorServiceUrl}/doctors/${encodeURIComponent(doctorId)}`, {
+    headers: authHeaders(req),
+  });
+
+  return Boolean(doctor && !doctor.archived);
+};
+
+// A dose can only be tied to one of the pet's own visits
+const visitIsPets = async (req, pet, visitId) => {
+  const visit = await fetchFromService(`${visitServiceUrl}/visits/${encodeURIComponent(visitId)}`, {
+    headers: authHeaders(req),
+  });
+
+  return Boolean(visit && visit.petId === pet.id);
+};
+
+// When a dose runs out under the protocol for the pet's species, counting it as a
+// booster if the pet had the vaccine before; null for vaccines outside the protocol
+const protocolExpiry = async (pet, dose) => {
+  const earlierDoses = (await fetchAllMedicalRecords(pet.id)).filter((other) => other.category === 'vaccinations'
+    && !other.archived
+    && other.id !== dose.id
+    && other.vaccine === dose.vaccine
+    && other.administeredDate < dose.administeredDate);
+
+  return computeExpiryDate(pet.species, dose.vaccine, dose.administeredDate, earlierDoses.length > 0);
+};
+
+// Check what a dose refers to and settle its expiry, resolving to validation details
+// to report or to the vaccine and expiryDate to store. A vaccine in the protocol is
+// stored as the protocol spells it, so "rabies" and "Rabies" doses count as one vaccine.
+const checkVaccination = async (req, pet, dose) => {
+  if (dose.visitId && !(await visitIsPets(req, pet, dose.visitId))) {
+    return { details: [{ field: 'visitId', message: 'does not match a visit for this pet' }] };
+  }
+
+  const entry = findVaccine(pet.species, dose.vaccine);
+  const vaccine = entry ? entry.vaccine : dose.vaccine;
+  const expiryDate = (await protocolExpiry(pet, { ...dose, vaccine })) || dose.expiryDate;
+
+  if (!expiryDate) {
+    return { details: [{ field: 'expiryDate', message: `is required for vaccines outside the ${pet.species} protocol` }] };
+  }
+
+  if (expiryDate <= dose.administeredDate) {
+    return { details: [{ field: 'expiryDate', message: 'must be after the date the dose was given' }] };
+  }
+
+  return { vaccine, expiryDate };
+};
+
+const sendUnknownClinician = (res) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ field: 'clinicianId', message: 'does not match an active doctor' }],
+});
+
+// Reported like a schema failure so forms can show it next to the owner field
+const sendUnknownOwner = (res) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ field: 'ownerId', message: 'does not match an active owner' }],
+});
+
+// Owners change through POST /pets/:id/transfer, which keeps the ownership history
+const sendOwnerChange = (res) => res.status(400).json({
+  error: 'Validation failed',
+  details: [{ field: 'ownerId', message: 'can only be changed by transferring the pet' }],
+});
+
+// Answer a write that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Pet was modified by another request, reload it and try again',
+});
+
+const sendMedicalRecordConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Medical record was modified by another request, reload it and try again',
+});
+
+// Roles that may register and update pets; anyone signed in may read them
+const PET_EDITORS = [ROLES.VETERINARIAN, ROLES.RECEPTIONIST];
+
+// Only clinical staff record medical history
+const MEDICAL_EDITORS = [ROLES.VETERINARIAN];
 
 // Routes
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
-// Get all pets
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get all pets, optionally filtered by species and by the owner's ID or a part of
+// their name, ownerId taking precedence. Either owner filter reads the owner index.
+// Archived pets are left out unless includeArchived=true.
 app.get('/pets', async (req, res) => {
   try {
-    const params = {
-      TableName: tableName,
-    };
+    const page = parsePageParams(req.query);
+    const filters = [
+      ['species = :species', { ':species': req.query.species }],
+      ...archivedFilters(req.query),
+    ];
+    
+    let result;
     
-    const result = await dynamoDB.scan(params).promise();
+    if (req.query.ownerId) {
+      result = await queryOwnerPets(req.query.ownerId, filters, page);
+    } else if (req.query.ownerName) {
+      result = await queryPetsByOwnerName(req, req.query.ownerName, filters, page);
+    } else {
+      result = await scanPage(dynamoDB, applyFilters({
+        TableName: tableName,
+      }, filters), page);
+    }
     
-    res.status(200).json(result.Items);
+    res.status(200).json(result);
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Error fetching pets:', error);
     res.status(500).json({ error: 'Failed to fetch pets' });
   }
 });
 
+// Get an owner's pets. Archived pets are left out unless includeArchived=true.
+app.get('/owners/:ownerId/pets', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    
+    const result = await queryOwnerPets(req.params.ownerId, archivedFilters(req.query), page);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching pets for owner ${req.params.ownerId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch pets for owner' });
+  }
+});
+
+// Get the pets an owner is linked to in a role other than owner, such as co-owner.
+// Archived pets are left out unless includeArchived=true.
+app.get('/owners/:ownerId/linked-pets', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    
+    const result = await queryLinkedPets(req.params.ownerId, req.query, page);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching linked pets for owner ${req.params.ownerId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch linked pets for owner' });
+  }
+});
+
 // Get pet by ID
 app.get('/pets/:id', async (req, res) => {
   try {
@@ -82,6 +748,7 @@ app.get('/pets/:id', async (req, res) => {
       return res.status(404).json({ error: 'Pet not found' });
     }
     
+    res.set('ETag', formatETag(result.Item));
     res.status(200).json(result.Item);
   } catch (error) {
     logger.error(`Error fetching pet ${req.params.id}:`, error);
@@ -89,34 +756,62 @@ app.get('/pets/:id', async (req, res) => {
   }
 });
 
-// Create pet
-app.post('/pets', async (req, res) => {
+// Get a pet's change history, newest first
+app.get('/pets/:id/history', async (req, res) => {
   try {
-    const { name, species, breed, age, ownerName, ownerContact } = req.body;
+    const page = parsePageParams(req.query);
+    
+    const result = await queryPage(dynamoDB, historyQuery('pet', req.params.id), page, ['resourceKey', 'version']);
     
-    if (!name || !species || !ownerName || !ownerContact) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // A purged pet keeps its history, so only one with neither is unknown
+    if (result.items.length === 0 && !req.query.cursor && !(await getPet(req.params.id))) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching history for pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch pet history' });
+  }
+});
+
+// Create pet
+app.post('/pets', requireRole(...PET_EDITORS), validateBody(petSchema), async (req, res) => {
+  try {
+    if (!(await ownerExists(req, req.body.ownerId))) {
+      return sendUnknownOwner(res);
     }
     
     const pet = {
       id: uuidv4(),
-      name,
-      species,
-      breed: breed || null,
-      age: age || null,
-      ownerName,
-      ownerContact,
+      ...pickFields(petSchema, req.body),
+      ownerSince: today(),
+      linkedOwners: [],
+      previousOwners: [],
+      version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
     
     const params = {
-      TableName: tableName,
-      Item: pet,
+      TransactItems: [
+        {
+          Put: {
+            TableName: tableName,
+            Item: pet,
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+        auditPut(req, 'pet', 'create', null, pet),
+      ],
     };
     
-    await dynamoDB.put(params).promise();
+    await dynamoDB.transactWrite(params).promise();
     
+    res.set('ETag', formatETag(pet));
     res.status(201).json(pet);
   } catch (error) {
     logger.error('Error creating pet:', error);
@@ -124,77 +819,806 @@ app.post('/pets', async (req, res) => {
   }
 });
 
-// Update pet
-app.put('/pets/:id', async (req, res) => {
+// Replace pet with a full representation; omitted optional fields are cleared
+app.put('/pets/:id', requireRole(...PET_EDITORS), validateBody(petSchema), async (req, res) => {
   try {
-    const { name, species, breed, age, ownerName, ownerContact } = req.body;
+    const existingPet = await getPet(req.params.id);
     
-    // Check if pet exists
-    const getParams = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-    };
+    if (!existingPet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    if (req.body.ownerId !== existingPet.ownerId) {
+      return sendOwnerChange(res);
+    }
+    
+    const pet = await replacePet(existingPet, req.body, req);
+    
+    res.set('ETag', formatETag(pet));
+    res.status(200).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error updating pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update pet' });
+  }
+});
+
+// Update pet with a JSON Merge Patch, where null clears a field
+app.patch('/pets/:id', requireRole(...PET_EDITORS), async (req, res) => {
+  try {
+    if (!req.is('application/merge-patch+json')) {
+      return res.status(415).json({ error: 'PATCH bodies must be sent as application/merge-patch+json' });
+    }
+    
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Merge patch must be a JSON object' });
+    }
     
-    const existingPet = await dynamoDB.get(getParams).promise();
+    const existingPet = await getPet(req.params.id);
     
-    if (!existingPet.Item) {
+    if (!existingPet) {
       return res.status(404).json({ error: 'Pet not found' });
     }
     
-    // Update pet
-    const updateParams = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
-      },
-      UpdateExpression: 'set #name = :name, species = :species, breed = :breed, age = :age, ownerName = :ownerName, ownerContact = :ownerContact, updatedAt = :updatedAt',
-      ExpressionAttributeNames: {
-        '#name': 'name', // 'name' is a reserved keyword in DynamoDB
-      },
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    // Patch the current representation, then validate the result as a whole
+    const patchedPet = applyMergePatch(pickFields(petSchema, existingPet), req.body);
+    const details = validate(petSchema, patchedPet);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    if (patchedPet.ownerId !== existingPet.ownerId) {
+      return sendOwnerChange(res);
+    }
+    
+    const pet = await replacePet(existingPet, patchedPet, req);
+    
+    res.set('ETag', formatETag(pet));
+    res.status(200).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error patching pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update pet' });
+  }
+});
+
+// Archive pet, honouring If-Match. The record is kept, along with its visits.
+app.delete('/pets/:id', requireRole(...PET_EDITORS), async (req, res) => {
+  try {
+    const existingPet = await getPet(req.params.id);
+    
+    if (!existingPet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is already archived' });
+    }
+    
+    const pet = await savePet(existingPet, { ...existingPet, ...archiveFields(req) }, req, 'archive');
+    
+    res.set('ETag', formatETag(pet));
+    res.status(200).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error archiving pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to archive pet' });
+  }
+});
+
+// Restore an archived pet, honouring If-Match
+app.post('/pets/:id/restore', requireRole(...PET_EDITORS), async (req, res) => {
+  try {
+    const existingPet = await getPet(req.params.id);
+    
+    if (!existingPet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (!existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is not archived' });
+    }
+    
+    const pet = await savePet(existingPet, withoutArchiveFields(existingPet), req, 'restore');
+    
+    res.set('ETag', formatETag(pet));
+    res.status(200).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error restoring pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to restore pet' });
+  }
+});
+
+// Link someone other than the owner to a pet, or change their role, honouring If-Match
+app.put('/pets/:id/owners/:ownerId', requireRole(...PET_EDITORS), validateBody(linkSchema), async (req, res) => {
+  try {
+    const existingPet = await getPet(req.params.id);
+    
+    if (!existingPet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    const { ownerId } = req.params;
+    
+    if (ownerId === existingPet.ownerId) {
+      return res.status(409).json({ error: 'Owner already owns this pet; transfer the pet to change that' });
+    }
+    
+    const linkedOwners = existingPet.linkedOwners || [];
+    const existingLink = linkedOwners.find((link) => link.ownerId === ownerId);
+    
+    if (!existingLink && !(await ownerExists(req, ownerId))) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    
+    const link = { ownerId, role: req.body.role, since: existingLink ? existingLink.since : today() };
+    
+    const pet = await savePet(existingPet, {
+      ...existingPet,
+      linkedOwners: [...linkedOwners.filter((other) => other.ownerId !== ownerId), link],
+    }, req, existingLink ? 'update-owner-link' : 'link-owner');
+    
+    res.set('ETag', formatETag(pet));
+    res.status(existingLink ? 200 : 201).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error linking owner ${req.params.ownerId} to pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to link owner to pet' });
+  }
+});
+
+// Unlink someone other than the owner from a pet, honouring If-Match
+app.delete('/pets/:id/owners/:ownerId', requireRole(...PET_EDITORS), async (req, res) => {
+  try {
+    const existingPet = await getPet(req.params.id);
+    
+    if (!existingPet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    const { ownerId } = req.params;
+    
+    if (ownerId === existingPet.ownerId) {
+      return res.status(409).json({ error: 'A pet always has an owner; transfer the pet to someone else instead' });
+    }
+    
+    const linkedOwners = existingPet.linkedOwners || [];
+    
+    if (!linkedOwners.some((link) => link.ownerId === ownerId)) {
+      return res.status(404).json({ error: 'Owner is not linked to this pet' });
+    }
+    
+    const pet = await savePet(existingPet, {
+      ...existingPet,
+      linkedOwners: linkedOwners.filter((link) => link.ownerId !== ownerId),
+    }, req, 'unlink-owner');
+    
+    res.set('ETag', formatETag(pet));
+    res.status(200).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error unlinking owner ${req.params.ownerId} from pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to unlink owner from pet' });
+  }
+});
+
+// Transfer a pet to a new owner as of effectiveDate (today by default), honouring
+// If-Match. The previous owner is added to the pet's previousOwners, and stays linked
+// to it if previousOwnerRole is given. Visits and other records follow the pet,
+// which keeps its id.
+app.post('/pets/:id/transfer', requireRole(...PET_EDITORS), validateBody(transferSchema), async (req, res) => {
+  try {
+    const existingPet = await getPet(req.params.id);
+    
+    if (!existingPet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (existingPet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    const { ownerId, reason, previousOwnerRole } = pickFields(transferSchema, req.body);
+    const effectiveDate = req.body.effectiveDate || today();
+    const details = [];
+    
+    if (ownerId === existingPet.ownerId) {
+      details.push({ field: 'ownerId', message: 'already owns this pet' });
+    }
+    if (effectiveDate > today()) {
+      details.push({ field: 'effectiveDate', message: 'cannot be in the future' });
+    } else if (effectiveDate < ownerSince(existingPet)) {
+      details.push({ field: 'effectiveDate', message: `cannot be before the current owner took the pet on (${ownerSince(existingPet)})` });
+    }
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    if (!(await ownerExists(req, ownerId))) {
+      return sendUnknownOwner(res);
+    }
+    
+    // The new owner stops being linked in any other role
+    const linkedOwners = (existingPet.linkedOwners || []).filter((link) => link.ownerId !== ownerId);
+    
+    const pet = await savePet(existingPet, {
+      ...existingPet,
+      ownerId,
+      ownerSince: effectiveDate,
+      linkedOwners: previousOwnerRole
+        ? [...linkedOwners, { ownerId: existingPet.ownerId, role: previousOwnerRole, since: effectiveDate }]
+        : linkedOwners,
+      previousOwners: [
+        ...(existingPet.previousOwners || []),
+        {
+          ownerId: existingPet.ownerId,
+          from: ownerSince(existingPet),
+          to: effectiveDate,
+          reason,
+          transferredBy: requestActor(req),
+          transferredAt: new Date().toISOString(),
+        },
+      ],
+    }, req, 'transfer');
+    
+    res.set('ETag', formatETag(pet));
+    res.status(200).json(pet);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error transferring pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to transfer pet' });
+  }
+});
+
+// Get one of a pet's medical history collections: its allergies, conditions,
+// medications or vaccinations. ?status=active|inactive narrows the first three;
+// archived entries are left out unless includeArchived=true.
+app.get(`/pets/:id/${RECORD_CATEGORY}`, async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const filters = [
+      ['category = :category', { ':category': req.params.category }],
+      ['#status = :status', { ':status': req.query.status }],
+      ...archivedFilters(req.query),
+    ];
+    
+    const params = applyFilters({
+      TableName: medicalRecordsTableName,
+      KeyConditionExpression: 'petId = :petId',
       ExpressionAttributeValues: {
-        ':name': name || existingPet.Item.name,
-        ':species': species || existingPet.Item.species,
-        ':breed': breed || existingPet.Item.breed,
-        ':age': age || existingPet.Item.age,
-        ':ownerName': ownerName || existingPet.Item.ownerName,
-        ':ownerContact': ownerContact || existingPet.Item.ownerContact,
-        ':updatedAt': new Date().toISOString(),
+        ':petId': req.params.id,
       },
-      ReturnValues: 'ALL_NEW',
-    };
+    }, filters);
     
-    const result = await dynamoDB.update(updateParams).promise();
+    // status is a DynamoDB reserved word
+    if (req.query.status) {
+      params.ExpressionAttributeNames = { '#status': 'status' };
+    }
+    
+    const result = await queryPage(dynamoDB, params, page, ['petId', 'id']);
+    
+    if (result.items.length === 0 && !req.query.cursor && !(await getPet(req.params.id))) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
     
-    res.status(200).json(result.Attributes);
+    res.status(200).json(result);
   } catch (error) {
-    logger.error(`Error updating pet ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to update pet' });
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching ${req.params.category} for pet ${req.params.id}:`, error);
+    res.status(500).json({ error: `Failed to fetch ${req.params.category}` });
   }
 });
 
-// Delete pet
-app.delete('/pets/:id', async (req, res) => {
+// Get one medical record
+app.get(`/pets/:id/${RECORD_CATEGORY}/:recordId`, async (req, res) => {
   try {
-    const params = {
-      TableName: tableName,
-      Key: {
-        id: req.params.id,
+    const record = await getMedicalRecord(req.params.id, req.params.category, req.params.recordId);
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+    
+    res.set('ETag', formatETag(record));
+    res.status(200).json(record);
+  } catch (error) {
+    logger.error(`Error fetching medical record ${req.params.recordId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch medical record' });
+  }
+});
+
+// Add to a pet's medical history
+app.post(`/pets/:id/${MEDICAL_CATEGORY}`, requireRole(...MEDICAL_EDITORS), async (req, res) => {
+  try {
+    const { category } = req.params;
+    const details = validateMedicalRecord(category, req.body);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const pet = await getPet(req.params.id);
+    
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (pet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    if (!(await clinicianExists(req, req.body.clinicianId))) {
+      return sendUnknownClinician(res);
+    }
+    
+    const record = await saveMedicalRecord(null, {
+      id: uuidv4(),
+      petId: pet.id,
+      category,
+      ...pickFields(MEDICAL_RECORD_SCHEMAS[category], req.body),
+      createdAt: new Date().toISOString(),
+    }, req, 'create');
+    
+    res.set('ETag', formatETag(record));
+    res.status(201).json(record);
+  } catch (error) {
+    logger.error(`Error adding to ${req.params.category} for pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to create medical record' });
+  }
+});
+
+// Replace a medical record with a full representation, honouring If-Match
+app.put(`/pets/:id/${MEDICAL_CATEGORY}/:recordId`, requireRole(...MEDICAL_EDITORS), async (req, res) => {
+  try {
+    const { category } = req.params;
+    const details = validateMedicalRecord(category, req.body);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const existingRecord = await getMedicalRecord(req.params.id, category, req.params.recordId);
+    
+    if (!existingRecord) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingRecord)) {
+      return res.status(412).json({ error: 'Medical record has changed since it was read', etag: formatETag(existingRecord) });
+    }
+    
+    if (existingRecord.archived) {
+      return res.status(409).json({ error: 'Medical record is archived, restore it before changing it' });
+    }
+    
+    if (req.body.clinicianId !== existingRecord.clinicianId && !(await clinicianExists(req, req.body.clinicianId))) {
+      return sendUnknownClinician(res);
+    }
+    
+    const record = await saveMedicalRecord(existingRecord, {
+      ...existingRecord,
+      ...pickFields(MEDICAL_RECORD_SCHEMAS[category], req.body),
+    }, req, 'update');
+    
+    res.set('ETag', formatETag(record));
+    res.status(200).json(record);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendMedicalRecordConflict(req, res);
+    }
+    logger.error(`Error updating medical record ${req.params.recordId}:`, error);
+    res.status(500).json({ error: 'Failed to update medical record' });
+  }
+});
+
+// Archive a medical record entered in error, honouring If-Match. Entries that no
+// longer apply should be marked inactive instead, which keeps them in the history.
+app.delete(`/pets/:id/${RECORD_CATEGORY}/:recordId`, requireRole(...MEDICAL_EDITORS), async (req, res) => {
+  try {
+    const existingRecord = await getMedicalRecord(req.params.id, req.params.category, req.params.recordId);
+    
+    if (!existingRecord) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingRecord)) {
+      return res.status(412).json({ error: 'Medical record has changed since it was read', etag: formatETag(existingRecord) });
+    }
+    
+    if (existingRecord.archived) {
+      return res.status(409).json({ error: 'Medical record is already archived' });
+    }
+    
+    const record = await saveMedicalRecord(existingRecord, { ...existingRecord, ...archiveFields(req) }, req, 'archive');
+    
+    res.set('ETag', formatETag(record));
+    res.status(200).json(record);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendMedicalRecordConflict(req, res);
+    }
+    logger.error(`Error archiving medical record ${req.params.recordId}:`, error);
+    res.status(500).json({ error: 'Failed to archive medical record' });
+  }
+});
+
+// Restore an archived medical record, honouring If-Match
+app.post(`/pets/:id/${RECORD_CATEGORY}/:recordId/restore`, requireRole(...MEDICAL_EDITORS), async (req, res) => {
+  try {
+    const existingRecord = await getMedicalRecord(req.params.id, req.params.category, req.params.recordId);
+    
+    if (!existingRecord) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingRecord)) {
+      return res.status(412).json({ error: 'Medical record has changed since it was read', etag: formatETag(existingRecord) });
+    }
+    
+    if (!existingRecord.archived) {
+      return res.status(409).json({ error: 'Medical record is not archived' });
+    }
+    
+    const record = await saveMedicalRecord(existingRecord, withoutArchiveFields(existingRecord), req, 'restore');
+    
+    res.set('ETag', formatETag(record));
+    res.status(200).json(record);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendMedicalRecordConflict(req, res);
+    }
+    logger.error(`Error restoring medical record ${req.params.recordId}:`, error);
+    res.status(500).json({ error: 'Failed to restore medical record' });
+  }
+});
+
+// Get the vaccine protocol for a pet's species: the vaccines it should have and how
+// long each dose lasts. Empty for species without a protocol.
+app.get('/pets/:id/vaccine-protocol', async (req, res) => {
+  try {
+    const pet = await getPet(req.params.id);
+    
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    res.status(200).json(protocolFor(pet.species));
+  } catch (error) {
+    logger.error(`Error fetching vaccine protocol for pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch vaccine protocol' });
+  }
+});
+
+// Record a vaccination. Its expiryDate is worked out from the vaccine protocol, and
+// only taken from the request for vaccines outside it.
+app.post('/pets/:id/vaccinations', requireRole(...MEDICAL_EDITORS), async (req, res) => {
+  try {
+    const details = validateVaccination(req.body);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const pet = await getPet(req.params.id);
+    
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    if (pet.archived) {
+      return res.status(409).json({ error: 'Pet is archived, restore it before changing it' });
+    }
+    
+    if (!(await clinicianExists(req, req.body.clinicianId))) {
+      return sendUnknownClinician(res);
+    }
+    
+    const dose = pickFields(vaccinationSchema, req.body);
+    const checked = await checkVaccination(req, pet, dose);
+    
+    if (checked.details) {
+      return res.status(400).json({ error: 'Validation failed', details: checked.details });
+    }
+    
+    const record = await saveMedicalRecord(null, {
+      id: uuidv4(),
+      petId: pet.id,
+      category: 'vaccinations',
+      ...dose,
+      vaccine: checked.vaccine,
+      expiryDate: checked.expiryDate,
+      createdAt: new Date().toISOString(),
+    }, req, 'create');
+    
+    res.set('ETag', formatETag(record));
+    res.status(201).json(record);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendMedicalRecordConflict(req, res);
+    }
+    logger.error(`Error recording vaccination for pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to record vaccination' });
+  }
+});
+
+// Replace a vaccination with a full representation, honouring If-Match. Its
+// expiryDate is worked out again as when it was recorded.
+app.put('/pets/:id/vaccinations/:recordId', requireRole(...MEDICAL_EDITORS), async (req, res) => {
+  try {
+    const details = validateVaccination(req.body);
+    
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    
+    const existingRecord = await getMedicalRecord(req.params.id, 'vaccinations', req.params.recordId);
+    
+    if (!existingRecord) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+    
+    if (!ifMatchAllows(req.get('If-Match'), existingRecord)) {
+      return res.status(412).json({ error: 'Medical record has changed since it was read', etag: formatETag(existingRecord) });
+    }
+    
+    if (existingRecord.archived) {
+      return res.status(409).json({ error: 'Medical record is archived, restore it before changing it' });
+    }
+    
+    if (req.body.clinicianId !== existingRecord.clinicianId && !(await clinicianExists(req, req.body.clinicianId))) {
+      return sendUnknownClinician(res);
+    }
+    
+    const pet = await getPet(req.params.id);
+    const dose = { id: existingRecord.id, ...pickFields(vaccinationSchema, req.body) };
+    const checked = await checkVaccination(req, pet, dose);
+    
+    if (checked.details) {
+      return res.status(400).json({ error: 'Validation failed', details: checked.details });
+    }
+    
+    const record = await saveMedicalRecord(existingRecord, {
+      ...existingRecord,
+      ...dose,
+      vaccine: checked.vaccine,
+      expiryDate: checked.expiryDate,
+    }, req, 'update');
+    
+    res.set('ETag', formatETag(record));
+    res.status(200).json(record);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendMedicalRecordConflict(req, res);
+    }
+    logger.error(`Error updating vaccination ${req.params.recordId}:`, error);
+    res.status(500).json({ error: 'Failed to update vaccination' });
+  }
+});
+
+// Get the vaccinations falling due within a period, such as ?within=30d (the
+// default), across every pet, soonest first so overdue ones lead. Only the latest
+// dose of each vaccine counts. Each comes with its pet, so the front desk can
+// contact the owner; archived pets are left out.
+app.get('/vaccinations/due', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const within = parseWithin(req.query.within);
+    
+    if (within === null) {
+      return res.status(400).json({ error: 'within must be a number of days, such as 30d' });
+    }
+    
+    const cutoff = new Date(Date.now() + within * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    const result = await queryPage(dynamoDB, {
+      TableName: medicalRecordsTableName,
+      IndexName: DUE_INDEX,
+      KeyConditionExpression: 'category = :category AND dueDate <= :cutoff',
+      ExpressionAttributeValues: {
+        ':category': 'vaccinations',
+        ':cutoff': cutoff,
       },
-      ReturnValues: 'ALL_OLD',
-    };
+    }, page, ['petId', 'id', 'category', 'dueDate']);
+    
+    const petIds = [...new Set(result.items.map((dose) => dose.petId))];
+    const pets = new Map(await Promise.all(petIds.map(async (petId) => [petId, await getPet(petId)])));
+    const asOf = today();
     
-    const result = await dynamoDB.delete(params).promise();
+    res.status(200).json({
+      items: result.items
+        .filter((dose) => pets.get(dose.petId) && !pets.get(dose.petId).archived)
+        .map((dose) => {
+          const pet = pets.get(dose.petId);
+          return {
+            ...dose,
+            overdue: dose.dueDate < asOf,
+            pet: {
+              id: pet.id,
+              name: pet.name,
+              species: pet.species,
+              ownerId: pet.ownerId,
+            },
+          };
+        }),
+      nextCursor: result.nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fetching due vaccinations:', error);
+    res.status(500).json({ error: 'Failed to fetch due vaccinations' });
+  }
+});
+
+// Permanently delete an archived pet; administrators only. A pet with visits or
+// medical history is only purged when the request says what happens to them:
+// ?reassignTo=<petId> moves them to another pet (say, a duplicate record) and
+// ?cascade=true deletes them too.
+app.post('/pets/:id/purge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existingPet = await getPet(req.params.id);
     
-    if (!result.Attributes) {
+    if (!existingPet) {
       return res.status(404).json({ error: 'Pet not found' });
     }
     
-    res.status(200).json({ message: 'Pet deleted successfully' });
+    if (!ifMatchAllows(req.get('If-Match'), existingPet)) {
+      return res.status(412).json({ error: 'Pet has changed since it was read', etag: formatETag(existingPet) });
+    }
+    
+    if (!existingPet.archived) {
+      return res.status(409).json({ error: 'Only archived pets can be purged' });
+    }
+    
+    const { reassignTo, cascade } = req.query;
+    
+    if (reassignTo && cascade) {
+      return res.status(400).json({ error: 'Use either reassignTo or cascade, not both' });
+    }
+    
+    const visits = await fetchFromService(`${visitServiceUrl}/pets/${encodeURIComponent(existingPet.id)}/visits?includeArchived=true`, {
+      headers: authHeaders(req),
+    });
+    
+    const medicalRecords = await fetchAllMedicalRecords(existingPet.id);
+    
+    if (visits.length > 0 || medicalRecords.length > 0) {
+      if (reassignTo) {
+        const targetPet = reassignTo === existingPet.id ? null : await getPet(reassignTo);
+        
+        if (!targetPet || targetPet.archived) {
+          return res.status(400).json({ error: 'Pet to reassign visits to not found' });
+        }
+        
+        for (const visit of visits) {
+          await fetchFromService(`${visitServiceUrl}/visits/${encodeURIComponent(visit.id)}/move`, {
+            method: 'POST',
+            body: { petId: reassignTo },
+            headers: authHeaders(req),
+          });
+        }
+        
+        for (const record of medicalRecords) {
+          await moveMedicalRecord(record, reassignTo, req);
+        }
+      } else if (cascade === 'true') {
+        // visit-service only purges archived visits, so archive any still in use first
+        for (const visit of visits) {
+          if (!visit.archived) {
+            await fetchFromService(`${visitServiceUrl}/visits/${encodeURIComponent(visit.id)}`, {
+              method: 'DELETE',
+              headers: authHeaders(req),
+            });
+          }
+          
+          await fetchFromService(`${visitServiceUrl}/visits/${encodeURIComponent(visit.id)}/purge`, {
+            method: 'POST',
+            headers: authHeaders(req),
+          });
+        }
+        
+        for (const record of medicalRecords) {
+          await purgeMedicalRecord(record, req);
+        }
+      } else {
+        const visitCount = visits.length;
+        const recordCount = medicalRecords.length;
+        return res.status(409).json({
+          error: `Pet has ${visitCount} visit${visitCount === 1 ? '' : 's'} and ${recordCount} medical record${recordCount === 1 ? '' : 's'}; reassign them with ?reassignTo=<petId> or delete them with ?cascade=true`,
+          visitCount,
+          medicalRecordCount: recordCount,
+        });
+      }
+    }
+    
+    const params = {
+      TransactItems: [
+        {
+          Delete: {
+            TableName: tableName,
+            Key: {
+              id: req.params.id,
+            },
+            ...versionCondition(existingPet),
+          },
+        },
+        ...linkWrites(existingPet, null),
+        auditPut(req, 'pet', 'purge', existingPet, null),
+      ],
+    };
+    
+    await dynamoDB.transactWrite(params).promise();
+    
+    res.status(200).json({ message: 'Pet purged successfully' });
   } catch (error) {
-    logger.error(`Error deleting pet ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to delete pet' });
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error purging pet ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to purge pet' });
   }
 });
 
@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+// Which vaccines each species gets and how long a dose protects for. A first dose
+// lasts initialMonths; once a pet has had the vaccine, later boosters last
+// boosterMonths (so rabies is good for a year at first, then three years).
+const DEFAULT_PROTOCOLS = {
+  dog: [
+    { vaccine: 'Rabies', initialMonths: 12, boosterMonths: 36 },
+    { vaccine: 'DHPP', initialMonths: 12, boosterMonths: 36 },
+    { vaccine: 'Bordetella', initialMonths: 12, boosterMonths: 12 },
+    { vaccine: 'Leptospirosis', initialMonths: 12, boosterMonths: 12 },
+    { vaccine: 'Canine Influenza', initialMonths: 12, boosterMonths: 12 },
+  ],
+  cat: [
+    { vaccine: 'Rabies', initialMonths: 12, boosterMonths: 36 },
+    { vaccine: 'FVRCP', initialMonths: 12, boosterMonths: 36 },
+    { vaccine: 'FeLV', initialMonths: 12, boosterMonths: 12 },
+  ],
+};
+
+// A clinic can use its own protocols by pointing VACCINE_PROTOCOL_FILE at a JSON
+// file shaped like DEFAULT_PROTOCOLS. It replaces the defaults entirely.
+const loadProtocols = () => {
+  if (!process.env.VACCINE_PROTOCOL_FILE) {
+    return DEFAULT_PROTOCOLS;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.VACCINE_PROTOCOL_FILE, 'utf8'));
+};
+
+const protocols = loadProtocols();
+
+// The protocol for a species, matched however its name is capitalised; empty for
+// species the clinic has no protocol for
+const protocolFor = (species) => protocols[String(species).trim().toLowerCase()] || [];
+
+// A vaccine's entry in the protocol for a species, matched however its name is
+// capitalised; null for vaccines outside the protocol
+const findVaccine = (species, vaccine) => {
+  const name = String(vaccine).trim().toLowerCase();
+
+  return protocolFor(species).find((entry) => entry.vaccine.toLowerCase() === name) || null;
+};
+
+// Add whole months to a YYYY-MM-DD date, clamping to the end of shorter months
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+
+  return target.toISOString().slice(0, 10);
+};
+
+// When a dose given on administeredDate runs out, or null for a vaccine outside the
+// species' protocol. isBooster says whether the pet had the vaccine before.
+const computeExpiryDate = (species, vaccine, administeredDate, isBooster) => {
+  const entry = findVaccine(species, vaccine);
+
+  if (!entry) {
+    return null;
+  }
+
+  return addMonths(administeredDate, isBooster ? entry.boosterMonths : entry.initialMonths);
+};
+
+module.exports = {
+  protocolFor,
+  findVaccine,
+  addMonths,
+  computeExpiryDate,
+};
@@ -0,0 +1,39 @@
+const { protocolFor, findVaccine, addMonths, computeExpiryDate } = require('./vaccineProtocols');
+
+describe('protocolFor', () => {
+  it('matches a species however it is capitalised', () => {
+    expect(protocolFor(' Cat ').map((entry) => entry.vaccine)).toEqual(['Rabies', 'FVRCP', 'FeLV']);
+  });
+
+  it('is empty for a species without a protocol', () => {
+    expect(protocolFor('rabbit')).toEqual([]);
+  });
+});
+
+describe('findVaccine', () => {
+  it.each(['Rabies', 'rabies', ' RABIES '])('finds %j in the dog protocol', (vaccine) => {
+    expect(findVaccine('dog', vaccine)).toEqual({ vaccine: 'Rabies', initialMonths: 12, boosterMonths: 36 });
+  });
+
+  it('finds nothing for a vaccine outside the species protocol', () => {
+    expect(findVaccine('cat', 'Bordetella')).toBeNull();
+  });
+});
+
+describe('addMonths', () => {
+  it('clamps to the end of a shorter month', () => {
+    expect(addMonths('2026-01-31', 1)).toBe('2026-02-28');
+    expect(addMonths('2027-12-15', 3)).toBe('2028-03-15');
+  });
+});
+
+describe('computeExpiryDate', () => {
+  it('uses the initial period for a first dose and the booster period after that', () => {
+    expect(computeExpiryDate('dog', 'rabies', '2026-03-01', false)).toBe('2027-03-01');
+    expect(computeExpiryDate('dog', 'rabies', '2026-03-01', true)).toBe('2029-03-01');
+  });
+
+  it('leaves vaccines outside the protocol without an expiry', () => {
+    expect(computeExpiryDate('dog', 'Lyme', '2026-03-01', false)).toBeNull();
+  });
+});
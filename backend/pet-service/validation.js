@@ -0,0 +1,149 @@
+// Declarative request validation. A schema maps each body field to a rule:
+//
+//   { type: 'string' | 'number' | 'array' | 'object', required, ...constraints }
+//
+// String rules take minLength, maxLength, enum and format ('email' | 'phone' | 'date' |
+// 'time', or a list of formats any one of which will do);
+// number rules take integer, min and max; array rules take an `items` rule;
+// any rule may add a `check(value)` returning an error message or null, and
+// a `default` stored in place of an absent value (otherwise null).
+// Empty values (undefined, null and '') count as absent.
+
+const FORMATS = {
+  email: {
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    description: 'a valid email address',
+  },
+  phone: {
+    pattern: /^\+?[0-9 ()./-]{7,20}$/,
+    description: 'a valid phone number',
+  },
+  date: {
+    pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    description: 'a date in YYYY-MM-DD format',
+  },
+  time: {
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    description: 'a 24-hour time in HH:MM format',
+  },
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Return the first problem with a present value, or null when it satisfies the rule
+const checkValue = (rule, value) => {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        return `must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.format) {
+        const formats = [].concat(rule.format).map((name) => FORMATS[name]);
+
+        if (!formats.some((format) => format.pattern.test(value))) {
+          return `must be ${formats.map((format) => format.description).join(' or ')}`;
+        }
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of: ${rule.enum.join(', ')}`;
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a number';
+      }
+      if (rule.integer && !Number.isInteger(value)) {
+        return 'must be a whole number';
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'must be a list';
+      }
+      if (rule.items) {
+        for (let index = 0; index < value.length; index += 1) {
+          const message = isEmpty(value[index]) ? 'must not be empty' : checkValue(rule.items, value[index]);
+
+          if (message) {
+            return `item ${index + 1} ${message}`;
+          }
+        }
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be an object';
+      }
+      break;
+    default:
+      throw new Error(`Unknown rule type ${rule.type}`);
+  }
+
+  return rule.check ? rule.check(value) : null;
+};
+
+// Validate a request body against a schema, returning a list of { field, message }.
+// With `partial`, required fields may be omitted, as on an update that keeps them.
+const validate = (schema, body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'must be a JSON object' }];
+  }
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = body[field];
+
+    if (isEmpty(value)) {
+      if (rule.required && !(partial && value === undefined)) {
+        errors.push({ field, message: 'is required' });
+      }
+      return;
+    }
+
+    const message = checkValue(rule, value);
+
+    if (message) {
+      errors.push({ field, message });
+    }
+  });
+
+  return errors;
+};
+
+// Copy the schema's fields out of a valid body, storing absent fields as their default
+const pickFields = (schema, body) => Object.fromEntries(Object.entries(schema).map(([field, rule]) => {
+  if (isEmpty(body[field])) {
+    return [field, rule.default !== undefined ? rule.default : null];
+  }
+  return [field, body[field]];
+}));
+
+// Express middleware answering an invalid body with a 400 that lists every problem
+const validateBody = (schema, options) => (req, res, next) => {
+  const details = validate(schema, req.body, options);
+
+  if (details.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details });
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+  validateBody,
+  pickFields,
+};
@@ -0,0 +1,137 @@
+const { validate, validateBody, pickFields } = require('./validation');
+
+const schema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 10 },
+  species: { type: 'string', enum: ['dog', 'cat'] },
+  email: { type: 'string', format: 'email' },
+  contact: { type: 'string', format: ['email', 'phone'] },
+  age: { type: 'number', integer: true, min: 0, max: 30 },
+  tags: { type: 'array', items: { type: 'string', maxLength: 5 }, default: [] },
+  address: { type: 'object' },
+  startTime: { type: 'string', format: 'time', check: (time) => (time.endsWith('0') ? null : 'must end in 0') },
+};
+
+describe('validate', () => {
+  it('accepts a body that satisfies every rule', () => {
+    expect(validate(schema, {
+      name: 'Rex',
+      species: 'dog',
+      email: 'owner@example.com',
+      contact: '555-123-4567',
+      age: 4,
+      tags: ['good'],
+      address: { city: 'Springfield' },
+      startTime: '09:30',
+    })).toEqual([]);
+  });
+
+  it('rejects a body that is not an object', () => {
+    expect(validate(schema, ['Rex'])).toEqual([{ field: 'body', message: 'must be a JSON object' }]);
+    expect(validate(schema, null)).toEqual([{ field: 'body', message: 'must be a JSON object' }]);
+  });
+
+  it('treats undefined, null and empty strings as absent', () => {
+    expect(validate(schema, { name: '' })).toEqual([{ field: 'name', message: 'is required' }]);
+    expect(validate(schema, { name: null })).toEqual([{ field: 'name', message: 'is required' }]);
+    expect(validate(schema, { name: 'Rex', species: '', age: null })).toEqual([]);
+  });
+
+  it('lets a partial update omit required fields but not clear them', () => {
+    expect(validate(schema, {}, { partial: true })).toEqual([]);
+    expect(validate(schema, { name: null }, { partial: true })).toEqual([{ field: 'name', message: 'is required' }]);
+  });
+
+  it('reports every problem, one per field', () => {
+    expect(validate(schema, { species: 'bird', age: 2.5 })).toEqual([
+      { field: 'name', message: 'is required' },
+      { field: 'species', message: 'must be one of: dog, cat' },
+      { field: 'age', message: 'must be a whole number' },
+    ]);
+  });
+
+  it.each([
+    [{ name: 7 }, 'name', 'must be a string'],
+    [{ name: '   ' }, 'name', 'must be at least 1 characters'],
+    [{ name: 'Maximilian the Great' }, 'name', 'must be at most 10 characters'],
+    [{ email: 'not-an-email' }, 'email', 'must be a valid email address'],
+    [{ contact: 'nope' }, 'contact', 'must be a valid email address or a valid phone number'],
+    [{ age: '4' }, 'age', 'must be a number'],
+    [{ age: -1 }, 'age', 'must be at least 0'],
+    [{ age: 31 }, 'age', 'must be at most 30'],
+    [{ tags: 'good' }, 'tags', 'must be a list'],
+    [{ tags: ['good', ''] }, 'tags', 'item 2 must not be empty'],
+    [{ tags: ['good', 'too long'] }, 'tags', 'item 2 must be at most 5 characters'],
+    [{ address: ['Springfield'] }, 'address', 'must be an object'],
+    [{ startTime: '25:00' }, 'startTime', 'must be a 24-hour time in HH:MM format'],
+    [{ startTime: '09:35' }, 'startTime', 'must end in 0'],
+  ])('rejects %j', (fields, field, message) => {
+    expect(validate(schema, { name: 'Rex', ...fields })).toEqual([{ field, message }]);
+  });
+
+  it('rejects a date that does not exist in any month', () => {
+    const dates = { date: { type: 'string', format: 'date' } };
+
+    expect(validate(dates, { date: '2026-02-28' })).toEqual([]);
+    expect(validate(dates, { date: '2026-13-01' })).toEqual([{ field: 'date', message: 'must be a date in YYYY-MM-DD format' }]);
+  });
+
+  it('refuses a rule of unknown type', () => {
+    expect(() => validate({ size: { type: 'size' } }, { size: 'L' })).toThrow('Unknown rule type size');
+  });
+});
+
+describe('pickFields', () => {
+  it('keeps only schema fields, storing absent ones as their default or null', () => {
+    expect(pickFields(schema, { name: 'Rex', age: 4, species: '', owner: 'someone' })).toEqual({
+      name: 'Rex',
+      species: null,
+      email: null,
+      contact: null,
+      age: 4,
+      tags: [],
+      address: null,
+      startTime: null,
+    });
+  });
+});
+
+describe('validateBody', () => {
+  const run = (body, options) => {
+    const res = {
+      status: jest.fn(() => res),
+      json: jest.fn(() => res),
+    };
+    const next = jest.fn();
+
+    validateBody(schema, options)({ body }, res, next);
+
+    return { res, next };
+  };
+
+  it('passes a valid body on', () => {
+    const { res, next } = run({ name: 'Rex' });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('answers an invalid body with a 400 listing the problems', () => {
+    const { res, next } = run({ age: -1 });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Validation failed',
+      details: [
+        { field: 'name', message: 'is required' },
+        { field: 'age', message: 'must be at least 0' },
+      ],
+    });
+  });
+
+  it('applies the options given, such as partial', () => {
+    const { next } = run({ age: 4 }, { partial: true });
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+// Audit trail. Every write to a record also writes an entry to the shared audit
+// table, in the same DynamoDB transaction, recording who made the change, when,
+// and each field's value before and after. Entries are keyed by resourceKey
+// ("<resource>#<id>") and the record version the change produced, so a record's
+// history reads back in order and an entry can never be written twice.
+const { requestActor } = require('./archive');
+const { currentVersion } = require('./etag');
+
+const auditTableName = process.env.AUDIT_TABLE || 'pet-hospital-audit';
+
+// Bookkeeping attributes that change on every write and say nothing on their own
+const IGNORED_FIELDS = ['version', 'updatedAt'];
+
+const resourceKey = (resource, id) => `${resource}#${id}`;
+
+// Field-level differences between two versions of a record, either of which may be
+// null for a create or a purge. Absent values are reported as null.
+const diffFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .sort()
+    .map((field) => ({
+      field,
+      before: before && before[field] !== undefined ? before[field] : null,
+      after: after && after[field] !== undefined ? after[field] : null,
+    }))
+    .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+// A transactWrite item recording `action` on a record. `after` is null for a purge,
+// which is logged as the version after the last one stored.
+const auditPut = (req, resource, action, before, after) => {
+  const record = after || before;
+
+  return {
+    Put: {
+      TableName: auditTableName,
+      Item: {
+        resourceKey: resourceKey(resource, record.id),
+        version: after ? currentVersion(after) : currentVersion(before) + 1,
+        resource,
+        resourceId: record.id,
+        action,
+        actor: requestActor(req),
+        timestamp: new Date().toISOString(),
+        changes: diffFields(before, after),
+      },
+      ConditionExpression: 'attribute_not_exists(resourceKey)',
+    },
+  };
+};
+
+// Params for reading a record's history, newest change first
+const historyQuery = (resource, id) => ({
+  TableName: auditTableName,
+  KeyConditionExpression: 'resourceKey = :resourceKey',
+  ExpressionAttributeValues: {
+    ':resourceKey': resourceKey(resource, id),
+  },
+  ScanIndexForward: false,
+});
+
+module.exports = {
+  auditPut,
+  historyQuery,
+};
@@ -0,0 +1,51 @@
+// Optimistic concurrency control. Every record carries a `version` that each
+// write bumps; it is exposed as a strong ETag, and writes are conditioned on
+// the version they were based on so a concurrent change makes them fail.
+
+// Records written before versioning count as version 0
+const currentVersion = (item) => item.version || 0;
+
+const formatETag = (item) => `"${currentVersion(item)}"`;
+
+// Whether an If-Match header, if one was sent, is satisfied by the stored record
+const ifMatchAllows = (header, item) => {
+  if (header === undefined) {
+    return true;
+  }
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || tag === formatETag(item));
+};
+
+// Condition expression parts that only let a write through while the record is
+// still at the version it was read at
+const versionCondition = (item) => {
+  if (!item.version) {
+    return {
+      ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(#version)',
+      ExpressionAttributeNames: { '#version': 'version' },
+    };
+  }
+
+  return {
+    ConditionExpression: '#version = :expectedVersion',
+    ExpressionAttributeNames: { '#version': 'version' },
+    ExpressionAttributeValues: { ':expectedVersion': item.version },
+  };
+};
+
+// Whether a write failed because its condition did not hold. Writes made in a
+// transaction report this as a cancelled transaction instead.
+const isWriteConflict = (error) => (
+  error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException'
+);
+
+module.exports = {
+  currentVersion,
+  formatETag,
+  ifMatchAllows,
+  versionCondition,
+  isWriteConflict,
+};
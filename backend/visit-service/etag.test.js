@@ -0,0 +1,49 @@
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+
+describe('formatETag', () => {
+  it('quotes the version, counting a record from before versioning as version 0', () => {
+    expect(formatETag({ version: 3 })).toBe('"3"');
+    expect(formatETag({})).toBe('"0"');
+    expect(currentVersion({})).toBe(0);
+  });
+});
+
+describe('ifMatchAllows', () => {
+  it.each([
+    [undefined, true],
+    ['"3"', true],
+    ['*', true],
+    ['"2", "3"', true],
+    ['"2"', false],
+    ['3', false],
+  ])('allows If-Match %j on version 3: %s', (header, expected) => {
+    expect(ifMatchAllows(header, { version: 3 })).toBe(expected);
+  });
+});
+
+describe('versionCondition', () => {
+  it('only writes over the version that was read', () => {
+    expect(versionCondition({ version: 3 })).toEqual({
+      ConditionExpression: '#version = :expectedVersion',
+      ExpressionAttributeNames: { '#version': 'version' },
+      ExpressionAttributeValues: { ':expectedVersion': 3 },
+    });
+  });
+
+  it('only writes over a record from before versioning while it is still unversioned', () => {
+    expect(versionCondition({})).toEqual({
+      ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(#version)',
+      ExpressionAttributeNames: { '#version': 'version' },
+    });
+  });
+});
+
+describe('isWriteConflict', () => {
+  it.each([
+    ['ConditionalCheckFailedException', true],
+    ['TransactionCanceledException', true],
+    ['ProvisionedThroughputExceededException', false],
+  ])('judges %s', (code, expected) => {
+    expect(isWriteConflict(Object.assign(new Error('write failed'), { code }))).toBe(expected);
+  });
+});
@@ -0,0 +1,27 @@
+// JSON Merge Patch (RFC 7396). Objects in the patch merge recursively into the
+// target, null removes a member, and any other value replaces it outright.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+
+  Object.entries(patch).forEach(([name, value]) => {
+    if (value === null) {
+      delete result[name];
+    } else {
+      result[name] = applyMergePatch(result[name], value);
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  isPlainObject,
+  applyMergePatch,
+};
@@ -0,0 +1,52 @@
+const { isPlainObject, applyMergePatch } = require('./mergePatch');
+
+describe('isPlainObject', () => {
+  it.each([
+    [{}, true],
+    [[], false],
+    [null, false],
+    ['notes', false],
+  ])('judges %j', (value, expected) => {
+    expect(isPlainObject(value)).toBe(expected);
+  });
+});
+
+describe('applyMergePatch', () => {
+  const visit = {
+    id: 'visit-1',
+    diagnosis: 'Otitis',
+    vitals: { weightKg: 12.5, temperatureC: 38.6 },
+    medications: ['Amoxicillin'],
+  };
+
+  it('replaces the members a patch gives and keeps the rest', () => {
+    expect(applyMergePatch(visit, { diagnosis: 'Otitis externa' })).toEqual({ ...visit, diagnosis: 'Otitis externa' });
+  });
+
+  it('removes a member patched to null', () => {
+    expect(applyMergePatch(visit, { diagnosis: null })).not.toHaveProperty('diagnosis');
+  });
+
+  it('merges nested objects and replaces lists outright', () => {
+    expect(applyMergePatch(visit, { vitals: { temperatureC: null, heartRate: 90 }, medications: ['Meloxicam'] })).toEqual({
+      ...visit,
+      vitals: { weightKg: 12.5, heartRate: 90 },
+      medications: ['Meloxicam'],
+    });
+  });
+
+  it('leaves the target as it was', () => {
+    applyMergePatch(visit, { diagnosis: null, vitals: { weightKg: 13 } });
+
+    expect(visit).toEqual({
+      id: 'visit-1',
+      diagnosis: 'Otitis',
+      vitals: { weightKg: 12.5, temperatureC: 38.6 },
+      medications: ['Amoxicillin'],
+    });
+  });
+
+  it('replaces the whole target with a patch that is not an object', () => {
+    expect(applyMergePatch(visit, ['notes'])).toEqual(['notes']);
+  });
+});
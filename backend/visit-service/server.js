@@ -0,0 +1,565 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { PaginationError, parsePageParams, scanPage, queryPage, applyFilters } = require('./pagination');
+const { validate, validateBody, pickFields } = require('./validation');
+const { isPlainObject, applyMergePatch } = require('./mergePatch');
+const { currentVersion, formatETag, ifMatchAllows, versionCondition, isWriteConflict } = require('./etag');
+const { archivedFilters, archiveFields, withoutArchiveFields } = require('./archive');
+const { auditPut, historyQuery } = require('./audit');
+const { ROLES, authenticate, requireRole, authHeaders } = require('./auth');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'visit-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Browsers reach the service through the frontend's /api proxy, on the frontend's own
+// origin; ALLOWED_ORIGINS lists any other origins allowed to call it, comma-separated
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({ origin: allowedOrigins }));
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info({
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  });
+  next();
+});
+
+// Configure AWS
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-west-2',
+});
+const tableName = process.env.DYNAMODB_TABLE || 'pet-hospital-visits';
+
+const VISIT_STATUSES = ['Scheduled', 'Completed', 'Cancelled', 'No-Show'];
+
+// Global secondary indexes declared for this table in infrastructure/main.tf, sorted by visit date
+const PET_INDEX = 'petId-date-index';
+const DOCTOR_INDEX = 'doctorId-date-index';
+
+// Other services
+const petServiceUrl = process.env.PET_SERVICE_URL || 'http://pet-service:3000';
+const doctorServiceUrl = process.env.DOCTOR_SERVICE_URL || 'http://doctor-service:3000';
+const hospitalServiceUrl = process.env.HOSPITAL_SERVICE_URL || 'http://hospital-service:3000';
+
+// Request body schema, shared by create, replace and merge-patch updates
+const visitSchema = {
+  petId: { type: 'string', required: true },
+  doctorId: { type: 'string', required: true },
+  hospitalId: { type: 'string', required: true },
+  date: { type: 'string', required: true, format: 'date' },
+  time: { type: 'string', format: 'time' },
+  reason: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+  status: { type: 'string', enum: VISIT_STATUSES, default: 'Scheduled' },
+  diagnosis: { type: 'string', maxLength: 2000 },
+  treatment: { type: 'string', maxLength: 2000 },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
+// A visit moved to another pet, as when a duplicate pet record is purged
+const moveSchema = {
+  petId: { type: 'string', required: true },
+};
+
+
+// Fetch a visit, resolving to null when it does not exist
+const getVisit = async (id) => {
+  const params = {
+    TableName: tableName,
+    Key: {
+      id,
+    },
+  };
+
+  const result = await dynamoDB.get(params).promise();
+
+  return result.Item || null;
+};
+
+// Store visit as the next version of existingVisit (null for a new visit), auditing it
+// as `action`. Fails with TransactionCanceledException if the visit changed after
+// existingVisit was read.
+const saveVisit = async (existingVisit, visit, req, action) => {
+  const nextVisit = {
+    ...visit,
+    version: existingVisit ? currentVersion(existingVisit) + 1 : 1,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: tableName,
+          Item: nextVisit,
+          ...(existingVisit ? versionCondition(existingVisit) : { ConditionExpression: 'attribute_not_exists(id)' }),
+        },
+      },
+      auditPut(req, 'visit', action, existingVisit, nextVisit),
+    ],
+  };
+
+  await dynamoDB.transactWrite(params).promise();
+
+  return nextVisit;
+};
+
+// Store a visit's full representation, keeping server-managed attributes such as id and createdAt
+const replaceVisit = (existingVisit, body, req) => saveVisit(existingVisit, {
+  ...existingVisit,
+  ...pickFields(visitSchema, body),
+}, req, 'update');
+
+// Query every visit under one index key, following LastEvaluatedKey past the 1 MB page
+// limit. Archived visits are left out unless the query has includeArchived=true.
+const queryAll = async (indexName, keyName, keyValue, query) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  const params = applyFilters({
+    TableName: tableName,
+    IndexName: indexName,
+    KeyConditionExpression: `${keyName} = :keyValue`,
+    ExpressionAttributeValues: {
+      ':keyValue': keyValue,
+    },
+  }, archivedFilters(query));
+
+  do {
+    const result = await dynamoDB.query({
+      ...params,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+// Call another service, resolving to null when the record does not exist
+const fetchFromService = async (url, { method = 'GET', body, contentType = 'application/json', headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { ...headers, 'Content-Type': contentType },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`${method} ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Visits are for pets, with doctors at hospitals, that the other services know about
+// and have not archived
+const recordExists = async (req, url) => {
+  const record = await fetchFromService(url, { headers: authHeaders(req) });
+
+  return Boolean(record && !record.archived);
+};
+
+// The records a visit refers to, as [field, what it names, its URL in the service keeping it]
+const REFERENCES = [
+  ['petId', 'pet', (id) => `${petServiceUrl}/pets/${encodeURIComponent(id)}`],
+  ['doctorId', 'doctor', (id) => `${doctorServiceUrl}/doctors/${encodeURIComponent(id)}`],
+  ['hospitalId', 'hospital', (id) => `${hospitalServiceUrl}/hospitals/${encodeURIComponent(id)}`],
+];
+
+// Validation details for each record a visit refers to that does not exist or is
+// archived. Only references that differ from existingVisit's are checked, so a visit
+// with a doctor who has since left can still have its notes written up.
+const unknownReferences = async (req, visit, existingVisit = null) => {
+  const details = [];
+
+  for (const [field, what, url] of REFERENCES) {
+    if ((!existingVisit || visit[field] !== existingVisit[field]) && !(await recordExists(req, url(visit[field])))) {
+      details.push({ field, message: `does not match an active ${what}` });
+    }
+  }
+
+  return details;
+};
+
+// Answer a write that lost a race: 412 when the client sent If-Match, otherwise 409
+const sendConflict = (req, res) => res.status(req.get('If-Match') ? 412 : 409).json({
+  error: 'Visit was modified by another request, reload it and try again',
+});
+
+// Roles that may book and update visits; anyone signed in may read them
+const VISIT_EDITORS = [ROLES.VETERINARIAN, ROLES.RECEPTIONIST];
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Every route below needs a signed-in user
+app.use(authenticate);
+
+// Get all visits. Archived visits are left out unless includeArchived=true.
+app.get('/visits', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    const params = applyFilters({
+      TableName: tableName,
+    }, archivedFilters(req.query));
+
+    const result = await scanPage(dynamoDB, params, page);
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fetching visits:', error);
+    res.status(500).json({ error: 'Failed to fetch visits' });
+  }
+});
+
+// Get visit by ID
+app.get('/visits/:id', async (req, res) => {
+  try {
+    const visit = await getVisit(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    res.set('ETag', formatETag(visit));
+    res.status(200).json(visit);
+  } catch (error) {
+    logger.error(`Error fetching visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch visit' });
+  }
+});
+
+// Get a visit's change history, newest first
+app.get('/visits/:id/history', async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    const result = await queryPage(dynamoDB, historyQuery('visit', req.params.id), page, ['resourceKey', 'version']);
+
+    // A purged visit keeps its history, so only one with neither is unknown
+    if (result.items.length === 0 && !req.query.cursor && !(await getVisit(req.params.id))) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error fetching history for visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch visit history' });
+  }
+});
+
+// Create visit
+app.post('/visits', requireRole(...VISIT_EDITORS), validateBody(visitSchema), async (req, res) => {
+  try {
+    const details = await unknownReferences(req, req.body);
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const visit = await saveVisit(null, {
+      id: uuidv4(),
+      ...pickFields(visitSchema, req.body),
+      createdAt: new Date().toISOString(),
+    }, req, 'create');
+
+    res.set('ETag', formatETag(visit));
+    res.status(201).json(visit);
+  } catch (error) {
+    logger.error('Error creating visit:', error);
+    res.status(500).json({ error: 'Failed to create visit' });
+  }
+});
+
+// Replace visit with a full representation; omitted optional fields are cleared
+app.put('/visits/:id', requireRole(...VISIT_EDITORS), validateBody(visitSchema), async (req, res) => {
+  try {
+    const existingVisit = await getVisit(req.params.id);
+
+    if (!existingVisit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingVisit)) {
+      return res.status(412).json({ error: 'Visit has changed since it was read', etag: formatETag(existingVisit) });
+    }
+
+    if (existingVisit.archived) {
+      return res.status(409).json({ error: 'Visit is archived, restore it before changing it' });
+    }
+
+    const details = await unknownReferences(req, req.body, existingVisit);
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const visit = await replaceVisit(existingVisit, req.body, req);
+
+    res.set('ETag', formatETag(visit));
+    res.status(200).json(visit);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error updating visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update visit' });
+  }
+});
+
+// Update visit with a JSON Merge Patch, where null clears a field
+app.patch('/visits/:id', requireRole(...VISIT_EDITORS), async (req, res) => {
+  try {
+    if (!req.is('application/merge-patch+json')) {
+      return res.status(415).json({ error: 'PATCH bodies must be sent as application/merge-patch+json' });
+    }
+
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Merge patch must be a JSON object' });
+    }
+
+    const existingVisit = await getVisit(req.params.id);
+
+    if (!existingVisit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingVisit)) {
+      return res.status(412).json({ error: 'Visit has changed since it was read', etag: formatETag(existingVisit) });
+    }
+
+    if (existingVisit.archived) {
+      return res.status(409).json({ error: 'Visit is archived, restore it before changing it' });
+    }
+
+    // Patch the current representation, then validate the result as a whole
+    const patchedVisit = applyMergePatch(pickFields(visitSchema, existingVisit), req.body);
+    const details = validate(visitSchema, patchedVisit);
+
+    if (details.length === 0) {
+      details.push(...await unknownReferences(req, patchedVisit, existingVisit));
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const visit = await replaceVisit(existingVisit, patchedVisit, req);
+
+    res.set('ETag', formatETag(visit));
+    res.status(200).json(visit);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error patching visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update visit' });
+  }
+});
+
+// Archive visit, honouring If-Match. Visits are medical records, so the record is kept.
+app.delete('/visits/:id', requireRole(...VISIT_EDITORS), async (req, res) => {
+  try {
+    const existingVisit = await getVisit(req.params.id);
+
+    if (!existingVisit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingVisit)) {
+      return res.status(412).json({ error: 'Visit has changed since it was read', etag: formatETag(existingVisit) });
+    }
+
+    if (existingVisit.archived) {
+      return res.status(409).json({ error: 'Visit is already archived' });
+    }
+
+    const visit = await saveVisit(existingVisit, { ...existingVisit, ...archiveFields(req) }, req, 'archive');
+
+    res.set('ETag', formatETag(visit));
+    res.status(200).json(visit);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error archiving visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to archive visit' });
+  }
+});
+
+// Restore an archived visit, honouring If-Match
+app.post('/visits/:id/restore', requireRole(...VISIT_EDITORS), async (req, res) => {
+  try {
+    const existingVisit = await getVisit(req.params.id);
+
+    if (!existingVisit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingVisit)) {
+      return res.status(412).json({ error: 'Visit has changed since it was read', etag: formatETag(existingVisit) });
+    }
+
+    if (!existingVisit.archived) {
+      return res.status(409).json({ error: 'Visit is not archived' });
+    }
+
+    const visit = await saveVisit(existingVisit, withoutArchiveFields(existingVisit), req, 'restore');
+
+    res.set('ETag', formatETag(visit));
+    res.status(200).json(visit);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error restoring visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to restore visit' });
+  }
+});
+
+// Move a visit, archived or not, to another pet, honouring If-Match; administrators
+// only. pet-service uses it to hand a purged pet's visits to the pet that replaces it.
+app.post('/visits/:id/move', requireRole(ROLES.ADMIN), validateBody(moveSchema), async (req, res) => {
+  try {
+    const existingVisit = await getVisit(req.params.id);
+
+    if (!existingVisit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingVisit)) {
+      return res.status(412).json({ error: 'Visit has changed since it was read', etag: formatETag(existingVisit) });
+    }
+
+    const details = await unknownReferences(req, { ...existingVisit, petId: req.body.petId }, existingVisit);
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const visit = await saveVisit(existingVisit, { ...existingVisit, petId: req.body.petId }, req, 'move');
+
+    res.set('ETag', formatETag(visit));
+    res.status(200).json(visit);
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error moving visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to move visit' });
+  }
+});
+
+// Permanently delete an archived visit; administrators only
+app.post('/visits/:id/purge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existingVisit = await getVisit(req.params.id);
+
+    if (!existingVisit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+
+    if (!ifMatchAllows(req.get('If-Match'), existingVisit)) {
+      return res.status(412).json({ error: 'Visit has changed since it was read', etag: formatETag(existingVisit) });
+    }
+
+    if (!existingVisit.archived) {
+      return res.status(409).json({ error: 'Only archived visits can be purged' });
+    }
+
+    const params = {
+      TransactItems: [
+        {
+          Delete: {
+            TableName: tableName,
+            Key: {
+              id: req.params.id,
+            },
+            ...versionCondition(existingVisit),
+          },
+        },
+        auditPut(req, 'visit', 'purge', existingVisit, null),
+      ],
+    };
+
+    await dynamoDB.transactWrite(params).promise();
+
+    res.status(200).json({ message: 'Visit purged successfully' });
+  } catch (error) {
+    if (isWriteConflict(error)) {
+      return sendConflict(req, res);
+    }
+    logger.error(`Error purging visit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to purge visit' });
+  }
+});
+
+// Get visits by pet. Archived visits are left out unless includeArchived=true.
+app.get('/pets/:petId/visits', async (req, res) => {
+  try {
+    const visits = await queryAll(PET_INDEX, 'petId', req.params.petId, req.query);
+
+    res.status(200).json(visits);
+  } catch (error) {
+    logger.error(`Error fetching visits for pet ${req.params.petId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch visits for pet' });
+  }
+});
+
+// Get visits by doctor. Archived visits are left out unless includeArchived=true.
+app.get('/doctors/:doctorId/visits', async (req, res) => {
+  try {
+    const visits = await queryAll(DOCTOR_INDEX, 'doctorId', req.params.doctorId, req.query);
+
+    res.status(200).json(visits);
+  } catch (error) {
+    logger.error(`Error fetching visits for doctor ${req.params.doctorId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch visits for doctor' });
+  }
+});
+
+// Start server
+app.listen(port, () => {
+  logger.info(`Visit service listening on port ${port}`);
+});
+
+module.exports = app; // For testing
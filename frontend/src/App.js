@@ -5,19 +5,29 @@ import CssBaseline from '@mui/material/CssBaseline';
 
 // Layout components
 import Layout from './components/Layout';
+import RequireAuth from './components/RequireAuth';
+import RequirePermission from './components/RequirePermission';
+import { CurrentUserProvider } from './components/CurrentUser';
 
 // Pages
+import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
+import Owners from './pages/Owners';
+import OwnerDetail from './pages/OwnerDetail';
 import Pets from './pages/Pets';
 import PetDetail from './pages/PetDetail';
 import Hospitals from './pages/Hospitals';
 import HospitalDetail from './pages/HospitalDetail';
+import ServiceCatalog from './pages/ServiceCatalog';
 import Doctors from './pages/Doctors';
 import DoctorDetail from './pages/DoctorDetail';
 import Visits from './pages/Visits';
 import VisitDetail from './pages/VisitDetail';
+import VaccinationsDue from './pages/VaccinationsDue';
+import LicensesExpiring from './pages/LicensesExpiring';
 import Billing from './pages/Billing';
 import Insurance from './pages/Insurance';
+import Forbidden from './pages/Forbidden';
 import NotFound from './pages/NotFound';
 
 const theme = createTheme({
@@ -53,30 +63,58 @@ function App() {
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      <Router>
-        <Layout>
+      <CurrentUserProvider>
+        <Router>
           <Routes>
-            <Route path="/" element={<Dashboard />} />
-            
-            <Route path="/pets" element={<Pets />} />
-            <Route path="/pets/:id" element={<PetDetail />} />
-            
-            <Route path="/hospitals" element={<Hospitals />} />
-            <Route path="/hospitals/:id" element={<HospitalDetail />} />
-            
-            <Route path="/doctors" element={<Doctors />} />
-            <Route path="/doctors/:id" element={<DoctorDetail />} />
-            
-            <Route path="/visits" element={<Visits />} />
-            <Route path="/visits/:id" element={<VisitDetail />} />
-            
-            <Route path="/billing" element={<Billing />} />
-            <Route path="/insurance" element={<Insurance />} />
-            
-            <Route path="*" element={<NotFound />} />
+            <Route path="/login" element={<Login />} />
+            <Route
+              path="/*"
+              element={
+                <RequireAuth>
+                  <Layout>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      
+                      <Route path="/owners" element={<Owners />} />
+                      <Route path="/owners/:id" element={<OwnerDetail />} />
+                      
+                      <Route path="/pets" element={<Pets />} />
+                      <Route path="/pets/:id" element={<PetDetail />} />
+                      
+                      <Route path="/hospitals" element={<Hospitals />} />
+                      <Route path="/hospitals/:id" element={<HospitalDetail />} />
+                      <Route
+                        path="/hospitals/:id/services"
+                        element={<RequirePermission permission="hospitals:edit"><ServiceCatalog /></RequirePermission>}
+                      />
+                      
+                      <Route path="/doctors" element={<Doctors />} />
+                      <Route path="/doctors/:id" element={<DoctorDetail />} />
+                      <Route path="/licenses/expiring" element={<LicensesExpiring />} />
+                      
+                      <Route path="/visits" element={<Visits />} />
+                      <Route path="/visits/:id" element={<VisitDetail />} />
+                      <Route path="/vaccinations/due" element={<VaccinationsDue />} />
+                      
+                      <Route
+                        path="/billing"
+                        element={<RequirePermission permission="billing:view"><Billing /></RequirePermission>}
+                      />
+                      <Route
+                        path="/insurance"
+                        element={<RequirePermission permission="insurance:view"><Insurance /></RequirePermission>}
+                      />
+                      
+                      <Route path="/forbidden" element={<Forbidden />} />
+                      <Route path="*" element={<NotFound />} />
+                    </Routes>
+                  </Layout>
+                </RequireAuth>
+              }
+            />
           </Routes>
-        </Layout>
-      </Router>
+        </Router>
+      </CurrentUserProvider>
     </ThemeProvider>
   );
 }
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+
+const DURATIONS = [15, 30, 45, 60, 90, 120];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Book an appointment from the doctor's free slots on a chosen day, at a hospital
+// they are on shift at then. Pass petId to book for a known pet; otherwise the pet
+// is picked in the form. doctorId, hospitalId and reason only prefill the form.
+// onBooked receives the new appointment.
+function BookAppointment({ open, onClose, onBooked, petId, doctorId, hospitalId, reason }) {
+  const [formData, setFormData] = useState({});
+  const [pets, setPets] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [hospitals, setHospitals] = useState([]);
+  const [availability, setAvailability] = useState(null);
+  const [availabilityLoading, setAvailabilityLoading] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+
+    setFormData({
+      petId: petId || '',
+      doctorId: doctorId || '',
+      hospitalId: hospitalId || '',
+      room: '',
+      date: today(),
+      durationMinutes: 30,
+      startTime: '',
+      reason: reason || '',
+      notes: '',
+    });
+    setFieldErrors({});
+    setError(null);
+
+    const fetchChoices = async () => {
+      try {
+        const [petsResponse, doctorsResponse, hospitalsResponse] = await Promise.all([
+          petId ? [] : fetchAllPages('/api/pets'),
+          fetchAllPages('/api/doctors'),
+          fetchAllPages('/api/hospitals'),
+        ]);
+        setPets(petsResponse);
+        setDoctors(doctorsResponse);
+        setHospitals(hospitalsResponse);
+      } catch (err) {
+        console.error('Error fetching booking choices:', err);
+        setError('Failed to fetch doctors and hospitals. Please try again later.');
+      }
+    };
+
+    fetchChoices();
+  }, [open, petId, doctorId, hospitalId, reason]);
+
+  const { doctorId: selectedDoctorId, hospitalId: selectedHospitalId, date, durationMinutes } = formData;
+
+  const fetchAvailability = useCallback(async () => {
+    if (!selectedDoctorId || !date) {
+      setAvailability(null);
+      return;
+    }
+    try {
+      setAvailabilityLoading(true);
+      const response = await axios.get(`/api/doctors/${selectedDoctorId}/availability`, {
+        // With a hospital picked, only times it is open are offered
+        params: { date, duration: durationMinutes, hospitalId: selectedHospitalId || undefined },
+      });
+      setAvailability(response.data);
+    } catch (err) {
+      console.error('Error fetching availability:', err);
+      setAvailability(null);
+      setError('Failed to fetch the doctor\'s free times. Please try again later.');
+    } finally {
+      setAvailabilityLoading(false);
+    }
+  }, [selectedDoctorId, selectedHospitalId, date, durationMinutes]);
+
+  useEffect(() => {
+    if (open) {
+      fetchAvailability();
+    }
+  }, [open, fetchAvailability]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+      // A different doctor, hospital, day or length offers different start times
+      ...(['doctorId', 'hospitalId', 'date', 'durationMinutes'].includes(name) ? { startTime: '' } : {}),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.startTime) {
+      setFieldErrors({ startTime: 'Pick one of the free times' });
+      return;
+    }
+    try {
+      const response = await axios.post('/api/appointments', formData);
+      onBooked(response.data);
+    } catch (err) {
+      console.error('Error booking appointment:', err);
+      if (err.response?.status === 409) {
+        // Someone else took the time, or the doctor or hospital is not free then
+        setError(err.response.data.error);
+        setFormData({ ...formData, startTime: '' });
+        fetchAvailability();
+      } else if (err.response?.data?.details) {
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else {
+        setError('Failed to book appointment. Please try again later.');
+      }
+    }
+  };
+
+  const selectProps = (name, label) => ({
+    select: true,
+    margin: 'dense',
+    name,
+    label,
+    fullWidth: true,
+    variant: 'outlined',
+    value: formData[name] || '',
+    onChange: handleInputChange,
+    error: Boolean(fieldErrors[name]),
+    helperText: fieldErrors[name],
+    required: true,
+  });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Book Appointment</DialogTitle>
+      <form onSubmit={handleSubmit}>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+          {!petId && (
+            <TextField {...selectProps('petId', 'Pet')}>
+              {pets.map(pet => (
+                <MenuItem key={pet.id} value={pet.id}>{pet.name} ({pet.species})</MenuItem>
+              ))}
+            </TextField>
+          )}
+          <TextField {...selectProps('doctorId', 'Doctor')}>
+            {doctors.map(doctor => (
+              <MenuItem key={doctor.id} value={doctor.id}>Dr. {doctor.firstName} {doctor.lastName}</MenuItem>
+            ))}
+          </TextField>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField {...selectProps('hospitalId', 'Hospital')}>
+              {hospitals.map(hospital => (
+                <MenuItem key={hospital.id} value={hospital.id}>{hospital.name}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              margin="dense"
+              name="room"
+              label="Room"
+              fullWidth
+              variant="outlined"
+              value={formData.room || ''}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.room)}
+              helperText={fieldErrors.room}
+            />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              margin="dense"
+              name="date"
+              label="Date"
+              type="date"
+              fullWidth
+              variant="outlined"
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: today() }}
+              value={formData.date || ''}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.date)}
+              helperText={fieldErrors.date}
+              required
+            />
+            <TextField {...selectProps('durationMinutes', 'Length')}>
+              {DURATIONS.map(minutes => (
+                <MenuItem key={minutes} value={minutes}>{minutes} minutes</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Free times</Typography>
+          {availabilityLoading ? (
+            <CircularProgress size={24} />
+          ) : !availability ? (
+            <Typography variant="body2" color="textSecondary">Pick a doctor and a date</Typography>
+          ) : availability.timeOff ? (
+            <Typography variant="body2" color="textSecondary">
+              The doctor is away ({availability.timeOff.type}) from {availability.timeOff.startDate} to {availability.timeOff.endDate}
+            </Typography>
+          ) : availability.licenseLapsed ? (
+            <Typography variant="body2" color="textSecondary">{availability.licenseLapsed}</Typography>
+          ) : availability.hospitalHours && !availability.hospitalHours.hours ? (
+            <Typography variant="body2" color="textSecondary">
+              {availability.hospitalHours.closure
+                ? `The hospital is closed on this day (${availability.hospitalHours.closure.reason})`
+                : 'The hospital is closed on this day'}
+            </Typography>
+          ) : availability.shifts.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">The doctor does not work on this day</Typography>
+          ) : selectedHospitalId && !availability.shifts.some(shift => shift.hospitalId === selectedHospitalId) ? (
+            <Typography variant="body2" color="textSecondary">The doctor does not work at this hospital on this day</Typography>
+          ) : availability.slots.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">The doctor is fully booked on this day</Typography>
+          ) : (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {availability.slots.map(slot => (
+                <Chip
+                  key={slot.startTime}
+                  label={slot.startTime}
+                  color={formData.startTime === slot.startTime ? 'primary' : 'default'}
+                  variant={formData.startTime === slot.startTime ? 'filled' : 'outlined'}
+                  onClick={() => setFormData({ ...formData, startTime: slot.startTime })}
+                />
+              ))}
+            </Box>
+          )}
+          {fieldErrors.startTime && (
+            <Typography variant="caption" color="error">{fieldErrors.startTime}</Typography>
+          )}
+
+          <TextField
+            margin="dense"
+            name="reason"
+            label="Reason"
+            fullWidth
+            variant="outlined"
+            value={formData.reason || ''}
+            onChange={handleInputChange}
+            error={Boolean(fieldErrors.reason)}
+            helperText={fieldErrors.reason}
+            required
+            sx={{ mt: 2 }}
+          />
+          <TextField
+            margin="dense"
+            name="notes"
+            label="Notes"
+            fullWidth
+            multiline
+            rows={2}
+            variant="outlined"
+            value={formData.notes || ''}
+            onChange={handleInputChange}
+            error={Boolean(fieldErrors.notes)}
+            helperText={fieldErrors.notes}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" color="primary">
+            Book
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+}
+
+export default BookAppointment;
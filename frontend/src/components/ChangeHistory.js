@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Divider,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import axios from 'axios';
+
+const ACTION_COLORS = {
+  create: 'success',
+  update: 'primary',
+  archive: 'warning',
+  restore: 'info',
+  transfer: 'secondary',
+  move: 'secondary',
+  schedule: 'primary',
+  purge: 'error',
+};
+
+const formatValue = (value) => {
+  if (value === null) {
+    return '—';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// The audit trail of one pet, hospital or doctor, newest change first.
+// `resource` is the API collection, e.g. "pets".
+function ChangeHistory({ resource, id }) {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/api/${resource}/${id}/history`);
+        setEntries(response.data.items);
+        setNextCursor(response.data.nextCursor);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching change history:', err);
+        setError('Failed to fetch change history. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [resource, id]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await axios.get(`/api/${resource}/${id}/history`, { params: { cursor: nextCursor } });
+      setEntries(current => [...current, ...response.data.items]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching more change history:', err);
+      setError('Failed to fetch more change history. Please try again later.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {entries.length === 0 && !error ? (
+        <Typography variant="body1" color="textSecondary">
+          No changes recorded
+        </Typography>
+      ) : (
+        entries.map((entry, index) => (
+          <Box key={entry.version} sx={{ mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Chip label={entry.action} color={ACTION_COLORS[entry.action] || 'default'} size="small" />
+              <Typography variant="body2">
+                {entry.actor} on {new Date(entry.timestamp).toLocaleString()}
+              </Typography>
+            </Box>
+            {entry.changes.length > 0 && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Field</TableCell>
+                    <TableCell>Before</TableCell>
+                    <TableCell>After</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entry.changes.map(change => (
+                    <TableRow key={change.field}>
+                      <TableCell>{change.field}</TableCell>
+                      <TableCell sx={{ wordBreak: 'break-word' }}>{formatValue(change.before)}</TableCell>
+                      <TableCell sx={{ wordBreak: 'break-word' }}>{formatValue(change.after)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            {index < entries.length - 1 && <Divider sx={{ mt: 2 }} />}
+          </Box>
+        ))
+      )}
+      {nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ChangeHistory;
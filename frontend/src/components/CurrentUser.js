@@ -0,0 +1,36 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { getCurrentUser, setSession, clearSession } from '../utils/auth';
+import { hasPermission } from '../utils/permissions';
+
+const CurrentUserContext = createContext(null);
+
+// Shares the signed-in user with every page, along with `can(permission)` for
+// deciding which actions to offer them
+export function CurrentUserProvider({ children }) {
+  const [user, setUser] = useState(getCurrentUser);
+
+  const signIn = useCallback((session) => {
+    setSession(session);
+    setUser(session.user);
+  }, []);
+
+  const signOut = useCallback(() => {
+    clearSession();
+    setUser(null);
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    can: (permission) => hasPermission(user, permission),
+    signIn,
+    signOut,
+  }), [user, signIn, signOut]);
+
+  return (
+    <CurrentUserContext.Provider value={value}>
+      {children}
+    </CurrentUserContext.Provider>
+  );
+}
+
+export const useCurrentUser = () => useContext(CurrentUserContext);
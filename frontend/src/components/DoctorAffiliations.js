@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { affiliationStatus, today } from '../utils/doctors';
+import { useCurrentUser } from './CurrentUser';
+
+const emptyForm = { hospitalId: '', startDate: '', endDate: '' };
+
+const toFormData = (affiliation) => ({
+  hospitalId: affiliation.hospitalId,
+  startDate: affiliation.startDate,
+  endDate: affiliation.endDate ?? '',
+  id: affiliation.id,
+  version: affiliation.version,
+});
+
+const emptyTransfer = () => ({ fromHospitalId: '', toHospitalId: '', date: today(), endDate: '' });
+
+// The hospitals a doctor works at, past, present and planned, newest first. One
+// affiliation at a time is primary and sets the hospital shown on the doctor's
+// profile; moving it to another hospital is a transfer, which ends the old affiliation
+// the day before the new one starts.
+function DoctorAffiliations({ doctor, onTransferred }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('doctors:edit') && !doctor.archived;
+  const [affiliations, setAffiliations] = useState([]);
+  const [hospitals, setHospitals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false);
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [transfer, setTransfer] = useState(emptyTransfer());
+  const [transferError, setTransferError] = useState(null);
+  const [transferErrors, setTransferErrors] = useState({});
+
+  const fetchAffiliations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [affiliationsResponse, hospitalsResponse] = await Promise.all([
+        fetchAllPages(`/api/doctors/${doctor.id}/affiliations`),
+        // Archived hospitals too, to name those the doctor used to work at
+        fetchAllPages('/api/hospitals', { includeArchived: 'true' }),
+      ]);
+      setAffiliations([...affiliationsResponse].sort((a, b) => b.startDate.localeCompare(a.startDate)));
+      setHospitals(hospitalsResponse);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching affiliations:', err);
+      setError('Failed to fetch hospital affiliations. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [doctor.id]);
+
+  useEffect(() => {
+    fetchAffiliations();
+  }, [fetchAffiliations]);
+
+  const hospitalName = (hospitalId) => hospitals.find(hospital => hospital.id === hospitalId)?.name || hospitalId;
+  const activeHospitals = hospitals.filter(hospital => !hospital.archived);
+  const currentAffiliations = affiliations.filter(affiliation => affiliationStatus(affiliation).status === 'Current');
+
+  const handleFormOpen = (affiliation = null) => {
+    setFormData(affiliation ? toFormData(affiliation) : emptyForm);
+    setFormError(null);
+    setFieldErrors({});
+    setConflict(false);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+  };
+
+  // Discard the user's edits in favour of the latest saved version of the affiliation
+  const handleReload = async () => {
+    try {
+      const response = await axios.get(`/api/doctors/${doctor.id}/affiliations/${formData.id}`);
+      setFormData(toFormData(response.data));
+      setFormError(null);
+      setFieldErrors({});
+      setConflict(false);
+    } catch (err) {
+      console.error('Error reloading affiliation:', err);
+      setError('Failed to reload affiliation. Please try again later.');
+      setFormOpen(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    const { id, version, ...affiliation } = formData;
+    const body = { ...affiliation, endDate: affiliation.endDate || null };
+    try {
+      if (id) {
+        await axios.put(`/api/doctors/${doctor.id}/affiliations/${id}`, body, {
+          headers: ifMatchHeaders(formData),
+        });
+      } else {
+        await axios.post(`/api/doctors/${doctor.id}/affiliations`, body);
+      }
+      fetchAffiliations();
+      setFormOpen(false);
+    } catch (err) {
+      console.error('Error saving affiliation:', err);
+      if (isConflict(err)) {
+        setConflict(true);
+      } else if (err.response?.data?.details) {
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else if (err.response?.status === 409) {
+        // It would overlap another affiliation with the same hospital or another primary one
+        setFormError(err.response.data.error);
+      } else {
+        setError('Failed to save affiliation. Please try again later.');
+        setFormOpen(false);
+      }
+    }
+  };
+
+  const handleRemove = async (affiliation) => {
+    if (!window.confirm(`Remove the affiliation with ${hospitalName(affiliation.hospitalId)} as entered in error?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/doctors/${doctor.id}/affiliations/${affiliation.id}`, {
+        headers: ifMatchHeaders(affiliation),
+      });
+      fetchAffiliations();
+    } catch (err) {
+      console.error('Error removing affiliation:', err);
+      setError(isConflict(err)
+        ? 'This affiliation was changed by someone else and was not removed. The affiliations have been reloaded.'
+        : 'Failed to remove affiliation. Please try again later.');
+      fetchAffiliations();
+    }
+  };
+
+  const handleTransferOpen = () => {
+    setTransfer(emptyTransfer());
+    setTransferError(null);
+    setTransferErrors({});
+    setTransferOpen(true);
+  };
+
+  const handleTransferChange = (e) => {
+    const { name, value } = e.target;
+    setTransfer({
+      ...transfer,
+      [name]: value,
+    });
+  };
+
+  const handleTransferSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(`/api/doctors/${doctor.id}/transfer`, {
+        toHospitalId: transfer.toHospitalId,
+        // Without one, the primary affiliation is the one that ends
+        ...(transfer.fromHospitalId ? { fromHospitalId: transfer.fromHospitalId } : {}),
+        date: transfer.date,
+        endDate: transfer.endDate || null,
+      }, {
+        headers: ifMatchHeaders(doctor),
+      });
+      setTransferOpen(false);
+      onTransferred();
+    } catch (err) {
+      console.error('Error transferring doctor:', err);
+      if (isConflict(err)) {
+        setTransferOpen(false);
+        setError('This doctor was changed by someone else and was not transferred. The doctor has been reloaded.');
+        onTransferred();
+      } else if (err.response?.data?.details) {
+        setTransferErrors(toFieldErrors(err.response.data.details));
+      } else if (err.response?.status === 409) {
+        setTransferError(err.response.data.error);
+      } else {
+        setError('Failed to transfer doctor. Please try again later.');
+        setTransferOpen(false);
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">Hospitals</Typography>
+        {canEdit && (
+          <Box>
+            <Button size="small" onClick={() => handleFormOpen()}>
+              Add Affiliation
+            </Button>
+            <Button size="small" onClick={handleTransferOpen}>
+              Transfer
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ my: 2 }}>{error}</Alert>}
+
+      {affiliations.length > 0 ? (
+        <List>
+          {affiliations.map((affiliation, index) => {
+            const status = affiliationStatus(affiliation);
+            return (
+              <React.Fragment key={affiliation.id}>
+                <ListItem alignItems="flex-start" disableGutters>
+                  <ListItemText
+                    primary={
+                      <Link to={`/hospitals/${affiliation.hospitalId}`} style={{ color: 'inherit' }}>
+                        {hospitalName(affiliation.hospitalId)}
+                      </Link>
+                    }
+                    secondary={affiliation.endDate
+                      ? `${affiliation.startDate} to ${affiliation.endDate}`
+                      : `Since ${affiliation.startDate}`}
+                  />
+                  <Box sx={{ display: 'flex', alignItems: 'center', flexShrink: 0, gap: 1 }}>
+                    {affiliation.primary && <Chip label="Primary" color="primary" size="small" />}
+                    <Chip label={status.status} color={status.color} variant="outlined" size="small" />
+                    {canEdit && (
+                      <>
+                        <Button size="small" onClick={() => handleFormOpen(affiliation)}>
+                          Edit
+                        </Button>
+                        {!affiliation.primary && (
+                          <Button size="small" color="warning" onClick={() => handleRemove(affiliation)}>
+                            Remove
+                          </Button>
+                        )}
+                      </>
+                    )}
+                  </Box>
+                </ListItem>
+                {index < affiliations.length - 1 && <Divider />}
+              </React.Fragment>
+            );
+          })}
+        </List>
+      ) : (
+        <Typography variant="body1" color="textSecondary">
+          No hospital affiliations recorded
+        </Typography>
+      )}
+
+      {/* Add/Edit Affiliation Dialog */}
+      <Dialog open={formOpen} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        <DialogTitle>{formData.id ? 'Edit Affiliation' : 'Add Affiliation'}</DialogTitle>
+        <form onSubmit={handleFormSubmit}>
+          <DialogContent>
+            {conflict && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 1 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleReload}>
+                    Reload
+                  </Button>
+                }
+              >
+                This affiliation was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+              </Alert>
+            )}
+            {formError && <Alert severity="error" sx={{ mb: 1 }}>{formError}</Alert>}
+            <TextField
+              select
+              autoFocus
+              margin="dense"
+              name="hospitalId"
+              label="Hospital"
+              fullWidth
+              variant="outlined"
+              value={formData.hospitalId}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.hospitalId)}
+              helperText={fieldErrors.hospitalId || (formData.id ? 'Transfer the doctor to move to another hospital' : '')}
+              disabled={Boolean(formData.id)}
+              required
+            >
+              {(formData.id ? hospitals : activeHospitals).map(hospital => (
+                <MenuItem key={hospital.id} value={hospital.id}>{hospital.name}</MenuItem>
+              ))}
+            </TextField>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                name="startDate"
+                label="Start Date"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                value={formData.startDate}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.startDate)}
+                helperText={fieldErrors.startDate}
+                required
+              />
+              <TextField
+                margin="dense"
+                name="endDate"
+                label="End Date"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                value={formData.endDate}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.endDate)}
+                helperText={fieldErrors.endDate || 'Leave empty if it is open-ended'}
+              />
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleFormClose}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              {formData.id ? 'Update' : 'Add'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* Transfer Dialog */}
+      <Dialog open={transferOpen} onClose={() => setTransferOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Transfer Doctor</DialogTitle>
+        <form onSubmit={handleTransferSubmit}>
+          <DialogContent>
+            {transferError && <Alert severity="error" sx={{ mb: 1 }}>{transferError}</Alert>}
+            <TextField
+              select
+              margin="dense"
+              name="fromHospitalId"
+              label="From"
+              fullWidth
+              variant="outlined"
+              value={transfer.fromHospitalId}
+              onChange={handleTransferChange}
+              error={Boolean(transferErrors.fromHospitalId)}
+              helperText={transferErrors.fromHospitalId}
+              SelectProps={{ displayEmpty: true }}
+              InputLabelProps={{ shrink: true }}
+            >
+              <MenuItem value="">Primary hospital</MenuItem>
+              {currentAffiliations.filter(affiliation => !affiliation.primary).map(affiliation => (
+                <MenuItem key={affiliation.id} value={affiliation.hospitalId}>
+                  {hospitalName(affiliation.hospitalId)}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              autoFocus
+              margin="dense"
+              name="toHospitalId"
+              label="To"
+              fullWidth
+              variant="outlined"
+              value={transfer.toHospitalId}
+              onChange={handleTransferChange}
+              error={Boolean(transferErrors.toHospitalId)}
+              helperText={transferErrors.toHospitalId}
+              required
+            >
+              {activeHospitals.map(hospital => (
+                <MenuItem key={hospital.id} value={hospital.id}>{hospital.name}</MenuItem>
+              ))}
+            </TextField>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                name="date"
+                label="Transfer Date"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ max: today() }}
+                value={transfer.date}
+                onChange={handleTransferChange}
+                error={Boolean(transferErrors.date)}
+                helperText={transferErrors.date || 'The old affiliation ends the day before'}
+                required
+              />
+              <TextField
+                margin="dense"
+                name="endDate"
+                label="End Date"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                value={transfer.endDate}
+                onChange={handleTransferChange}
+                error={Boolean(transferErrors.endDate)}
+                helperText={transferErrors.endDate || 'Leave empty if it is open-ended'}
+              />
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setTransferOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Transfer
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default DoctorAffiliations;
@@ -0,0 +1,400 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { VERIFICATION_STATUSES, VERIFICATION_LABELS, credentialStatus } from '../utils/credentials';
+import { useCurrentUser } from './CurrentUser';
+
+// The two kinds of credential, by the path the API serves them under
+const KINDS = {
+  licenses: { title: 'Licenses', singular: 'License' },
+  certifications: { title: 'Certifications', singular: 'Certification' },
+};
+
+const FORM_FIELDS = {
+  licenses: ['state', 'number', 'issueDate', 'expiryDate', 'verificationStatus'],
+  certifications: ['name', 'issuingBody', 'issueDate', 'expiryDate', 'verificationStatus'],
+};
+
+const emptyForm = (kind) => ({
+  ...Object.fromEntries(FORM_FIELDS[kind].map(name => [name, ''])),
+  kind,
+  verificationStatus: 'unverified',
+});
+
+const toFormData = (credential) => ({
+  ...Object.fromEntries(FORM_FIELDS[credential.kind].map(name => [name, credential[name] ?? ''])),
+  kind: credential.kind,
+  id: credential.id,
+  version: credential.version,
+});
+
+const toCredential = ({ kind, id, version, ...formData }) => ({
+  ...formData,
+  expiryDate: formData.expiryDate || null,
+});
+
+const describe = (credential) => (
+  credential.kind === 'licenses'
+    ? `${credential.state} license ${credential.number}`
+    : credential.name
+);
+
+// A doctor's licenses and certifications, soonest to expire first, each with whether it
+// is still in force and whether it has been checked with whoever issued it.
+// Appointments cannot be booked with a doctor whose licenses have all run out.
+function DoctorCredentials({ doctorId }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('doctors:edit');
+  const [credentials, setCredentials] = useState({ licenses: [], certifications: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyForm('licenses'));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false);
+
+  const fetchCredentials = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [licenses, certifications] = await Promise.all([
+        fetchAllPages(`/api/doctors/${doctorId}/licenses`),
+        fetchAllPages(`/api/doctors/${doctorId}/certifications`),
+      ]);
+      // Those that never expire last
+      const byExpiry = (a, b) => (a.expiryDate || '9999').localeCompare(b.expiryDate || '9999');
+      setCredentials({
+        licenses: [...licenses].sort(byExpiry),
+        certifications: [...certifications].sort(byExpiry),
+      });
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching credentials:', err);
+      setError('Failed to fetch licenses and certifications. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [doctorId]);
+
+  useEffect(() => {
+    fetchCredentials();
+  }, [fetchCredentials]);
+
+  const handleFormOpen = (kind, credential = null) => {
+    setFormData(credential ? toFormData(credential) : emptyForm(kind));
+    setFieldErrors({});
+    setConflict(false);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+  };
+
+  // Discard the user's edits in favour of the latest saved version of the credential
+  const handleReload = async () => {
+    try {
+      const response = await axios.get(`/api/doctors/${doctorId}/${formData.kind}/${formData.id}`);
+      setFormData(toFormData(response.data));
+      setFieldErrors({});
+      setConflict(false);
+    } catch (err) {
+      console.error('Error reloading credential:', err);
+      setError('Failed to reload credential. Please try again later.');
+      setFormOpen(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (formData.id) {
+        await axios.put(`/api/doctors/${doctorId}/${formData.kind}/${formData.id}`, toCredential(formData), {
+          headers: ifMatchHeaders(formData),
+        });
+      } else {
+        await axios.post(`/api/doctors/${doctorId}/${formData.kind}`, toCredential(formData));
+      }
+      fetchCredentials();
+      setFormOpen(false);
+    } catch (err) {
+      console.error('Error saving credential:', err);
+      if (isConflict(err)) {
+        setConflict(true);
+      } else if (err.response?.data?.details) {
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else if (err.response?.status === 409 && err.response.data?.doctorId) {
+        // The license number is already recorded for the state
+        setFieldErrors({ number: err.response.data.error });
+      } else {
+        setError('Failed to save credential. Please try again later.');
+        setFormOpen(false);
+      }
+    }
+  };
+
+  const handleRemove = async (credential) => {
+    if (!window.confirm(`Remove ${describe(credential)} as entered in error?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/doctors/${doctorId}/${credential.kind}/${credential.id}`, {
+        headers: ifMatchHeaders(credential),
+      });
+      fetchCredentials();
+    } catch (err) {
+      console.error('Error removing credential:', err);
+      setError(isConflict(err)
+        ? 'This credential was changed by someone else and was not removed. The credentials have been reloaded.'
+        : 'Failed to remove credential. Please try again later.');
+      fetchCredentials();
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const isLicense = formData.kind === 'licenses';
+  const { singular } = KINDS[formData.kind];
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {Object.entries(KINDS).map(([kind, { title, singular: kindSingular }]) => (
+        <Box key={kind} sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6">{title}</Typography>
+            {canEdit && (
+              <Button size="small" onClick={() => handleFormOpen(kind)}>
+                Add {kindSingular}
+              </Button>
+            )}
+          </Box>
+          {credentials[kind].length > 0 ? (
+            <List>
+              {credentials[kind].map((credential, index) => {
+                const status = credentialStatus(credential);
+                return (
+                  <React.Fragment key={credential.id}>
+                    <ListItem alignItems="flex-start" disableGutters>
+                      <ListItemText
+                        primary={kind === 'licenses' ? `${credential.state} - ${credential.number}` : credential.name}
+                        secondary={
+                          <>
+                            {kind === 'certifications' && (
+                              <Typography component="span" variant="body2" display="block">
+                                {credential.issuingBody}
+                              </Typography>
+                            )}
+                            <Typography component="span" variant="body2" display="block">
+                              Issued: {credential.issueDate}
+                              {credential.expiryDate && ` · Expires: ${credential.expiryDate}`}
+                            </Typography>
+                          </>
+                        }
+                      />
+                      <Box sx={{ display: 'flex', alignItems: 'center', flexShrink: 0, gap: 1 }}>
+                        <Chip label={status.status} color={status.color} size="small" />
+                        <Chip
+                          label={VERIFICATION_LABELS[credential.verificationStatus]}
+                          color={credential.verificationStatus === 'verified' ? 'success' : 'default'}
+                          variant="outlined"
+                          size="small"
+                        />
+                        {canEdit && (
+                          <>
+                            <Button size="small" onClick={() => handleFormOpen(kind, credential)}>
+                              Edit
+                            </Button>
+                            <Button size="small" color="warning" onClick={() => handleRemove(credential)}>
+                              Remove
+                            </Button>
+                          </>
+                        )}
+                      </Box>
+                    </ListItem>
+                    {index < credentials[kind].length - 1 && <Divider />}
+                  </React.Fragment>
+                );
+              })}
+            </List>
+          ) : (
+            <Typography variant="body1" color="textSecondary">
+              No {title.toLowerCase()} recorded
+            </Typography>
+          )}
+        </Box>
+      ))}
+
+      {/* Add/Edit Credential Dialog */}
+      <Dialog open={formOpen} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        <DialogTitle>{formData.id ? `Edit ${singular}` : `Add ${singular}`}</DialogTitle>
+        <form onSubmit={handleFormSubmit}>
+          <DialogContent>
+            {conflict && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 1 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleReload}>
+                    Reload
+                  </Button>
+                }
+              >
+                This {singular.toLowerCase()} was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+              </Alert>
+            )}
+            {isLicense ? (
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField
+                  autoFocus
+                  margin="dense"
+                  name="state"
+                  label="Issuing State"
+                  type="text"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.state}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.state)}
+                  helperText={fieldErrors.state}
+                  required
+                />
+                <TextField
+                  margin="dense"
+                  name="number"
+                  label="License Number"
+                  type="text"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.number}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.number)}
+                  helperText={fieldErrors.number}
+                  required
+                />
+              </Box>
+            ) : (
+              <>
+                <TextField
+                  autoFocus
+                  margin="dense"
+                  name="name"
+                  label="Certification"
+                  type="text"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.name)}
+                  helperText={fieldErrors.name}
+                  required
+                />
+                <TextField
+                  margin="dense"
+                  name="issuingBody"
+                  label="Issuing Body"
+                  type="text"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.issuingBody}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.issuingBody)}
+                  helperText={fieldErrors.issuingBody}
+                  required
+                />
+              </>
+            )}
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                name="issueDate"
+                label="Issue Date"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                value={formData.issueDate}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.issueDate)}
+                helperText={fieldErrors.issueDate}
+                required
+              />
+              <TextField
+                margin="dense"
+                name="expiryDate"
+                label="Expiry Date"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                value={formData.expiryDate}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.expiryDate)}
+                helperText={fieldErrors.expiryDate || (isLicense ? '' : 'Leave empty if it does not expire')}
+                required={isLicense}
+              />
+            </Box>
+            <TextField
+              select
+              margin="dense"
+              name="verificationStatus"
+              label="Verification"
+              fullWidth
+              variant="outlined"
+              value={formData.verificationStatus}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.verificationStatus)}
+              helperText={fieldErrors.verificationStatus}
+            >
+              {VERIFICATION_STATUSES.map(status => (
+                <MenuItem key={status} value={status}>{VERIFICATION_LABELS[status]}</MenuItem>
+              ))}
+            </TextField>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleFormClose}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              {formData.id ? 'Update' : 'Add'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default DoctorCredentials;
@@ -0,0 +1,441 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { useCurrentUser } from './CurrentUser';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const dayLabel = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+
+const TIME_OFF_TYPES = [
+  { value: 'vacation', label: 'Vacation' },
+  { value: 'sick', label: 'Sick' },
+  { value: 'training', label: 'Training' },
+  { value: 'other', label: 'Other' },
+];
+
+const typeLabel = (type) => (TIME_OFF_TYPES.find(option => option.value === type) || { label: type }).label;
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error',
+  cancelled: 'default',
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyTimeOff = () => ({ type: 'vacation', startDate: today(), endDate: today(), reason: '' });
+
+// A doctor's weekly shifts, which can be split between hospitals, and their upcoming
+// time off, which decide when and where they can be booked. Front desk staff keep the
+// shifts; vets and front desk staff ask for time off, which an administrator approves.
+// Saving shifts moves the doctor to a new version, so `onShiftsSaved` lets the page reload it.
+function DoctorSchedule({ doctorId, onShiftsSaved }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('schedules:edit');
+  const canRequest = can('timeoff:request');
+  const canApprove = can('timeoff:approve');
+  const [schedule, setSchedule] = useState(null);
+  const [timeOff, setTimeOff] = useState([]);
+  const [hospitals, setHospitals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [shiftsOpen, setShiftsOpen] = useState(false);
+  const [weekly, setWeekly] = useState({});
+  const [shiftsError, setShiftsError] = useState(null);
+  const [timeOffOpen, setTimeOffOpen] = useState(false);
+  const [timeOffData, setTimeOffData] = useState(emptyTimeOff);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [timeOffError, setTimeOffError] = useState(null);
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [scheduleResponse, timeOffResponse, hospitalsResponse] = await Promise.all([
+        axios.get(`/api/doctors/${doctorId}/schedule`),
+        fetchAllPages(`/api/doctors/${doctorId}/time-off`, { from: today() }),
+        fetchAllPages('/api/hospitals'),
+      ]);
+      setSchedule(scheduleResponse.data);
+      setTimeOff([...timeOffResponse].sort((a, b) => a.startDate.localeCompare(b.startDate)));
+      setHospitals(hospitalsResponse);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching schedule:', err);
+      setError('Failed to fetch schedule. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [doctorId]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  const hospitalName = (hospitalId) => {
+    const hospital = hospitals.find(h => h.id === hospitalId);
+    return hospital ? hospital.name : 'Unknown hospital';
+  };
+
+  const handleShiftsOpen = () => {
+    setWeekly(Object.fromEntries(DAYS.map(day => [day, schedule.weekly[day] || []])));
+    setShiftsError(null);
+    setShiftsOpen(true);
+  };
+
+  const updateDay = (day, shifts) => {
+    setWeekly({ ...weekly, [day]: shifts });
+  };
+
+  const handleShiftsSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      // Days without shifts are days off
+      const body = { weekly: Object.fromEntries(Object.entries(weekly).filter(([, shifts]) => shifts.length > 0)) };
+      const response = await axios.put(`/api/doctors/${doctorId}/schedule`, body, {
+        headers: ifMatchHeaders(schedule),
+      });
+      setSchedule(response.data);
+      setShiftsOpen(false);
+      onShiftsSaved();
+    } catch (err) {
+      console.error('Error saving schedule:', err);
+      if (isConflict(err)) {
+        setShiftsError('These shifts were changed by someone else since you opened them. Close and reopen to see the latest.');
+        fetchSchedule();
+      } else if (err.response?.data?.details) {
+        setShiftsError(err.response.data.details.map(detail => detail.message).join('; '));
+      } else {
+        setShiftsError('Failed to save shifts. Please try again later.');
+      }
+    }
+  };
+
+  const handleTimeOffOpen = () => {
+    setTimeOffData(emptyTimeOff());
+    setFieldErrors({});
+    setTimeOffError(null);
+    setTimeOffOpen(true);
+  };
+
+  const handleTimeOffChange = (e) => {
+    const { name, value } = e.target;
+    setTimeOffData({
+      ...timeOffData,
+      [name]: value,
+    });
+  };
+
+  const handleTimeOffSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(`/api/doctors/${doctorId}/time-off`, timeOffData);
+      fetchSchedule();
+      setTimeOffOpen(false);
+    } catch (err) {
+      console.error('Error requesting time off:', err);
+      if (err.response?.status === 409) {
+        // Overlaps time off already asked for
+        setTimeOffError(err.response.data.error);
+      } else if (err.response?.data?.details) {
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else {
+        setTimeOffError('Failed to request time off. Please try again later.');
+      }
+    }
+  };
+
+  // Approve, reject or cancel a time-off request
+  const handleTimeOffAction = async (entry, action) => {
+    if (action === 'cancel' && !window.confirm(`Cancel the ${typeLabel(entry.type).toLowerCase()} from ${entry.startDate} to ${entry.endDate}?`)) {
+      return;
+    }
+    let body = {};
+    if (action === 'reject') {
+      const reason = window.prompt('Reason for rejecting (optional)');
+      if (reason === null) {
+        return;
+      }
+      body = { reason };
+    }
+    try {
+      await axios.post(`/api/doctors/${doctorId}/time-off/${entry.id}/${action}`, body, {
+        headers: ifMatchHeaders(entry),
+      });
+      fetchSchedule();
+    } catch (err) {
+      console.error(`Error trying to ${action} time off:`, err);
+      if (isConflict(err)) {
+        setError('This time off was changed by someone else. The latest is shown below.');
+        fetchSchedule();
+      } else if (err.response?.status === 409) {
+        // Appointments are booked on those days, or the request was already decided
+        setError(err.response.data.error);
+      } else {
+        setError(`Failed to ${action} time off. Please try again later.`);
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!schedule) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>Schedule</Typography>
+        {canEdit && (
+          <Button size="small" onClick={handleShiftsOpen}>Edit Shifts</Button>
+        )}
+      </Box>
+      <List dense>
+        {DAYS.map(day => {
+          const shifts = schedule.weekly[day] || [];
+          return (
+            <ListItem key={day} sx={{ py: 0.5 }}>
+              <ListItemText
+                primary={dayLabel(day)}
+                secondary={shifts.length > 0
+                  ? shifts.map(shift => `${shift.start} - ${shift.end} at ${hospitalName(shift.hospitalId)}`).join(', ')
+                  : 'Off'}
+                primaryTypographyProps={{ fontWeight: 'medium' }}
+              />
+            </ListItem>
+          );
+        })}
+      </List>
+
+      <Divider sx={{ my: 1 }} />
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="subtitle1">Time Off</Typography>
+        {canRequest && (
+          <Button size="small" onClick={handleTimeOffOpen}>Request</Button>
+        )}
+      </Box>
+      {timeOff.length > 0 ? (
+        <List dense>
+          {timeOff.map(entry => (
+            <ListItem key={entry.id} sx={{ py: 0.5, flexWrap: 'wrap' }}>
+              <ListItemText
+                primary={`${typeLabel(entry.type)}: ${entry.startDate}${entry.endDate !== entry.startDate ? ` to ${entry.endDate}` : ''}`}
+                secondary={[entry.reason, entry.decisionReason && `Rejected: ${entry.decisionReason}`].filter(Boolean).join(' - ')}
+              />
+              <Chip label={entry.status} color={STATUS_COLORS[entry.status]} size="small" />
+              {entry.status === 'pending' && canApprove && (
+                <>
+                  <Button size="small" onClick={() => handleTimeOffAction(entry, 'approve')}>Approve</Button>
+                  <Button size="small" color="error" onClick={() => handleTimeOffAction(entry, 'reject')}>Reject</Button>
+                </>
+              )}
+              {['pending', 'approved'].includes(entry.status) && canRequest && (
+                <Button size="small" onClick={() => handleTimeOffAction(entry, 'cancel')}>Cancel</Button>
+              )}
+            </ListItem>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="textSecondary">
+          No upcoming time off
+        </Typography>
+      )}
+
+      {/* Shifts Dialog */}
+      <Dialog open={shiftsOpen} onClose={() => setShiftsOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Weekly Shifts</DialogTitle>
+        <form onSubmit={handleShiftsSubmit}>
+          <DialogContent>
+            {shiftsError && <Alert severity="error" sx={{ mb: 1 }}>{shiftsError}</Alert>}
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+              Times are on the quarter hour. A day can be split between hospitals, but its shifts cannot overlap.
+              Appointments already booked are kept if they fall outside the new shifts.
+            </Typography>
+            {DAYS.map(day => (
+              <Box key={day} sx={{ mb: 1 }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="subtitle2">{dayLabel(day)}</Typography>
+                  <Button
+                    size="small"
+                    disabled={hospitals.length === 0}
+                    onClick={() => updateDay(day, [
+                      ...(weekly[day] || []),
+                      { hospitalId: hospitals[0].id, start: '09:00', end: '17:00' },
+                    ])}
+                  >
+                    Add Shift
+                  </Button>
+                </Box>
+                {(weekly[day] || []).length === 0 && (
+                  <Typography variant="body2" color="textSecondary">Off</Typography>
+                )}
+                {(weekly[day] || []).map((shift, index) => {
+                  const updateShift = (changes) => updateDay(day, weekly[day].map((existing, i) => (
+                    i === index ? { ...existing, ...changes } : existing
+                  )));
+                  return (
+                    <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                      <TextField
+                        select
+                        margin="dense"
+                        label="Hospital"
+                        size="small"
+                        value={shift.hospitalId}
+                        onChange={(e) => updateShift({ hospitalId: e.target.value })}
+                        sx={{ minWidth: 200 }}
+                        required
+                      >
+                        {hospitals.map(hospital => (
+                          <MenuItem key={hospital.id} value={hospital.id}>{hospital.name}</MenuItem>
+                        ))}
+                      </TextField>
+                      {['start', 'end'].map(field => (
+                        <TextField
+                          key={field}
+                          margin="dense"
+                          label={field === 'start' ? 'From' : 'To'}
+                          type="time"
+                          size="small"
+                          InputLabelProps={{ shrink: true }}
+                          inputProps={{ step: 900 }}
+                          value={shift[field]}
+                          onChange={(e) => updateShift({ [field]: e.target.value })}
+                          required
+                        />
+                      ))}
+                      <IconButton
+                        aria-label="remove"
+                        onClick={() => updateDay(day, weekly[day].filter((existing, i) => i !== index))}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Box>
+                  );
+                })}
+              </Box>
+            ))}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setShiftsOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* Request Time Off Dialog */}
+      <Dialog open={timeOffOpen} onClose={() => setTimeOffOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Request Time Off</DialogTitle>
+        <form onSubmit={handleTimeOffSubmit}>
+          <DialogContent>
+            {timeOffError && <Alert severity="error" sx={{ mb: 1 }}>{timeOffError}</Alert>}
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+              The doctor can still be booked until an administrator approves the request.
+            </Typography>
+            <TextField
+              select
+              margin="dense"
+              name="type"
+              label="Type"
+              fullWidth
+              variant="outlined"
+              value={timeOffData.type}
+              onChange={handleTimeOffChange}
+              error={Boolean(fieldErrors.type)}
+              helperText={fieldErrors.type}
+              required
+            >
+              {TIME_OFF_TYPES.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                name="startDate"
+                label="From"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                value={timeOffData.startDate}
+                onChange={handleTimeOffChange}
+                error={Boolean(fieldErrors.startDate)}
+                helperText={fieldErrors.startDate}
+                required
+              />
+              <TextField
+                margin="dense"
+                name="endDate"
+                label="To"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: timeOffData.startDate }}
+                value={timeOffData.endDate}
+                onChange={handleTimeOffChange}
+                error={Boolean(fieldErrors.endDate)}
+                helperText={fieldErrors.endDate}
+                required
+              />
+            </Box>
+            <TextField
+              margin="dense"
+              name="reason"
+              label="Reason"
+              fullWidth
+              variant="outlined"
+              value={timeOffData.reason}
+              onChange={handleTimeOffChange}
+              error={Boolean(fieldErrors.reason)}
+              helperText={fieldErrors.reason}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setTimeOffOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Request
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default DoctorSchedule;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link as RouterLink, useLocation } from 'react-router-dom';
+import { Link as RouterLink, useLocation, useNavigate } from 'react-router-dom';
 import {
   AppBar,
   Box,
@@ -18,33 +18,49 @@ import {
 } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import DashboardIcon from '@mui/icons-material/Dashboard';
+import PeopleIcon from '@mui/icons-material/People';
 import PetsIcon from '@mui/icons-material/Pets';
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
 import PersonIcon from '@mui/icons-material/Person';
 import EventNoteIcon from '@mui/icons-material/EventNote';
 import PaymentIcon from '@mui/icons-material/Payment';
 import HealthAndSafetyIcon from '@mui/icons-material/HealthAndSafety';
+import VaccinesIcon from '@mui/icons-material/Vaccines';
+import BadgeIcon from '@mui/icons-material/Badge';
+import { useCurrentUser } from './CurrentUser';
+import { ROLE_LABELS } from '../utils/permissions';
 
 const drawerWidth = 240;
 
+// Items with a permission are only shown to users whose role allows it
 const menuItems = [
   { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
+  { text: 'Owners', icon: <PeopleIcon />, path: '/owners' },
   { text: 'Pets', icon: <PetsIcon />, path: '/pets' },
   { text: 'Hospitals', icon: <LocalHospitalIcon />, path: '/hospitals' },
   { text: 'Doctors', icon: <PersonIcon />, path: '/doctors' },
+  { text: 'Licenses Expiring', icon: <BadgeIcon />, path: '/licenses/expiring' },
   { text: 'Visits', icon: <EventNoteIcon />, path: '/visits' },
-  { text: 'Billing', icon: <PaymentIcon />, path: '/billing' },
-  { text: 'Insurance', icon: <HealthAndSafetyIcon />, path: '/insurance' },
+  { text: 'Vaccinations Due', icon: <VaccinesIcon />, path: '/vaccinations/due' },
+  { text: 'Billing', icon: <PaymentIcon />, path: '/billing', permission: 'billing:view' },
+  { text: 'Insurance', icon: <HealthAndSafetyIcon />, path: '/insurance', permission: 'insurance:view' },
 ];
 
 function Layout({ children }) {
   const [mobileOpen, setMobileOpen] = useState(false);
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, can, signOut } = useCurrentUser();
 
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
   };
 
+  const handleLogout = () => {
+    signOut();
+    navigate('/login');
+  };
+
   const drawer = (
     <div>
       <Toolbar>
@@ -54,7 +70,7 @@ function Layout({ children }) {
       </Toolbar>
       <Divider />
       <List>
-        {menuItems.map((item) => (
+        {menuItems.filter((item) => !item.permission || can(item.permission)).map((item) => (
           <ListItem key={item.text} disablePadding>
             <ListItemButton
               component={RouterLink}
@@ -93,7 +109,12 @@ function Layout({ children }) {
           <Typography variant="h6" noWrap component="div" sx={{ flexGrow: 1 }}>
             Pet Hospital Management System
           </Typography>
-          <Button color="inherit">Login</Button>
+          {user && (
+            <Typography variant="body2" noWrap sx={{ mr: 2, display: { xs: 'none', sm: 'block' } }}>
+              {user.name} ({ROLE_LABELS[user.role]})
+            </Typography>
+          )}
+          <Button color="inherit" onClick={handleLogout}>Logout</Button>
         </Toolbar>
       </AppBar>
       <Box
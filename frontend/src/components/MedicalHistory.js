@@ -0,0 +1,452 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { useCurrentUser } from './CurrentUser';
+
+// The collections pet-service keeps under each pet, with the fields particular to each
+const SECTIONS = [
+  {
+    category: 'allergies',
+    title: 'Allergies',
+    singular: 'Allergy',
+    empty: 'No known allergies',
+    dateLabels: ['Onset', 'Resolved'],
+    extraFields: [{ name: 'reaction', label: 'Reaction' }],
+  },
+  {
+    category: 'conditions',
+    title: 'Medical Conditions',
+    singular: 'Condition',
+    empty: 'No known medical conditions',
+    dateLabels: ['Onset', 'Resolved'],
+    extraFields: [],
+  },
+  {
+    category: 'medications',
+    title: 'Medications',
+    singular: 'Medication',
+    empty: 'No current medications',
+    dateLabels: ['Started', 'Ended'],
+    extraFields: [
+      { name: 'dosage', label: 'Dosage', required: true },
+      { name: 'frequency', label: 'Frequency' },
+    ],
+  },
+];
+
+const SEVERITY_COLORS = {
+  mild: 'default',
+  moderate: 'warning',
+  severe: 'error',
+};
+
+const emptyForm = (section) => ({
+  name: '',
+  status: 'active',
+  severity: '',
+  onsetDate: '',
+  resolutionDate: '',
+  clinicianId: '',
+  notes: '',
+  ...Object.fromEntries(section.extraFields.map(field => [field.name, ''])),
+});
+
+const toFormData = (section, record) => ({
+  id: record.id,
+  version: record.version,
+  ...Object.fromEntries(Object.keys(emptyForm(section)).map(name => [name, record[name] ?? ''])),
+});
+
+// A pet's allergies, conditions and medications, which veterinarians can add to and
+// keep up to date. Entries that no longer apply are marked inactive rather than removed.
+function MedicalHistory({ petId }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('medical:edit');
+  const [records, setRecords] = useState({});
+  const [doctors, setDoctors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showInactive, setShowInactive] = useState(false);
+  const [section, setSection] = useState(null);
+  const [formData, setFormData] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false);
+
+  const fetchRecords = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [doctorsResponse, ...sectionResponses] = await Promise.all([
+        // Records keep naming the clinician who made them after the doctor is archived
+        fetchAllPages('/api/doctors', { includeArchived: true }),
+        ...SECTIONS.map(({ category }) => fetchAllPages(`/api/pets/${petId}/${category}`)),
+      ]);
+      setDoctors(doctorsResponse);
+      setRecords(Object.fromEntries(SECTIONS.map(({ category }, index) => [category, sectionResponses[index]])));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching medical history:', err);
+      setError('Failed to fetch medical history. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [petId]);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [fetchRecords]);
+
+  const getDoctorName = (doctorId) => {
+    const doctor = doctors.find(d => d.id === doctorId);
+    return doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : doctorId;
+  };
+
+  const handleFormOpen = (formSection, record = null) => {
+    setSection(formSection);
+    setFormData(record ? toFormData(formSection, record) : emptyForm(formSection));
+    setFieldErrors({});
+    setConflict(false);
+  };
+
+  const handleFormClose = () => {
+    setSection(null);
+  };
+
+  // Discard the user's edits in favour of the latest saved version of the entry
+  const handleReload = async () => {
+    try {
+      const response = await axios.get(`/api/pets/${petId}/${section.category}/${formData.id}`);
+      setFormData(toFormData(section, response.data));
+      setFieldErrors({});
+      setConflict(false);
+    } catch (err) {
+      console.error('Error reloading medical record:', err);
+      setError('Failed to reload medical record. Please try again later.');
+      setSection(null);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    const url = `/api/pets/${petId}/${section.category}`;
+    try {
+      if (formData.id) {
+        await axios.put(`${url}/${formData.id}`, formData, { headers: ifMatchHeaders(formData) });
+      } else {
+        await axios.post(url, formData);
+      }
+      fetchRecords();
+      setSection(null);
+    } catch (err) {
+      console.error('Error saving medical record:', err);
+      if (isConflict(err)) {
+        setConflict(true);
+      } else if (err.response?.data?.details) {
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else {
+        setError('Failed to save medical record. Please try again later.');
+        setSection(null);
+      }
+    }
+  };
+
+  // Archiving is for entries made in error; it hides them from the history
+  const handleArchive = async (recordSection, record) => {
+    if (!window.confirm(`Remove "${record.name}" from the medical history as entered in error?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/pets/${petId}/${recordSection.category}/${record.id}`, { headers: ifMatchHeaders(record) });
+      fetchRecords();
+    } catch (err) {
+      console.error('Error archiving medical record:', err);
+      setError(isConflict(err)
+        ? `${record.name} was changed by someone else and was not removed. The history has been reloaded.`
+        : 'Failed to remove medical record. Please try again later.');
+      fetchRecords();
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+        <FormControlLabel
+          control={<Switch checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />}
+          label="Show inactive"
+        />
+      </Box>
+
+      {SECTIONS.map((recordSection) => {
+        const sectionRecords = (records[recordSection.category] || [])
+          .filter(record => showInactive || record.status === 'active');
+        const [startLabel, endLabel] = recordSection.dateLabels;
+
+        return (
+          <Box key={recordSection.category} sx={{ mb: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="h6" gutterBottom>{recordSection.title}</Typography>
+              {canEdit && (
+                <Button size="small" onClick={() => handleFormOpen(recordSection)}>
+                  Add {recordSection.singular}
+                </Button>
+              )}
+            </Box>
+            {sectionRecords.length > 0 ? (
+              <List>
+                {sectionRecords.map((record, index) => (
+                  <React.Fragment key={record.id}>
+                    <ListItem alignItems="flex-start" disableGutters>
+                      <ListItemText
+                        primary={
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                            {record.name}
+                            {record.severity && (
+                              <Chip label={record.severity} color={SEVERITY_COLORS[record.severity]} size="small" variant="outlined" />
+                            )}
+                            {record.status === 'inactive' && <Chip label="Inactive" size="small" />}
+                          </Box>
+                        }
+                        secondary={
+                          <>
+                            {recordSection.extraFields.filter(field => record[field.name]).map(field => (
+                              <Typography key={field.name} component="span" variant="body2" display="block">
+                                {field.label}: {record[field.name]}
+                              </Typography>
+                            ))}
+                            <Typography component="span" variant="body2" display="block">
+                              {startLabel}: {record.onsetDate || '-'}
+                              {record.resolutionDate && ` · ${endLabel}: ${record.resolutionDate}`}
+                            </Typography>
+                            <Typography component="span" variant="body2" display="block">
+                              Recorded by {getDoctorName(record.clinicianId)}
+                            </Typography>
+                            {record.notes && (
+                              <Typography component="span" variant="body2" display="block">
+                                {record.notes}
+                              </Typography>
+                            )}
+                          </>
+                        }
+                      />
+                      {canEdit && (
+                        <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                          <Button size="small" onClick={() => handleFormOpen(recordSection, record)}>
+                            Edit
+                          </Button>
+                          <Button size="small" color="warning" onClick={() => handleArchive(recordSection, record)}>
+                            Remove
+                          </Button>
+                        </Box>
+                      )}
+                    </ListItem>
+                    {index < sectionRecords.length - 1 && <Divider />}
+                  </React.Fragment>
+                ))}
+              </List>
+            ) : (
+              <Typography variant="body1" color="textSecondary" paragraph>
+                {recordSection.empty}
+              </Typography>
+            )}
+          </Box>
+        );
+      })}
+
+      {/* Add/Edit Medical Record Dialog */}
+      <Dialog open={Boolean(section)} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        {section && (
+          <>
+            <DialogTitle>{formData.id ? `Edit ${section.singular}` : `Add ${section.singular}`}</DialogTitle>
+            <form onSubmit={handleFormSubmit}>
+              <DialogContent>
+                {conflict && (
+                  <Alert
+                    severity="warning"
+                    sx={{ mb: 1 }}
+                    action={
+                      <Button color="inherit" size="small" onClick={handleReload}>
+                        Reload
+                      </Button>
+                    }
+                  >
+                    This entry was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+                  </Alert>
+                )}
+                <TextField
+                  autoFocus
+                  margin="dense"
+                  name="name"
+                  label="Name"
+                  type="text"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.name)}
+                  helperText={fieldErrors.name}
+                  required
+                />
+                {section.extraFields.map(field => (
+                  <TextField
+                    key={field.name}
+                    margin="dense"
+                    name={field.name}
+                    label={field.label}
+                    type="text"
+                    fullWidth
+                    variant="outlined"
+                    value={formData[field.name]}
+                    onChange={handleInputChange}
+                    error={Boolean(fieldErrors[field.name])}
+                    helperText={fieldErrors[field.name]}
+                    required={field.required}
+                  />
+                ))}
+                <TextField
+                  select
+                  margin="dense"
+                  name="severity"
+                  label="Severity"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.severity}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.severity)}
+                  helperText={fieldErrors.severity}
+                >
+                  <MenuItem value="">Not recorded</MenuItem>
+                  <MenuItem value="mild">Mild</MenuItem>
+                  <MenuItem value="moderate">Moderate</MenuItem>
+                  <MenuItem value="severe">Severe</MenuItem>
+                </TextField>
+                <TextField
+                  select
+                  margin="dense"
+                  name="status"
+                  label="Status"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.status)}
+                  helperText={fieldErrors.status}
+                >
+                  <MenuItem value="active">Active</MenuItem>
+                  <MenuItem value="inactive">Inactive</MenuItem>
+                </TextField>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    margin="dense"
+                    name="onsetDate"
+                    label={`${section.dateLabels[0]} Date`}
+                    type="date"
+                    fullWidth
+                    variant="outlined"
+                    InputLabelProps={{ shrink: true }}
+                    value={formData.onsetDate}
+                    onChange={handleInputChange}
+                    error={Boolean(fieldErrors.onsetDate)}
+                    helperText={fieldErrors.onsetDate}
+                  />
+                  <TextField
+                    margin="dense"
+                    name="resolutionDate"
+                    label={`${section.dateLabels[1]} Date`}
+                    type="date"
+                    fullWidth
+                    variant="outlined"
+                    InputLabelProps={{ shrink: true }}
+                    value={formData.resolutionDate}
+                    onChange={handleInputChange}
+                    error={Boolean(fieldErrors.resolutionDate)}
+                    helperText={fieldErrors.resolutionDate}
+                  />
+                </Box>
+                <TextField
+                  select
+                  margin="dense"
+                  name="clinicianId"
+                  label="Recorded By"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.clinicianId}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.clinicianId)}
+                  helperText={fieldErrors.clinicianId}
+                  required
+                >
+                  {doctors.filter(doctor => !doctor.archived || doctor.id === formData.clinicianId).map(doctor => (
+                    <MenuItem key={doctor.id} value={doctor.id}>
+                      Dr. {doctor.firstName} {doctor.lastName}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  margin="dense"
+                  name="notes"
+                  label="Notes"
+                  type="text"
+                  fullWidth
+                  multiline
+                  rows={3}
+                  variant="outlined"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.notes)}
+                  helperText={fieldErrors.notes}
+                />
+              </DialogContent>
+              <DialogActions>
+                <Button onClick={handleFormClose}>Cancel</Button>
+                <Button type="submit" variant="contained" color="primary">
+                  {formData.id ? 'Update' : 'Add'}
+                </Button>
+              </DialogActions>
+            </form>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+}
+
+export default MedicalHistory;
@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Switch,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import axios from 'axios';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { useCurrentUser } from './CurrentUser';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const dayLabel = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+
+const CLOSURE_TYPES = [
+  { value: 'holiday', label: 'Holiday' },
+  { value: 'closure', label: 'Closure' },
+];
+
+const typeLabel = (type) => (CLOSURE_TYPES.find(option => option.value === type) || { label: type }).label;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyClosure = () => ({ type: 'holiday', startDate: today(), endDate: today(), reason: '', hours: null });
+
+const hoursLabel = (hours) => (hours ? `${hours.open} - ${hours.close}` : 'Closed');
+
+const dateRange = (closure) => (
+  `${closure.startDate}${closure.endDate !== closure.startDate ? ` to ${closure.endDate}` : ''}`
+);
+
+// A hospital's weekly opening hours, whether it is open right now, and its upcoming
+// holidays and closures. Administrators keep the hours, which also decide when
+// appointments can be booked there.
+function OpeningHours({ hospitalId }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('hospitals:edit');
+  const [hospital, setHospital] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [nextOpen, setNextOpen] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editOpen, setEditOpen] = useState(false);
+  const [formData, setFormData] = useState(null);
+  const [editError, setEditError] = useState(null);
+
+  const fetchHours = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [hospitalResponse, statusResponse, nextOpenResponse] = await Promise.all([
+        axios.get(`/api/hospitals/${hospitalId}`),
+        axios.get(`/api/hospitals/${hospitalId}/open-now`),
+        axios.get(`/api/hospitals/${hospitalId}/next-open`),
+      ]);
+      setHospital(hospitalResponse.data);
+      setStatus(statusResponse.data);
+      setNextOpen(nextOpenResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching opening hours:', err);
+      setError('Failed to fetch opening hours. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [hospitalId]);
+
+  useEffect(() => {
+    fetchHours();
+  }, [fetchHours]);
+
+  const handleEditOpen = () => {
+    const { timezone, weekly, closures, emergency24x7 } = hospital.operatingHours;
+    setFormData({
+      timezone,
+      weekly: Object.fromEntries(DAYS.map(day => [day, weekly[day] || null])),
+      closures: closures || [],
+      emergency24x7: Boolean(emergency24x7),
+    });
+    setEditError(null);
+    setEditOpen(true);
+  };
+
+  const updateDay = (day, hours) => {
+    setFormData({ ...formData, weekly: { ...formData.weekly, [day]: hours } });
+  };
+
+  const updateClosure = (index, changes) => {
+    setFormData({
+      ...formData,
+      closures: formData.closures.map((closure, i) => (i === index ? { ...closure, ...changes } : closure)),
+    });
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      // A day set to null is removed from the weekly hours, closing the hospital that day
+      await axios.patch(`/api/hospitals/${hospitalId}`, { operatingHours: formData }, {
+        headers: { ...ifMatchHeaders(hospital), 'Content-Type': 'application/merge-patch+json' },
+      });
+      setEditOpen(false);
+      fetchHours();
+    } catch (err) {
+      console.error('Error saving opening hours:', err);
+      if (isConflict(err)) {
+        setEditError('This hospital was changed by someone else since you opened it. Close and reopen to see the latest.');
+        fetchHours();
+      } else if (err.response?.data?.details) {
+        setEditError(err.response.data.details.map(detail => detail.message).join('; '));
+      } else {
+        setEditError('Failed to save opening hours. Please try again later.');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!hospital) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const { timezone, weekly, closures, emergency24x7 } = hospital.operatingHours;
+  const upcomingClosures = [...(closures || [])]
+    .filter(closure => closure.endDate >= status.localDate)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>Opening Hours</Typography>
+        {canEdit && (
+          <Button size="small" onClick={handleEditOpen}>Edit Hours</Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', mb: 1 }}>
+        <Chip
+          label={status.open ? `Open now, until ${status.closesAt}` : 'Closed now'}
+          color={status.open ? 'success' : 'default'}
+        />
+        {emergency24x7 && <Chip label="Emergency care 24/7" color="error" variant="outlined" />}
+      </Box>
+      {!status.open && (
+        <Typography variant="body2" color="textSecondary">
+          {status.closure && `${status.closure.reason}. `}
+          {nextOpen.date ? `Opens next on ${nextOpen.date} at ${nextOpen.time}` : 'No opening in the next year'}
+        </Typography>
+      )}
+      <Typography variant="caption" color="textSecondary">
+        Times are in {timezone}
+      </Typography>
+
+      <List dense>
+        {DAYS.map(day => (
+          <ListItem key={day} sx={{ py: 0.5 }}>
+            <ListItemText
+              primary={dayLabel(day)}
+              secondary={hoursLabel(weekly[day])}
+              primaryTypographyProps={{ fontWeight: 'medium' }}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Divider sx={{ my: 1 }} />
+
+      <Typography variant="subtitle1">Holidays and Closures</Typography>
+      {upcomingClosures.length > 0 ? (
+        <List dense>
+          {upcomingClosures.map(closure => (
+            <ListItem key={`${closure.startDate}-${closure.reason}`} sx={{ py: 0.5 }}>
+              <ListItemText
+                primary={`${typeLabel(closure.type)}: ${dateRange(closure)}`}
+                secondary={closure.hours ? `${closure.reason} (open ${hoursLabel(closure.hours)})` : closure.reason}
+              />
+            </ListItem>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="textSecondary">
+          No upcoming holidays or closures
+        </Typography>
+      )}
+
+      {/* Edit Opening Hours Dialog */}
+      <Dialog open={editOpen} onClose={() => setEditOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Opening Hours</DialogTitle>
+        {formData && (
+          <form onSubmit={handleEditSubmit}>
+            <DialogContent>
+              {editError && <Alert severity="error" sx={{ mb: 1 }}>{editError}</Alert>}
+              <TextField
+                margin="dense"
+                label="Time Zone"
+                fullWidth
+                variant="outlined"
+                helperText="An IANA time zone such as America/Los_Angeles"
+                value={formData.timezone}
+                onChange={(e) => setFormData({ ...formData, timezone: e.target.value })}
+                required
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={formData.emergency24x7}
+                    onChange={(e) => setFormData({ ...formData, emergency24x7: e.target.checked })}
+                  />
+                }
+                label="Emergency care 24/7"
+              />
+
+              <Typography variant="subtitle2" sx={{ mt: 1 }}>Weekly Hours</Typography>
+              {DAYS.map(day => {
+                const hours = formData.weekly[day];
+                return (
+                  <Box key={day} sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                    <Typography variant="body2" sx={{ width: 100 }}>{dayLabel(day)}</Typography>
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={Boolean(hours)}
+                          onChange={(e) => updateDay(day, e.target.checked ? { open: '09:00', close: '17:00' } : null)}
+                        />
+                      }
+                      label="Open"
+                    />
+                    {hours && ['open', 'close'].map(field => (
+                      <TextField
+                        key={field}
+                        margin="dense"
+                        label={field === 'open' ? 'Opens' : 'Closes'}
+                        type="time"
+                        size="small"
+                        InputLabelProps={{ shrink: true }}
+                        value={hours[field]}
+                        onChange={(e) => updateDay(day, { ...hours, [field]: e.target.value })}
+                        required
+                      />
+                    ))}
+                  </Box>
+                );
+              })}
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+                <Typography variant="subtitle2">Holidays and Closures</Typography>
+                <Button
+                  size="small"
+                  onClick={() => setFormData({ ...formData, closures: [...formData.closures, emptyClosure()] })}
+                >
+                  Add
+                </Button>
+              </Box>
+              {formData.closures.length === 0 && (
+                <Typography variant="body2" color="textSecondary">None</Typography>
+              )}
+              {formData.closures.map((closure, index) => (
+                <Box key={index} sx={{ mb: 1 }}>
+                  <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                    <TextField
+                      select
+                      margin="dense"
+                      label="Type"
+                      size="small"
+                      value={closure.type}
+                      onChange={(e) => updateClosure(index, { type: e.target.value })}
+                      sx={{ minWidth: 120 }}
+                    >
+                      {CLOSURE_TYPES.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </TextField>
+                    {['startDate', 'endDate'].map(field => (
+                      <TextField
+                        key={field}
+                        margin="dense"
+                        label={field === 'startDate' ? 'From' : 'To'}
+                        type="date"
+                        size="small"
+                        InputLabelProps={{ shrink: true }}
+                        value={closure[field]}
+                        onChange={(e) => updateClosure(index, { [field]: e.target.value })}
+                        required
+                      />
+                    ))}
+                    <IconButton
+                      aria-label="remove"
+                      onClick={() => setFormData({ ...formData, closures: formData.closures.filter((existing, i) => i !== index) })}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                  <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                    <TextField
+                      margin="dense"
+                      label="Reason"
+                      size="small"
+                      fullWidth
+                      value={closure.reason}
+                      onChange={(e) => updateClosure(index, { reason: e.target.value })}
+                      required
+                    />
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={Boolean(closure.hours)}
+                          onChange={(e) => updateClosure(index, { hours: e.target.checked ? { open: '09:00', close: '13:00' } : null })}
+                        />
+                      }
+                      label="Reduced hours"
+                      sx={{ whiteSpace: 'nowrap' }}
+                    />
+                  </Box>
+                  {closure.hours && (
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                      {['open', 'close'].map(field => (
+                        <TextField
+                          key={field}
+                          margin="dense"
+                          label={field === 'open' ? 'Opens' : 'Closes'}
+                          type="time"
+                          size="small"
+                          InputLabelProps={{ shrink: true }}
+                          value={closure.hours[field]}
+                          onChange={(e) => updateClosure(index, { hours: { ...closure.hours, [field]: e.target.value } })}
+                          required
+                        />
+                      ))}
+                    </Box>
+                  )}
+                </Box>
+              ))}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setEditOpen(false)}>Cancel</Button>
+              <Button type="submit" variant="contained" color="primary">
+                Save
+              </Button>
+            </DialogActions>
+          </form>
+        )}
+      </Dialog>
+    </Box>
+  );
+}
+
+export default OpeningHours;
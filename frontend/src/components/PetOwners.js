@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { LINK_ROLES, linkRoleLabel, ownerContact } from '../utils/owners';
+import { useCurrentUser } from './CurrentUser';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyLinkForm = { ownerId: '', role: 'co_owner' };
+
+const emptyTransferForm = () => ({ ownerId: '', effectiveDate: today(), reason: '', previousOwnerRole: '' });
+
+// The people linked to a pet: its owner, anyone else linked in another role, and
+// who owned it before. Pets change hands through a transfer, which keeps that record.
+function PetOwners({ petId }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('pets:edit');
+  const [pet, setPet] = useState(null);
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [linkOpen, setLinkOpen] = useState(false);
+  const [linkForm, setLinkForm] = useState(emptyLinkForm);
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [transferForm, setTransferForm] = useState(emptyTransferForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const fetchPet = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [petResponse, ownersResponse] = await Promise.all([
+        axios.get(`/api/pets/${petId}`),
+        // Archived owners may still be linked to the pet or be among its previous owners
+        fetchAllPages('/api/owners', { includeArchived: true }),
+      ]);
+      setPet(petResponse.data);
+      setOwners(ownersResponse);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching pet owners:', err);
+      setError('Failed to fetch owner information. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [petId]);
+
+  useEffect(() => {
+    fetchPet();
+  }, [fetchPet]);
+
+  const findOwner = (ownerId) => owners.find(owner => owner.id === ownerId);
+
+  const ownerLink = (ownerId) => {
+    const owner = findOwner(ownerId);
+    return (
+      <Link to={`/owners/${ownerId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+        {owner ? owner.name : ownerId}
+      </Link>
+    );
+  };
+
+  // Report a failed change, reloading the pet when someone else changed it first
+  const handleWriteError = (err, action) => {
+    console.error(`Error trying to ${action}:`, err);
+    if (isConflict(err)) {
+      setError('This pet was changed by someone else. Its owners have been reloaded; please try again.');
+      setLinkOpen(false);
+      setTransferOpen(false);
+      fetchPet();
+    } else if (err.response?.data?.details) {
+      setFieldErrors(toFieldErrors(err.response.data.details));
+    } else {
+      setError(err.response?.data?.error || `Failed to ${action}. Please try again later.`);
+      setLinkOpen(false);
+      setTransferOpen(false);
+    }
+  };
+
+  const handleLinkOpen = () => {
+    setLinkForm(emptyLinkForm);
+    setFieldErrors({});
+    setLinkOpen(true);
+  };
+
+  const handleLinkSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.put(
+        `/api/pets/${petId}/owners/${linkForm.ownerId}`,
+        { role: linkForm.role },
+        { headers: ifMatchHeaders(pet) }
+      );
+      setPet(response.data);
+      setLinkOpen(false);
+    } catch (err) {
+      handleWriteError(err, 'link person');
+    }
+  };
+
+  const handleUnlink = async (ownerId) => {
+    try {
+      const response = await axios.delete(`/api/pets/${petId}/owners/${ownerId}`, { headers: ifMatchHeaders(pet) });
+      setPet(response.data);
+    } catch (err) {
+      handleWriteError(err, 'unlink person');
+    }
+  };
+
+  const handleTransferOpen = () => {
+    setTransferForm(emptyTransferForm());
+    setFieldErrors({});
+    setTransferOpen(true);
+  };
+
+  const handleTransferSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/pets/${petId}/transfer`, {
+        ...transferForm,
+        previousOwnerRole: transferForm.previousOwnerRole || null,
+      }, { headers: ifMatchHeaders(pet) });
+      setPet(response.data);
+      setTransferOpen(false);
+    } catch (err) {
+      handleWriteError(err, 'transfer pet');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Paper sx={{ p: 3, mb: 3, display: 'flex', justifyContent: 'center' }}>
+        <CircularProgress />
+      </Paper>
+    );
+  }
+
+  if (!pet) {
+    return (
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Owners</Typography>
+        {error && <Alert severity="error">{error}</Alert>}
+      </Paper>
+    );
+  }
+
+  const linkedOwners = pet.linkedOwners || [];
+  const previousOwners = pet.previousOwners || [];
+  // Only active owners who are not linked to the pet already can be added to it
+  const linkable = owners.filter(owner => !owner.archived
+    && owner.id !== pet.ownerId
+    && !linkedOwners.some(link => link.ownerId === owner.id));
+  const transferable = owners.filter(owner => !owner.archived && owner.id !== pet.ownerId);
+  const owner = findOwner(pet.ownerId);
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>Owners</Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <List dense disablePadding>
+        <ListItem disableGutters>
+          <ListItemText
+            primary={ownerLink(pet.ownerId)}
+            secondary={`${ownerContact(owner)} · since ${pet.ownerSince || pet.createdAt.slice(0, 10)}`}
+          />
+          <Chip label="Owner" color="primary" size="small" />
+        </ListItem>
+        {linkedOwners.map(link => (
+          <ListItem key={link.ownerId} disableGutters>
+            <ListItemText
+              primary={ownerLink(link.ownerId)}
+              secondary={`${ownerContact(findOwner(link.ownerId))} · since ${link.since}`}
+            />
+            <Chip label={linkRoleLabel(link.role)} variant="outlined" size="small" />
+            {canEdit && !pet.archived && (
+              <Button size="small" color="warning" onClick={() => handleUnlink(link.ownerId)} sx={{ ml: 1 }}>
+                Unlink
+              </Button>
+            )}
+          </ListItem>
+        ))}
+      </List>
+
+      {canEdit && !pet.archived && (
+        <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+          <Button variant="outlined" size="small" onClick={handleLinkOpen}>
+            Link Person
+          </Button>
+          <Button variant="outlined" size="small" onClick={handleTransferOpen}>
+            Transfer Ownership
+          </Button>
+        </Box>
+      )}
+
+      {previousOwners.length > 0 && (
+        <>
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle2" gutterBottom>Previous Owners</Typography>
+          <List dense disablePadding>
+            {[...previousOwners].reverse().map(previous => (
+              <ListItem key={previous.transferredAt} disableGutters>
+                <ListItemText
+                  primary={ownerLink(previous.ownerId)}
+                  secondary={`${previous.from} to ${previous.to}${previous.reason ? ` · ${previous.reason}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+
+      {/* Link Person Dialog */}
+      <Dialog open={linkOpen} onClose={() => setLinkOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Link Person to {pet.name}</DialogTitle>
+        <form onSubmit={handleLinkSubmit}>
+          <DialogContent>
+            <TextField
+              select
+              margin="dense"
+              name="ownerId"
+              label="Person"
+              fullWidth
+              variant="outlined"
+              value={linkForm.ownerId}
+              onChange={(e) => setLinkForm({ ...linkForm, ownerId: e.target.value })}
+              helperText={linkable.length === 0 ? 'Add the person on the Owners page first' : ''}
+              required
+            >
+              {linkable.map(option => (
+                <MenuItem key={option.id} value={option.id}>
+                  {option.name} ({ownerContact(option)})
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              margin="dense"
+              name="role"
+              label="Role"
+              fullWidth
+              variant="outlined"
+              value={linkForm.role}
+              onChange={(e) => setLinkForm({ ...linkForm, role: e.target.value })}
+              error={Boolean(fieldErrors.role)}
+              helperText={fieldErrors.role}
+              required
+            >
+              {LINK_ROLES.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setLinkOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Link
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* Transfer Ownership Dialog */}
+      <Dialog open={transferOpen} onClose={() => setTransferOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Transfer {pet.name}</DialogTitle>
+        <form onSubmit={handleTransferSubmit}>
+          <DialogContent>
+            <Typography variant="body2" color="textSecondary" paragraph>
+              {pet.name}'s visits and medical records stay with the pet. {owner ? owner.name : 'The current owner'} will be listed among its previous owners.
+            </Typography>
+            <TextField
+              select
+              margin="dense"
+              name="ownerId"
+              label="New Owner"
+              fullWidth
+              variant="outlined"
+              value={transferForm.ownerId}
+              onChange={(e) => setTransferForm({ ...transferForm, ownerId: e.target.value })}
+              error={Boolean(fieldErrors.ownerId)}
+              helperText={fieldErrors.ownerId}
+              required
+            >
+              {transferable.map(option => (
+                <MenuItem key={option.id} value={option.id}>
+                  {option.name} ({ownerContact(option)})
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              margin="dense"
+              name="effectiveDate"
+              label="Effective Date"
+              type="date"
+              fullWidth
+              variant="outlined"
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ max: today() }}
+              value={transferForm.effectiveDate}
+              onChange={(e) => setTransferForm({ ...transferForm, effectiveDate: e.target.value })}
+              error={Boolean(fieldErrors.effectiveDate)}
+              helperText={fieldErrors.effectiveDate}
+              required
+            />
+            <TextField
+              margin="dense"
+              name="reason"
+              label="Reason"
+              type="text"
+              fullWidth
+              variant="outlined"
+              value={transferForm.reason}
+              onChange={(e) => setTransferForm({ ...transferForm, reason: e.target.value })}
+              error={Boolean(fieldErrors.reason)}
+              helperText={fieldErrors.reason}
+            />
+            <TextField
+              select
+              margin="dense"
+              name="previousOwnerRole"
+              label="Keep Previous Owner As"
+              fullWidth
+              variant="outlined"
+              value={transferForm.previousOwnerRole}
+              onChange={(e) => setTransferForm({ ...transferForm, previousOwnerRole: e.target.value })}
+              error={Boolean(fieldErrors.previousOwnerRole)}
+              helperText={fieldErrors.previousOwnerRole}
+            >
+              <MenuItem value="">Not linked</MenuItem>
+              {LINK_ROLES.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setTransferOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Transfer
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Paper>
+  );
+}
+
+export default PetOwners;
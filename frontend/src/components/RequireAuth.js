@@ -0,0 +1,18 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useCurrentUser } from './CurrentUser';
+
+// Render the page only for a signed-in user, sending anyone else to sign in first
+function RequireAuth({ children }) {
+  const location = useLocation();
+  const { user } = useCurrentUser();
+
+  if (!user) {
+    const from = `${location.pathname}${location.search}`;
+    return <Navigate to={`/login?from=${encodeURIComponent(from)}`} replace />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useCurrentUser } from './CurrentUser';
+
+// Render the page only for a user whose role allows `permission`, sending
+// anyone else to the 403 page
+function RequirePermission({ permission, children }) {
+  const { can } = useCurrentUser();
+
+  if (!can(permission)) {
+    return <Navigate to="/forbidden" replace />;
+  }
+
+  return children;
+}
+
+export default RequirePermission;
@@ -0,0 +1,456 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { vaccinationStatus } from '../utils/vaccinations';
+import { useCurrentUser } from './CurrentUser';
+
+// Choice in the vaccine list for vaccines outside the pet's protocol
+const OTHER_VACCINE = '__other__';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyForm = () => ({
+  vaccine: '',
+  otherVaccine: '',
+  administeredDate: today(),
+  expiryDate: '',
+  lotNumber: '',
+  manufacturer: '',
+  clinicianId: '',
+  visitId: '',
+  notes: '',
+});
+
+// The form splits the vaccine between the protocol list and a free-text name
+const toFormData = (dose, protocol) => {
+  const inProtocol = protocol.some(entry => entry.vaccine === dose.vaccine);
+  return {
+    ...Object.fromEntries(Object.keys(emptyForm()).map(name => [name, dose[name] ?? ''])),
+    id: dose.id,
+    version: dose.version,
+    vaccine: inProtocol ? dose.vaccine : OTHER_VACCINE,
+    otherVaccine: inProtocol ? '' : dose.vaccine,
+  };
+};
+
+const toVaccination = ({ otherVaccine, ...formData }) => ({
+  ...formData,
+  vaccine: formData.vaccine === OTHER_VACCINE ? otherVaccine : formData.vaccine,
+  visitId: formData.visitId || null,
+});
+
+// A pet's vaccinations, one entry per dose, newest first. Expiry dates come from the
+// vaccine protocol for the pet's species, so the form only asks for one for vaccines
+// outside it.
+function Vaccinations({ petId }) {
+  const { can } = useCurrentUser();
+  const canEdit = can('medical:edit');
+  const [doses, setDoses] = useState([]);
+  const [protocol, setProtocol] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [visits, setVisits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false);
+
+  const fetchVaccinations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [dosesResponse, protocolResponse, doctorsResponse, visitsResponse] = await Promise.all([
+        fetchAllPages(`/api/pets/${petId}/vaccinations`),
+        axios.get(`/api/pets/${petId}/vaccine-protocol`),
+        // Doses keep naming the doctor who gave them after the doctor is archived
+        fetchAllPages('/api/doctors', { includeArchived: true }),
+        axios.get(`/api/pets/${petId}/visits`),
+      ]);
+      setDoses([...dosesResponse].sort((a, b) => b.administeredDate.localeCompare(a.administeredDate)));
+      setProtocol(protocolResponse.data);
+      setDoctors(doctorsResponse);
+      setVisits([...visitsResponse.data].sort((a, b) => b.date.localeCompare(a.date)));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching vaccinations:', err);
+      setError('Failed to fetch vaccinations. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [petId]);
+
+  useEffect(() => {
+    fetchVaccinations();
+  }, [fetchVaccinations]);
+
+  const getDoctorName = (doctorId) => {
+    const doctor = doctors.find(d => d.id === doctorId);
+    return doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : doctorId;
+  };
+
+  const handleFormOpen = (dose = null) => {
+    setFormData(dose ? toFormData(dose, protocol) : emptyForm());
+    setFieldErrors({});
+    setConflict(false);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+  };
+
+  // Discard the user's edits in favour of the latest saved version of the dose
+  const handleReload = async () => {
+    try {
+      const response = await axios.get(`/api/pets/${petId}/vaccinations/${formData.id}`);
+      setFormData(toFormData(response.data, protocol));
+      setFieldErrors({});
+      setConflict(false);
+    } catch (err) {
+      console.error('Error reloading vaccination:', err);
+      setError('Failed to reload vaccination. Please try again later.');
+      setFormOpen(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (formData.id) {
+        await axios.put(`/api/pets/${petId}/vaccinations/${formData.id}`, toVaccination(formData), {
+          headers: ifMatchHeaders(formData),
+        });
+      } else {
+        await axios.post(`/api/pets/${petId}/vaccinations`, toVaccination(formData));
+      }
+      fetchVaccinations();
+      setFormOpen(false);
+    } catch (err) {
+      console.error('Error saving vaccination:', err);
+      if (isConflict(err)) {
+        setConflict(true);
+      } else if (err.response?.data?.details) {
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else {
+        setError('Failed to save vaccination. Please try again later.');
+        setFormOpen(false);
+      }
+    }
+  };
+
+  // Archiving is for doses recorded in error; it hides them from the pet's record
+  const handleArchive = async (dose) => {
+    if (!window.confirm(`Remove the ${dose.vaccine} dose given on ${dose.administeredDate} as entered in error?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/pets/${petId}/vaccinations/${dose.id}`, { headers: ifMatchHeaders(dose) });
+      fetchVaccinations();
+    } catch (err) {
+      console.error('Error archiving vaccination:', err);
+      setError(isConflict(err)
+        ? 'This dose was changed by someone else and was not removed. The vaccinations have been reloaded.'
+        : 'Failed to remove vaccination. Please try again later.');
+      fetchVaccinations();
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const isOther = formData.vaccine === OTHER_VACCINE;
+  // Protocol vaccines the pet has no dose of
+  const missing = protocol.filter(entry => !doses.some(dose => dose.vaccine === entry.vaccine));
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="contained" color="primary" disabled={!canEdit} onClick={() => handleFormOpen()}>
+          Add Vaccination
+        </Button>
+      </Box>
+
+      {missing.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No record of: {missing.map(entry => entry.vaccine).join(', ')}
+        </Alert>
+      )}
+
+      {doses.length > 0 ? (
+        <List>
+          {doses.map((dose, index) => {
+            const status = vaccinationStatus(dose);
+            return (
+              <React.Fragment key={dose.id}>
+                <ListItem alignItems="flex-start" disableGutters>
+                  <ListItemText
+                    primary={dose.vaccine}
+                    secondary={
+                      <>
+                        <Typography component="span" variant="body2" display="block">
+                          Given: {dose.administeredDate} by {getDoctorName(dose.clinicianId)}
+                        </Typography>
+                        <Typography component="span" variant="body2" display="block">
+                          Expires: {dose.expiryDate}
+                        </Typography>
+                        {(dose.manufacturer || dose.lotNumber) && (
+                          <Typography component="span" variant="body2" display="block">
+                            {[dose.manufacturer, dose.lotNumber && `Lot ${dose.lotNumber}`].filter(Boolean).join(' · ')}
+                          </Typography>
+                        )}
+                        {dose.visitId && (
+                          <Typography component="span" variant="body2" display="block">
+                            <Link to={`/visits/${dose.visitId}`}>View visit</Link>
+                          </Typography>
+                        )}
+                        {dose.notes && (
+                          <Typography component="span" variant="body2" display="block">
+                            {dose.notes}
+                          </Typography>
+                        )}
+                      </>
+                    }
+                  />
+                  <Box sx={{ display: 'flex', alignItems: 'center', flexShrink: 0, gap: 1 }}>
+                    <Chip label={status.status} color={status.color} size="small" />
+                    {canEdit && (
+                      <>
+                        <Button size="small" onClick={() => handleFormOpen(dose)}>
+                          Edit
+                        </Button>
+                        <Button size="small" color="warning" onClick={() => handleArchive(dose)}>
+                          Remove
+                        </Button>
+                      </>
+                    )}
+                  </Box>
+                </ListItem>
+                {index < doses.length - 1 && <Divider />}
+              </React.Fragment>
+            );
+          })}
+        </List>
+      ) : (
+        <Typography variant="body1" color="textSecondary">
+          No vaccination records available
+        </Typography>
+      )}
+
+      {/* Add/Edit Vaccination Dialog */}
+      <Dialog open={formOpen} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        <DialogTitle>{formData.id ? 'Edit Vaccination' : 'Add Vaccination'}</DialogTitle>
+        <form onSubmit={handleFormSubmit}>
+          <DialogContent>
+            {conflict && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 1 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleReload}>
+                    Reload
+                  </Button>
+                }
+              >
+                This dose was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+              </Alert>
+            )}
+            <TextField
+              select
+              autoFocus
+              margin="dense"
+              name="vaccine"
+              label="Vaccine"
+              fullWidth
+              variant="outlined"
+              value={formData.vaccine}
+              onChange={handleInputChange}
+              error={!isOther && Boolean(fieldErrors.vaccine)}
+              helperText={isOther ? '' : fieldErrors.vaccine}
+              required
+            >
+              {protocol.map(entry => (
+                <MenuItem key={entry.vaccine} value={entry.vaccine}>{entry.vaccine}</MenuItem>
+              ))}
+              <MenuItem value={OTHER_VACCINE}>Other</MenuItem>
+            </TextField>
+            {isOther && (
+              <TextField
+                margin="dense"
+                name="otherVaccine"
+                label="Vaccine Name"
+                type="text"
+                fullWidth
+                variant="outlined"
+                value={formData.otherVaccine}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.vaccine)}
+                helperText={fieldErrors.vaccine}
+                required
+              />
+            )}
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                name="administeredDate"
+                label="Date Given"
+                type="date"
+                fullWidth
+                variant="outlined"
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ max: today() }}
+                value={formData.administeredDate}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.administeredDate)}
+                helperText={fieldErrors.administeredDate}
+                required
+              />
+              {isOther && (
+                <TextField
+                  margin="dense"
+                  name="expiryDate"
+                  label="Expiry Date"
+                  type="date"
+                  fullWidth
+                  variant="outlined"
+                  InputLabelProps={{ shrink: true }}
+                  value={formData.expiryDate}
+                  onChange={handleInputChange}
+                  error={Boolean(fieldErrors.expiryDate)}
+                  helperText={fieldErrors.expiryDate}
+                  required
+                />
+              )}
+            </Box>
+            {!isOther && (
+              <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+                The expiry date is worked out from the vaccine protocol.
+              </Typography>
+            )}
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                name="manufacturer"
+                label="Manufacturer"
+                type="text"
+                fullWidth
+                variant="outlined"
+                value={formData.manufacturer}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.manufacturer)}
+                helperText={fieldErrors.manufacturer}
+              />
+              <TextField
+                margin="dense"
+                name="lotNumber"
+                label="Lot Number"
+                type="text"
+                fullWidth
+                variant="outlined"
+                value={formData.lotNumber}
+                onChange={handleInputChange}
+                error={Boolean(fieldErrors.lotNumber)}
+                helperText={fieldErrors.lotNumber}
+              />
+            </Box>
+            <TextField
+              select
+              margin="dense"
+              name="clinicianId"
+              label="Given By"
+              fullWidth
+              variant="outlined"
+              value={formData.clinicianId}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.clinicianId)}
+              helperText={fieldErrors.clinicianId}
+              required
+            >
+              {doctors.filter(doctor => !doctor.archived || doctor.id === formData.clinicianId).map(doctor => (
+                <MenuItem key={doctor.id} value={doctor.id}>
+                  Dr. {doctor.firstName} {doctor.lastName}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              margin="dense"
+              name="visitId"
+              label="Visit"
+              fullWidth
+              variant="outlined"
+              value={formData.visitId}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.visitId)}
+              helperText={fieldErrors.visitId}
+            >
+              <MenuItem value="">Not given at a visit</MenuItem>
+              {visits.map(visit => (
+                <MenuItem key={visit.id} value={visit.id}>
+                  {visit.date} - {visit.reason}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              margin="dense"
+              name="notes"
+              label="Notes"
+              type="text"
+              fullWidth
+              multiline
+              rows={2}
+              variant="outlined"
+              value={formData.notes}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.notes)}
+              helperText={fieldErrors.notes}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleFormClose}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              {formData.id ? 'Update' : 'Add'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Vaccinations;
@@ -0,0 +1,342 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Alert
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { VISIT_STATUSES, getStatusColor, addDays, shortDateLabel } from '../utils/visits';
+import { useCurrentUser } from './CurrentUser';
+
+// Appointments are booked in quarter hours, so that is what a row of the calendar is
+const SLOT_MINUTES = 15;
+const ROW_HEIGHT = 12;
+
+// Visits made before booking went through the appointment service have no length
+const DEFAULT_MINUTES = 30;
+
+// Hours shown even when no visit falls in them
+const DAY_START = 8 * 60;
+const DAY_END = 18 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (total) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+};
+
+// Place each entry side by side with those it overlaps, as { entry, lane, lanes }
+const layOut = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.start - b.start);
+  const placed = [];
+  let group = [];
+  let groupEnd = -1;
+
+  const closeGroup = () => {
+    const laneEnds = [];
+    const lanes = group.map((entry) => {
+      const lane = laneEnds.findIndex(end => end <= entry.start);
+      const index = lane === -1 ? laneEnds.length : lane;
+      laneEnds[index] = entry.start + entry.minutes;
+      return index;
+    });
+    group.forEach((entry, index) => placed.push({ entry, lane: lanes[index], lanes: laneEnds.length }));
+  };
+
+  sorted.forEach((entry) => {
+    if (entry.start >= groupEnd && group.length > 0) {
+      closeGroup();
+      group = [];
+    }
+    group.push(entry);
+    groupEnd = Math.max(groupEnd, entry.start + entry.minutes);
+  });
+  closeGroup();
+
+  return placed;
+};
+
+// What the appointment service said was wrong with a move, in words for the front desk
+const moveErrorMessage = (err, appointments, getPetName) => {
+  const data = err.response?.data || {};
+
+  if (err.response?.status === 409) {
+    const clash = appointments.find(appointment => appointment.id === data.conflictingAppointmentId);
+    return clash
+      ? `${data.error} (${getPetName(clash.petId)} at ${clash.startTime})`
+      : data.error;
+  }
+  if (data.details) {
+    return data.details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+  }
+  return 'Failed to reschedule visit. Please try again later.';
+};
+
+// Visits laid out by time, in one column per doctor for a day ('day') or one column
+// per day of the week starting at `date` ('week', or 'doctor' for doctorId's week).
+// Visits booked as appointments can be dragged to another time, day or doctor,
+// which reschedules the appointment; onRescheduled is called to reload afterwards.
+function VisitCalendar({ view, date, doctorId, doctors, visits, appointments, getPetName, getDoctorName, onRescheduled }) {
+  const { can } = useCurrentUser();
+  const canMove = can('appointments:edit');
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [moveError, setMoveError] = useState(null);
+
+  const columns = view === 'day'
+    ? doctors.map(doctor => ({ key: doctor.id, label: getDoctorName(doctor.id), date, doctorId: doctor.id }))
+    : [0, 1, 2, 3, 4, 5, 6].map((offset) => {
+      const day = addDays(date, offset);
+      return { key: day, label: shortDateLabel(day), date: day, doctorId: view === 'doctor' ? doctorId : null };
+    });
+
+  const entries = visits.filter(visit => visit.time).map((visit) => {
+    const appointment = appointments.find(a => a.visitId === visit.id && a.status === 'booked') || null;
+    return {
+      visit,
+      appointment,
+      start: toMinutes(visit.time),
+      minutes: appointment ? appointment.durationMinutes : DEFAULT_MINUTES,
+    };
+  });
+
+  const inColumn = (column, visit) => (
+    visit.date === column.date && (!column.doctorId || visit.doctorId === column.doctorId)
+  );
+
+  const dayStart = Math.min(DAY_START, ...entries.map(entry => Math.floor(entry.start / 60) * 60));
+  const dayEnd = Math.max(DAY_END, ...entries.map(entry => Math.ceil((entry.start + entry.minutes) / 60) * 60));
+  const rows = (dayEnd - dayStart) / SLOT_MINUTES;
+  const hours = [];
+  for (let minute = dayStart; minute < dayEnd; minute += 60) {
+    hours.push(minute);
+  }
+
+  // Only booked appointments that have not happened yet can be moved
+  const isMovable = (entry) => canMove && entry.appointment && entry.visit.status === 'Scheduled';
+
+  const slotAt = (e) => {
+    const offset = e.clientY - e.currentTarget.getBoundingClientRect().top;
+    return Math.max(0, Math.min(rows - 1, Math.floor(offset / ROW_HEIGHT)));
+  };
+
+  const handleDragOver = (e, column) => {
+    if (!dragging) {
+      return;
+    }
+    e.preventDefault();
+    const slot = slotAt(e);
+    if (!dropTarget || dropTarget.key !== column.key || dropTarget.slot !== slot) {
+      setDropTarget({ key: column.key, slot });
+    }
+  };
+
+  const handleDrop = async (e, column) => {
+    e.preventDefault();
+    const entry = dragging;
+    setDragging(null);
+    setDropTarget(null);
+    if (!entry) {
+      return;
+    }
+
+    const { appointment } = entry;
+    const move = {
+      date: column.date,
+      startTime: formatMinutes(dayStart + slotAt(e) * SLOT_MINUTES),
+      doctorId: column.doctorId || appointment.doctorId,
+    };
+    if (move.date === appointment.date && move.startTime === appointment.startTime && move.doctorId === appointment.doctorId) {
+      return;
+    }
+
+    try {
+      await axios.put(`/api/appointments/${appointment.id}`, {
+        petId: appointment.petId,
+        doctorId: move.doctorId,
+        hospitalId: appointment.hospitalId,
+        room: appointment.room,
+        date: move.date,
+        startTime: move.startTime,
+        durationMinutes: appointment.durationMinutes,
+        reason: appointment.reason,
+        notes: appointment.notes,
+      }, { headers: ifMatchHeaders(appointment) });
+      setMoveError(null);
+      onRescheduled();
+    } catch (err) {
+      console.error('Error rescheduling visit:', err);
+      if (isConflict(err)) {
+        setMoveError({
+          visitId: entry.visit.id,
+          message: 'This appointment was changed by someone else, so it was not moved. The calendar has been reloaded.',
+        });
+        onRescheduled();
+      } else {
+        setMoveError({ visitId: entry.visit.id, message: moveErrorMessage(err, appointments, getPetName) });
+      }
+    }
+  };
+
+  const entryColor = (status) => {
+    const color = getStatusColor(status);
+    return color === 'default' ? 'grey.500' : `${color}.main`;
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        {VISIT_STATUSES.map(status => (
+          <Chip key={status} label={status} color={getStatusColor(status)} size="small" />
+        ))}
+        {canMove && (
+          <Typography variant="body2" color="textSecondary" sx={{ ml: 1, alignSelf: 'center' }}>
+            Drag a scheduled appointment to move it.
+          </Typography>
+        )}
+      </Box>
+
+      {moveError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setMoveError(null)}>
+          {moveError.message}
+        </Alert>
+      )}
+
+      {columns.length === 0 ? (
+        <Typography variant="body1" color="textSecondary">
+          No doctors to show for this hospital.
+        </Typography>
+      ) : (
+        <Paper sx={{ p: 1, overflowX: 'auto' }}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: `56px repeat(${columns.length}, minmax(120px, 1fr))`, minWidth: 56 + columns.length * 120 }}>
+            {/* Column headings, with visits that have no time beneath them */}
+            <Box />
+            {columns.map(column => (
+              <Box key={column.key} sx={{ px: 0.5, pb: 1, borderBottom: 1, borderColor: 'divider' }}>
+                <Typography variant="subtitle2" noWrap>{column.label}</Typography>
+                {visits.filter(visit => !visit.time && inColumn(column, visit)).map(visit => (
+                  <Chip
+                    key={visit.id}
+                    label={`${getPetName(visit.petId)} (no time)`}
+                    color={getStatusColor(visit.status)}
+                    size="small"
+                    component={Link}
+                    to={`/visits/${visit.id}`}
+                    clickable
+                    sx={{ mt: 0.5, maxWidth: '100%' }}
+                  />
+                ))}
+              </Box>
+            ))}
+
+            {/* Hour labels */}
+            <Box sx={{ position: 'relative', height: rows * ROW_HEIGHT }}>
+              {hours.map(minute => (
+                <Typography
+                  key={minute}
+                  variant="caption"
+                  color="textSecondary"
+                  sx={{ position: 'absolute', top: ((minute - dayStart) / SLOT_MINUTES) * ROW_HEIGHT, right: 4 }}
+                >
+                  {formatMinutes(minute)}
+                </Typography>
+              ))}
+            </Box>
+
+            {columns.map(column => (
+              <Box
+                key={column.key}
+                onDragOver={(e) => handleDragOver(e, column)}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={(e) => handleDrop(e, column)}
+                sx={{
+                  position: 'relative',
+                  height: rows * ROW_HEIGHT,
+                  borderLeft: 1,
+                  borderColor: 'divider',
+                  // A line on every hour
+                  backgroundImage: `repeating-linear-gradient(to bottom, transparent 0, transparent ${ROW_HEIGHT * 4 - 1}px, rgba(0, 0, 0, 0.12) ${ROW_HEIGHT * 4 - 1}px, rgba(0, 0, 0, 0.12) ${ROW_HEIGHT * 4}px)`,
+                }}
+              >
+                {dropTarget && dropTarget.key === column.key && (
+                  <Box
+                    sx={{
+                      position: 'absolute',
+                      left: 0,
+                      right: 0,
+                      top: dropTarget.slot * ROW_HEIGHT,
+                      height: (dragging.minutes / SLOT_MINUTES) * ROW_HEIGHT,
+                      bgcolor: 'action.selected',
+                      border: 1,
+                      borderStyle: 'dashed',
+                      borderColor: 'primary.main',
+                      pointerEvents: 'none',
+                    }}
+                  />
+                )}
+                {layOut(entries.filter(entry => inColumn(column, entry.visit))).map(({ entry, lane, lanes }) => {
+                  const movable = isMovable(entry);
+                  const failed = moveError && moveError.visitId === entry.visit.id;
+                  return (
+                    <Box
+                      key={entry.visit.id}
+                      component={Link}
+                      to={`/visits/${entry.visit.id}`}
+                      draggable={movable}
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData('text/plain', entry.visit.id);
+                        setDragging(entry);
+                      }}
+                      onDragEnd={() => {
+                        setDragging(null);
+                        setDropTarget(null);
+                      }}
+                      title={`${entry.visit.time} ${getPetName(entry.visit.petId)} with ${getDoctorName(entry.visit.doctorId)}: ${entry.visit.reason} (${entry.visit.status})${entry.appointment ? '' : ' - not booked as an appointment, so it cannot be moved here'}`}
+                      sx={{
+                        position: 'absolute',
+                        top: ((entry.start - dayStart) / SLOT_MINUTES) * ROW_HEIGHT,
+                        height: (entry.minutes / SLOT_MINUTES) * ROW_HEIGHT - 1,
+                        left: `${(lane / lanes) * 100}%`,
+                        width: `${100 / lanes}%`,
+                        px: 0.5,
+                        overflow: 'hidden',
+                        borderRadius: 1,
+                        bgcolor: entryColor(entry.visit.status),
+                        color: 'common.white',
+                        textDecoration: 'none',
+                        cursor: movable ? 'grab' : 'pointer',
+                        opacity: dragging && dragging.visit.id === entry.visit.id ? 0.5 : 1,
+                        outline: failed ? 2 : 0,
+                        outlineColor: 'error.dark',
+                        outlineStyle: 'solid',
+                      }}
+                    >
+                      <Typography variant="caption" component="div" noWrap sx={{ lineHeight: `${ROW_HEIGHT}px` }}>
+                        {entry.visit.time} {getPetName(entry.visit.petId)}
+                      </Typography>
+                      {view !== 'day' && entry.minutes > SLOT_MINUTES && (
+                        <Typography variant="caption" component="div" noWrap sx={{ lineHeight: `${ROW_HEIGHT}px` }}>
+                          {getDoctorName(entry.visit.doctorId)}
+                        </Typography>
+                      )}
+                    </Box>
+                  );
+                })}
+              </Box>
+            ))}
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default VisitCalendar;
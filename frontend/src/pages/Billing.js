@@ -1,71 +1,100 @@
-import React from 'react';
-import { 
-  Box, 
-  Typography, 
-  Paper, 
-  Table, 
-  TableBody, 
-  TableCell, 
-  TableContainer, 
-  TableHead, 
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
   TableRow,
   Button,
   Chip,
   Card,
   CardContent,
-  Grid
+  Grid,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
 } from '@mui/material';
 import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { useCurrentUser } from '../components/CurrentUser';
+import { CATEGORY_LABELS, priceLabel } from '../utils/serviceCatalog';
 
-// Mock data for billing
-const mockBillings = [
-  { 
-    id: 1, 
-    invoiceNumber: 'INV-2023-001',
-    petName: 'Max', 
-    petId: 1,
-    ownerName: 'John Doe',
-    visitId: 1,
-    date: '2023-07-15',
-    amount: 150.00,
-    status: 'Paid',
-    paymentMethod: 'Credit Card'
-  },
-  { 
-    id: 2, 
-    invoiceNumber: 'INV-2023-002',
-    petName: 'Bella', 
-    petId: 2,
-    ownerName: 'Jane Smith',
-    visitId: 2,
-    date: '2023-07-20',
-    amount: 200.00,
-    status: 'Pending',
-    paymentMethod: ''
-  },
-  { 
-    id: 3, 
-    invoiceNumber: 'INV-2023-003',
-    petName: 'Charlie', 
-    petId: 3,
-    ownerName: 'Mike Brown',
-    visitId: 3,
-    date: '2023-07-10',
-    amount: 175.50,
-    status: 'Paid',
-    paymentMethod: 'Insurance'
-  },
-];
-
-// Summary data
-const summaryData = {
-  totalInvoices: mockBillings.length,
-  totalAmount: mockBillings.reduce((sum, bill) => sum + bill.amount, 0),
-  paidAmount: mockBillings.filter(bill => bill.status === 'Paid').reduce((sum, bill) => sum + bill.amount, 0),
-  pendingAmount: mockBillings.filter(bill => bill.status === 'Pending').reduce((sum, bill) => sum + bill.amount, 0)
+const API_URL = '/api/billing';
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'Check', 'Insurance'];
+
+const emptySummary = {
+  totalInvoices: 0,
+  totalAmount: 0,
+  paidAmount: 0,
+  pendingAmount: 0
 };
 
 const Billing = () => {
+  const { can } = useCurrentUser();
+  const [invoices, setInvoices] = useState([]);
+  const [summaryData, setSummaryData] = useState(emptySummary);
+  const [pets, setPets] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Create invoice dialog
+  const [createOpen, setCreateOpen] = useState(false);
+  const [billableVisits, setBillableVisits] = useState([]);
+  const [selectedVisitId, setSelectedVisitId] = useState('');
+  const [catalog, setCatalog] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  // What is charged for services priced per case, by code
+  const [unitPrices, setUnitPrices] = useState({});
+
+  // Payment and detail dialogs
+  const [payInvoice, setPayInvoice] = useState(null);
+  const [payment, setPayment] = useState({ amount: '', method: '' });
+  const [viewInvoice, setViewInvoice] = useState(null);
+
+  useEffect(() => {
+    fetchBilling();
+  }, []);
+
+  const fetchBilling = async () => {
+    try {
+      setLoading(true);
+      const [invoicesResponse, summaryResponse, petsResponse, ownersResponse] = await Promise.all([
+        axios.get(`${API_URL}/invoices`),
+        axios.get(`${API_URL}/summary`),
+        fetchAllPages('/api/pets', { includeArchived: true }),
+        fetchAllPages('/api/owners', { includeArchived: true }),
+      ]);
+      setInvoices(invoicesResponse.data);
+      setSummaryData(summaryResponse.data);
+      setPets(petsResponse);
+      setOwners(ownersResponse);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching billing data:', err);
+      setError('Failed to fetch billing data. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const findPet = (petId) => pets.find(pet => pet.id === petId);
+  const getOwnerName = (ownerId) => {
+    const owner = owners.find(o => o.id === ownerId);
+    return owner ? owner.name : ownerId;
+  };
+
   // Function to get status color
   const getStatusColor = (status) => {
     switch (status) {
@@ -80,12 +109,133 @@ const Billing = () => {
     }
   };
 
+  const handleCreateOpen = async () => {
+    try {
+      const visits = await fetchAllPages('/api/visits');
+      const invoicedVisitIds = invoices.map(invoice => invoice.visitId);
+      setBillableVisits(visits.filter(
+        visit => visit.status === 'Completed' && !invoicedVisitIds.includes(visit.id)
+      ));
+      setSelectedVisitId('');
+      setCatalog([]);
+      setQuantities({});
+      setUnitPrices({});
+      setCreateOpen(true);
+    } catch (err) {
+      console.error('Error fetching visits:', err);
+      setError('Failed to fetch completed visits. Please try again later.');
+    }
+  };
+
+  const handleCreateClose = () => {
+    setCreateOpen(false);
+  };
+
+  const handleVisitChange = async (e) => {
+    const visitId = e.target.value;
+    const visit = billableVisits.find(v => v.id === visitId);
+    setSelectedVisitId(visitId);
+    setQuantities({});
+    setUnitPrices({});
+    try {
+      // Services are billed at the prices in force on the day of the visit
+      const response = await axios.get(`/api/hospitals/${visit.hospitalId}/services`, { params: { date: visit.date } });
+      setCatalog(response.data.services);
+    } catch (err) {
+      console.error('Error fetching service catalog:', err);
+      setCatalog([]);
+    }
+  };
+
+  const handleQuantityChange = (code, value) => {
+    setQuantities({
+      ...quantities,
+      [code]: value
+    });
+  };
+
+  const handleUnitPriceChange = (code, value) => {
+    setUnitPrices({
+      ...unitPrices,
+      [code]: value
+    });
+  };
+
+  const selectedLineItems = catalog
+    .filter(entry => Number(quantities[entry.code]) > 0)
+    .map(entry => ({
+      code: entry.code,
+      quantity: Number(quantities[entry.code]),
+      ...(entry.price === null ? { unitPrice: Number(unitPrices[entry.code]) } : {})
+    }));
+
+  // Every service priced per case needs what it is charged at, within its range
+  const unpricedLineItems = selectedLineItems.filter(item => {
+    const entry = catalog.find(e => e.code === item.code);
+    return entry.price === null && !(unitPrices[item.code] !== '' && item.unitPrice >= entry.minPrice && item.unitPrice <= entry.maxPrice);
+  });
+
+  const handleCreateSubmit = async () => {
+    try {
+      await axios.post(`${API_URL}/invoices`, {
+        visitId: selectedVisitId,
+        lineItems: selectedLineItems
+      });
+      setCreateOpen(false);
+      fetchBilling();
+    } catch (err) {
+      console.error('Error creating invoice:', err);
+      setError(err.response?.data?.error || 'Failed to create invoice. Please try again later.');
+    }
+  };
+
+  const handlePayOpen = (invoice) => {
+    setPayInvoice(invoice);
+    setPayment({ amount: invoice.balance.toFixed(2), method: '' });
+  };
+
+  const handlePayClose = () => {
+    setPayInvoice(null);
+  };
+
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPayment({
+      ...payment,
+      [name]: value
+    });
+  };
+
+  const handlePaySubmit = async () => {
+    try {
+      await axios.post(`${API_URL}/invoices/${payInvoice.id}/payments`, {
+        amount: Number(payment.amount),
+        method: payment.method
+      });
+      setPayInvoice(null);
+      fetchBilling();
+    } catch (err) {
+      console.error('Error recording payment:', err);
+      setError(err.response?.data?.error || 'Failed to record payment. Please try again later.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
   return (
     <Box>
       <Typography variant="h4" component="h1" gutterBottom>
         Billing
       </Typography>
 
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
       {/* Summary Cards */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} sm={6} md={3}>
@@ -142,12 +292,15 @@ const Billing = () => {
         <Typography variant="h5" component="h2" gutterBottom>
           Recent Invoices
         </Typography>
-        <Button 
-          variant="contained" 
-          color="primary"
-        >
-          Create Invoice
-        </Button>
+        {can('billing:edit') && (
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={handleCreateOpen}
+          >
+            Create Invoice
+          </Button>
+        )}
       </Box>
 
       <TableContainer component={Paper}>
@@ -158,58 +311,281 @@ const Billing = () => {
               <TableCell>Date</TableCell>
               <TableCell>Pet/Owner</TableCell>
               <TableCell>Amount</TableCell>
+              <TableCell>Balance</TableCell>
               <TableCell>Status</TableCell>
               <TableCell>Payment Method</TableCell>
               <TableCell>Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
-            {mockBillings.map((billing) => (
-              <TableRow key={billing.id}>
-                <TableCell>{billing.invoiceNumber}</TableCell>
-                <TableCell>{billing.date}</TableCell>
-                <TableCell>
-                  <Link to={`/pets/${billing.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                    <Typography variant="body2" color="primary" sx={{ fontWeight: 'medium' }}>
-                      {billing.petName}
-                    </Typography>
-                  </Link>
-                  <Typography variant="body2" color="textSecondary">
-                    Owner: {billing.ownerName}
-                  </Typography>
-                </TableCell>
-                <TableCell>${billing.amount.toFixed(2)}</TableCell>
-                <TableCell>
-                  <Chip 
-                    label={billing.status} 
-                    color={getStatusColor(billing.status)} 
-                    size="small" 
-                  />
-                </TableCell>
-                <TableCell>{billing.paymentMethod || '-'}</TableCell>
-                <TableCell>
-                  <Button 
-                    variant="outlined" 
-                    size="small"
-                    sx={{ mr: 1 }}
-                  >
-                    View
-                  </Button>
-                  {billing.status === 'Pending' && (
-                    <Button 
-                      variant="contained" 
-                      color="primary"
-                      size="small"
-                    >
-                      Pay
-                    </Button>
-                  )}
+            {invoices.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  No invoices found. Create an invoice from a completed visit.
                 </TableCell>
               </TableRow>
-            ))}
+            ) : (
+              invoices.map((billing) => {
+                const pet = findPet(billing.petId);
+                const lastPayment = billing.payments[billing.payments.length - 1];
+                return (
+                  <TableRow key={billing.id}>
+                    <TableCell>{billing.invoiceNumber}</TableCell>
+                    <TableCell>{billing.date}</TableCell>
+                    <TableCell>
+                      <Link to={`/pets/${billing.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                        <Typography variant="body2" color="primary" sx={{ fontWeight: 'medium' }}>
+                          {pet ? pet.name : billing.petId}
+                        </Typography>
+                      </Link>
+                      {pet && (
+                        <Typography variant="body2" color="textSecondary">
+                          Owner: {getOwnerName(pet.ownerId)}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>${billing.totalAmount.toFixed(2)}</TableCell>
+                    <TableCell>${billing.balance.toFixed(2)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={billing.status}
+                        color={getStatusColor(billing.status)}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>{lastPayment ? lastPayment.method : '-'}</TableCell>
+                    <TableCell>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        sx={{ mr: 1 }}
+                        onClick={() => setViewInvoice(billing)}
+                      >
+                        View
+                      </Button>
+                      {billing.balance > 0 && (
+                        <Button
+                          variant="contained"
+                          color="primary"
+                          size="small"
+                          onClick={() => handlePayOpen(billing)}
+                          disabled={!can('billing:edit')}
+                        >
+                          Pay
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
           </TableBody>
         </Table>
       </TableContainer>
+
+      {/* Create Invoice Dialog */}
+      <Dialog open={createOpen} onClose={handleCreateClose} maxWidth="sm" fullWidth>
+        <DialogTitle>Create Invoice</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            margin="dense"
+            label="Completed Visit"
+            fullWidth
+            variant="outlined"
+            value={selectedVisitId}
+            onChange={handleVisitChange}
+            helperText={billableVisits.length === 0 ? 'No completed visits are waiting to be invoiced' : ''}
+          >
+            {billableVisits.map(visit => {
+              const pet = findPet(visit.petId);
+              return (
+                <MenuItem key={visit.id} value={visit.id}>
+                  {visit.date} - {pet ? pet.name : visit.petId} - {visit.reason}
+                </MenuItem>
+              );
+            })}
+          </TextField>
+
+          {selectedVisitId && (
+            catalog.length > 0 ? (
+              <Table size="small" sx={{ mt: 2 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Service</TableCell>
+                    <TableCell>Price</TableCell>
+                    <TableCell>Charged</TableCell>
+                    <TableCell>Quantity</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {catalog.map(entry => (
+                    <TableRow key={entry.code}>
+                      <TableCell>
+                        {entry.name}
+                        <Typography variant="caption" color="textSecondary" display="block">
+                          {CATEGORY_LABELS[entry.category]}{entry.taxable && ' · Taxable'}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{priceLabel(entry)}</TableCell>
+                      <TableCell>
+                        {entry.price === null ? (
+                          <TextField
+                            type="number"
+                            size="small"
+                            inputProps={{ min: entry.minPrice, max: entry.maxPrice, step: '0.01' }}
+                            value={unitPrices[entry.code] ?? ''}
+                            onChange={(e) => handleUnitPriceChange(entry.code, e.target.value)}
+                          />
+                        ) : priceLabel(entry)}
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          type="number"
+                          size="small"
+                          inputProps={{ min: 0 }}
+                          value={quantities[entry.code] || ''}
+                          onChange={(e) => handleQuantityChange(entry.code, e.target.value)}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            ) : (
+              <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
+                This hospital had no billable services in its catalog on the day of the visit.
+              </Typography>
+            )
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCreateClose}>Cancel</Button>
+          <Button
+            onClick={handleCreateSubmit}
+            variant="contained"
+            color="primary"
+            disabled={!selectedVisitId || selectedLineItems.length === 0 || unpricedLineItems.length > 0}
+          >
+            Create Invoice
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Record Payment Dialog */}
+      <Dialog open={Boolean(payInvoice)} onClose={handlePayClose} maxWidth="xs" fullWidth>
+        <DialogTitle>Record Payment</DialogTitle>
+        <DialogContent>
+          {payInvoice && (
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {payInvoice.invoiceNumber} - balance ${payInvoice.balance.toFixed(2)}
+            </Typography>
+          )}
+          <TextField
+            margin="dense"
+            name="amount"
+            label="Amount ($)"
+            type="number"
+            fullWidth
+            variant="outlined"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={payment.amount}
+            onChange={handlePaymentChange}
+          />
+          <TextField
+            select
+            margin="dense"
+            name="method"
+            label="Payment Method"
+            fullWidth
+            variant="outlined"
+            value={payment.method}
+            onChange={handlePaymentChange}
+          >
+            {PAYMENT_METHODS.map(method => (
+              <MenuItem key={method} value={method}>{method}</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handlePayClose}>Cancel</Button>
+          <Button
+            onClick={handlePaySubmit}
+            variant="contained"
+            color="primary"
+            disabled={!(Number(payment.amount) > 0) || !payment.method}
+          >
+            Record Payment
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Invoice Detail Dialog */}
+      <Dialog open={Boolean(viewInvoice)} onClose={() => setViewInvoice(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Invoice {viewInvoice?.invoiceNumber}</DialogTitle>
+        <DialogContent>
+          {viewInvoice && (
+            <>
+              <Typography variant="body2" gutterBottom>
+                Issued {viewInvoice.date}, due {viewInvoice.dueDate} - <Link to={`/visits/${viewInvoice.visitId}`}>View visit</Link>
+              </Typography>
+              <Table size="small" sx={{ mb: 2 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Service</TableCell>
+                    <TableCell align="right">Qty</TableCell>
+                    <TableCell align="right">Unit Price</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {viewInvoice.lineItems.map(item => (
+                    <TableRow key={item.code}>
+                      <TableCell>{item.description}</TableCell>
+                      <TableCell align="right">{item.quantity}</TableCell>
+                      <TableCell align="right">${item.unitPrice.toFixed(2)}</TableCell>
+                      <TableCell align="right">${item.amount.toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                  {/* Invoices from before sales tax have no subtotal */}
+                  {viewInvoice.subtotal !== undefined && (
+                    <>
+                      <TableRow>
+                        <TableCell colSpan={3}>Subtotal</TableCell>
+                        <TableCell align="right">${viewInvoice.subtotal.toFixed(2)}</TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell colSpan={3}>Tax ({(viewInvoice.taxRate * 100).toFixed(2)}% on taxable services)</TableCell>
+                        <TableCell align="right">${viewInvoice.taxAmount.toFixed(2)}</TableCell>
+                      </TableRow>
+                    </>
+                  )}
+                  <TableRow>
+                    <TableCell colSpan={3}><strong>Total</strong></TableCell>
+                    <TableCell align="right"><strong>${viewInvoice.totalAmount.toFixed(2)}</strong></TableCell>
+                  </TableRow>
+                </TableBody>
+              </Table>
+
+              <Typography variant="subtitle2" gutterBottom>Payments</Typography>
+              {viewInvoice.payments.length > 0 ? (
+                viewInvoice.payments.map(p => (
+                  <Typography key={p.id} variant="body2">
+                    {p.paidAt.split('T')[0]} - ${p.amount.toFixed(2)} by {p.method}
+                  </Typography>
+                ))
+              ) : (
+                <Typography variant="body2" color="textSecondary">
+                  No payments recorded
+                </Typography>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setViewInvoice(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
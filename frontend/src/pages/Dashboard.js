@@ -17,9 +17,11 @@ import PetsIcon from '@mui/icons-material/Pets';
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
 import PersonIcon from '@mui/icons-material/Person';
 import EventNoteIcon from '@mui/icons-material/EventNote';
-import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { useCurrentUser } from '../components/CurrentUser';
 
 function Dashboard() {
+  const { can } = useCurrentUser();
   const [stats, setStats] = useState({
     pets: { count: 0, loading: true, error: null },
     hospitals: { count: 0, loading: true, error: null },
@@ -30,10 +32,10 @@ function Dashboard() {
   useEffect(() => {
     const fetchStats = async () => {
       try {
-        const petsResponse = await axios.get('/api/pets');
+        const pets = await fetchAllPages('/api/pets');
         setStats(prev => ({
           ...prev,
-          pets: { count: petsResponse.data.length, loading: false, error: null }
+          pets: { count: pets.length, loading: false, error: null }
         }));
       } catch (err) {
         setStats(prev => ({
@@ -43,10 +45,10 @@ function Dashboard() {
       }
 
       try {
-        const hospitalsResponse = await axios.get('/api/hospitals');
+        const hospitals = await fetchAllPages('/api/hospitals');
         setStats(prev => ({
           ...prev,
-          hospitals: { count: hospitalsResponse.data.length, loading: false, error: null }
+          hospitals: { count: hospitals.length, loading: false, error: null }
         }));
       } catch (err) {
         setStats(prev => ({
@@ -56,10 +58,10 @@ function Dashboard() {
       }
 
       try {
-        const doctorsResponse = await axios.get('/api/doctors');
+        const doctors = await fetchAllPages('/api/doctors');
         setStats(prev => ({
           ...prev,
-          doctors: { count: doctorsResponse.data.length, loading: false, error: null }
+          doctors: { count: doctors.length, loading: false, error: null }
         }));
       } catch (err) {
         setStats(prev => ({
@@ -69,10 +71,10 @@ function Dashboard() {
       }
 
       try {
-        const visitsResponse = await axios.get('/api/visits');
+        const visits = await fetchAllPages('/api/visits');
         setStats(prev => ({
           ...prev,
-          visits: { count: visitsResponse.data.length, loading: false, error: null }
+          visits: { count: visits.length, loading: false, error: null }
         }));
       } catch (err) {
         setStats(prev => ({
@@ -193,49 +195,57 @@ function Dashboard() {
                 Quick Actions
               </Typography>
               <Grid container spacing={2}>
-                <Grid item xs={6}>
-                  <Button
-                    component={RouterLink}
-                    to="/pets"
-                    variant="outlined"
-                    fullWidth
-                    startIcon={<PetsIcon />}
-                  >
-                    Add Pet
-                  </Button>
-                </Grid>
-                <Grid item xs={6}>
-                  <Button
-                    component={RouterLink}
-                    to="/visits"
-                    variant="outlined"
-                    fullWidth
-                    startIcon={<EventNoteIcon />}
-                  >
-                    Schedule Visit
-                  </Button>
-                </Grid>
-                <Grid item xs={6}>
-                  <Button
-                    component={RouterLink}
-                    to="/doctors"
-                    variant="outlined"
-                    fullWidth
-                    startIcon={<PersonIcon />}
-                  >
-                    Add Doctor
-                  </Button>
-                </Grid>
-                <Grid item xs={6}>
-                  <Button
-                    component={RouterLink}
-                    to="/billing"
-                    variant="outlined"
-                    fullWidth
-                  >
-                    Create Invoice
-                  </Button>
-                </Grid>
+                {can('pets:edit') && (
+                  <Grid item xs={6}>
+                    <Button
+                      component={RouterLink}
+                      to="/pets"
+                      variant="outlined"
+                      fullWidth
+                      startIcon={<PetsIcon />}
+                    >
+                      Add Pet
+                    </Button>
+                  </Grid>
+                )}
+                {can('visits:edit') && (
+                  <Grid item xs={6}>
+                    <Button
+                      component={RouterLink}
+                      to="/visits"
+                      variant="outlined"
+                      fullWidth
+                      startIcon={<EventNoteIcon />}
+                    >
+                      Schedule Visit
+                    </Button>
+                  </Grid>
+                )}
+                {can('doctors:edit') && (
+                  <Grid item xs={6}>
+                    <Button
+                      component={RouterLink}
+                      to="/doctors"
+                      variant="outlined"
+                      fullWidth
+                      startIcon={<PersonIcon />}
+                    >
+                      Add Doctor
+                    </Button>
+                  </Grid>
+                )}
+                {can('billing:edit') && (
+                  <Grid item xs={6}>
+                    <Button
+                      component={RouterLink}
+                      to="/billing"
+                      variant="outlined"
+                      fullWidth
+                    >
+                      Create Invoice
+                    </Button>
+                  </Grid>
+                )}
               </Grid>
             </CardContent>
           </Card>
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Box, 
   Typography, 
@@ -12,48 +12,108 @@ import {
   Divider,
   List,
   ListItem,
-  ListItemText
+  ListItemText,
+  CircularProgress,
+  Alert,
+  Tab,
+  Tabs,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem
 } from '@mui/material';
-import { useParams } from 'react-router-dom';
-
-// Mock data for doctor details
-const mockDoctor = {
-  id: 1,
-  name: 'Dr. John Smith',
-  specialty: 'General Veterinarian',
-  hospital: 'Central Pet Hospital',
-  hospitalId: 1,
-  phone: '(555) 123-4567',
-  email: 'john.smith@pethospital.com',
-  education: 'DVM, University of Veterinary Medicine, 2010',
-  experience: '12 years',
-  bio: 'Dr. John Smith is a dedicated veterinarian with over 12 years of experience in small animal medicine. He specializes in preventive care, internal medicine, and soft tissue surgery. Dr. Smith is known for his compassionate approach to pet care and his ability to connect with both pets and their owners.',
-  certifications: [
-    'American Veterinary Medical Association (AVMA)',
-    'State Veterinary Medical Association',
-    'American Animal Hospital Association (AAHA)'
-  ],
-  schedule: [
-    { day: 'Monday', hours: '9:00 AM - 5:00 PM' },
-    { day: 'Tuesday', hours: '9:00 AM - 5:00 PM' },
-    { day: 'Wednesday', hours: '9:00 AM - 5:00 PM' },
-    { day: 'Thursday', hours: '9:00 AM - 5:00 PM' },
-    { day: 'Friday', hours: '9:00 AM - 3:00 PM' },
-    { day: 'Saturday', hours: 'Off' },
-    { day: 'Sunday', hours: 'Off' }
-  ],
-  specialInterests: [
-    'Preventive Care',
-    'Internal Medicine',
-    'Soft Tissue Surgery',
-    'Geriatric Pet Care'
-  ]
-};
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import ChangeHistory from '../components/ChangeHistory';
+import DoctorSchedule from '../components/DoctorSchedule';
+import DoctorCredentials from '../components/DoctorCredentials';
+import DoctorAffiliations from '../components/DoctorAffiliations';
+import BookAppointment from '../components/BookAppointment';
+import { useCurrentUser } from '../components/CurrentUser';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { fetchSpecializations, specializationName, experienceLabel } from '../utils/doctors';
+
+const PROFILE_FIELDS = ['firstName', 'lastName', 'specialization', 'email', 'phone', 'bio', 'yearsOfExperience'];
+
+// Education and special interests are edited one entry per line
+const toProfileForm = (doctor) => ({
+  ...Object.fromEntries(PROFILE_FIELDS.map(name => [name, doctor[name] ?? ''])),
+  education: (doctor.education || []).join('\n'),
+  specialInterests: (doctor.specialInterests || []).join('\n'),
+});
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const toProfilePatch = (formData) => ({
+  ...formData,
+  yearsOfExperience: formData.yearsOfExperience === '' ? null : Number(formData.yearsOfExperience),
+  education: splitLines(formData.education),
+  specialInterests: splitLines(formData.specialInterests),
+});
 
 const DoctorDetail = () => {
+  const { can } = useCurrentUser();
   const { id } = useParams();
-  // In a real app, you would fetch the doctor data based on the ID
-  const doctor = mockDoctor;
+  const navigate = useNavigate();
+  const [doctor, setDoctor] = useState(null);
+  const [specializations, setSpecializations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [profileOpen, setProfileOpen] = useState(false);
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileErrors, setProfileErrors] = useState({});
+  const [profileConflict, setProfileConflict] = useState(false);
+  const [tabValue, setTabValue] = useState(0);
+  const [visits, setVisits] = useState([]);
+  const [visitsLoading, setVisitsLoading] = useState(true);
+  const [visitsError, setVisitsError] = useState(null);
+  const [bookingOpen, setBookingOpen] = useState(false);
+
+  const fetchDoctor = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [doctorResponse, specializationsResponse] = await Promise.all([
+        axios.get(`/api/doctors/${id}`, { params: { expand: 'hospital' } }),
+        fetchSpecializations(),
+      ]);
+      setDoctor(doctorResponse.data);
+      setSpecializations(specializationsResponse);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching doctor:', err);
+      setError(err.response?.status === 404
+        ? 'Doctor not found.'
+        : 'Failed to fetch doctor. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchDoctor();
+  }, [fetchDoctor]);
+
+  useEffect(() => {
+    const fetchVisits = async () => {
+      try {
+        setVisitsLoading(true);
+        const response = await axios.get(`/api/doctors/${id}/visits`);
+        // Most recent visit first
+        setVisits([...response.data].sort((a, b) => b.date.localeCompare(a.date)));
+        setVisitsError(null);
+      } catch (err) {
+        console.error('Error fetching visit history:', err);
+        setVisitsError('Failed to fetch visit history. Please try again later.');
+      } finally {
+        setVisitsLoading(false);
+      }
+    };
+
+    fetchVisits();
+  }, [id]);
 
   // Function to get initials for avatar
   const getInitials = (name) => {
@@ -64,8 +124,89 @@ const DoctorDetail = () => {
       .toUpperCase();
   };
 
+  const handleProfileOpen = () => {
+    setProfileForm(toProfileForm(doctor));
+    setProfileErrors({});
+    setProfileConflict(false);
+    setProfileOpen(true);
+  };
+
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target;
+    setProfileForm({
+      ...profileForm,
+      [name]: value,
+    });
+  };
+
+  // Discard the user's edits in favour of the latest saved profile
+  const handleProfileReload = async () => {
+    try {
+      const response = await axios.get(`/api/doctors/${id}`, { params: { expand: 'hospital' } });
+      setDoctor(response.data);
+      setProfileForm(toProfileForm(response.data));
+      setProfileErrors({});
+      setProfileConflict(false);
+    } catch (err) {
+      console.error('Error reloading doctor:', err);
+      setError('Failed to reload doctor. Please try again later.');
+      setProfileOpen(false);
+    }
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.patch(`/api/doctors/${id}`, toProfilePatch(profileForm), {
+        headers: { ...ifMatchHeaders(doctor), 'Content-Type': 'application/merge-patch+json' },
+      });
+      setProfileOpen(false);
+      fetchDoctor();
+    } catch (err) {
+      console.error('Error saving doctor profile:', err);
+      if (isConflict(err)) {
+        setProfileConflict(true);
+      } else if (err.response?.data?.details) {
+        setProfileErrors(toFieldErrors(err.response.data.details));
+      } else {
+        setError('Failed to save doctor profile. Please try again later.');
+        setProfileOpen(false);
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!doctor) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const name = `${doctor.firstName} ${doctor.lastName}`;
+  const hospitalName = doctor.hospital?.name || doctor.hospitalId;
+
+  const profileField = (field, label, props = {}) => ({
+    margin: 'dense',
+    name: field,
+    label,
+    fullWidth: true,
+    variant: 'outlined',
+    value: profileForm[field],
+    onChange: handleProfileChange,
+    error: Boolean(profileErrors[field]),
+    helperText: profileErrors[field],
+    ...props,
+  });
+
   return (
     <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
       <Grid container spacing={3}>
         {/* Doctor Profile */}
         <Grid item xs={12} md={4}>
@@ -79,107 +220,225 @@ const DoctorDetail = () => {
                 mb: 2
               }}
             >
-              {getInitials(doctor.name)}
+              {getInitials(name)}
             </Avatar>
             <Typography variant="h4" component="h1" align="center" gutterBottom>
-              {doctor.name}
+              Dr. {name}
             </Typography>
             <Typography variant="h6" color="textSecondary" align="center" gutterBottom>
-              {doctor.specialty}
+              {specializationName(specializations, doctor.specialization)}
             </Typography>
             <Typography variant="body1" align="center" gutterBottom>
-              {doctor.hospital}
+              <Link to={`/hospitals/${doctor.hospitalId}`} style={{ color: 'inherit' }}>{hospitalName}</Link>
             </Typography>
+            {doctor.archived && <Chip label="Archived" size="small" sx={{ mt: 1 }} />}
             
             <Box sx={{ mt: 2, width: '100%' }}>
-              <Button variant="contained" color="primary" fullWidth sx={{ mb: 1 }}>
+              <Button
+                variant="contained"
+                color="primary"
+                fullWidth
+                sx={{ mb: 1 }}
+                disabled={!can('appointments:edit')}
+                onClick={() => setBookingOpen(true)}
+              >
                 Schedule Appointment
               </Button>
-              <Button variant="outlined" fullWidth>
+              <Button variant="outlined" fullWidth sx={{ mb: 1 }} href={doctor.email ? `mailto:${doctor.email}` : undefined} disabled={!doctor.email}>
                 Contact
               </Button>
+              {can('doctors:edit') && (
+                <Button variant="outlined" fullWidth disabled={doctor.archived} onClick={handleProfileOpen}>
+                  Edit Profile
+                </Button>
+              )}
             </Box>
           </Paper>
           
           <Paper sx={{ p: 3, mb: 3 }}>
             <Typography variant="h6" gutterBottom>Contact Information</Typography>
             <Typography variant="body1" gutterBottom>
-              <strong>Email:</strong> {doctor.email}
+              <strong>Email:</strong> {doctor.email || '-'}
             </Typography>
             <Typography variant="body1" gutterBottom>
-              <strong>Phone:</strong> {doctor.phone}
+              <strong>Phone:</strong> {doctor.phone || '-'}
             </Typography>
             <Typography variant="body1" gutterBottom>
-              <strong>Hospital:</strong> {doctor.hospital}
+              <strong>Hospital:</strong> {hospitalName}
             </Typography>
           </Paper>
           
           <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Schedule</Typography>
-            <List dense>
-              {doctor.schedule.map((item, index) => (
-                <ListItem key={index} sx={{ py: 0.5 }}>
-                  <ListItemText
-                    primary={item.day}
-                    secondary={item.hours}
-                    primaryTypographyProps={{ fontWeight: 'medium' }}
-                  />
-                </ListItem>
-              ))}
-            </List>
+            <DoctorSchedule doctorId={id} onShiftsSaved={fetchDoctor} />
           </Paper>
         </Grid>
 
         {/* Doctor Details */}
         <Grid item xs={12} md={8}>
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>About</Typography>
-            <Typography variant="body1" paragraph>
-              {doctor.bio}
-            </Typography>
+          <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
+            <Tabs value={tabValue} onChange={(event, newValue) => setTabValue(newValue)} aria-label="doctor information tabs">
+              <Tab label="Overview" />
+              <Tab label="History" />
+            </Tabs>
+          </Box>
+
+          {/* Overview Tab */}
+          {tabValue === 0 && (
+            <>
+              <Paper sx={{ p: 3, mb: 3 }}>
+                <Typography variant="h6" gutterBottom>About</Typography>
+                <Typography variant="body1" paragraph color={doctor.bio ? 'textPrimary' : 'textSecondary'}>
+                  {doctor.bio || 'No biography yet'}
+                </Typography>
             
-            <Grid container spacing={2} sx={{ mb: 2 }}>
-              <Grid item xs={12} sm={6}>
-                <Typography variant="subtitle2">Education:</Typography>
-                <Typography variant="body2" paragraph>{doctor.education}</Typography>
-              </Grid>
+                <Grid container spacing={2} sx={{ mb: 2 }}>
+                  <Grid item xs={12} sm={6}>
+                    <Typography variant="subtitle2">Education:</Typography>
+                    {doctor.education?.length > 0 ? (
+                      doctor.education.map((entry, index) => (
+                        <Typography key={index} variant="body2">{entry}</Typography>
+                      ))
+                    ) : (
+                      <Typography variant="body2">-</Typography>
+                    )}
+                  </Grid>
               
-              <Grid item xs={12} sm={6}>
-                <Typography variant="subtitle2">Experience:</Typography>
-                <Typography variant="body2" paragraph>{doctor.experience}</Typography>
-              </Grid>
-            </Grid>
-          </Paper>
+                  <Grid item xs={12} sm={6}>
+                    <Typography variant="subtitle2">Experience:</Typography>
+                    <Typography variant="body2" paragraph>{experienceLabel(doctor.yearsOfExperience)}</Typography>
+                  </Grid>
+                </Grid>
+              </Paper>
           
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Specializations</Typography>
-            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
-              {doctor.specialInterests.map((interest, index) => (
-                <Chip 
-                  key={index} 
-                  label={interest} 
-                  color="primary" 
-                  variant="outlined" 
-                />
-              ))}
-            </Box>
-          </Paper>
+              <Paper sx={{ p: 3, mb: 3 }}>
+                <Typography variant="h6" gutterBottom>Special Interests</Typography>
+                {doctor.specialInterests?.length > 0 ? (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                    {doctor.specialInterests.map((interest, index) => (
+                      <Chip 
+                        key={index} 
+                        label={interest} 
+                        color="primary" 
+                        variant="outlined" 
+                      />
+                    ))}
+                  </Box>
+                ) : (
+                  <Typography variant="body1" color="textSecondary">
+                    No special interests recorded
+                  </Typography>
+                )}
+              </Paper>
           
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Certifications</Typography>
-            <List>
-              {doctor.certifications.map((cert, index) => (
-                <React.Fragment key={index}>
-                  <ListItem>
-                    <ListItemText primary={cert} />
-                  </ListItem>
-                  {index < doctor.certifications.length - 1 && <Divider />}
-                </React.Fragment>
-              ))}
-            </List>
-          </Paper>
+              <Paper sx={{ p: 3, mb: 3 }}>
+                <DoctorAffiliations doctor={doctor} onTransferred={fetchDoctor} />
+              </Paper>
+          
+              <Paper sx={{ p: 3, mb: 3 }}>
+                <DoctorCredentials doctorId={id} />
+              </Paper>
+          
+              <Paper sx={{ p: 3, mb: 3 }}>
+                <Typography variant="h6" gutterBottom>Visit History</Typography>
+                {visitsError && <Alert severity="error" sx={{ mb: 2 }}>{visitsError}</Alert>}
+                {visitsLoading ? (
+                  <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                    <CircularProgress />
+                  </Box>
+                ) : visits.length > 0 ? (
+                  <List>
+                    {visits.map((visit, index) => (
+                      <React.Fragment key={visit.id}>
+                        <ListItem
+                          component={Link}
+                          to={`/visits/${visit.id}`}
+                          sx={{ color: 'inherit' }}
+                        >
+                          <ListItemText
+                            primary={visit.reason}
+                            secondary={`${visit.date}${visit.time ? ` ${visit.time}` : ''} - ${visit.status}`}
+                          />
+                        </ListItem>
+                        {index < visits.length - 1 && <Divider />}
+                      </React.Fragment>
+                    ))}
+                  </List>
+                ) : (
+                  <Typography variant="body1" color="textSecondary">
+                    No visit history available
+                  </Typography>
+                )}
+              </Paper>
+            </>
+          )}
+
+          {/* History Tab */}
+          {tabValue === 1 && (
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <ChangeHistory resource="doctors" id={id} />
+            </Paper>
+          )}
         </Grid>
       </Grid>
+
+      {profileForm && (
+        <Dialog open={profileOpen} onClose={() => setProfileOpen(false)} maxWidth="sm" fullWidth>
+          <DialogTitle>Edit Profile</DialogTitle>
+          <form onSubmit={handleProfileSubmit}>
+            <DialogContent>
+              {profileConflict && (
+                <Alert
+                  severity="warning"
+                  sx={{ mb: 1 }}
+                  action={
+                    <Button color="inherit" size="small" onClick={handleProfileReload}>
+                      Reload
+                    </Button>
+                  }
+                >
+                  This doctor was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+                </Alert>
+              )}
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField {...profileField('firstName', 'First Name', { required: true, autoFocus: true })} />
+                <TextField {...profileField('lastName', 'Last Name', { required: true })} />
+              </Box>
+              <TextField {...profileField('specialization', 'Specialization', { select: true, required: true })}>
+                {specializations.map(specialization => (
+                  <MenuItem key={specialization.code} value={specialization.code}>
+                    {specialization.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField {...profileField('email', 'Email', { type: 'email' })} />
+                <TextField {...profileField('phone', 'Phone')} />
+              </Box>
+              <TextField {...profileField('yearsOfExperience', 'Years of Experience', { type: 'number', inputProps: { min: 0, max: 70 } })} />
+              <TextField {...profileField('bio', 'Biography', { multiline: true, rows: 4 })} />
+              <TextField
+                {...profileField('education', 'Education', { multiline: true, rows: 2 })}
+                helperText={profileErrors.education || 'One degree or qualification per line'}
+              />
+              <TextField
+                {...profileField('specialInterests', 'Special Interests', { multiline: true, rows: 2 })}
+                helperText={profileErrors.specialInterests || 'One per line'}
+              />
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setProfileOpen(false)}>Cancel</Button>
+              <Button type="submit" variant="contained" color="primary">Save</Button>
+            </DialogActions>
+          </form>
+        </Dialog>
+      )}
+
+      <BookAppointment
+        open={bookingOpen}
+        onClose={() => setBookingOpen(false)}
+        onBooked={(appointment) => navigate(`/visits/${appointment.visitId}`)}
+        doctorId={id}
+      />
     </Box>
   );
 };
@@ -16,11 +16,19 @@ import {
   DialogContent,
   DialogTitle,
   Avatar,
+  MenuItem,
   CircularProgress,
   Snackbar,
   Alert
 } from '@mui/material';
 import { Link } from 'react-router-dom';
+import { toFieldErrors } from '../utils/validation';
+import { fetchAllPages } from '../utils/pagination';
+import { authFetch } from '../utils/auth';
+import { fetchSpecializations, specializationName } from '../utils/doctors';
+import { useCurrentUser } from '../components/CurrentUser';
+
+const emptyFilters = { specialization: '', hospitalId: '' };
 
 // Mock data for doctors - used as fallback if API fails
 const mockDoctors = [
@@ -29,11 +37,28 @@ const mockDoctors = [
   { id: 3, name: 'Dr. Michael Brown', specialty: 'Orthopedic Surgeon', hospital: 'South Pet Care', phone: '555-9012', email: 'michael.brown@pethospital.com' },
 ];
 
+// Transform data to match frontend structure
+const formatDoctor = (doctor) => ({
+  id: doctor.id,
+  name: `${doctor.firstName} ${doctor.lastName}`,
+  specialty: doctor.specialization,
+  hospital: doctor.hospital?.name || doctor.hospitalId,
+  phone: doctor.phone,
+  email: doctor.email
+});
+
 const Doctors = () => {
+  const { can } = useCurrentUser();
   const [doctors, setDoctors] = useState([]);
+  const [hospitals, setHospitals] = useState([]);
+  const [specializations, setSpecializations] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [open, setOpen] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -47,45 +72,77 @@ const Doctors = () => {
     email: ''
   });
 
-  // Fetch doctors from API
-  useEffect(() => {
-    const fetchDoctors = async () => {
-      try {
+  // Fetch a page of doctors from API, appending to the list when a cursor is given
+  const fetchDoctors = async (listFilters, cursor) => {
+    try {
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
         setLoading(true);
-        const response = await fetch('/api/doctors');
-        
-        if (!response.ok) {
-          throw new Error('Failed to fetch doctors');
-        }
-        
-        const data = await response.json();
-        
-        // Transform data to match frontend structure if needed
-        const formattedDoctors = data.map(doctor => ({
-          id: doctor.id,
-          name: `${doctor.firstName} ${doctor.lastName}`,
-          specialty: doctor.specialization,
-          hospital: doctor.hospitalId, // Ideally you'd fetch hospital names
-          phone: doctor.phone,
-          email: doctor.email
-        }));
-        
-        setDoctors(formattedDoctors);
-        setError(null);
-      } catch (error) {
-        console.error('Error fetching doctors:', error);
-        setError('Failed to load doctors. Please try again later.');
-        // If API fails, use mock data as fallback
+      }
+
+      const params = new URLSearchParams({ expand: 'hospital' });
+      if (listFilters.specialization) {
+        params.set('specialization', listFilters.specialization);
+      }
+      if (listFilters.hospitalId) {
+        params.set('hospitalId', listFilters.hospitalId);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await authFetch(`/api/doctors?${params}`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch doctors');
+      }
+      
+      const data = await response.json();
+      const formattedDoctors = data.items.map(formatDoctor);
+      
+      setDoctors(previous => (cursor ? [...previous, ...formattedDoctors] : formattedDoctors));
+      setNextCursor(data.nextCursor);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching doctors:', error);
+      setError('Failed to load doctors. Please try again later.');
+      // If API fails, use mock data as fallback
+      if (!cursor) {
         setDoctors(mockDoctors);
-      } finally {
-        setLoading(false);
+        setNextCursor(null);
       }
-    };
-    
-    fetchDoctors();
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDoctors(emptyFilters);
+    fetchAllPages('/api/hospitals')
+      .then(setHospitals)
+      .catch(error => console.error('Error fetching hospitals:', error));
+    fetchSpecializations()
+      .then(setSpecializations)
+      .catch(error => console.error('Error fetching specializations:', error));
   }, []);
 
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({
+      ...filters,
+      [name]: value
+    });
+  };
+
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    fetchDoctors(filters);
+  };
+
   const handleOpen = () => {
+    setFieldErrors({});
     setOpen(true);
   };
 
@@ -113,14 +170,13 @@ const Doctors = () => {
         firstName: firstName,
         lastName: lastName,
         specialization: newDoctor.specialty,
-        hospitalId: newDoctor.hospital, // You might need to adjust this if hospital is not an ID
+        hospitalId: newDoctor.hospital,
         email: newDoctor.email,
-        phone: newDoctor.phone,
-        licenseNumber: 'TBD' // This is required by your API but not in your form
+        phone: newDoctor.phone
       };
       
       // Make API call to create doctor
-      const response = await fetch('/api/doctors', {
+      const response = await authFetch('/api/doctors', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -129,20 +185,27 @@ const Doctors = () => {
       });
       
       if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.details) {
+          // Show the API's field-level messages next to the inputs
+          setFieldErrors(toFieldErrors(data.details, {
+            firstName: 'name',
+            lastName: 'name',
+            specialization: 'specialty',
+            hospitalId: 'hospital'
+          }));
+          return;
+        }
         throw new Error('Failed to create doctor');
       }
       
       const createdDoctor = await response.json();
       
       // Format the response to match your frontend data structure
-      const doctor = {
-        id: createdDoctor.id,
-        name: `${createdDoctor.firstName} ${createdDoctor.lastName}`,
-        specialty: createdDoctor.specialization,
-        hospital: createdDoctor.hospitalId, // You might need to fetch hospital name
-        phone: createdDoctor.phone,
-        email: createdDoctor.email
-      };
+      const doctor = formatDoctor({
+        ...createdDoctor,
+        hospital: hospitals.find(hospital => hospital.id === createdDoctor.hospitalId)
+      });
       
       // Update local state
       setDoctors([...doctors, doctor]);
@@ -193,12 +256,52 @@ const Doctors = () => {
         <Typography variant="h4" component="h1" gutterBottom>
           Doctors
         </Typography>
-        <Button 
-          variant="contained" 
-          color="primary"
-          onClick={handleOpen}
+        {can('doctors:edit') && (
+          <Button 
+            variant="contained" 
+            color="primary"
+            onClick={handleOpen}
+          >
+            Add Doctor
+          </Button>
+        )}
+      </Box>
+
+      <Box component="form" onSubmit={handleFilterSubmit} sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          select
+          name="specialization"
+          label="Specialization"
+          size="small"
+          sx={{ minWidth: 200 }}
+          value={filters.specialization}
+          onChange={handleFilterChange}
+        >
+          <MenuItem value="">All specializations</MenuItem>
+          {specializations.map(specialization => (
+            <MenuItem key={specialization.code} value={specialization.code}>
+              {specialization.name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          name="hospitalId"
+          label="Hospital"
+          size="small"
+          sx={{ minWidth: 200 }}
+          value={filters.hospitalId}
+          onChange={handleFilterChange}
         >
-          Add Doctor
+          <MenuItem value="">All hospitals</MenuItem>
+          {hospitals.map(hospital => (
+            <MenuItem key={hospital.id} value={hospital.id}>
+              {hospital.name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button type="submit" variant="outlined">
+          Filter
         </Button>
       </Box>
 
@@ -231,7 +334,7 @@ const Doctors = () => {
                       {doctor.name}
                     </Box>
                   </TableCell>
-                  <TableCell>{doctor.specialty}</TableCell>
+                  <TableCell>{specializationName(specializations, doctor.specialty)}</TableCell>
                   <TableCell>{doctor.hospital}</TableCell>
                   <TableCell>
                     <Typography variant="body2">{doctor.phone}</Typography>
@@ -254,6 +357,14 @@ const Doctors = () => {
         </TableContainer>
       )}
 
+      {!loading && nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={() => fetchDoctors(filters, nextCursor)} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </Button>
+        </Box>
+      )}
+
       <Dialog open={open} onClose={handleClose}>
         <DialogTitle>Add New Doctor</DialogTitle>
         <DialogContent>
@@ -267,27 +378,45 @@ const Doctors = () => {
             variant="outlined"
             value={newDoctor.name}
             onChange={handleChange}
+            error={Boolean(fieldErrors.name)}
+            helperText={fieldErrors.name}
           />
           <TextField
+            select
             margin="dense"
             name="specialty"
             label="Specialty"
-            type="text"
             fullWidth
             variant="outlined"
             value={newDoctor.specialty}
             onChange={handleChange}
-          />
+            error={Boolean(fieldErrors.specialty)}
+            helperText={fieldErrors.specialty}
+          >
+            {specializations.map(specialization => (
+              <MenuItem key={specialization.code} value={specialization.code}>
+                {specialization.name}
+              </MenuItem>
+            ))}
+          </TextField>
           <TextField
+            select
             margin="dense"
             name="hospital"
             label="Hospital"
-            type="text"
             fullWidth
             variant="outlined"
             value={newDoctor.hospital}
             onChange={handleChange}
-          />
+            error={Boolean(fieldErrors.hospital)}
+            helperText={fieldErrors.hospital}
+          >
+            {hospitals.map(hospital => (
+              <MenuItem key={hospital.id} value={hospital.id}>
+                {hospital.name}
+              </MenuItem>
+            ))}
+          </TextField>
           <TextField
             margin="dense"
             name="phone"
@@ -297,6 +426,8 @@ const Doctors = () => {
             variant="outlined"
             value={newDoctor.phone}
             onChange={handleChange}
+            error={Boolean(fieldErrors.phone)}
+            helperText={fieldErrors.phone}
           />
           <TextField
             margin="dense"
@@ -307,6 +438,8 @@ const Doctors = () => {
             variant="outlined"
             value={newDoctor.email}
             onChange={handleChange}
+            error={Boolean(fieldErrors.email)}
+            helperText={fieldErrors.email}
           />
         </DialogContent>
         <DialogActions>
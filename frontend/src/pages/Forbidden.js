@@ -0,0 +1,40 @@
+import React from 'react';
+import { Box, Typography, Button } from '@mui/material';
+import { Link } from 'react-router-dom';
+
+const Forbidden = () => {
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        minHeight: '70vh',
+        textAlign: 'center',
+        padding: 3,
+      }}
+    >
+      <Typography variant="h1" color="primary" gutterBottom>
+        403
+      </Typography>
+      <Typography variant="h4" gutterBottom>
+        Access Denied
+      </Typography>
+      <Typography variant="body1" color="textSecondary" paragraph>
+        You don't have permission to view this page. Ask an administrator if you need access.
+      </Typography>
+      <Button
+        component={Link}
+        to="/"
+        variant="contained"
+        color="primary"
+        sx={{ mt: 2 }}
+      >
+        Go to Dashboard
+      </Button>
+    </Box>
+  );
+};
+
+export default Forbidden;
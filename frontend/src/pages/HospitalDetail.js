@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Box, 
   Typography, 
@@ -12,9 +12,22 @@ import {
   ListItem,
   ListItemText,
   ListItemAvatar,
-  Avatar
+  Avatar,
+  Tab,
+  Tabs,
+  TextField,
+  Chip,
+  CircularProgress,
+  Alert
 } from '@mui/material';
-import { useParams } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import ChangeHistory from '../components/ChangeHistory';
+import OpeningHours from '../components/OpeningHours';
+import axios from 'axios';
+import { useCurrentUser } from '../components/CurrentUser';
+import { fetchAllPages } from '../utils/pagination';
+import { fetchSpecializations, specializationName, today } from '../utils/doctors';
+import { CATEGORY_LABELS, priceLabel } from '../utils/serviceCatalog';
 
 // Mock data for hospital details
 const mockHospital = {
@@ -24,27 +37,67 @@ const mockHospital = {
   phone: '(555) 123-4567',
   email: 'info@centralpethospital.com',
   website: 'www.centralpethospital.com',
-  hours: 'Mon-Fri: 8am-6pm, Sat: 9am-4pm, Sun: Closed',
   specialties: ['General Care', 'Surgery', 'Dental', 'Emergency Services'],
-  description: 'Central Pet Hospital is a full-service animal hospital that offers comprehensive medical services for pets. Our professional and courteous staff seeks to provide the best possible medical care, surgical care and dental care for our patients.',
-  doctors: [
-    { id: 1, name: 'Dr. John Smith', specialty: 'General Veterinarian', image: null },
-    { id: 2, name: 'Dr. Sarah Johnson', specialty: 'Surgeon', image: null }
-  ],
-  services: [
-    { name: 'Wellness Exams', price: '$50-$75' },
-    { name: 'Vaccinations', price: '$25-$45 each' },
-    { name: 'Dental Cleaning', price: '$200-$400' },
-    { name: 'Spay/Neuter', price: '$200-$500' },
-    { name: 'X-Rays', price: '$150-$250' },
-    { name: 'Emergency Care', price: 'Starting at $100' }
-  ]
+  description: 'Central Pet Hospital is a full-service animal hospital that offers comprehensive medical services for pets. Our professional and courteous staff seeks to provide the best possible medical care, surgical care and dental care for our patients.'
 };
 
 const HospitalDetail = () => {
+  const { can } = useCurrentUser();
   const { id } = useParams();
+  const navigate = useNavigate();
   // In a real app, you would fetch the hospital data based on the ID
   const hospital = mockHospital;
+  const [tabValue, setTabValue] = useState(0);
+  const [doctorsDate, setDoctorsDate] = useState(today());
+  const [doctors, setDoctors] = useState([]);
+  const [specializations, setSpecializations] = useState([]);
+  const [doctorsLoading, setDoctorsLoading] = useState(true);
+  const [doctorsError, setDoctorsError] = useState(null);
+  const [services, setServices] = useState([]);
+  const [servicesError, setServicesError] = useState(null);
+
+  // What the hospital charges today
+  useEffect(() => {
+    const fetchServices = async () => {
+      try {
+        const response = await axios.get(`/api/hospitals/${id}/services`);
+        setServices(response.data.services);
+        setServicesError(null);
+      } catch (err) {
+        console.error('Error fetching hospital services:', err);
+        setServicesError('Failed to fetch services. Please try again later.');
+      }
+    };
+
+    fetchServices();
+  }, [id]);
+
+  // The doctors affiliated with the hospital on the chosen date, primary ones first
+  useEffect(() => {
+    const fetchDoctors = async () => {
+      try {
+        setDoctorsLoading(true);
+        const [doctorsResponse, specializationsResponse] = await Promise.all([
+          fetchAllPages(`/api/hospitals/${id}/doctors`, { date: doctorsDate }),
+          fetchSpecializations(),
+        ]);
+        setDoctors([...doctorsResponse].sort((a, b) => (
+          Number(b.affiliation.primary) - Number(a.affiliation.primary) || a.lastName.localeCompare(b.lastName)
+        )));
+        setSpecializations(specializationsResponse);
+        setDoctorsError(null);
+      } catch (err) {
+        console.error('Error fetching hospital doctors:', err);
+        setDoctorsError('Failed to fetch doctors. Please try again later.');
+      } finally {
+        setDoctorsLoading(false);
+      }
+    };
+
+    if (doctorsDate) {
+      fetchDoctors();
+    }
+  }, [id, doctorsDate]);
 
   // Function to get initials for avatar
   const getInitials = (name) => {
@@ -61,109 +114,168 @@ const HospitalDetail = () => {
         {hospital.name}
       </Typography>
 
-      <Grid container spacing={3}>
-        {/* Hospital Info */}
-        <Grid item xs={12} md={8}>
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Hospital Information</Typography>
-            <Typography variant="body1" paragraph>
-              {hospital.description}
-            </Typography>
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
+        <Tabs value={tabValue} onChange={(event, newValue) => setTabValue(newValue)} aria-label="hospital information tabs">
+          <Tab label="Overview" />
+          <Tab label="History" />
+        </Tabs>
+      </Box>
+
+      {/* Overview Tab */}
+      {tabValue === 0 && (
+        <Grid container spacing={3}>
+          {/* Hospital Info */}
+          <Grid item xs={12} md={8}>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom>Hospital Information</Typography>
+              <Typography variant="body1" paragraph>
+                {hospital.description}
+              </Typography>
+          
+              <Grid container spacing={2}>
+                <Grid item xs={12} sm={6}>
+                  <Typography variant="subtitle2">Address:</Typography>
+                  <Typography variant="body2" paragraph>{hospital.address}</Typography>
+              
+                  <Typography variant="subtitle2">Phone:</Typography>
+                  <Typography variant="body2" paragraph>{hospital.phone}</Typography>
+                </Grid>
             
-            <Grid container spacing={2}>
-              <Grid item xs={12} sm={6}>
-                <Typography variant="subtitle2">Address:</Typography>
-                <Typography variant="body2" paragraph>{hospital.address}</Typography>
-                
-                <Typography variant="subtitle2">Phone:</Typography>
-                <Typography variant="body2" paragraph>{hospital.phone}</Typography>
-              </Grid>
+                <Grid item xs={12} sm={6}>
+                  <Typography variant="subtitle2">Email:</Typography>
+                  <Typography variant="body2" paragraph>{hospital.email}</Typography>
               
-              <Grid item xs={12} sm={6}>
-                <Typography variant="subtitle2">Email:</Typography>
-                <Typography variant="body2" paragraph>{hospital.email}</Typography>
-                
-                <Typography variant="subtitle2">Website:</Typography>
-                <Typography variant="body2" paragraph>{hospital.website}</Typography>
+                  <Typography variant="subtitle2">Website:</Typography>
+                  <Typography variant="body2" paragraph>{hospital.website}</Typography>
+                </Grid>
               </Grid>
-            </Grid>
-            
-            <Typography variant="subtitle2">Hours:</Typography>
-            <Typography variant="body2" paragraph>{hospital.hours}</Typography>
-            
-            <Typography variant="subtitle2">Specialties:</Typography>
-            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
-              {hospital.specialties.map((specialty, index) => (
-                <Typography key={index} variant="body2" sx={{ 
-                  bgcolor: 'primary.light', 
-                  color: 'white', 
-                  px: 1, 
-                  py: 0.5, 
-                  borderRadius: 1 
-                }}>
-                  {specialty}
-                </Typography>
-              ))}
-            </Box>
-          </Paper>
-        </Grid>
+          
+              <Typography variant="subtitle2">Specialties:</Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                {hospital.specialties.map((specialty, index) => (
+                  <Typography key={index} variant="body2" sx={{ 
+                    bgcolor: 'primary.light', 
+                    color: 'white', 
+                    px: 1, 
+                    py: 0.5, 
+                    borderRadius: 1 
+                  }}>
+                    {specialty}
+                  </Typography>
+                ))}
+              </Box>
+            </Paper>
+          </Grid>
+
+          {/* Quick Actions */}
+          <Grid item xs={12} md={4}>
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Quick Actions</Typography>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                  <Button variant="contained" color="primary" disabled={!can('visits:edit')}>Schedule Visit</Button>
+                  <Button variant="outlined">Contact Hospital</Button>
+                  <Button variant="outlined">Get Directions</Button>
+                </Box>
+              </CardContent>
+            </Card>
 
-        {/* Quick Actions */}
-        <Grid item xs={12} md={4}>
-          <Card sx={{ mb: 3 }}>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>Quick Actions</Typography>
-              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-                <Button variant="contained" color="primary">Schedule Visit</Button>
-                <Button variant="outlined">Contact Hospital</Button>
-                <Button variant="outlined">Get Directions</Button>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <OpeningHours hospitalId={id} />
+            </Paper>
+          </Grid>
+
+          {/* Doctors */}
+          <Grid item xs={12} md={6}>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="h6">Doctors</Typography>
+                <TextField
+                  type="date"
+                  size="small"
+                  label="As Of"
+                  InputLabelProps={{ shrink: true }}
+                  value={doctorsDate}
+                  onChange={(e) => setDoctorsDate(e.target.value)}
+                />
               </Box>
-            </CardContent>
-          </Card>
-        </Grid>
+              {doctorsError && <Alert severity="error" sx={{ mb: 2 }}>{doctorsError}</Alert>}
+              {doctorsLoading ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                  <CircularProgress />
+                </Box>
+              ) : doctors.length > 0 ? (
+                <List>
+                  {doctors.map((doctor) => (
+                    <ListItem key={doctor.id} alignItems="flex-start">
+                      <ListItemAvatar>
+                        <Avatar sx={{ bgcolor: 'primary.main' }}>
+                          {getInitials(`${doctor.firstName} ${doctor.lastName}`)}
+                        </Avatar>
+                      </ListItemAvatar>
+                      <ListItemText
+                        primary={
+                          <Link to={`/doctors/${doctor.id}`} style={{ color: 'inherit' }}>
+                            Dr. {doctor.firstName} {doctor.lastName}
+                          </Link>
+                        }
+                        secondary={specializationName(specializations, doctor.specialization)}
+                      />
+                      {!doctor.affiliation.primary && <Chip label="Secondary" size="small" variant="outlined" />}
+                    </ListItem>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body1" color="textSecondary">
+                  No doctors affiliated on {doctorsDate}
+                </Typography>
+              )}
+            </Paper>
+          </Grid>
 
-        {/* Doctors */}
-        <Grid item xs={12} md={6}>
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Doctors</Typography>
-            <List>
-              {hospital.doctors.map((doctor) => (
-                <ListItem key={doctor.id} alignItems="flex-start">
-                  <ListItemAvatar>
-                    <Avatar sx={{ bgcolor: 'primary.main' }}>
-                      {getInitials(doctor.name)}
-                    </Avatar>
-                  </ListItemAvatar>
-                  <ListItemText
-                    primary={doctor.name}
-                    secondary={doctor.specialty}
-                  />
-                </ListItem>
-              ))}
-            </List>
-          </Paper>
+          {/* Services */}
+          <Grid item xs={12} md={6}>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="h6">Services & Pricing</Typography>
+                {can('hospitals:edit') && (
+                  <Button size="small" onClick={() => navigate(`/hospitals/${id}/services`)}>
+                    Edit Catalog
+                  </Button>
+                )}
+              </Box>
+              {servicesError && <Alert severity="error" sx={{ mb: 2 }}>{servicesError}</Alert>}
+              {services.length > 0 ? (
+                <List>
+                  {services.map((service, index) => (
+                    <React.Fragment key={service.code}>
+                      <ListItem>
+                        <ListItemText
+                          primary={service.name}
+                          secondary={CATEGORY_LABELS[service.category]}
+                        />
+                        <Typography variant="body2">{priceLabel(service)}</Typography>
+                      </ListItem>
+                      {index < services.length - 1 && <Divider />}
+                    </React.Fragment>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body1" color="textSecondary">
+                  No services in the catalog
+                </Typography>
+              )}
+            </Paper>
+          </Grid>
         </Grid>
+      )}
 
-        {/* Services */}
-        <Grid item xs={12} md={6}>
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Services & Pricing</Typography>
-            <List>
-              {hospital.services.map((service, index) => (
-                <React.Fragment key={index}>
-                  <ListItem>
-                    <ListItemText
-                      primary={service.name}
-                      secondary={service.price}
-                    />
-                  </ListItem>
-                  {index < hospital.services.length - 1 && <Divider />}
-                </React.Fragment>
-              ))}
-            </List>
-          </Paper>
-        </Grid>
-      </Grid>
+      {/* History Tab */}
+      {tabValue === 1 && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <ChangeHistory resource="hospitals" id={id} />
+        </Paper>
+      )}
     </Box>
   );
 };
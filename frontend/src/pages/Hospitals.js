@@ -20,6 +20,9 @@ import {
   Alert
 } from '@mui/material';
 import { Link } from 'react-router-dom';
+import { toFieldErrors } from '../utils/validation';
+import { authFetch } from '../utils/auth';
+import { useCurrentUser } from '../components/CurrentUser';
 
 // Mock data for hospitals - used as fallback if API fails
 const mockHospitals = [
@@ -28,11 +31,26 @@ const mockHospitals = [
   { id: 3, name: 'South Pet Care', address: '789 Pine Rd, Village', phone: '555-9012', specialties: 'Orthopedics, Neurology' },
 ];
 
+// Transform data to match frontend structure
+const formatHospital = (hospital) => ({
+  id: hospital.id,
+  name: hospital.name,
+  address: hospital.address,
+  phone: hospital.phone,
+  email: hospital.email || '',
+  specialties: hospital.services ? hospital.services.join(', ') : ''
+});
+
 const Hospitals = () => {
+  const { can } = useCurrentUser();
   const [hospitals, setHospitals] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [serviceFilter, setServiceFilter] = useState('');
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [open, setOpen] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -46,45 +64,60 @@ const Hospitals = () => {
     specialties: ''
   });
 
-  // Fetch hospitals from API
-  useEffect(() => {
-    const fetchHospitals = async () => {
-      try {
+  // Fetch a page of hospitals from API, appending to the list when a cursor is given
+  const fetchHospitals = async (services, cursor) => {
+    try {
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
         setLoading(true);
-        const response = await fetch('/api/hospitals');
-        
-        if (!response.ok) {
-          throw new Error('Failed to fetch hospitals');
-        }
-        
-        const data = await response.json();
-        
-        // Transform data to match frontend structure if needed
-        const formattedHospitals = data.map(hospital => ({
-          id: hospital.id,
-          name: hospital.name,
-          address: hospital.address,
-          phone: hospital.phone,
-          email: hospital.email || '',
-          specialties: hospital.services ? hospital.services.join(', ') : ''
-        }));
-        
-        setHospitals(formattedHospitals);
-        setError(null);
-      } catch (error) {
-        console.error('Error fetching hospitals:', error);
-        setError('Failed to load hospitals. Please try again later.');
-        // If API fails, use mock data as fallback
+      }
+
+      const params = new URLSearchParams();
+      if (services) {
+        params.set('services', services);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await authFetch(`/api/hospitals?${params}`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch hospitals');
+      }
+      
+      const data = await response.json();
+      const formattedHospitals = data.items.map(formatHospital);
+      
+      setHospitals(previous => (cursor ? [...previous, ...formattedHospitals] : formattedHospitals));
+      setNextCursor(data.nextCursor);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching hospitals:', error);
+      setError('Failed to load hospitals. Please try again later.');
+      // If API fails, use mock data as fallback
+      if (!cursor) {
         setHospitals(mockHospitals);
-      } finally {
-        setLoading(false);
+        setNextCursor(null);
       }
-    };
-    
-    fetchHospitals();
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHospitals('');
   }, []);
 
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    fetchHospitals(serviceFilter);
+  };
+
   const handleOpen = () => {
+    setFieldErrors({});
     setOpen(true);
   };
 
@@ -112,7 +145,7 @@ const Hospitals = () => {
       };
       
       // Make API call to create hospital
-      const response = await fetch('/api/hospitals', {
+      const response = await authFetch('/api/hospitals', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -121,20 +154,19 @@ const Hospitals = () => {
       });
       
       if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.details) {
+          // Show the API's field-level messages next to the inputs
+          setFieldErrors(toFieldErrors(data.details, { services: 'specialties' }));
+          return;
+        }
         throw new Error('Failed to create hospital');
       }
       
       const createdHospital = await response.json();
       
       // Format the response to match your frontend data structure
-      const hospital = {
-        id: createdHospital.id,
-        name: createdHospital.name,
-        address: createdHospital.address,
-        phone: createdHospital.phone,
-        email: createdHospital.email || '',
-        specialties: createdHospital.services ? createdHospital.services.join(', ') : ''
-      };
+      const hospital = formatHospital(createdHospital);
       
       // Update local state
       setHospitals([...hospitals, hospital]);
@@ -176,12 +208,27 @@ const Hospitals = () => {
         <Typography variant="h4" component="h1" gutterBottom>
           Hospitals
         </Typography>
-        <Button 
-          variant="contained" 
-          color="primary"
-          onClick={handleOpen}
-        >
-          Add Hospital
+        {can('hospitals:edit') && (
+          <Button 
+            variant="contained" 
+            color="primary"
+            onClick={handleOpen}
+          >
+            Add Hospital
+          </Button>
+        )}
+      </Box>
+
+      <Box component="form" onSubmit={handleFilterSubmit} sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          label="Offers services (comma separated)"
+          size="small"
+          sx={{ minWidth: 300 }}
+          value={serviceFilter}
+          onChange={(e) => setServiceFilter(e.target.value)}
+        />
+        <Button type="submit" variant="outlined">
+          Filter
         </Button>
       </Box>
 
@@ -229,6 +276,14 @@ const Hospitals = () => {
         </TableContainer>
       )}
 
+      {!loading && nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={() => fetchHospitals(serviceFilter, nextCursor)} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </Button>
+        </Box>
+      )}
+
       <Dialog open={open} onClose={handleClose}>
         <DialogTitle>Add New Hospital</DialogTitle>
         <DialogContent>
@@ -242,6 +297,8 @@ const Hospitals = () => {
             variant="outlined"
             value={newHospital.name}
             onChange={handleChange}
+            error={Boolean(fieldErrors.name)}
+            helperText={fieldErrors.name}
           />
           <TextField
             margin="dense"
@@ -252,6 +309,8 @@ const Hospitals = () => {
             variant="outlined"
             value={newHospital.address}
             onChange={handleChange}
+            error={Boolean(fieldErrors.address)}
+            helperText={fieldErrors.address}
           />
           <TextField
             margin="dense"
@@ -262,6 +321,8 @@ const Hospitals = () => {
             variant="outlined"
             value={newHospital.phone}
             onChange={handleChange}
+            error={Boolean(fieldErrors.phone)}
+            helperText={fieldErrors.phone}
           />
           <TextField
             margin="dense"
@@ -272,6 +333,8 @@ const Hospitals = () => {
             variant="outlined"
             value={newHospital.email}
             onChange={handleChange}
+            error={Boolean(fieldErrors.email)}
+            helperText={fieldErrors.email}
           />
           <TextField
             margin="dense"
@@ -282,6 +345,8 @@ const Hospitals = () => {
             variant="outlined"
             value={newHospital.specialties}
             onChange={handleChange}
+            error={Boolean(fieldErrors.specialties)}
+            helperText={fieldErrors.specialties}
           />
         </DialogContent>
         <DialogActions>
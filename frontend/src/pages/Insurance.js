@@ -1,13 +1,13 @@
-import React, { useState } from 'react';
-import { 
-  Box, 
-  Typography, 
-  Paper, 
-  Table, 
-  TableBody, 
-  TableCell, 
-  TableContainer, 
-  TableHead, 
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
   TableRow,
   Button,
   Chip,
@@ -17,301 +17,481 @@ import {
   DialogContent,
   DialogTitle,
   MenuItem,
-  Select,
-  FormControl,
-  InputLabel
+  Tabs,
+  Tab,
+  CircularProgress,
+  Alert
 } from '@mui/material';
 import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { useCurrentUser } from '../components/CurrentUser';
 
-// Mock data for insurance policies
-const mockInsurancePolicies = [
-  { 
-    id: 1, 
-    policyNumber: 'POL-2023-001',
-    petName: 'Max', 
-    petId: 1,
-    ownerName: 'John Doe',
-    provider: 'PetCare Insurance',
-    plan: 'Premium',
-    startDate: '2023-01-15',
-    endDate: '2024-01-14',
-    coverageAmount: 5000.00,
-    status: 'Active',
-    monthlyPremium: 45.00
-  },
-  { 
-    id: 2, 
-    policyNumber: 'POL-2023-002',
-    petName: 'Bella', 
-    petId: 2,
-    ownerName: 'Jane Smith',
-    provider: 'Animal Health Insurance',
-    plan: 'Basic',
-    startDate: '2023-03-20',
-    endDate: '2024-03-19',
-    coverageAmount: 3000.00,
-    status: 'Active',
-    monthlyPremium: 30.00
-  },
-  { 
-    id: 3, 
-    policyNumber: 'POL-2022-003',
-    petName: 'Charlie', 
-    petId: 3,
-    ownerName: 'Mike Brown',
-    provider: 'PetCare Insurance',
-    plan: 'Standard',
-    startDate: '2022-07-10',
-    endDate: '2023-07-09',
-    coverageAmount: 4000.00,
-    status: 'Expired',
-    monthlyPremium: 35.00
-  },
-];
-
-// Mock data for insurance providers
-const insuranceProviders = [
-  { id: 1, name: 'PetCare Insurance' },
-  { id: 2, name: 'Animal Health Insurance' },
-  { id: 3, name: 'VetGuard Insurance' },
-  { id: 4, name: 'PawProtect' }
-];
-
-// Mock data for insurance plans
-const insurancePlans = [
-  { id: 1, name: 'Basic', provider: 'PetCare Insurance', coverageAmount: 3000, monthlyPremium: 30 },
-  { id: 2, name: 'Standard', provider: 'PetCare Insurance', coverageAmount: 4000, monthlyPremium: 35 },
-  { id: 3, name: 'Premium', provider: 'PetCare Insurance', coverageAmount: 5000, monthlyPremium: 45 },
-  { id: 4, name: 'Basic', provider: 'Animal Health Insurance', coverageAmount: 3000, monthlyPremium: 30 },
-  { id: 5, name: 'Premium', provider: 'Animal Health Insurance', coverageAmount: 5000, monthlyPremium: 40 },
-  { id: 6, name: 'Standard', provider: 'VetGuard Insurance', coverageAmount: 4000, monthlyPremium: 38 },
-  { id: 7, name: 'Premium', provider: 'VetGuard Insurance', coverageAmount: 6000, monthlyPremium: 50 },
-  { id: 8, name: 'Basic', provider: 'PawProtect', coverageAmount: 2500, monthlyPremium: 25 },
-  { id: 9, name: 'Premium', provider: 'PawProtect', coverageAmount: 5500, monthlyPremium: 48 }
-];
+const API_URL = '/api/insurance';
+
+const emptyPolicy = {
+  petId: '',
+  providerId: '',
+  planId: '',
+  startDate: ''
+};
+
+const emptyClaim = {
+  policyId: '',
+  invoiceId: '',
+  amount: '',
+  notes: ''
+};
+
+const emptyProvider = {
+  name: '',
+  phone: '',
+  email: ''
+};
+
+const emptyPlan = {
+  providerId: '',
+  name: '',
+  coverageAmount: '',
+  monthlyPremium: ''
+};
 
 const Insurance = () => {
-  const [policies, setPolicies] = useState(mockInsurancePolicies);
-  const [open, setOpen] = useState(false);
-  const [newPolicy, setNewPolicy] = useState({
-    petName: '',
-    petId: '',
-    ownerName: '',
-    provider: '',
-    plan: '',
-    startDate: '',
-    endDate: '',
-    coverageAmount: 0,
-    monthlyPremium: 0
-  });
-  const [selectedProvider, setSelectedProvider] = useState('');
-  const [availablePlans, setAvailablePlans] = useState([]);
+  const { can } = useCurrentUser();
+  const [tabValue, setTabValue] = useState(0);
+  const [policies, setPolicies] = useState([]);
+  const [claims, setClaims] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [pets, setPets] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Form dialogs
+  const [policyOpen, setPolicyOpen] = useState(false);
+  const [newPolicy, setNewPolicy] = useState(emptyPolicy);
+  const [claimOpen, setClaimOpen] = useState(false);
+  const [newClaim, setNewClaim] = useState(emptyClaim);
+  const [providerOpen, setProviderOpen] = useState(false);
+  const [newProvider, setNewProvider] = useState(emptyProvider);
+  const [planOpen, setPlanOpen] = useState(false);
+  const [newPlan, setNewPlan] = useState(emptyPlan);
+
+  useEffect(() => {
+    fetchInsurance();
+  }, []);
+
+  const fetchInsurance = async () => {
+    try {
+      setLoading(true);
+      const [policiesResponse, claimsResponse, providersResponse, plansResponse, petsResponse, ownersResponse, invoicesResponse] = await Promise.all([
+        axios.get(`${API_URL}/policies`),
+        axios.get(`${API_URL}/claims`),
+        axios.get(`${API_URL}/providers`),
+        axios.get(`${API_URL}/plans`),
+        fetchAllPages('/api/pets', { includeArchived: true }),
+        fetchAllPages('/api/owners', { includeArchived: true }),
+        axios.get('/api/billing/invoices'),
+      ]);
+      setPolicies(policiesResponse.data);
+      setClaims(claimsResponse.data);
+      setProviders(providersResponse.data);
+      setPlans(plansResponse.data);
+      setPets(petsResponse);
+      setOwners(ownersResponse);
+      setInvoices(invoicesResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching insurance data:', err);
+      setError('Failed to fetch insurance data. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const findPet = (petId) => pets.find(pet => pet.id === petId);
+  const getOwnerName = (ownerId) => {
+    const owner = owners.find(o => o.id === ownerId);
+    return owner ? owner.name : ownerId;
+  };
+  const findPolicy = (policyId) => policies.find(policy => policy.id === policyId);
+  const findInvoice = (invoiceId) => invoices.find(invoice => invoice.id === invoiceId);
 
   // Function to get status color
   const getStatusColor = (status) => {
     switch (status) {
       case 'Active':
+      case 'Paid':
         return 'success';
+      case 'Approved':
+        return 'primary';
       case 'Pending':
+      case 'Submitted':
         return 'warning';
       case 'Expired':
+      case 'Denied':
         return 'error';
       default:
         return 'default';
     }
   };
 
-  const handleOpen = () => {
-    setOpen(true);
-  };
-
-  const handleClose = () => {
-    setOpen(false);
-    setSelectedProvider('');
-    setAvailablePlans([]);
+  const handleTabChange = (event, newValue) => {
+    setTabValue(newValue);
   };
 
-  const handleChange = (e) => {
+  const handleChange = (setter, data) => (e) => {
     const { name, value } = e.target;
-    setNewPolicy({
-      ...newPolicy,
+    setter({
+      ...data,
       [name]: value
     });
   };
 
-  const handleProviderChange = (e) => {
-    const provider = e.target.value;
-    setSelectedProvider(provider);
-    setNewPolicy({
-      ...newPolicy,
-      provider: provider,
-      plan: '',
-      coverageAmount: 0,
-      monthlyPremium: 0
-    });
-    
-    // Filter plans for selected provider
-    const filteredPlans = insurancePlans.filter(plan => plan.provider === provider);
-    setAvailablePlans(filteredPlans);
+  const submit = async (request, onSuccess, failureMessage) => {
+    try {
+      await request();
+      onSuccess();
+      fetchInsurance();
+    } catch (err) {
+      console.error(failureMessage, err);
+      setError(err.response?.data?.error || `${failureMessage} Please try again later.`);
+    }
   };
 
-  const handlePlanChange = (e) => {
-    const planName = e.target.value;
-    const selectedPlan = insurancePlans.find(
-      plan => plan.provider === selectedProvider && plan.name === planName
-    );
-    
-    if (selectedPlan) {
-      setNewPolicy({
-        ...newPolicy,
-        plan: planName,
-        coverageAmount: selectedPlan.coverageAmount,
-        monthlyPremium: selectedPlan.monthlyPremium
-      });
+  const handlePolicySubmit = () => submit(
+    () => axios.post(`${API_URL}/policies`, {
+      petId: newPolicy.petId,
+      planId: newPolicy.planId,
+      startDate: newPolicy.startDate
+    }),
+    () => setPolicyOpen(false),
+    'Failed to add policy.'
+  );
+
+  const handleClaimSubmit = () => submit(
+    () => axios.post(`${API_URL}/claims`, {
+      policyId: newClaim.policyId,
+      invoiceId: newClaim.invoiceId,
+      amount: newClaim.amount === '' ? undefined : Number(newClaim.amount),
+      notes: newClaim.notes
+    }),
+    () => setClaimOpen(false),
+    'Failed to file claim.'
+  );
+
+  const handleProviderSubmit = () => submit(
+    () => axios.post(`${API_URL}/providers`, newProvider),
+    () => setProviderOpen(false),
+    'Failed to add provider.'
+  );
+
+  const handlePlanSubmit = () => submit(
+    () => axios.post(`${API_URL}/plans`, {
+      ...newPlan,
+      coverageAmount: Number(newPlan.coverageAmount),
+      monthlyPremium: Number(newPlan.monthlyPremium)
+    }),
+    () => setPlanOpen(false),
+    'Failed to add plan.'
+  );
+
+  const handleClaimStatus = (claim, status) => {
+    const body = { status };
+    if (status === 'Denied') {
+      const denialReason = window.prompt('Reason for denying this claim:');
+      if (!denialReason) {
+        return;
+      }
+      body.denialReason = denialReason;
     }
+    submit(
+      () => axios.put(`${API_URL}/claims/${claim.id}/status`, body),
+      () => {},
+      'Failed to update claim.'
+    );
   };
 
-  const handleSubmit = () => {
-    // Calculate end date (1 year from start date)
-    const startDate = new Date(newPolicy.startDate);
-    const endDate = new Date(startDate);
-    endDate.setFullYear(endDate.getFullYear() + 1);
-    
-    const policy = {
-      ...newPolicy,
-      id: policies.length + 1,
-      policyNumber: `POL-${new Date().getFullYear()}-${(policies.length + 1).toString().padStart(3, '0')}`,
-      endDate: endDate.toISOString().split('T')[0],
-      status: 'Active'
-    };
-    
-    setPolicies([...policies, policy]);
-    handleClose();
-  };
+  const selectedPlan = plans.find(plan => plan.id === newPolicy.planId);
+  const selectedPolicy = findPolicy(newClaim.policyId);
+  const activePolicies = policies.filter(policy => policy.status === 'Active');
+  const claimableInvoices = selectedPolicy
+    ? invoices.filter(invoice => invoice.petId === selectedPolicy.petId)
+    : [];
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
 
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="h4" component="h1" gutterBottom>
-          Insurance Policies
+          Insurance
         </Typography>
-        <Button 
-          variant="contained" 
-          color="primary"
-          onClick={handleOpen}
-        >
-          Add Policy
-        </Button>
+        {tabValue === 0 && can('insurance:file') && (
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={() => { setNewPolicy(emptyPolicy); setPolicyOpen(true); }}
+          >
+            Add Policy
+          </Button>
+        )}
+        {tabValue === 1 && can('insurance:file') && (
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={() => { setNewClaim(emptyClaim); setClaimOpen(true); }}
+          >
+            File Claim
+          </Button>
+        )}
+        {tabValue === 2 && can('insurance:manage') && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="outlined"
+              color="primary"
+              onClick={() => { setNewProvider(emptyProvider); setProviderOpen(true); }}
+            >
+              Add Provider
+            </Button>
+            <Button
+              variant="contained"
+              color="primary"
+              onClick={() => { setNewPlan(emptyPlan); setPlanOpen(true); }}
+            >
+              Add Plan
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
+        <Tabs value={tabValue} onChange={handleTabChange} aria-label="insurance tabs">
+          <Tab label="Policies" />
+          <Tab label="Claims" />
+          <Tab label="Plans" />
+        </Tabs>
       </Box>
 
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>Policy #</TableCell>
-              <TableCell>Pet/Owner</TableCell>
-              <TableCell>Provider</TableCell>
-              <TableCell>Plan</TableCell>
-              <TableCell>Coverage</TableCell>
-              <TableCell>Premium</TableCell>
-              <TableCell>Valid Until</TableCell>
-              <TableCell>Status</TableCell>
-              <TableCell>Actions</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {policies.map((policy) => (
-              <TableRow key={policy.id}>
-                <TableCell>{policy.policyNumber}</TableCell>
-                <TableCell>
-                  <Link to={`/pets/${policy.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                    <Typography variant="body2" color="primary" sx={{ fontWeight: 'medium' }}>
-                      {policy.petName}
-                    </Typography>
-                  </Link>
-                  <Typography variant="body2" color="textSecondary">
-                    Owner: {policy.ownerName}
-                  </Typography>
-                </TableCell>
-                <TableCell>{policy.provider}</TableCell>
-                <TableCell>{policy.plan}</TableCell>
-                <TableCell>${policy.coverageAmount.toFixed(2)}</TableCell>
-                <TableCell>${policy.monthlyPremium.toFixed(2)}/month</TableCell>
-                <TableCell>{policy.endDate}</TableCell>
-                <TableCell>
-                  <Chip 
-                    label={policy.status} 
-                    color={getStatusColor(policy.status)} 
-                    size="small" 
-                  />
-                </TableCell>
-                <TableCell>
-                  <Button 
-                    variant="outlined" 
-                    size="small"
-                  >
-                    View
-                  </Button>
-                </TableCell>
+      {/* Policies Tab */}
+      {tabValue === 0 && (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Policy #</TableCell>
+                <TableCell>Pet/Owner</TableCell>
+                <TableCell>Provider</TableCell>
+                <TableCell>Plan</TableCell>
+                <TableCell>Coverage</TableCell>
+                <TableCell>Remaining</TableCell>
+                <TableCell>Premium</TableCell>
+                <TableCell>Valid Until</TableCell>
+                <TableCell>Status</TableCell>
               </TableRow>
-            ))}
-          </TableBody>
-        </Table>
-      </TableContainer>
+            </TableHead>
+            <TableBody>
+              {policies.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={9} align="center">
+                    No policies found. Add a policy to get started.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                policies.map((policy) => {
+                  const pet = findPet(policy.petId);
+                  return (
+                    <TableRow key={policy.id}>
+                      <TableCell>{policy.policyNumber}</TableCell>
+                      <TableCell>
+                        <Link to={`/pets/${policy.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          <Typography variant="body2" color="primary" sx={{ fontWeight: 'medium' }}>
+                            {pet ? pet.name : policy.petId}
+                          </Typography>
+                        </Link>
+                        {pet && (
+                          <Typography variant="body2" color="textSecondary">
+                            Owner: {getOwnerName(pet.ownerId)}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{policy.providerName}</TableCell>
+                      <TableCell>{policy.planName}</TableCell>
+                      <TableCell>${policy.coverageAmount.toFixed(2)}</TableCell>
+                      <TableCell>${policy.remainingCoverage.toFixed(2)}</TableCell>
+                      <TableCell>${policy.monthlyPremium.toFixed(2)}/month</TableCell>
+                      <TableCell>{policy.endDate}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={policy.status}
+                          color={getStatusColor(policy.status)}
+                          size="small"
+                        />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Claims Tab */}
+      {tabValue === 1 && (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Claim #</TableCell>
+                <TableCell>Policy #</TableCell>
+                <TableCell>Pet</TableCell>
+                <TableCell>Invoice #</TableCell>
+                <TableCell>Claimed</TableCell>
+                <TableCell>Approved</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {claims.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    No claims found.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                claims.map((claim) => {
+                  const policy = findPolicy(claim.policyId);
+                  const pet = findPet(claim.petId);
+                  const invoice = findInvoice(claim.invoiceId);
+                  return (
+                    <TableRow key={claim.id}>
+                      <TableCell>{claim.claimNumber}</TableCell>
+                      <TableCell>{policy ? policy.policyNumber : claim.policyId}</TableCell>
+                      <TableCell>
+                        <Link to={`/pets/${claim.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          {pet ? pet.name : claim.petId}
+                        </Link>
+                      </TableCell>
+                      <TableCell>{invoice ? invoice.invoiceNumber : claim.invoiceId}</TableCell>
+                      <TableCell>${claim.claimedAmount.toFixed(2)}</TableCell>
+                      <TableCell>{claim.approvedAmount !== null ? `$${claim.approvedAmount.toFixed(2)}` : '-'}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={claim.status}
+                          color={getStatusColor(claim.status)}
+                          size="small"
+                          title={claim.denialReason || ''}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {claim.status === 'Submitted' && (
+                          <>
+                            <Button
+                              variant="outlined"
+                              size="small"
+                              color="success"
+                              sx={{ mr: 1 }}
+                              onClick={() => handleClaimStatus(claim, 'Approved')}
+                              disabled={!can('insurance:manage')}
+                            >
+                              Approve
+                            </Button>
+                            <Button
+                              variant="outlined"
+                              size="small"
+                              color="error"
+                              onClick={() => handleClaimStatus(claim, 'Denied')}
+                              disabled={!can('insurance:manage')}
+                            >
+                              Deny
+                            </Button>
+                          </>
+                        )}
+                        {claim.status === 'Approved' && (
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            onClick={() => handleClaimStatus(claim, 'Paid')}
+                            disabled={!can('insurance:manage')}
+                          >
+                            Mark Paid
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
 
-      <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      {/* Plans Tab */}
+      {tabValue === 2 && (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Provider</TableCell>
+                <TableCell>Plan</TableCell>
+                <TableCell>Coverage</TableCell>
+                <TableCell>Premium</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {plans.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">
+                    No plans found. Add a provider and plan to get started.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                plans.map((plan) => (
+                  <TableRow key={plan.id}>
+                    <TableCell>{plan.providerName}</TableCell>
+                    <TableCell>{plan.name}</TableCell>
+                    <TableCell>${plan.coverageAmount.toFixed(2)}</TableCell>
+                    <TableCell>${plan.monthlyPremium.toFixed(2)}/month</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Add Policy Dialog */}
+      <Dialog open={policyOpen} onClose={() => setPolicyOpen(false)} maxWidth="md" fullWidth>
         <DialogTitle>Add New Insurance Policy</DialogTitle>
         <DialogContent>
           <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 1 }}>
             <TextField
-              name="petName"
-              label="Pet Name"
-              fullWidth
-              value={newPolicy.petName}
-              onChange={handleChange}
-            />
-            <TextField
+              select
               name="petId"
-              label="Pet ID"
+              label="Pet"
               fullWidth
               value={newPolicy.petId}
-              onChange={handleChange}
-            />
-            <TextField
-              name="ownerName"
-              label="Owner Name"
-              fullWidth
-              value={newPolicy.ownerName}
-              onChange={handleChange}
-            />
-            <FormControl fullWidth>
-              <InputLabel>Insurance Provider</InputLabel>
-              <Select
-                value={selectedProvider}
-                onChange={handleProviderChange}
-                label="Insurance Provider"
-              >
-                {insuranceProviders.map(provider => (
-                  <MenuItem key={provider.id} value={provider.name}>
-                    {provider.name}
-                  </MenuItem>
-                ))}
-              </Select>
-            </FormControl>
-            <FormControl fullWidth disabled={!selectedProvider}>
-              <InputLabel>Plan</InputLabel>
-              <Select
-                value={newPolicy.plan}
-                onChange={handlePlanChange}
-                label="Plan"
-              >
-                {availablePlans.map(plan => (
-                  <MenuItem key={plan.id} value={plan.name}>
-                    {plan.name}
-                  </MenuItem>
-                ))}
-              </Select>
-            </FormControl>
+              onChange={handleChange(setNewPolicy, newPolicy)}
+            >
+              {pets.filter(pet => !pet.archived).map(pet => (
+                <MenuItem key={pet.id} value={pet.id}>
+                  {pet.name} ({getOwnerName(pet.ownerId)})
+                </MenuItem>
+              ))}
+            </TextField>
             <TextField
               name="startDate"
               label="Start Date"
@@ -319,38 +499,242 @@ const Insurance = () => {
               fullWidth
               InputLabelProps={{ shrink: true }}
               value={newPolicy.startDate}
-              onChange={handleChange}
+              onChange={handleChange(setNewPolicy, newPolicy)}
             />
             <TextField
-              name="coverageAmount"
+              select
+              name="providerId"
+              label="Insurance Provider"
+              fullWidth
+              value={newPolicy.providerId}
+              onChange={(e) => setNewPolicy({ ...newPolicy, providerId: e.target.value, planId: '' })}
+            >
+              {providers.map(provider => (
+                <MenuItem key={provider.id} value={provider.id}>
+                  {provider.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              name="planId"
+              label="Plan"
+              fullWidth
+              disabled={!newPolicy.providerId}
+              value={newPolicy.planId}
+              onChange={handleChange(setNewPolicy, newPolicy)}
+            >
+              {plans
+                .filter(plan => plan.providerId === newPolicy.providerId)
+                .map(plan => (
+                  <MenuItem key={plan.id} value={plan.id}>
+                    {plan.name}
+                  </MenuItem>
+                ))}
+            </TextField>
+            <TextField
               label="Coverage Amount ($)"
               type="number"
               fullWidth
-              value={newPolicy.coverageAmount}
+              value={selectedPlan ? selectedPlan.coverageAmount : 0}
               InputProps={{ readOnly: true }}
             />
             <TextField
-              name="monthlyPremium"
               label="Monthly Premium ($)"
               type="number"
               fullWidth
-              value={newPolicy.monthlyPremium}
+              value={selectedPlan ? selectedPlan.monthlyPremium : 0}
               InputProps={{ readOnly: true }}
             />
           </Box>
         </DialogContent>
         <DialogActions>
-          <Button onClick={handleClose}>Cancel</Button>
-          <Button 
-            onClick={handleSubmit} 
-            variant="contained" 
+          <Button onClick={() => setPolicyOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handlePolicySubmit}
+            variant="contained"
             color="primary"
-            disabled={!newPolicy.petName || !newPolicy.ownerName || !newPolicy.provider || !newPolicy.plan || !newPolicy.startDate}
+            disabled={!newPolicy.petId || !newPolicy.planId || !newPolicy.startDate}
           >
             Add Policy
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* File Claim Dialog */}
+      <Dialog open={claimOpen} onClose={() => setClaimOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>File Claim</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            margin="dense"
+            name="policyId"
+            label="Policy"
+            fullWidth
+            value={newClaim.policyId}
+            onChange={(e) => setNewClaim({ ...newClaim, policyId: e.target.value, invoiceId: '' })}
+          >
+            {activePolicies.map(policy => {
+              const pet = findPet(policy.petId);
+              return (
+                <MenuItem key={policy.id} value={policy.id}>
+                  {policy.policyNumber} - {pet ? pet.name : policy.petId} (${policy.remainingCoverage.toFixed(2)} remaining)
+                </MenuItem>
+              );
+            })}
+          </TextField>
+          <TextField
+            select
+            margin="dense"
+            name="invoiceId"
+            label="Invoice"
+            fullWidth
+            disabled={!newClaim.policyId}
+            value={newClaim.invoiceId}
+            onChange={handleChange(setNewClaim, newClaim)}
+            helperText={selectedPolicy && claimableInvoices.length === 0 ? 'No invoices found for this pet' : ''}
+          >
+            {claimableInvoices.map(invoice => (
+              <MenuItem key={invoice.id} value={invoice.id}>
+                {invoice.invoiceNumber} - {invoice.date} (${invoice.totalAmount.toFixed(2)})
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            margin="dense"
+            name="amount"
+            label="Claimed Amount ($)"
+            type="number"
+            fullWidth
+            value={newClaim.amount}
+            onChange={handleChange(setNewClaim, newClaim)}
+            helperText="Leave blank to claim the full invoice total"
+          />
+          <TextField
+            margin="dense"
+            name="notes"
+            label="Notes"
+            fullWidth
+            multiline
+            rows={3}
+            value={newClaim.notes}
+            onChange={handleChange(setNewClaim, newClaim)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setClaimOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleClaimSubmit}
+            variant="contained"
+            color="primary"
+            disabled={!newClaim.policyId || !newClaim.invoiceId}
+          >
+            File Claim
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add Provider Dialog */}
+      <Dialog open={providerOpen} onClose={() => setProviderOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Insurance Provider</DialogTitle>
+        <DialogContent>
+          <TextField
+            margin="dense"
+            name="name"
+            label="Provider Name"
+            fullWidth
+            value={newProvider.name}
+            onChange={handleChange(setNewProvider, newProvider)}
+          />
+          <TextField
+            margin="dense"
+            name="phone"
+            label="Phone"
+            fullWidth
+            value={newProvider.phone}
+            onChange={handleChange(setNewProvider, newProvider)}
+          />
+          <TextField
+            margin="dense"
+            name="email"
+            label="Email"
+            type="email"
+            fullWidth
+            value={newProvider.email}
+            onChange={handleChange(setNewProvider, newProvider)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setProviderOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleProviderSubmit}
+            variant="contained"
+            color="primary"
+            disabled={!newProvider.name}
+          >
+            Add Provider
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add Plan Dialog */}
+      <Dialog open={planOpen} onClose={() => setPlanOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Insurance Plan</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            margin="dense"
+            name="providerId"
+            label="Insurance Provider"
+            fullWidth
+            value={newPlan.providerId}
+            onChange={handleChange(setNewPlan, newPlan)}
+          >
+            {providers.map(provider => (
+              <MenuItem key={provider.id} value={provider.id}>
+                {provider.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            margin="dense"
+            name="name"
+            label="Plan Name"
+            fullWidth
+            value={newPlan.name}
+            onChange={handleChange(setNewPlan, newPlan)}
+          />
+          <TextField
+            margin="dense"
+            name="coverageAmount"
+            label="Coverage Amount ($)"
+            type="number"
+            fullWidth
+            value={newPlan.coverageAmount}
+            onChange={handleChange(setNewPlan, newPlan)}
+          />
+          <TextField
+            margin="dense"
+            name="monthlyPremium"
+            label="Monthly Premium ($)"
+            type="number"
+            fullWidth
+            value={newPlan.monthlyPremium}
+            onChange={handleChange(setNewPlan, newPlan)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPlanOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handlePlanSubmit}
+            variant="contained"
+            color="primary"
+            disabled={!newPlan.providerId || !newPlan.name || newPlan.coverageAmount === '' || newPlan.monthlyPremium === ''}
+          >
+            Add Plan
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import { fetchAllPages } from '../utils/pagination';
+import { EXPIRING_SOON_DAYS, VERIFICATION_LABELS, expiryLabel } from '../utils/credentials';
+
+const WINDOWS = [30, EXPIRING_SOON_DAYS, 90, 180];
+
+// Doctors' licenses that have run out or are about to, for administrators to chase
+// renewals before the doctor can no longer be booked
+const LicensesExpiring = () => {
+  const [within, setWithin] = useState(EXPIRING_SOON_DAYS);
+  const [licenses, setLicenses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchExpiring = async () => {
+      try {
+        setLoading(true);
+        const response = await fetchAllPages('/api/doctors/licenses/expiring', { within: `${within}d` });
+        // Longest expired first
+        setLicenses([...response].sort((a, b) => a.expiryDate.localeCompare(b.expiryDate)));
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching expiring licenses:', err);
+        setError('Failed to fetch expiring licenses. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchExpiring();
+  }, [within]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Licenses Expiring
+        </Typography>
+        <TextField
+          select
+          size="small"
+          label="Expiring Within"
+          value={within}
+          onChange={(e) => setWithin(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {WINDOWS.map(days => (
+            <MenuItem key={days} value={days}>{days} days</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Doctor</TableCell>
+                <TableCell>State</TableCell>
+                <TableCell>License Number</TableCell>
+                <TableCell>Expiry</TableCell>
+                <TableCell>Verification</TableCell>
+                <TableCell>Email</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {licenses.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    No licenses expiring in the next {within} days.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                licenses.map((license) => (
+                  <TableRow key={license.id}>
+                    <TableCell component="th" scope="row">
+                      <Link to={`/doctors/${license.doctor.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                        Dr. {license.doctor.firstName} {license.doctor.lastName}
+                      </Link>
+                    </TableCell>
+                    <TableCell>{license.state}</TableCell>
+                    <TableCell>{license.number}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={`${expiryLabel(license.expiryDate)} (${license.expiryDate})`}
+                        color={license.expired ? 'error' : 'warning'}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>{VERIFICATION_LABELS[license.verificationStatus]}</TableCell>
+                    <TableCell>{license.doctor.email || '-'}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default LicensesExpiring;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+} from '@mui/material';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useCurrentUser } from '../components/CurrentUser';
+
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { signIn } = useCurrentUser();
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials({
+      ...credentials,
+      [name]: value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post('/api/auth/login', credentials);
+      signIn(response.data);
+      setError(null);
+      navigate(searchParams.get('from') || '/', { replace: true });
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.response?.status === 401
+        ? 'Invalid username or password.'
+        : 'Failed to sign in. Please try again later.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        minHeight: '100vh',
+        padding: 3,
+      }}
+    >
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 4, width: '100%', maxWidth: 400 }}>
+        <Typography variant="h4" component="h1" align="center" gutterBottom>
+          Pet Hospital
+        </Typography>
+        <Typography variant="body1" color="textSecondary" align="center" paragraph>
+          Sign in to continue
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TextField
+          name="username"
+          label="Username"
+          value={credentials.username}
+          onChange={handleInputChange}
+          fullWidth
+          required
+          autoFocus
+          autoComplete="username"
+          margin="normal"
+        />
+        <TextField
+          name="password"
+          label="Password"
+          type="password"
+          value={credentials.password}
+          onChange={handleInputChange}
+          fullWidth
+          required
+          autoComplete="current-password"
+          margin="normal"
+        />
+        <Button
+          type="submit"
+          variant="contained"
+          color="primary"
+          fullWidth
+          disabled={submitting}
+          sx={{ mt: 2 }}
+        >
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </Button>
+      </Paper>
+    </Box>
+  );
+};
+
+export default Login;
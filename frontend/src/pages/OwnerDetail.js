@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Tab,
+  Tabs,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { REMINDER_LABELS, channelLabel, linkRoleLabel } from '../utils/owners';
+import ChangeHistory from '../components/ChangeHistory';
+
+const formatAddress = (address) => {
+  if (!address) {
+    return null;
+  }
+  const cityLine = [address.city, [address.state, address.postalCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return [address.street, cityLine, address.country].filter(Boolean).join('\n');
+};
+
+const OwnerDetail = () => {
+  const { id } = useParams();
+  const [owner, setOwner] = useState(null);
+  const [pets, setPets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [tabValue, setTabValue] = useState(0);
+
+  useEffect(() => {
+    const fetchOwner = async () => {
+      try {
+        setLoading(true);
+        const [ownerResponse, petsResponse, linkedPetsResponse] = await Promise.all([
+          axios.get(`/api/owners/${id}`),
+          // Archived pets are still part of the owner's record
+          fetchAllPages(`/api/owners/${id}/pets`, { includeArchived: true }),
+          fetchAllPages(`/api/owners/${id}/linked-pets`, { includeArchived: true }),
+        ]);
+        setOwner(ownerResponse.data);
+        // Pets they own first, then those they are a co-owner or contact for
+        setPets([...petsResponse, ...linkedPetsResponse]);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching owner:', err);
+        setError(err.response?.status === 404
+          ? 'Owner not found.'
+          : 'Failed to fetch owner. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOwner();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const preferences = owner.communicationPreferences || {};
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="h4" component="h1">
+          {owner.name}
+        </Typography>
+        {owner.archived && <Chip label="Archived" size="small" />}
+      </Box>
+
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
+        <Tabs value={tabValue} onChange={(event, newValue) => setTabValue(newValue)} aria-label="owner information tabs">
+          <Tab label="Overview" />
+          <Tab label={`Pets (${pets.length})`} />
+          <Tab label="History" />
+        </Tabs>
+      </Box>
+
+      {/* Overview Tab */}
+      {tabValue === 0 && (
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom>Contact Information</Typography>
+              <Typography variant="subtitle2">Email:</Typography>
+              <Typography variant="body2" paragraph>{owner.email || '-'}</Typography>
+
+              <Typography variant="subtitle2">Phone:</Typography>
+              <Typography variant="body2" paragraph>{owner.phone || '-'}</Typography>
+
+              <Typography variant="subtitle2">Address:</Typography>
+              <Typography variant="body2" paragraph sx={{ whiteSpace: 'pre-line' }}>
+                {formatAddress(owner.address) || '-'}
+              </Typography>
+
+              {owner.notes && (
+                <>
+                  <Typography variant="subtitle2">Notes:</Typography>
+                  <Typography variant="body2" paragraph>{owner.notes}</Typography>
+                </>
+              )}
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom>Communication Preferences</Typography>
+              <Typography variant="subtitle2">Preferred contact:</Typography>
+              <Typography variant="body2" paragraph>{channelLabel(preferences.preferredChannel)}</Typography>
+
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                {Object.entries(REMINDER_LABELS).map(([name, label]) => (
+                  <Chip
+                    key={name}
+                    label={`${label}: ${preferences[name] ? 'Yes' : 'No'}`}
+                    color={preferences[name] ? 'success' : 'default'}
+                    variant="outlined"
+                    size="small"
+                  />
+                ))}
+              </Box>
+            </Paper>
+          </Grid>
+        </Grid>
+      )}
+
+      {/* Pets Tab */}
+      {tabValue === 1 && (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Species</TableCell>
+                <TableCell>Breed</TableCell>
+                <TableCell>Age</TableCell>
+                <TableCell>Relationship</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {pets.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    This owner has no pets on record.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                pets.map((pet) => (
+                  <TableRow key={pet.id}>
+                    <TableCell component="th" scope="row">
+                      <Link to={`/pets/${pet.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                        {pet.name}
+                      </Link>
+                      {pet.archived && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{pet.species}</TableCell>
+                    <TableCell>{pet.breed || '-'}</TableCell>
+                    <TableCell>{pet.age || '-'}</TableCell>
+                    <TableCell>{pet.ownerRole ? linkRoleLabel(pet.ownerRole) : 'Owner'}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* History Tab */}
+      {tabValue === 2 && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <ChangeHistory resource="owners" id={id} />
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default OwnerDetail;
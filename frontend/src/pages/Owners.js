@@ -0,0 +1,586 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Button,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Box,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField,
+  CircularProgress,
+  Alert,
+  Chip,
+  FormControlLabel,
+  Switch,
+  MenuItem,
+  Grid,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import RestoreIcon from '@mui/icons-material/Restore';
+import axios from 'axios';
+import { toFieldErrors } from '../utils/validation';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { CONTACT_CHANNELS, REMINDER_LABELS, channelLabel } from '../utils/owners';
+import { useCurrentUser } from '../components/CurrentUser';
+
+const API_URL = '/api/owners';
+
+const ADDRESS_FIELDS = [
+  { name: 'street', label: 'Street', sm: 12 },
+  { name: 'city', label: 'City', sm: 6 },
+  { name: 'state', label: 'State', sm: 6 },
+  { name: 'postalCode', label: 'Postal Code', sm: 6 },
+  { name: 'country', label: 'Country', sm: 6 },
+];
+
+const emptyFilters = { name: '', email: '', includeArchived: false };
+
+const emptyForm = {
+  name: '',
+  email: '',
+  phone: '',
+  street: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: '',
+  preferredChannel: '',
+  appointmentReminders: true,
+  vaccinationReminders: true,
+  marketing: false,
+  notes: '',
+};
+
+// The API nests address and preferences; the form keeps them as flat fields
+const toFormData = (owner) => {
+  const address = owner.address || {};
+  const preferences = owner.communicationPreferences || {};
+
+  return {
+    id: owner.id,
+    version: owner.version,
+    name: owner.name,
+    email: owner.email || '',
+    phone: owner.phone || '',
+    street: address.street || '',
+    city: address.city || '',
+    state: address.state || '',
+    postalCode: address.postalCode || '',
+    country: address.country || '',
+    preferredChannel: preferences.preferredChannel || '',
+    appointmentReminders: preferences.appointmentReminders ?? true,
+    vaccinationReminders: preferences.vaccinationReminders ?? true,
+    marketing: preferences.marketing ?? false,
+    notes: owner.notes || '',
+  };
+};
+
+const toOwner = (formData) => {
+  const address = ADDRESS_FIELDS.reduce((fields, { name }) => (
+    formData[name] ? { ...fields, [name]: formData[name] } : fields
+  ), {});
+
+  return {
+    name: formData.name,
+    email: formData.email || null,
+    phone: formData.phone || null,
+    address: Object.keys(address).length > 0 ? address : null,
+    communicationPreferences: {
+      // Left unset, the service picks the channel from the contact details given
+      ...(formData.preferredChannel && { preferredChannel: formData.preferredChannel }),
+      appointmentReminders: formData.appointmentReminders,
+      vaccinationReminders: formData.vaccinationReminders,
+      marketing: formData.marketing,
+    },
+    notes: formData.notes || null,
+  };
+};
+
+// Errors on the nested objects are shown next to their first input
+const FIELD_MAP = { address: 'street', communicationPreferences: 'preferredChannel' };
+
+function Owners() {
+  const { can } = useCurrentUser();
+  const canEdit = can('owners:edit');
+  const [owners, setOwners] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [archiveId, setArchiveId] = useState(null);
+  const [archivePetCount, setArchivePetCount] = useState(0);
+  const [formOpen, setFormOpen] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchOwners(emptyFilters);
+  }, []);
+
+  const fetchOwners = async (listFilters) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(API_URL, { params: listFilters });
+      setOwners(response.data.items);
+      setNextCursor(response.data.nextCursor);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching owners:', err);
+      setError('Failed to fetch owners. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await axios.get(API_URL, { params: { ...filters, cursor: nextCursor } });
+      setOwners([...owners, ...response.data.items]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching more owners:', err);
+      setError('Failed to fetch more owners. Please try again later.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({
+      ...filters,
+      [name]: value,
+    });
+  };
+
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    fetchOwners(filters);
+  };
+
+  const handleShowArchivedChange = (e) => {
+    const listFilters = { ...filters, includeArchived: e.target.checked };
+    setFilters(listFilters);
+    fetchOwners(listFilters);
+  };
+
+  const showUpdatedOwner = (updatedOwner) => {
+    if (updatedOwner.archived && !filters.includeArchived) {
+      setOwners(owners.filter(owner => owner.id !== updatedOwner.id));
+    } else {
+      setOwners(owners.map(owner => (owner.id === updatedOwner.id ? updatedOwner : owner)));
+    }
+  };
+
+  const handleArchiveClick = (id) => {
+    setArchiveId(id);
+    setArchivePetCount(0);
+    setOpenDialog(true);
+  };
+
+  const handleDialogClose = () => {
+    setOpenDialog(false);
+    setArchiveId(null);
+  };
+
+  // An owner with pets is only archived once the user agrees to archive the pets too
+  const handleArchiveConfirm = async () => {
+    const owner = owners.find(o => o.id === archiveId);
+    try {
+      const response = await axios.delete(`${API_URL}/${archiveId}`, {
+        headers: ifMatchHeaders(owner),
+        params: archivePetCount > 0 ? { cascade: true } : {},
+      });
+      showUpdatedOwner(response.data);
+    } catch (err) {
+      console.error('Error archiving owner:', err);
+      if (err.response?.status === 409 && err.response.data.petCount) {
+        setArchivePetCount(err.response.data.petCount);
+        return;
+      }
+      if (isConflict(err)) {
+        setError(`${owner.name} was changed by someone else and was not archived. The list has been reloaded.`);
+        fetchOwners(filters);
+      } else {
+        setError('Failed to archive owner. Please try again later.');
+      }
+    }
+    handleDialogClose();
+  };
+
+  const handleRestore = async (owner) => {
+    try {
+      const response = await axios.post(`${API_URL}/${owner.id}/restore`, null, { headers: ifMatchHeaders(owner) });
+      showUpdatedOwner(response.data);
+    } catch (err) {
+      console.error('Error restoring owner:', err);
+      if (isConflict(err)) {
+        setError(`${owner.name} was changed by someone else and was not restored. The list has been reloaded.`);
+        fetchOwners(filters);
+      } else {
+        setError('Failed to restore owner. Please try again later.');
+      }
+    }
+  };
+
+  const handleFormOpen = (owner = null) => {
+    setFormData(owner ? toFormData(owner) : emptyForm);
+    setFieldErrors({});
+    setConflict(false);
+    setFormOpen(true);
+  };
+
+  // Discard the user's edits in favour of the latest saved version of the owner
+  const handleReload = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/${formData.id}`);
+      setFormData(toFormData(response.data));
+      setFieldErrors({});
+      setConflict(false);
+    } catch (err) {
+      console.error('Error reloading owner:', err);
+      setError('Failed to reload owner. Please try again later.');
+      setFormOpen(false);
+    }
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value,
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (formData.id) {
+        // Update existing owner
+        await axios.put(`${API_URL}/${formData.id}`, toOwner(formData), { headers: ifMatchHeaders(formData) });
+      } else {
+        // Create new owner
+        await axios.post(API_URL, toOwner(formData));
+      }
+      fetchOwners(filters);
+      setFormOpen(false);
+    } catch (err) {
+      console.error('Error saving owner:', err);
+      if (isConflict(err)) {
+        setConflict(true);
+      } else if (err.response?.data?.details) {
+        // Show the API's field-level messages next to the inputs
+        setFieldErrors(toFieldErrors(err.response.data.details, FIELD_MAP));
+      } else {
+        setError('Failed to save owner. Please try again later.');
+      }
+    }
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Owners
+        </Typography>
+        {canEdit && (
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={() => handleFormOpen()}
+          >
+            Add Owner
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box component="form" onSubmit={handleFilterSubmit} sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          name="name"
+          label="Name"
+          size="small"
+          value={filters.name}
+          onChange={handleFilterChange}
+        />
+        <TextField
+          name="email"
+          label="Email"
+          size="small"
+          value={filters.email}
+          onChange={handleFilterChange}
+        />
+        <Button type="submit" variant="outlined">
+          Filter
+        </Button>
+        <FormControlLabel
+          control={<Switch checked={filters.includeArchived} onChange={handleShowArchivedChange} />}
+          label="Show archived"
+        />
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Phone</TableCell>
+                <TableCell>City</TableCell>
+                <TableCell>Preferred Contact</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {owners.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    No owners found. Add a new owner to get started.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                owners.map((owner) => (
+                  <TableRow key={owner.id}>
+                    <TableCell component="th" scope="row">
+                      <RouterLink to={`/owners/${owner.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                        {owner.name}
+                      </RouterLink>
+                      {owner.archived && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{owner.email || '-'}</TableCell>
+                    <TableCell>{owner.phone || '-'}</TableCell>
+                    <TableCell>{owner.address?.city || '-'}</TableCell>
+                    <TableCell>{channelLabel(owner.communicationPreferences?.preferredChannel)}</TableCell>
+                    <TableCell>
+                      {owner.archived ? (
+                        <Button
+                          size="small"
+                          startIcon={<RestoreIcon />}
+                          onClick={() => handleRestore(owner)}
+                          disabled={!canEdit}
+                        >
+                          Restore
+                        </Button>
+                      ) : (
+                        <>
+                          <Button
+                            size="small"
+                            startIcon={<EditIcon />}
+                            onClick={() => handleFormOpen(owner)}
+                            disabled={!canEdit}
+                            sx={{ mr: 1 }}
+                          >
+                            Edit
+                          </Button>
+                          <Button
+                            size="small"
+                            color="warning"
+                            startIcon={<ArchiveIcon />}
+                            onClick={() => handleArchiveClick(owner.id)}
+                            disabled={!canEdit}
+                          >
+                            Archive
+                          </Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {!loading && nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </Button>
+        </Box>
+      )}
+
+      {/* Archive Confirmation Dialog */}
+      <Dialog
+        open={openDialog}
+        onClose={handleDialogClose}
+      >
+        <DialogTitle>Confirm Archive</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {archivePetCount > 0
+              ? `This owner still has ${archivePetCount} pet${archivePetCount === 1 ? '' : 's'}. Archive the pets along with the owner? To keep them, transfer each pet to its new owner from the pet's page first.`
+              : 'Are you sure you want to archive this owner? They will be hidden from lists, but their record is kept and can be restored later.'}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleDialogClose}>Cancel</Button>
+          <Button onClick={handleArchiveConfirm} color="warning" autoFocus>
+            {archivePetCount > 0 ? 'Archive Owner and Pets' : 'Archive'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add/Edit Owner Form Dialog */}
+      <Dialog open={formOpen} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        <DialogTitle>{formData.id ? 'Edit Owner' : 'Add New Owner'}</DialogTitle>
+        <form onSubmit={handleFormSubmit}>
+          <DialogContent>
+            {conflict && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 1 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleReload}>
+                    Reload
+                  </Button>
+                }
+              >
+                This owner was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+              </Alert>
+            )}
+            <TextField
+              autoFocus
+              margin="dense"
+              name="name"
+              label="Name"
+              type="text"
+              fullWidth
+              variant="outlined"
+              value={formData.name}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.name)}
+              helperText={fieldErrors.name}
+              required
+            />
+            <TextField
+              margin="dense"
+              name="email"
+              label="Email"
+              type="email"
+              fullWidth
+              variant="outlined"
+              value={formData.email}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.email)}
+              helperText={fieldErrors.email || 'An email address or phone number is required'}
+            />
+            <TextField
+              margin="dense"
+              name="phone"
+              label="Phone"
+              type="tel"
+              fullWidth
+              variant="outlined"
+              value={formData.phone}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.phone)}
+              helperText={fieldErrors.phone}
+            />
+
+            <Typography variant="subtitle1" sx={{ mt: 2 }}>
+              Address
+            </Typography>
+            <Grid container columnSpacing={2}>
+              {ADDRESS_FIELDS.map(({ name, label, sm }) => (
+                <Grid item xs={12} sm={sm} key={name}>
+                  <TextField
+                    margin="dense"
+                    name={name}
+                    label={label}
+                    type="text"
+                    fullWidth
+                    variant="outlined"
+                    value={formData[name]}
+                    onChange={handleInputChange}
+                    error={Boolean(fieldErrors[name])}
+                    helperText={fieldErrors[name]}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+
+            <Typography variant="subtitle1" sx={{ mt: 2 }}>
+              Communication Preferences
+            </Typography>
+            <TextField
+              select
+              margin="dense"
+              name="preferredChannel"
+              label="Preferred Contact"
+              fullWidth
+              variant="outlined"
+              value={formData.preferredChannel}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.preferredChannel)}
+              helperText={fieldErrors.preferredChannel}
+            >
+              <MenuItem value="">Based on contact details</MenuItem>
+              {CONTACT_CHANNELS.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+            {Object.entries(REMINDER_LABELS).map(([name, label]) => (
+              <FormControlLabel
+                key={name}
+                control={<Switch name={name} checked={formData[name]} onChange={handleInputChange} />}
+                label={label}
+              />
+            ))}
+
+            <TextField
+              margin="dense"
+              name="notes"
+              label="Notes"
+              type="text"
+              fullWidth
+              multiline
+              rows={3}
+              variant="outlined"
+              value={formData.notes}
+              onChange={handleInputChange}
+              error={Boolean(fieldErrors.notes)}
+              helperText={fieldErrors.notes}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleFormClose}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              {formData.id ? 'Update' : 'Create'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default Owners;
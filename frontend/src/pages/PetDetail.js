@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Box, 
   Typography, 
@@ -9,15 +9,20 @@ import {
   Avatar,
   Button,
   Chip,
-  Divider,
-  List,
-  ListItem,
-  ListItemText,
   ListItemIcon,
   Tab,
-  Tabs
+  Tabs,
+  CircularProgress,
+  Alert
 } from '@mui/material';
-import { useParams } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import ChangeHistory from '../components/ChangeHistory';
+import PetOwners from '../components/PetOwners';
+import MedicalHistory from '../components/MedicalHistory';
+import Vaccinations from '../components/Vaccinations';
+import { useCurrentUser } from '../components/CurrentUser';
 import PetsIcon from '@mui/icons-material/Pets';
 
 // Mock data for pet details
@@ -31,31 +36,6 @@ const mockPet = {
   gender: 'Male',
   color: 'Golden',
   microchipId: '985121056478523',
-  owner: {
-    name: 'John Doe',
-    phone: '(555) 123-4567',
-    email: 'john.doe@example.com',
-    address: '123 Main St, City, State 12345'
-  },
-  medicalHistory: {
-    allergies: ['Chicken', 'Certain antibiotics'],
-    conditions: ['Mild hip dysplasia', 'Seasonal allergies'],
-    medications: [
-      { name: 'Apoquel', dosage: '16mg daily', startDate: '2023-01-15', endDate: 'Ongoing' },
-      { name: 'Joint Supplement', dosage: '1 tablet daily', startDate: '2022-11-10', endDate: 'Ongoing' }
-    ],
-    vaccinations: [
-      { name: 'Rabies', date: '2023-03-15', expiryDate: '2025-03-15' },
-      { name: 'DHPP', date: '2023-03-15', expiryDate: '2024-03-15' },
-      { name: 'Bordetella', date: '2023-01-10', expiryDate: '2024-01-10' },
-      { name: 'Leptospirosis', date: '2023-03-15', expiryDate: '2024-03-15' }
-    ]
-  },
-  visits: [
-    { id: 1, date: '2023-07-15', reason: 'Annual Checkup', doctor: 'Dr. John Smith', hospital: 'Central Pet Hospital', notes: 'All vitals normal. Vaccinations updated.' },
-    { id: 2, date: '2023-01-10', reason: 'Bordetella Vaccination', doctor: 'Dr. Sarah Johnson', hospital: 'Central Pet Hospital', notes: 'Vaccination administered without complications.' },
-    { id: 3, date: '2022-12-05', reason: 'Limping', doctor: 'Dr. John Smith', hospital: 'Central Pet Hospital', notes: 'Mild sprain in right front paw. Prescribed rest and anti-inflammatory medication for 7 days.' }
-  ],
   insurance: {
     provider: 'PetCare Insurance',
     policyNumber: 'POL-2023-001',
@@ -68,28 +48,55 @@ const mockPet = {
 };
 
 const PetDetail = () => {
+  const { can } = useCurrentUser();
   const { id } = useParams();
   // In a real app, you would fetch the pet data based on the ID
   const pet = mockPet;
   const [tabValue, setTabValue] = React.useState(0);
+  const [visits, setVisits] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [hospitals, setHospitals] = useState([]);
+  const [visitsLoading, setVisitsLoading] = useState(true);
+  const [visitsError, setVisitsError] = useState(null);
 
-  const handleTabChange = (event, newValue) => {
-    setTabValue(newValue);
+  useEffect(() => {
+    const fetchVisits = async () => {
+      try {
+        setVisitsLoading(true);
+        const [visitsResponse, doctorsResponse, hospitalsResponse] = await Promise.all([
+          axios.get(`/api/pets/${id}/visits`),
+          // Archived doctors and hospitals still appear in past visits
+          fetchAllPages('/api/doctors', { includeArchived: true }),
+          fetchAllPages('/api/hospitals', { includeArchived: true }),
+        ]);
+        // Most recent visit first
+        setVisits([...visitsResponse.data].sort((a, b) => b.date.localeCompare(a.date)));
+        setDoctors(doctorsResponse);
+        setHospitals(hospitalsResponse);
+        setVisitsError(null);
+      } catch (err) {
+        console.error('Error fetching visit history:', err);
+        setVisitsError('Failed to fetch visit history. Please try again later.');
+      } finally {
+        setVisitsLoading(false);
+      }
+    };
+
+    fetchVisits();
+  }, [id]);
+
+  const getDoctorName = (doctorId) => {
+    const doctor = doctors.find(d => d.id === doctorId);
+    return doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : doctorId;
+  };
+
+  const getHospitalName = (hospitalId) => {
+    const hospital = hospitals.find(h => h.id === hospitalId);
+    return hospital ? hospital.name : hospitalId;
   };
 
-  // Function to calculate if a vaccination is expired or expiring soon
-  const getVaccinationStatus = (expiryDate) => {
-    const today = new Date();
-    const expiry = new Date(expiryDate);
-    const daysUntilExpiry = Math.floor((expiry - today) / (1000 * 60 * 60 * 24));
-    
-    if (daysUntilExpiry < 0) {
-      return { status: 'Expired', color: 'error' };
-    } else if (daysUntilExpiry < 30) {
-      return { status: 'Expiring Soon', color: 'warning' };
-    } else {
-      return { status: 'Valid', color: 'success' };
-    }
+  const handleTabChange = (event, newValue) => {
+    setTabValue(newValue);
   };
 
   return (
@@ -137,30 +144,16 @@ const PetDetail = () => {
             </Grid>
             
             <Box sx={{ mt: 2, width: '100%' }}>
-              <Button variant="contained" color="primary" fullWidth sx={{ mb: 1 }}>
+              <Button variant="contained" color="primary" fullWidth sx={{ mb: 1 }} disabled={!can('visits:edit')}>
                 Schedule Visit
               </Button>
-              <Button variant="outlined" fullWidth>
+              <Button variant="outlined" fullWidth disabled={!can('pets:edit')}>
                 Update Information
               </Button>
             </Box>
           </Paper>
           
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom>Owner Information</Typography>
-            <Typography variant="body1" gutterBottom>
-              <strong>Name:</strong> {pet.owner.name}
-            </Typography>
-            <Typography variant="body1" gutterBottom>
-              <strong>Phone:</strong> {pet.owner.phone}
-            </Typography>
-            <Typography variant="body1" gutterBottom>
-              <strong>Email:</strong> {pet.owner.email}
-            </Typography>
-            <Typography variant="body1" gutterBottom>
-              <strong>Address:</strong> {pet.owner.address}
-            </Typography>
-          </Paper>
+          <PetOwners petId={id} />
           
           <Paper sx={{ p: 3, mb: 3 }}>
             <Typography variant="h6" gutterBottom>Insurance</Typography>
@@ -203,97 +196,31 @@ const PetDetail = () => {
                 <Tab label="Medical History" />
                 <Tab label="Visits" />
                 <Tab label="Vaccinations" />
+                <Tab label="History" />
               </Tabs>
             </Box>
 
             {/* Medical History Tab */}
-            {tabValue === 0 && (
-              <Box>
-                <Typography variant="h6" gutterBottom>Allergies</Typography>
-                {pet.medicalHistory.allergies.length > 0 ? (
-                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
-                    {pet.medicalHistory.allergies.map((allergy, index) => (
-                      <Chip 
-                        key={index} 
-                        label={allergy} 
-                        color="error" 
-                        variant="outlined" 
-                      />
-                    ))}
-                  </Box>
-                ) : (
-                  <Typography variant="body1" color="textSecondary" paragraph>
-                    No known allergies
-                  </Typography>
-                )}
-
-                <Typography variant="h6" gutterBottom>Medical Conditions</Typography>
-                {pet.medicalHistory.conditions.length > 0 ? (
-                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
-                    {pet.medicalHistory.conditions.map((condition, index) => (
-                      <Chip 
-                        key={index} 
-                        label={condition} 
-                        color="primary" 
-                        variant="outlined" 
-                      />
-                    ))}
-                  </Box>
-                ) : (
-                  <Typography variant="body1" color="textSecondary" paragraph>
-                    No known medical conditions
-                  </Typography>
-                )}
-
-                <Typography variant="h6" gutterBottom>Current Medications</Typography>
-                {pet.medicalHistory.medications.length > 0 ? (
-                  <List>
-                    {pet.medicalHistory.medications.map((medication, index) => (
-                      <React.Fragment key={index}>
-                        <ListItem>
-                          <ListItemText
-                            primary={medication.name}
-                            secondary={
-                              <>
-                                <Typography component="span" variant="body2">
-                                  Dosage: {medication.dosage}
-                                </Typography>
-                                <br />
-                                <Typography component="span" variant="body2">
-                                  Started: {medication.startDate}
-                                </Typography>
-                                <br />
-                                <Typography component="span" variant="body2">
-                                  End: {medication.endDate}
-                                </Typography>
-                              </>
-                            }
-                          />
-                        </ListItem>
-                        {index < pet.medicalHistory.medications.length - 1 && <Divider />}
-                      </React.Fragment>
-                    ))}
-                  </List>
-                ) : (
-                  <Typography variant="body1" color="textSecondary" paragraph>
-                    No current medications
-                  </Typography>
-                )}
-              </Box>
-            )}
+            {tabValue === 0 && <MedicalHistory petId={id} />}
 
             {/* Visits Tab */}
             {tabValue === 1 && (
               <Box>
                 <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
-                  <Button variant="contained" color="primary">
+                  <Button variant="contained" color="primary" disabled={!can('visits:edit')}>
                     Schedule New Visit
                   </Button>
                 </Box>
                 
-                {pet.visits.length > 0 ? (
-                  pet.visits.map((visit, index) => (
-                    <Card key={index} sx={{ mb: 2 }}>
+                {visitsError && <Alert severity="error" sx={{ mb: 2 }}>{visitsError}</Alert>}
+
+                {visitsLoading ? (
+                  <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                    <CircularProgress />
+                  </Box>
+                ) : visits.length > 0 ? (
+                  visits.map((visit) => (
+                    <Card key={visit.id} sx={{ mb: 2 }}>
                       <CardContent>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
                           <Typography variant="h6" gutterBottom>
@@ -305,18 +232,25 @@ const PetDetail = () => {
                         </Box>
                         
                         <Typography variant="body2" gutterBottom>
-                          <strong>Doctor:</strong> {visit.doctor}
+                          <strong>Doctor:</strong> {getDoctorName(visit.doctorId)}
                         </Typography>
                         <Typography variant="body2" gutterBottom>
-                          <strong>Hospital:</strong> {visit.hospital}
+                          <strong>Hospital:</strong> {getHospitalName(visit.hospitalId)}
                         </Typography>
-                        
-                        <Typography variant="subtitle2" sx={{ mt: 1 }}>Notes:</Typography>
-                        <Typography variant="body2" paragraph>
-                          {visit.notes}
+                        <Typography variant="body2" gutterBottom>
+                          <strong>Status:</strong> {visit.status}
                         </Typography>
                         
-                        <Button variant="outlined" size="small">
+                        {visit.notes && (
+                          <>
+                            <Typography variant="subtitle2" sx={{ mt: 1 }}>Notes:</Typography>
+                            <Typography variant="body2" paragraph>
+                              {visit.notes}
+                            </Typography>
+                          </>
+                        )}
+                        
+                        <Button component={Link} to={`/visits/${visit.id}`} variant="outlined" size="small">
                           View Details
                         </Button>
                       </CardContent>
@@ -331,53 +265,10 @@ const PetDetail = () => {
             )}
 
             {/* Vaccinations Tab */}
-            {tabValue === 2 && (
-              <Box>
-                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
-                  <Button variant="contained" color="primary">
-                    Add Vaccination
-                  </Button>
-                </Box>
-                
-                {pet.medicalHistory.vaccinations.length > 0 ? (
-                  <List>
-                    {pet.medicalHistory.vaccinations.map((vaccination, index) => {
-                      const status = getVaccinationStatus(vaccination.expiryDate);
-                      return (
-                        <React.Fragment key={index}>
-                          <ListItem>
-                            <ListItemText
-                              primary={vaccination.name}
-                              secondary={
-                                <>
-                                  <Typography component="span" variant="body2">
-                                    Date: {vaccination.date}
-                                  </Typography>
-                                  <br />
-                                  <Typography component="span" variant="body2">
-                                    Expires: {vaccination.expiryDate}
-                                  </Typography>
-                                </>
-                              }
-                            />
-                            <Chip 
-                              label={status.status} 
-                              color={status.color} 
-                              size="small" 
-                            />
-                          </ListItem>
-                          {index < pet.medicalHistory.vaccinations.length - 1 && <Divider />}
-                        </React.Fragment>
-                      );
-                    })}
-                  </List>
-                ) : (
-                  <Typography variant="body1" color="textSecondary">
-                    No vaccination records available
-                  </Typography>
-                )}
-              </Box>
-            )}
+            {tabValue === 2 && <Vaccinations petId={id} />}
+
+            {/* History Tab */}
+            {tabValue === 3 && <ChangeHistory resource="pets" id={id} />}
           </Paper>
         </Grid>
       </Grid>
@@ -20,39 +20,71 @@ import {
   TextField,
   CircularProgress,
   Alert,
+  Chip,
+  FormControlLabel,
+  Switch,
+  MenuItem,
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
-import DeleteIcon from '@mui/icons-material/Delete';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import RestoreIcon from '@mui/icons-material/Restore';
 import axios from 'axios';
+import { toFieldErrors } from '../utils/validation';
+import { fetchAllPages } from '../utils/pagination';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { useCurrentUser } from '../components/CurrentUser';
 
 const API_URL = '/api/pets';
 
+const emptyFilters = { species: '', ownerId: '', includeArchived: false };
+
 function Pets() {
+  const { can } = useCurrentUser();
+  const canEdit = can('pets:edit');
   const [pets, setPets] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [openDialog, setOpenDialog] = useState(false);
-  const [deleteId, setDeleteId] = useState(null);
+  const [archiveId, setArchiveId] = useState(null);
   const [formOpen, setFormOpen] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     species: '',
     breed: '',
     age: '',
-    ownerName: '',
-    ownerContact: '',
+    ownerId: '',
   });
 
   useEffect(() => {
-    fetchPets();
+    fetchPets(emptyFilters);
+    fetchOwners();
   }, []);
 
-  const fetchPets = async () => {
+  // Archived owners still own their pets, but are not offered for new ones
+  const fetchOwners = async () => {
+    try {
+      setOwners(await fetchAllPages('/api/owners', { includeArchived: true }));
+    } catch (err) {
+      console.error('Error fetching owners:', err);
+      setError('Failed to fetch owners. Please try again later.');
+    }
+  };
+
+  const findOwner = (ownerId) => owners.find(owner => owner.id === ownerId);
+
+  const fetchPets = async (listFilters) => {
     try {
       setLoading(true);
-      const response = await axios.get(API_URL);
-      setPets(response.data);
+      const response = await axios.get(API_URL, { params: listFilters });
+      setPets(response.data.items);
+      setNextCursor(response.data.nextCursor);
       setError(null);
     } catch (err) {
       console.error('Error fetching pets:', err);
@@ -62,52 +94,135 @@ function Pets() {
     }
   };
 
-  const handleDeleteClick = (id) => {
-    setDeleteId(id);
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await axios.get(API_URL, { params: { ...filters, cursor: nextCursor } });
+      setPets([...pets, ...response.data.items]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching more pets:', err);
+      setError('Failed to fetch more pets. Please try again later.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({
+      ...filters,
+      [name]: value,
+    });
+  };
+
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    fetchPets(filters);
+  };
+
+  const handleShowArchivedChange = (e) => {
+    const listFilters = { ...filters, includeArchived: e.target.checked };
+    setFilters(listFilters);
+    fetchPets(listFilters);
+  };
+
+  // Archived pets stay in the list while archived ones are shown, otherwise they drop out
+  const showUpdatedPet = (updatedPet) => {
+    if (updatedPet.archived && !filters.includeArchived) {
+      setPets(pets.filter(pet => pet.id !== updatedPet.id));
+    } else {
+      setPets(pets.map(pet => (pet.id === updatedPet.id ? updatedPet : pet)));
+    }
+  };
+
+  const handleArchiveClick = (id) => {
+    setArchiveId(id);
     setOpenDialog(true);
   };
 
-  const handleDeleteConfirm = async () => {
+  const handleArchiveConfirm = async () => {
+    const pet = pets.find(p => p.id === archiveId);
     try {
-      await axios.delete(`${API_URL}/${deleteId}`);
-      setPets(pets.filter(pet => pet.id !== deleteId));
-      setOpenDialog(false);
-      setDeleteId(null);
+      const response = await axios.delete(`${API_URL}/${archiveId}`, { headers: ifMatchHeaders(pet) });
+      showUpdatedPet(response.data);
     } catch (err) {
-      console.error('Error deleting pet:', err);
-      setError('Failed to delete pet. Please try again later.');
+      console.error('Error archiving pet:', err);
+      if (isConflict(err)) {
+        // Show the latest version so the user can decide again
+        setError(`${pet.name} was changed by someone else and was not archived. The list has been reloaded.`);
+        fetchPets(filters);
+      } else {
+        setError('Failed to archive pet. Please try again later.');
+      }
     }
+    setOpenDialog(false);
+    setArchiveId(null);
   };
 
   const handleDialogClose = () => {
     setOpenDialog(false);
-    setDeleteId(null);
+    setArchiveId(null);
+  };
+
+  const handleRestore = async (pet) => {
+    try {
+      const response = await axios.post(`${API_URL}/${pet.id}/restore`, null, { headers: ifMatchHeaders(pet) });
+      showUpdatedPet(response.data);
+    } catch (err) {
+      console.error('Error restoring pet:', err);
+      if (isConflict(err)) {
+        setError(`${pet.name} was changed by someone else and was not restored. The list has been reloaded.`);
+        fetchPets(filters);
+      } else {
+        setError('Failed to restore pet. Please try again later.');
+      }
+    }
+  };
+
+  const editPet = (pet) => {
+    setFormData({
+      id: pet.id,
+      version: pet.version,
+      name: pet.name,
+      species: pet.species,
+      breed: pet.breed || '',
+      age: pet.age ?? '',
+      ownerId: pet.ownerId,
+    });
   };
 
   const handleFormOpen = (pet = null) => {
     if (pet) {
-      setFormData({
-        id: pet.id,
-        name: pet.name,
-        species: pet.species,
-        breed: pet.breed || '',
-        age: pet.age || '',
-        ownerName: pet.ownerName,
-        ownerContact: pet.ownerContact,
-      });
+      editPet(pet);
     } else {
       setFormData({
         name: '',
         species: '',
         breed: '',
         age: '',
-        ownerName: '',
-        ownerContact: '',
+        ownerId: '',
       });
     }
+    setFieldErrors({});
+    setConflict(false);
     setFormOpen(true);
   };
 
+  // Discard the user's edits in favour of the latest saved version of the pet
+  const handleReload = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/${formData.id}`);
+      editPet(response.data);
+      setFieldErrors({});
+      setConflict(false);
+    } catch (err) {
+      console.error('Error reloading pet:', err);
+      setError('Failed to reload pet. Please try again later.');
+      setFormOpen(false);
+    }
+  };
+
   const handleFormClose = () => {
     setFormOpen(false);
   };
@@ -122,19 +237,30 @@ function Pets() {
 
   const handleFormSubmit = async (e) => {
     e.preventDefault();
+    const pet = {
+      ...formData,
+      age: formData.age === '' ? null : Number(formData.age),
+    };
     try {
       if (formData.id) {
         // Update existing pet
-        await axios.put(`${API_URL}/${formData.id}`, formData);
+        await axios.put(`${API_URL}/${formData.id}`, pet, { headers: ifMatchHeaders(formData) });
       } else {
         // Create new pet
-        await axios.post(API_URL, formData);
+        await axios.post(API_URL, pet);
       }
-      fetchPets();
+      fetchPets(filters);
       setFormOpen(false);
     } catch (err) {
       console.error('Error saving pet:', err);
-      setError('Failed to save pet. Please try again later.');
+      if (isConflict(err)) {
+        setConflict(true);
+      } else if (err.response?.data?.details) {
+        // Show the API's field-level messages next to the inputs
+        setFieldErrors(toFieldErrors(err.response.data.details));
+      } else {
+        setError('Failed to save pet. Please try again later.');
+      }
     }
   };
 
@@ -144,18 +270,51 @@ function Pets() {
         <Typography variant="h4" component="h1" gutterBottom>
           Pets
         </Typography>
-        <Button
-          variant="contained"
-          color="primary"
-          startIcon={<AddIcon />}
-          onClick={() => handleFormOpen()}
-        >
-          Add Pet
-        </Button>
+        {canEdit && (
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={() => handleFormOpen()}
+          >
+            Add Pet
+          </Button>
+        )}
       </Box>
 
       {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
 
+      <Box component="form" onSubmit={handleFilterSubmit} sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          name="species"
+          label="Species"
+          size="small"
+          value={filters.species}
+          onChange={handleFilterChange}
+        />
+        <TextField
+          select
+          name="ownerId"
+          label="Owner"
+          size="small"
+          sx={{ minWidth: 200 }}
+          value={filters.ownerId}
+          onChange={handleFilterChange}
+        >
+          <MenuItem value="">All owners</MenuItem>
+          {owners.map(owner => (
+            <MenuItem key={owner.id} value={owner.id}>{owner.name}</MenuItem>
+          ))}
+        </TextField>
+        <Button type="submit" variant="outlined">
+          Filter
+        </Button>
+        <FormControlLabel
+          control={<Switch checked={filters.includeArchived} onChange={handleShowArchivedChange} />}
+          label="Show archived"
+        />
+      </Box>
+
       {loading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
           <CircularProgress />
@@ -187,28 +346,50 @@ function Pets() {
                       <RouterLink to={`/pets/${pet.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
                         {pet.name}
                       </RouterLink>
+                      {pet.archived && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
                     </TableCell>
                     <TableCell>{pet.species}</TableCell>
                     <TableCell>{pet.breed || '-'}</TableCell>
                     <TableCell>{pet.age || '-'}</TableCell>
-                    <TableCell>{pet.ownerName}</TableCell>
                     <TableCell>
-                      <Button
-                        size="small"
-                        startIcon={<EditIcon />}
-                        onClick={() => handleFormOpen(pet)}
-                        sx={{ mr: 1 }}
-                      >
-                        Edit
-                      </Button>
-                      <Button
-                        size="small"
-                        color="error"
-                        startIcon={<DeleteIcon />}
-                        onClick={() => handleDeleteClick(pet.id)}
-                      >
-                        Delete
-                      </Button>
+                      {findOwner(pet.ownerId) ? (
+                        <RouterLink to={`/owners/${pet.ownerId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          {findOwner(pet.ownerId).name}
+                        </RouterLink>
+                      ) : '-'}
+                    </TableCell>
+                    <TableCell>
+                      {pet.archived ? (
+                        <Button
+                          size="small"
+                          startIcon={<RestoreIcon />}
+                          onClick={() => handleRestore(pet)}
+                          disabled={!canEdit}
+                        >
+                          Restore
+                        </Button>
+                      ) : (
+                        <>
+                          <Button
+                            size="small"
+                            startIcon={<EditIcon />}
+                            onClick={() => handleFormOpen(pet)}
+                            disabled={!canEdit}
+                            sx={{ mr: 1 }}
+                          >
+                            Edit
+                          </Button>
+                          <Button
+                            size="small"
+                            color="warning"
+                            startIcon={<ArchiveIcon />}
+                            onClick={() => handleArchiveClick(pet.id)}
+                            disabled={!canEdit}
+                          >
+                            Archive
+                          </Button>
+                        </>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
@@ -218,21 +399,29 @@ function Pets() {
         </TableContainer>
       )}
 
-      {/* Delete Confirmation Dialog */}
+      {!loading && nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </Button>
+        </Box>
+      )}
+
+      {/* Archive Confirmation Dialog */}
       <Dialog
         open={openDialog}
         onClose={handleDialogClose}
       >
-        <DialogTitle>Confirm Delete</DialogTitle>
+        <DialogTitle>Confirm Archive</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete this pet? This action cannot be undone.
+            Are you sure you want to archive this pet? It will be hidden from lists, but its record and visits are kept and it can be restored later.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
           <Button onClick={handleDialogClose}>Cancel</Button>
-          <Button onClick={handleDeleteConfirm} color="error" autoFocus>
-            Delete
+          <Button onClick={handleArchiveConfirm} color="warning" autoFocus>
+            Archive
           </Button>
         </DialogActions>
       </Dialog>
@@ -242,6 +431,19 @@ function Pets() {
         <DialogTitle>{formData.id ? 'Edit Pet' : 'Add New Pet'}</DialogTitle>
         <form onSubmit={handleFormSubmit}>
           <DialogContent>
+            {conflict && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 1 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleReload}>
+                    Reload
+                  </Button>
+                }
+              >
+                This pet was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+              </Alert>
+            )}
             <TextField
               autoFocus
               margin="dense"
@@ -252,6 +454,8 @@ function Pets() {
               variant="outlined"
               value={formData.name}
               onChange={handleInputChange}
+              error={Boolean(fieldErrors.name)}
+              helperText={fieldErrors.name}
               required
             />
             <TextField
@@ -263,6 +467,8 @@ function Pets() {
               variant="outlined"
               value={formData.species}
               onChange={handleInputChange}
+              error={Boolean(fieldErrors.species)}
+              helperText={fieldErrors.species}
               required
             />
             <TextField
@@ -274,6 +480,8 @@ function Pets() {
               variant="outlined"
               value={formData.breed}
               onChange={handleInputChange}
+              error={Boolean(fieldErrors.breed)}
+              helperText={fieldErrors.breed}
             />
             <TextField
               margin="dense"
@@ -284,29 +492,30 @@ function Pets() {
               variant="outlined"
               value={formData.age}
               onChange={handleInputChange}
+              error={Boolean(fieldErrors.age)}
+              helperText={fieldErrors.age}
             />
             <TextField
+              select
               margin="dense"
-              name="ownerName"
-              label="Owner Name"
-              type="text"
-              fullWidth
-              variant="outlined"
-              value={formData.ownerName}
-              onChange={handleInputChange}
-              required
-            />
-            <TextField
-              margin="dense"
-              name="ownerContact"
-              label="Owner Contact"
-              type="text"
+              name="ownerId"
+              label="Owner"
               fullWidth
               variant="outlined"
-              value={formData.ownerContact}
+              value={formData.ownerId}
               onChange={handleInputChange}
+              error={Boolean(fieldErrors.ownerId)}
+              // A pet changes hands through a transfer, which records its previous owners
+              disabled={Boolean(formData.id)}
+              helperText={fieldErrors.ownerId || (formData.id ? 'Transfer the pet from its page to change its owner' : '')}
               required
-            />
+            >
+              {owners.filter(owner => !owner.archived || owner.id === formData.ownerId).map(owner => (
+                <MenuItem key={owner.id} value={owner.id}>
+                  {owner.name} ({owner.email || owner.phone})
+                </MenuItem>
+              ))}
+            </TextField>
           </DialogContent>
           <DialogActions>
             <Button onClick={handleFormClose}>Cancel</Button>
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
+import { SERVICE_CATEGORIES, CATEGORY_LABELS, priceLabel, pricesAround } from '../utils/serviceCatalog';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyPrice = () => ({ effectiveFrom: today(), ranged: false, price: '', minPrice: '', maxPrice: '' });
+
+const emptyEntry = () => ({ code: '', name: '', category: 'consultation', taxable: false, prices: [emptyPrice()] });
+
+const toPriceForm = (price) => ({
+  effectiveFrom: price.effectiveFrom,
+  ranged: price.price === undefined,
+  price: price.price ?? '',
+  minPrice: price.minPrice ?? '',
+  maxPrice: price.maxPrice ?? '',
+});
+
+const toPrice = ({ effectiveFrom, ranged, price, minPrice, maxPrice }) => (
+  ranged
+    ? { effectiveFrom, minPrice: Number(minPrice), maxPrice: Number(maxPrice) }
+    : { effectiveFrom, price: Number(price) }
+);
+
+// A hospital's catalog of billable services and procedures, for administrators to keep.
+// A price change is recorded ahead of time as a price with a later effective date;
+// invoices are priced at what was in force on the day of the visit.
+const ServiceCatalog = () => {
+  const { id } = useParams();
+  const [hospital, setHospital] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editIndex, setEditIndex] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  const fetchHospital = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/hospitals/${id}`);
+      setHospital(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching service catalog:', err);
+      setError(err.response?.status === 404
+        ? 'Hospital not found.'
+        : 'Failed to fetch service catalog. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchHospital();
+  }, [fetchHospital]);
+
+  // The whole catalog is saved at once, so that a change made by someone else since it
+  // was loaded is caught rather than overwritten
+  const saveCatalog = async (serviceCatalog) => {
+    await axios.patch(`/api/hospitals/${id}`, { serviceCatalog }, {
+      headers: { ...ifMatchHeaders(hospital), 'Content-Type': 'application/merge-patch+json' },
+    });
+    fetchHospital();
+  };
+
+  // editIndex is the entry being edited, or -1 for a new one
+  const handleFormOpen = (index) => {
+    const entry = index === -1 ? emptyEntry() : hospital.serviceCatalog[index];
+    setFormData({ ...entry, prices: entry.prices.map(price => (index === -1 ? price : toPriceForm(price))) });
+    setFormError(null);
+    setEditIndex(index);
+  };
+
+  const handleFormClose = () => {
+    setEditIndex(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const updatePrice = (index, changes) => {
+    setFormData({
+      ...formData,
+      prices: formData.prices.map((price, i) => (i === index ? { ...price, ...changes } : price)),
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    const entry = { ...formData, prices: formData.prices.map(toPrice) };
+    const serviceCatalog = editIndex === -1
+      ? [...hospital.serviceCatalog, entry]
+      : hospital.serviceCatalog.map((existing, i) => (i === editIndex ? entry : existing));
+    try {
+      await saveCatalog(serviceCatalog);
+      setEditIndex(null);
+    } catch (err) {
+      console.error('Error saving service catalog:', err);
+      if (isConflict(err)) {
+        setFormError('This catalog was changed by someone else since you opened it. Close and reopen to see the latest.');
+        fetchHospital();
+      } else if (err.response?.data?.details) {
+        setFormError(err.response.data.details.map(detail => detail.message).join('; '));
+      } else {
+        setFormError('Failed to save service. Please try again later.');
+      }
+    }
+  };
+
+  const handleRemove = async (index) => {
+    const entry = hospital.serviceCatalog[index];
+    if (!window.confirm(`Remove ${entry.name} from the catalog? It can no longer be billed, though invoices already raised keep it.`)) {
+      return;
+    }
+    try {
+      await saveCatalog(hospital.serviceCatalog.filter((existing, i) => i !== index));
+    } catch (err) {
+      console.error('Error removing service:', err);
+      setError(isConflict(err)
+        ? 'The catalog was changed by someone else and the service was not removed. The catalog has been reloaded.'
+        : 'Failed to remove service. Please try again later.');
+      fetchHospital();
+    }
+  };
+
+  if (loading && !hospital) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!hospital) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const catalog = hospital.serviceCatalog;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            Service Catalog
+          </Typography>
+          <Typography variant="body1">
+            <Link to={`/hospitals/${id}`} style={{ color: 'inherit' }}>{hospital.name}</Link>
+          </Typography>
+        </Box>
+        <Button variant="contained" color="primary" disabled={hospital.archived} onClick={() => handleFormOpen(-1)}>
+          Add Service
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Code</TableCell>
+              <TableCell>Service</TableCell>
+              <TableCell>Category</TableCell>
+              <TableCell>Price</TableCell>
+              <TableCell>Price Change</TableCell>
+              <TableCell>Tax</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {catalog.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  No services in the catalog yet.
+                </TableCell>
+              </TableRow>
+            ) : (
+              catalog.map((entry, index) => {
+                const { current, next } = pricesAround(entry, today());
+                return (
+                  <TableRow key={entry.code}>
+                    <TableCell>{entry.code}</TableCell>
+                    <TableCell component="th" scope="row">{entry.name}</TableCell>
+                    <TableCell>{CATEGORY_LABELS[entry.category]}</TableCell>
+                    <TableCell>{current ? priceLabel(current) : 'Not yet priced'}</TableCell>
+                    <TableCell>{next ? `${priceLabel(next)} from ${next.effectiveFrom}` : '-'}</TableCell>
+                    <TableCell>{entry.taxable && <Chip label="Taxable" size="small" variant="outlined" />}</TableCell>
+                    <TableCell align="right">
+                      <Button size="small" disabled={hospital.archived} onClick={() => handleFormOpen(index)}>
+                        Edit
+                      </Button>
+                      <Button size="small" color="warning" disabled={hospital.archived} onClick={() => handleRemove(index)}>
+                        Remove
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Service Dialog */}
+      <Dialog open={editIndex !== null} onClose={handleFormClose} maxWidth="md" fullWidth>
+        <DialogTitle>{editIndex === -1 ? 'Add Service' : 'Edit Service'}</DialogTitle>
+        {formData && (
+          <form onSubmit={handleFormSubmit}>
+            <DialogContent>
+              {formError && <Alert severity="error" sx={{ mb: 1 }}>{formError}</Alert>}
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField
+                  autoFocus
+                  margin="dense"
+                  name="code"
+                  label="Code"
+                  variant="outlined"
+                  value={formData.code}
+                  onChange={handleInputChange}
+                  helperText="Letters, digits and dashes"
+                  required
+                />
+                <TextField
+                  margin="dense"
+                  name="name"
+                  label="Service"
+                  fullWidth
+                  variant="outlined"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  required
+                />
+              </Box>
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                <TextField
+                  select
+                  margin="dense"
+                  name="category"
+                  label="Category"
+                  variant="outlined"
+                  value={formData.category}
+                  onChange={handleInputChange}
+                  sx={{ minWidth: 200 }}
+                >
+                  {SERVICE_CATEGORIES.map(category => (
+                    <MenuItem key={category} value={category}>{CATEGORY_LABELS[category]}</MenuItem>
+                  ))}
+                </TextField>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formData.taxable}
+                      onChange={(e) => setFormData({ ...formData, taxable: e.target.checked })}
+                    />
+                  }
+                  label="Taxable"
+                />
+              </Box>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+                <Typography variant="subtitle1">Prices</Typography>
+                <Button size="small" onClick={() => setFormData({ ...formData, prices: [...formData.prices, emptyPrice()] })}>
+                  Add Price Change
+                </Button>
+              </Box>
+              {formData.prices.map((price, index) => (
+                <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                  <TextField
+                    margin="dense"
+                    label="Effective From"
+                    type="date"
+                    InputLabelProps={{ shrink: true }}
+                    value={price.effectiveFrom}
+                    onChange={(e) => updatePrice(index, { effectiveFrom: e.target.value })}
+                    required
+                  />
+                  <TextField
+                    select
+                    margin="dense"
+                    label="Pricing"
+                    value={price.ranged ? 'range' : 'fixed'}
+                    onChange={(e) => updatePrice(index, { ranged: e.target.value === 'range' })}
+                    sx={{ minWidth: 140 }}
+                  >
+                    <MenuItem value="fixed">Fixed</MenuItem>
+                    <MenuItem value="range">Per case</MenuItem>
+                  </TextField>
+                  {price.ranged ? (
+                    <>
+                      <TextField
+                        margin="dense"
+                        label="From ($)"
+                        type="number"
+                        inputProps={{ min: 0, step: '0.01' }}
+                        value={price.minPrice}
+                        onChange={(e) => updatePrice(index, { minPrice: e.target.value })}
+                        required
+                      />
+                      <TextField
+                        margin="dense"
+                        label="To ($)"
+                        type="number"
+                        inputProps={{ min: 0, step: '0.01' }}
+                        value={price.maxPrice}
+                        onChange={(e) => updatePrice(index, { maxPrice: e.target.value })}
+                        required
+                      />
+                    </>
+                  ) : (
+                    <TextField
+                      margin="dense"
+                      label="Price ($)"
+                      type="number"
+                      inputProps={{ min: 0, step: '0.01' }}
+                      value={price.price}
+                      onChange={(e) => updatePrice(index, { price: e.target.value })}
+                      required
+                    />
+                  )}
+                  <IconButton
+                    aria-label="remove price"
+                    disabled={formData.prices.length === 1}
+                    onClick={() => setFormData({ ...formData, prices: formData.prices.filter((p, i) => i !== index) })}
+                  >
+                    <DeleteIcon />
+                  </IconButton>
+                </Box>
+              ))}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={handleFormClose}>Cancel</Button>
+              <Button type="submit" variant="contained" color="primary">
+                {editIndex === -1 ? 'Add' : 'Update'}
+              </Button>
+            </DialogActions>
+          </form>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ServiceCatalog;
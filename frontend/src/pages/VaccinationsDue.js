@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import { fetchAllPages } from '../utils/pagination';
+import { channelLabel } from '../utils/owners';
+import { EXPIRING_SOON_DAYS, dueLabel } from '../utils/vaccinations';
+
+const WINDOWS = [7, EXPIRING_SOON_DAYS, 60, 90];
+
+// Vaccinations that are overdue or falling due across every pet, with who to call
+// about them, for the front desk to work through
+const VaccinationsDue = () => {
+  const [within, setWithin] = useState(EXPIRING_SOON_DAYS);
+  const [doses, setDoses] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchDue = async () => {
+      try {
+        setLoading(true);
+        const [dosesResponse, ownersResponse] = await Promise.all([
+          fetchAllPages('/api/vaccinations/due', { within: `${within}d` }),
+          fetchAllPages('/api/owners'),
+        ]);
+        // Most overdue first
+        setDoses([...dosesResponse].sort((a, b) => a.dueDate.localeCompare(b.dueDate)));
+        setOwners(ownersResponse);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching due vaccinations:', err);
+        setError('Failed to fetch due vaccinations. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDue();
+  }, [within]);
+
+  const findOwner = (ownerId) => owners.find(owner => owner.id === ownerId);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Vaccinations Due
+        </Typography>
+        <TextField
+          select
+          size="small"
+          label="Due Within"
+          value={within}
+          onChange={(e) => setWithin(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {WINDOWS.map(days => (
+            <MenuItem key={days} value={days}>{days} days</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Pet</TableCell>
+                <TableCell>Vaccine</TableCell>
+                <TableCell>Due</TableCell>
+                <TableCell>Owner</TableCell>
+                <TableCell>Phone</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Prefers</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {doses.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    No vaccinations due in the next {within} days.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                doses.map((dose) => {
+                  const owner = findOwner(dose.pet.ownerId);
+                  return (
+                    <TableRow key={dose.id}>
+                      <TableCell component="th" scope="row">
+                        <Link to={`/pets/${dose.pet.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          {dose.pet.name}
+                        </Link>
+                      </TableCell>
+                      <TableCell>{dose.vaccine}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={`${dueLabel(dose.dueDate)} (${dose.dueDate})`}
+                          color={dose.overdue ? 'error' : 'warning'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {owner ? (
+                          <Link to={`/owners/${owner.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                            {owner.name}
+                          </Link>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell>{owner?.phone || '-'}</TableCell>
+                      <TableCell>{owner?.email || '-'}</TableCell>
+                      <TableCell>
+                        {channelLabel(owner?.communicationPreferences?.preferredChannel)}
+                        {owner && !owner.communicationPreferences?.vaccinationReminders && (
+                          <Chip label="No reminders" size="small" variant="outlined" sx={{ ml: 1 }} />
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default VaccinationsDue;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Box, 
   Typography, 
@@ -11,99 +11,198 @@ import {
   Divider,
   List,
   ListItem,
-  ListItemText
+  ListItemText,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
 } from '@mui/material';
 import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { ownerContact } from '../utils/owners';
+import { VISIT_STATUSES, getStatusColor } from '../utils/visits';
+import { useCurrentUser } from '../components/CurrentUser';
+import BookAppointment from '../components/BookAppointment';
+import ChangeHistory from '../components/ChangeHistory';
+import { ifMatchHeaders, isConflict } from '../utils/concurrency';
 
-// Mock data for visit details
-const mockVisit = {
-  id: 1,
-  petId: 1,
-  petName: 'Max',
-  petSpecies: 'Dog',
-  petBreed: 'Golden Retriever',
-  ownerId: 1,
-  ownerName: 'John Doe',
-  ownerPhone: '(555) 123-4567',
-  doctorId: 1,
-  doctorName: 'Dr. John Smith',
-  hospitalId: 1,
-  hospitalName: 'Central Pet Hospital',
-  date: '2023-07-15',
-  time: '10:30 AM',
-  reason: 'Annual Checkup',
-  status: 'Completed',
-  notes: 'Pet is healthy, vaccinations updated.',
-  diagnosis: 'Healthy pet with no significant issues.',
-  treatment: 'Administered routine vaccinations.',
-  medications: [
-    {
-      name: 'Rabies Vaccine',
-      dosage: 'Standard dose',
-      instructions: 'Administered in clinic',
-      startDate: '2023-07-15',
-      endDate: '2023-07-15'
-    },
-    {
-      name: 'DHPP Vaccine',
-      dosage: 'Standard dose',
-      instructions: 'Administered in clinic',
-      startDate: '2023-07-15',
-      endDate: '2023-07-15'
-    }
-  ],
-  followUpDate: '2024-07-15',
-  vitals: {
-    weight: '65 lbs',
-    temperature: '101.5°F',
-    heartRate: '80 bpm',
-    respiratoryRate: '22 breaths/min',
-    bloodPressure: 'Normal'
-  },
-  invoiceId: 'INV-2023-001',
-  invoiceAmount: 150.00,
-  invoiceStatus: 'Paid'
-};
+const API_URL = '/api/visits';
+
+const toVisitForm = (visit) => ({
+  status: visit.status,
+  date: visit.date,
+  time: visit.time || '',
+  reason: visit.reason,
+  diagnosis: visit.diagnosis || '',
+  treatment: visit.treatment || '',
+  notes: visit.notes || '',
+});
+
+// A merge patch of the form, where a cleared field is sent as null to remove it
+const toVisitPatch = (form) => Object.fromEntries(
+  Object.entries(form).map(([name, value]) => [name, value === '' ? null : value])
+);
 
 const VisitDetail = () => {
+  const { can } = useCurrentUser();
   const { id } = useParams();
-  // In a real app, you would fetch the visit data based on the ID
-  const visit = mockVisit;
+  const [visit, setVisit] = useState(null);
+  const [pet, setPet] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [doctor, setDoctor] = useState(null);
+  const [hospital, setHospital] = useState(null);
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [formData, setFormData] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [formConflict, setFormConflict] = useState(false);
+  const [followUpOpen, setFollowUpOpen] = useState(false);
+  const [followUp, setFollowUp] = useState(null);
+
+  useEffect(() => {
+    const fetchVisit = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`${API_URL}/${id}`);
+        const visitData = response.data;
+        setVisit(visitData);
+
+        // Related records are display-only, so a missing one should not hide the visit
+        const [petResponse, doctorResponse, hospitalResponse, invoiceResponse] = await Promise.allSettled([
+          axios.get(`/api/pets/${visitData.petId}`),
+          axios.get(`/api/doctors/${visitData.doctorId}`),
+          axios.get(`/api/hospitals/${visitData.hospitalId}`),
+          axios.get('/api/billing/invoices', { params: { visitId: id } }),
+        ]);
+        const petData = petResponse.status === 'fulfilled' ? petResponse.value.data : null;
+        setPet(petData);
+        setDoctor(doctorResponse.status === 'fulfilled' ? doctorResponse.value.data : null);
+        setHospital(hospitalResponse.status === 'fulfilled' ? hospitalResponse.value.data : null);
+        setInvoice(invoiceResponse.status === 'fulfilled' ? invoiceResponse.value.data[0] || null : null);
+
+        // The owner is only known once the pet has been fetched
+        if (petData) {
+          const ownerResponse = await axios.get(`/api/owners/${petData.ownerId}`).catch(() => null);
+          setOwner(ownerResponse ? ownerResponse.data : null);
+        }
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching visit:', err);
+        setError('Failed to fetch visit. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchVisit();
+  }, [id]);
 
-  // Function to get status color
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'Completed':
-        return 'success';
-      case 'Scheduled':
-        return 'primary';
-      case 'Cancelled':
-        return 'error';
-      case 'No-Show':
-        return 'warning';
-      default:
-        return 'default';
+  const handleFormOpen = () => {
+    setFormData(toVisitForm(visit));
+    setFormError(null);
+    setFormConflict(false);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  // Discard the user's edits in favour of the latest saved visit
+  const handleFormReload = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/${id}`);
+      setVisit(response.data);
+      setFormData(toVisitForm(response.data));
+      setFormError(null);
+      setFormConflict(false);
+    } catch (err) {
+      console.error('Error reloading visit:', err);
+      setError('Failed to reload visit. Please try again later.');
+      setFormOpen(false);
     }
   };
 
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.patch(`${API_URL}/${id}`, toVisitPatch(formData), {
+        headers: { ...ifMatchHeaders(visit), 'Content-Type': 'application/merge-patch+json' },
+      });
+      setVisit(response.data);
+      setFormOpen(false);
+    } catch (err) {
+      console.error('Error updating visit:', err);
+      if (isConflict(err)) {
+        setFormConflict(true);
+      } else if (err.response?.data?.details) {
+        setFormError(err.response.data.details.map(detail => `${detail.field} ${detail.message}`).join('; '));
+      } else {
+        setError('Failed to update visit. Please try again later.');
+        setFormOpen(false);
+      }
+    }
+  };
+
+  const handleFollowUpBooked = (appointment) => {
+    setFollowUp(appointment);
+    setFollowUpOpen(false);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!visit) {
+    return <Alert severity="error">{error || 'Visit not found'}</Alert>;
+  }
+
   return (
     <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {followUp && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Follow-up booked for {followUp.date} at {followUp.startTime}.{' '}
+          <Link to={`/visits/${followUp.visitId}`}>View follow-up visit</Link>
+        </Alert>
+      )}
+
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="h4" component="h1" gutterBottom>
           Visit Details
         </Typography>
         <Box>
           <Button 
-            component={Link}
-            to={`/visits/${visit.id}/edit`}
             variant="outlined" 
             sx={{ mr: 1 }}
+            onClick={handleFormOpen}
+            disabled={!can('visits:edit') || visit.archived}
           >
             Edit Visit
           </Button>
           <Button 
             variant="contained" 
             color="primary"
+            disabled={!can('appointments:edit')}
+            onClick={() => setFollowUpOpen(true)}
           >
             Schedule Follow-up
           </Button>
@@ -122,11 +221,12 @@ const VisitDetail = () => {
                 color={getStatusColor(visit.status)} 
                 sx={{ mb: 2 }}
               />
+              {visit.archived && <Chip label="Archived" sx={{ mb: 2, ml: 1 }} />}
             </Box>
             
             <Typography variant="subtitle2">Date & Time:</Typography>
             <Typography variant="body1" paragraph>
-              {visit.date} at {visit.time}
+              {visit.date}{visit.time ? ` at ${visit.time}` : ''}
             </Typography>
             
             <Typography variant="subtitle2">Reason for Visit:</Typography>
@@ -137,14 +237,14 @@ const VisitDetail = () => {
             <Typography variant="subtitle2">Hospital:</Typography>
             <Typography variant="body1" paragraph>
               <Link to={`/hospitals/${visit.hospitalId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                {visit.hospitalName}
+                {hospital ? hospital.name : visit.hospitalId}
               </Link>
             </Typography>
             
             <Typography variant="subtitle2">Doctor:</Typography>
             <Typography variant="body1" paragraph>
               <Link to={`/doctors/${visit.doctorId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                {visit.doctorName}
+                {doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : visit.doctorId}
               </Link>
             </Typography>
             
@@ -164,41 +264,46 @@ const VisitDetail = () => {
             <Typography variant="subtitle2">Pet:</Typography>
             <Typography variant="body1" paragraph>
               <Link to={`/pets/${visit.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                {visit.petName}
-              </Link> ({visit.petSpecies}, {visit.petBreed})
+                {pet ? pet.name : visit.petId}
+              </Link>
+              {pet && ` (${pet.species}${pet.breed ? `, ${pet.breed}` : ''})`}
             </Typography>
             
             <Typography variant="subtitle2">Owner:</Typography>
             <Typography variant="body1" paragraph>
-              {visit.ownerName}
+              {owner ? (
+                <Link to={`/owners/${owner.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                  {owner.name}
+                </Link>
+              ) : '-'}
             </Typography>
             
             <Typography variant="subtitle2">Contact:</Typography>
             <Typography variant="body1" paragraph>
-              {visit.ownerPhone}
+              {ownerContact(owner)}
             </Typography>
           </Paper>
           
-          {visit.invoiceId && (
+          {invoice && (
             <Paper sx={{ p: 3, mb: 3 }}>
               <Typography variant="h6" gutterBottom>Billing Information</Typography>
               
               <Typography variant="subtitle2">Invoice:</Typography>
               <Typography variant="body1" paragraph>
-                <Link to={`/billing/${visit.invoiceId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                  {visit.invoiceId}
+                <Link to="/billing" style={{ textDecoration: 'none', color: 'inherit' }}>
+                  {invoice.invoiceNumber}
                 </Link>
               </Typography>
               
               <Typography variant="subtitle2">Amount:</Typography>
               <Typography variant="body1" paragraph>
-                ${visit.invoiceAmount.toFixed(2)}
+                ${invoice.totalAmount.toFixed(2)}
               </Typography>
               
               <Typography variant="subtitle2">Status:</Typography>
               <Chip 
-                label={visit.invoiceStatus} 
-                color={visit.invoiceStatus === 'Paid' ? 'success' : 'warning'} 
+                label={invoice.status} 
+                color={invoice.status === 'Paid' ? 'success' : invoice.status === 'Overdue' ? 'error' : 'warning'} 
                 size="small" 
               />
             </Paper>
@@ -348,8 +453,133 @@ const VisitDetail = () => {
               </Grid>
             </Paper>
           )}
+
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>Change History</Typography>
+            <ChangeHistory resource="visits" id={id} />
+          </Paper>
         </Grid>
       </Grid>
+
+      {/* Edit Visit Form Dialog */}
+      <Dialog open={formOpen} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit Visit</DialogTitle>
+        <form onSubmit={handleFormSubmit}>
+          <DialogContent>
+            {formConflict && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 1 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleFormReload}>
+                    Reload
+                  </Button>
+                }
+              >
+                This visit was changed by someone else since you opened it. Reload to see the latest version; your edits will be lost.
+              </Alert>
+            )}
+            {formError && <Alert severity="error" sx={{ mb: 1 }}>{formError}</Alert>}
+            <TextField
+              select
+              margin="dense"
+              name="status"
+              label="Status"
+              fullWidth
+              variant="outlined"
+              value={formData.status || ''}
+              onChange={handleInputChange}
+              required
+            >
+              {VISIT_STATUSES.map(status => (
+                <MenuItem key={status} value={status}>{status}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              margin="dense"
+              name="date"
+              label="Date"
+              type="date"
+              fullWidth
+              variant="outlined"
+              InputLabelProps={{ shrink: true }}
+              value={formData.date || ''}
+              onChange={handleInputChange}
+              required
+            />
+            <TextField
+              margin="dense"
+              name="time"
+              label="Time"
+              type="time"
+              fullWidth
+              variant="outlined"
+              InputLabelProps={{ shrink: true }}
+              value={formData.time || ''}
+              onChange={handleInputChange}
+            />
+            <TextField
+              margin="dense"
+              name="reason"
+              label="Reason for Visit"
+              fullWidth
+              variant="outlined"
+              value={formData.reason || ''}
+              onChange={handleInputChange}
+              required
+            />
+            <TextField
+              margin="dense"
+              name="diagnosis"
+              label="Diagnosis"
+              fullWidth
+              multiline
+              rows={2}
+              variant="outlined"
+              value={formData.diagnosis || ''}
+              onChange={handleInputChange}
+            />
+            <TextField
+              margin="dense"
+              name="treatment"
+              label="Treatment"
+              fullWidth
+              multiline
+              rows={2}
+              variant="outlined"
+              value={formData.treatment || ''}
+              onChange={handleInputChange}
+            />
+            <TextField
+              margin="dense"
+              name="notes"
+              label="Additional Notes"
+              fullWidth
+              multiline
+              rows={3}
+              variant="outlined"
+              value={formData.notes || ''}
+              onChange={handleInputChange}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleFormClose}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Update
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      <BookAppointment
+        open={followUpOpen}
+        onClose={() => setFollowUpOpen(false)}
+        onBooked={handleFollowUpBooked}
+        petId={visit.petId}
+        doctorId={visit.doctorId}
+        hospitalId={visit.hospitalId}
+        reason={`Follow-up: ${visit.reason}`}
+      />
     </Box>
   );
 };
@@ -1,79 +1,181 @@
-import React, { useState } from 'react';
-import { 
-  Box, 
-  Typography, 
-  Paper, 
-  Table, 
-  TableBody, 
-  TableCell, 
-  TableContainer, 
-  TableHead, 
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
   TableRow,
   Button,
-  Chip
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { fetchAllPages } from '../utils/pagination';
+import { getStatusColor, addDays, startOfWeek } from '../utils/visits';
+import { useCurrentUser } from '../components/CurrentUser';
+import VisitCalendar from '../components/VisitCalendar';
 
-// Mock data for visits
-const mockVisits = [
-  { 
-    id: 1, 
-    petName: 'Max', 
-    petId: 1,
-    ownerName: 'John Doe',
-    doctorName: 'Dr. John Smith', 
-    doctorId: 1,
-    hospital: 'Central Pet Hospital',
-    hospitalId: 1,
-    date: '2023-07-15',
-    reason: 'Annual Checkup',
-    status: 'Completed',
-    notes: 'Pet is healthy, vaccinations updated.'
-  },
-  { 
-    id: 2, 
-    petName: 'Bella', 
-    petId: 2,
-    ownerName: 'Jane Smith',
-    doctorName: 'Dr. Sarah Johnson', 
-    doctorId: 2,
-    hospital: 'North Animal Clinic',
-    hospitalId: 2,
-    date: '2023-07-20',
-    reason: 'Skin Condition',
-    status: 'Scheduled',
-    notes: ''
-  },
-  { 
-    id: 3, 
-    petName: 'Charlie', 
-    petId: 3,
-    ownerName: 'Mike Brown',
-    doctorName: 'Dr. Michael Brown', 
-    doctorId: 3,
-    hospital: 'South Pet Care',
-    hospitalId: 3,
-    date: '2023-07-10',
-    reason: 'Limping',
-    status: 'Completed',
-    notes: 'Minor sprain, prescribed rest and anti-inflammatory medication.'
-  },
+const API_URL = '/api/visits';
+
+const emptyVisit = {
+  petId: '',
+  doctorId: '',
+  hospitalId: '',
+  date: '',
+  time: '',
+  reason: '',
+  notes: ''
+};
+
+const VIEWS = [
+  { value: 'list', label: 'List' },
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'doctor', label: 'Doctor' },
 ];
 
+const today = () => new Date().toISOString().slice(0, 10);
+
 const Visits = () => {
-  const [visits] = useState(mockVisits);
-
-  // Function to get status color
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'Completed':
-        return 'success';
-      case 'Scheduled':
-        return 'primary';
-      case 'Cancelled':
-        return 'error';
-      default:
-        return 'default';
+  const { can } = useCurrentUser();
+  const [visits, setVisits] = useState([]);
+  const [pets, setPets] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [hospitals, setHospitals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyVisit);
+  const [view, setView] = useState('list');
+  const [hospitalFilter, setHospitalFilter] = useState('');
+  const [date, setDate] = useState(today);
+  const [calendarDoctorId, setCalendarDoctorId] = useState('');
+  const [appointments, setAppointments] = useState([]);
+
+  // The calendar shows a day or a week; either way it needs that week's appointments
+  const weekStart = startOfWeek(date);
+
+  useEffect(() => {
+    fetchVisits();
+  }, []);
+
+  const fetchVisits = async () => {
+    try {
+      setLoading(true);
+      const [visitsResponse, petsResponse, ownersResponse, doctorsResponse, hospitalsResponse] = await Promise.all([
+        fetchAllPages(API_URL),
+        // Archived records still appear in past visits, but are not offered for new ones
+        fetchAllPages('/api/pets', { includeArchived: true }),
+        fetchAllPages('/api/owners', { includeArchived: true }),
+        fetchAllPages('/api/doctors', { includeArchived: true }),
+        fetchAllPages('/api/hospitals', { includeArchived: true }),
+      ]);
+      setVisits(visitsResponse);
+      setPets(petsResponse);
+      setOwners(ownersResponse);
+      setDoctors(doctorsResponse);
+      setHospitals(hospitalsResponse);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching visits:', err);
+      setError('Failed to fetch visits. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAppointments = useCallback(async () => {
+    try {
+      const response = await fetchAllPages('/api/appointments', { from: weekStart, to: addDays(weekStart, 6) });
+      setAppointments(response);
+    } catch (err) {
+      console.error('Error fetching appointments:', err);
+      setError('Failed to fetch appointments. Please try again later.');
+    }
+  }, [weekStart]);
+
+  useEffect(() => {
+    if (view !== 'list') {
+      fetchAppointments();
+    }
+  }, [view, fetchAppointments]);
+
+  const handleRescheduled = () => {
+    fetchVisits();
+    fetchAppointments();
+  };
+
+  const findPet = (petId) => pets.find(pet => pet.id === petId);
+  const findHospital = (hospitalId) => hospitals.find(hospital => hospital.id === hospitalId);
+  const getOwnerName = (ownerId) => {
+    const owner = owners.find(o => o.id === ownerId);
+    return owner ? owner.name : ownerId;
+  };
+  const getDoctorName = (doctorId) => {
+    const doctor = doctors.find(d => d.id === doctorId);
+    return doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : doctorId;
+  };
+
+  const getPetName = (petId) => {
+    const pet = findPet(petId);
+    return pet ? pet.name : petId;
+  };
+
+  const shownVisits = hospitalFilter ? visits.filter(visit => visit.hospitalId === hospitalFilter) : visits;
+
+  // The day view has a column for each doctor at the hospital, and for any other
+  // doctor with a visit there that day
+  const dayDoctors = doctors.filter(doctor => (
+    (!doctor.archived && (!hospitalFilter || doctor.hospitalId === hospitalFilter))
+    || shownVisits.some(visit => visit.date === date && visit.doctorId === doctor.id)
+  ));
+
+  // Step the calendar back or forward by what it is showing
+  const stepDate = (direction) => {
+    setDate(addDays(date, direction * (view === 'day' ? 1 : 7)));
+  };
+
+  const handleFormOpen = () => {
+    setFormData(emptyVisit);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(API_URL, formData);
+      fetchVisits();
+      setFormOpen(false);
+    } catch (err) {
+      console.error('Error scheduling visit:', err);
+      setError('Failed to schedule visit. Please try again later.');
     }
   };
 
@@ -83,78 +185,287 @@ const Visits = () => {
         <Typography variant="h4" component="h1" gutterBottom>
           Visits
         </Typography>
-        <Button 
-          component={Link}
-          to="/visits/new"
-          variant="contained" 
-          color="primary"
+        {can('visits:edit') && (
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={handleFormOpen}
+          >
+            Schedule Visit
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2, mb: 2 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={view}
+          onChange={(e, value) => value && setView(value)}
+          aria-label="visit view"
         >
-          Schedule Visit
-        </Button>
+          {VIEWS.map(option => (
+            <ToggleButton key={option.value} value={option.value}>{option.label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <TextField
+          select
+          size="small"
+          label="Hospital"
+          value={hospitalFilter}
+          onChange={(e) => setHospitalFilter(e.target.value)}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">All hospitals</MenuItem>
+          {hospitals.filter(hospital => !hospital.archived).map(hospital => (
+            <MenuItem key={hospital.id} value={hospital.id}>{hospital.name}</MenuItem>
+          ))}
+        </TextField>
+        {view === 'doctor' && (
+          <TextField
+            select
+            size="small"
+            label="Doctor"
+            value={calendarDoctorId}
+            onChange={(e) => setCalendarDoctorId(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            {dayDoctors.filter(doctor => !doctor.archived).map(doctor => (
+              <MenuItem key={doctor.id} value={doctor.id}>{getDoctorName(doctor.id)}</MenuItem>
+            ))}
+          </TextField>
+        )}
+        {view !== 'list' && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Button size="small" onClick={() => stepDate(-1)}>Previous</Button>
+            <Button size="small" onClick={() => setDate(today())}>Today</Button>
+            <Button size="small" onClick={() => stepDate(1)}>Next</Button>
+            <TextField
+              size="small"
+              type="date"
+              label={view === 'day' ? 'Date' : 'Week of'}
+              InputLabelProps={{ shrink: true }}
+              value={date}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+            />
+          </Box>
+        )}
       </Box>
 
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>ID</TableCell>
-              <TableCell>Date</TableCell>
-              <TableCell>Pet</TableCell>
-              <TableCell>Doctor</TableCell>
-              <TableCell>Hospital</TableCell>
-              <TableCell>Reason</TableCell>
-              <TableCell>Status</TableCell>
-              <TableCell>Actions</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {visits.map((visit) => (
-              <TableRow key={visit.id}>
-                <TableCell>{visit.id}</TableCell>
-                <TableCell>{visit.date}</TableCell>
-                <TableCell>
-                  <Link to={`/pets/${visit.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                    <Typography variant="body2" color="primary" sx={{ fontWeight: 'medium' }}>
-                      {visit.petName}
-                    </Typography>
-                  </Link>
-                  <Typography variant="body2" color="textSecondary">
-                    Owner: {visit.ownerName}
-                  </Typography>
-                </TableCell>
-                <TableCell>
-                  <Link to={`/doctors/${visit.doctorId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                    {visit.doctorName}
-                  </Link>
-                </TableCell>
-                <TableCell>
-                  <Link to={`/hospitals/${visit.hospitalId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                    {visit.hospital}
-                  </Link>
-                </TableCell>
-                <TableCell>{visit.reason}</TableCell>
-                <TableCell>
-                  <Chip 
-                    label={visit.status} 
-                    color={getStatusColor(visit.status)} 
-                    size="small" 
-                  />
-                </TableCell>
-                <TableCell>
-                  <Button 
-                    component={Link} 
-                    to={`/visits/${visit.id}`}
-                    variant="outlined" 
-                    size="small"
-                  >
-                    View
-                  </Button>
-                </TableCell>
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : view !== 'list' ? (
+        view === 'doctor' && !calendarDoctorId ? (
+          <Typography variant="body1" color="textSecondary">
+            Pick a doctor to see their week.
+          </Typography>
+        ) : (
+          <VisitCalendar
+            view={view}
+            date={view === 'day' ? date : weekStart}
+            doctorId={calendarDoctorId}
+            doctors={dayDoctors}
+            visits={shownVisits}
+            appointments={appointments}
+            getPetName={getPetName}
+            getDoctorName={getDoctorName}
+            onRescheduled={handleRescheduled}
+          />
+        )
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>Pet</TableCell>
+                <TableCell>Doctor</TableCell>
+                <TableCell>Hospital</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
               </TableRow>
-            ))}
-          </TableBody>
-        </Table>
-      </TableContainer>
+            </TableHead>
+            <TableBody>
+              {shownVisits.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    No visits found. Schedule a visit to get started.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                shownVisits.map((visit) => {
+                  const pet = findPet(visit.petId);
+                  const hospital = findHospital(visit.hospitalId);
+                  return (
+                    <TableRow key={visit.id}>
+                      <TableCell>{visit.date}{visit.time ? ` ${visit.time}` : ''}</TableCell>
+                      <TableCell>
+                        <Link to={`/pets/${visit.petId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          <Typography variant="body2" color="primary" sx={{ fontWeight: 'medium' }}>
+                            {pet ? pet.name : visit.petId}
+                          </Typography>
+                        </Link>
+                        {pet && (
+                          <Typography variant="body2" color="textSecondary">
+                            Owner: {getOwnerName(pet.ownerId)}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Link to={`/doctors/${visit.doctorId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          {getDoctorName(visit.doctorId)}
+                        </Link>
+                      </TableCell>
+                      <TableCell>
+                        <Link to={`/hospitals/${visit.hospitalId}`} style={{ textDecoration: 'none', color: 'inherit' }}>
+                          {hospital ? hospital.name : visit.hospitalId}
+                        </Link>
+                      </TableCell>
+                      <TableCell>{visit.reason}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={visit.status}
+                          color={getStatusColor(visit.status)}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Button
+                          component={Link}
+                          to={`/visits/${visit.id}`}
+                          variant="outlined"
+                          size="small"
+                        >
+                          View
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Schedule Visit Form Dialog */}
+      <Dialog open={formOpen} onClose={handleFormClose} maxWidth="sm" fullWidth>
+        <DialogTitle>Schedule Visit</DialogTitle>
+        <form onSubmit={handleFormSubmit}>
+          <DialogContent>
+            <TextField
+              select
+              margin="dense"
+              name="petId"
+              label="Pet"
+              fullWidth
+              variant="outlined"
+              value={formData.petId}
+              onChange={handleInputChange}
+              required
+            >
+              {pets.filter(pet => !pet.archived).map(pet => (
+                <MenuItem key={pet.id} value={pet.id}>
+                  {pet.name} ({getOwnerName(pet.ownerId)})
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              margin="dense"
+              name="hospitalId"
+              label="Hospital"
+              fullWidth
+              variant="outlined"
+              value={formData.hospitalId}
+              onChange={handleInputChange}
+              required
+            >
+              {hospitals.filter(hospital => !hospital.archived).map(hospital => (
+                <MenuItem key={hospital.id} value={hospital.id}>
+                  {hospital.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              margin="dense"
+              name="doctorId"
+              label="Doctor"
+              fullWidth
+              variant="outlined"
+              value={formData.doctorId}
+              onChange={handleInputChange}
+              required
+            >
+              {doctors
+                .filter(doctor => !doctor.archived && (!formData.hospitalId || doctor.hospitalId === formData.hospitalId))
+                .map(doctor => (
+                  <MenuItem key={doctor.id} value={doctor.id}>
+                    Dr. {doctor.firstName} {doctor.lastName}
+                  </MenuItem>
+                ))}
+            </TextField>
+            <TextField
+              margin="dense"
+              name="date"
+              label="Date"
+              type="date"
+              fullWidth
+              variant="outlined"
+              InputLabelProps={{ shrink: true }}
+              value={formData.date}
+              onChange={handleInputChange}
+              required
+            />
+            <TextField
+              margin="dense"
+              name="time"
+              label="Time"
+              type="time"
+              fullWidth
+              variant="outlined"
+              InputLabelProps={{ shrink: true }}
+              value={formData.time}
+              onChange={handleInputChange}
+            />
+            <TextField
+              margin="dense"
+              name="reason"
+              label="Reason for Visit"
+              type="text"
+              fullWidth
+              variant="outlined"
+              value={formData.reason}
+              onChange={handleInputChange}
+              required
+            />
+            <TextField
+              margin="dense"
+              name="notes"
+              label="Notes"
+              type="text"
+              fullWidth
+              multiline
+              rows={3}
+              variant="outlined"
+              value={formData.notes}
+              onChange={handleInputChange}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleFormClose}>Cancel</Button>
+            <Button type="submit" variant="contained" color="primary">
+              Schedule
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
     </Box>
   );
 };
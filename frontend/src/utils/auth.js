@@ -0,0 +1,73 @@
+import axios from 'axios';
+
+// The signed-in session: the bearer token auth-service issued, when it expires
+// and who it belongs to. Kept in localStorage so a reload stays signed in.
+const SESSION_KEY = 'petHospitalSession';
+
+const readSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const setSession = ({ token, expiresAt, user }) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ token, expiresAt, user }));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+export const getCurrentUser = () => readSession()?.user || null;
+
+export const authHeaders = () => {
+  const session = readSession();
+
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+// An expired or revoked token gets a 401 from any service; send the user back
+// to sign in, then on to the page they were on
+const handleUnauthorized = () => {
+  clearSession();
+
+  if (window.location.pathname !== '/login') {
+    const from = `${window.location.pathname}${window.location.search}`;
+    window.location.assign(`/login?from=${encodeURIComponent(from)}`);
+  }
+};
+
+// fetch with the session's token attached, for the pages that don't use axios
+export const authFetch = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...authHeaders() },
+  });
+
+  if (response.status === 401) {
+    handleUnauthorized();
+  }
+
+  return response;
+};
+
+// Attach the token to every axios request. Called once at startup.
+export const installAuthInterceptors = () => {
+  axios.interceptors.request.use((config) => {
+    Object.entries(authHeaders()).forEach(([name, value]) => {
+      config.headers[name] = value;
+    });
+    return config;
+  });
+
+  axios.interceptors.response.use(undefined, (err) => {
+    if (err.response?.status === 401 && !err.config.url.startsWith('/api/auth/login')) {
+      handleUnauthorized();
+    }
+    return Promise.reject(err);
+  });
+};
@@ -0,0 +1,6 @@
+// Pets, hospitals, doctors and visits carry a `version` that the API exposes as an ETag.
+// Sending it back as If-Match makes a write fail with 412 Precondition Failed
+// when someone else changed the record after it was loaded.
+export const ifMatchHeaders = (record) => ({ 'If-Match': `"${record.version || 0}"` });
+
+export const isConflict = (err) => err.response?.status === 412;
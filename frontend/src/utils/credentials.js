@@ -0,0 +1,47 @@
+// How soon before a license or certification runs out it is flagged, matching the
+// 60 day window the Licenses Expiring page opens on
+export const EXPIRING_SOON_DAYS = 60;
+
+export const VERIFICATION_STATUSES = ['unverified', 'verified', 'rejected'];
+
+export const VERIFICATION_LABELS = {
+  unverified: 'Unverified',
+  verified: 'Verified',
+  rejected: 'Rejected',
+};
+
+const daysUntil = (date) => {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  return Math.floor((new Date(date) - today) / (1000 * 60 * 60 * 24));
+};
+
+// Whether a license or certification is still in force. Certifications may have no
+// expiry date, and one rejected when it was checked counts for nothing.
+export const credentialStatus = (credential) => {
+  if (credential.verificationStatus === 'rejected') {
+    return { status: 'Rejected', color: 'error' };
+  }
+  if (!credential.expiryDate) {
+    return { status: 'Does Not Expire', color: 'success' };
+  }
+
+  const days = daysUntil(credential.expiryDate);
+
+  if (days < 0) {
+    return { status: 'Expired', color: 'error' };
+  } else if (days < EXPIRING_SOON_DAYS) {
+    return { status: 'Expiring Soon', color: 'warning' };
+  }
+  return { status: 'Valid', color: 'success' };
+};
+
+// "Expires in 5 days", "Expires today" or "Expired 12 days ago"
+export const expiryLabel = (expiryDate) => {
+  const days = daysUntil(expiryDate);
+  const plural = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+  if (days < 0) {
+    return `Expired ${plural(-days)} ago`;
+  }
+  return days === 0 ? 'Expires today' : `Expires in ${plural(days)}`;
+};
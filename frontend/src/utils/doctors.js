@@ -0,0 +1,26 @@
+import axios from 'axios';
+
+// The specializations doctor-service records doctors under, as [{ code, name }]
+export const fetchSpecializations = async () => (await axios.get('/api/doctors/specializations')).data;
+
+// A doctor recorded before specializations were coded keeps its free text, shown as is
+export const specializationName = (specializations, code) => (
+  specializations.find(specialization => specialization.code === code)?.name || code
+);
+
+export const experienceLabel = (years) => (
+  years === null || years === undefined ? '-' : `${years} year${years === 1 ? '' : 's'}`
+);
+
+export const today = () => new Date().toISOString().slice(0, 10);
+
+// Whether a doctor's affiliation with a hospital has started and whether it has ended
+export const affiliationStatus = (affiliation, date = today()) => {
+  if (affiliation.startDate > date) {
+    return { status: 'Upcoming', color: 'info' };
+  }
+  if (affiliation.endDate && affiliation.endDate < date) {
+    return { status: 'Ended', color: 'default' };
+  }
+  return { status: 'Current', color: 'success' };
+};
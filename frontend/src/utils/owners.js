@@ -0,0 +1,32 @@
+// How owners can be contacted and what they can be contacted about, matching
+// the choices owner-service accepts
+export const CONTACT_CHANNELS = [
+  { value: 'email', label: 'Email' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'sms', label: 'Text message' },
+  { value: 'mail', label: 'Mail' },
+];
+
+export const REMINDER_LABELS = {
+  appointmentReminders: 'Appointment reminders',
+  vaccinationReminders: 'Vaccination reminders',
+  marketing: 'News and offers',
+};
+
+export const channelLabel = (channel) => (
+  CONTACT_CHANNELS.find(option => option.value === channel)?.label || '-'
+);
+
+// How people other than its owner are linked to a pet
+export const LINK_ROLES = [
+  { value: 'co_owner', label: 'Co-owner' },
+  { value: 'emergency_contact', label: 'Emergency contact' },
+  { value: 'authorized_pickup', label: 'Authorized pickup' },
+];
+
+export const linkRoleLabel = (role) => (
+  LINK_ROLES.find(option => option.value === role)?.label || role
+);
+
+// Where an owner is best reached, for lists that only have room for one line
+export const ownerContact = (owner) => owner?.email || owner?.phone || '-';
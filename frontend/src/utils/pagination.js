@@ -0,0 +1,17 @@
+import axios from 'axios';
+
+// List endpoints return one page at a time as { items, nextCursor }.
+// Pages that need the whole collection, e.g. for lookups or counts, follow
+// the cursors until the last page.
+export const fetchAllPages = async (url, params = {}) => {
+  const items = [];
+  let cursor;
+
+  do {
+    const response = await axios.get(url, { params: { ...params, limit: 100, cursor } });
+    items.push(...response.data.items);
+    cursor = response.data.nextCursor;
+  } while (cursor);
+
+  return items;
+};
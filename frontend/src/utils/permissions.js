@@ -0,0 +1,46 @@
+// What each role may do, mirroring the role checks the services make, so the UI
+// only offers actions that will succeed. Admins may do anything.
+export const ROLES = {
+  ADMIN: 'admin',
+  VETERINARIAN: 'veterinarian',
+  RECEPTIONIST: 'receptionist',
+  BILLING_CLERK: 'billing_clerk',
+  READ_ONLY: 'read_only',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Administrator',
+  [ROLES.VETERINARIAN]: 'Veterinarian',
+  [ROLES.RECEPTIONIST]: 'Receptionist',
+  [ROLES.BILLING_CLERK]: 'Billing Clerk',
+  [ROLES.READ_ONLY]: 'Read Only',
+};
+
+const PERMISSIONS = {
+  'pets:edit': [ROLES.VETERINARIAN, ROLES.RECEPTIONIST],
+  'owners:edit': [ROLES.VETERINARIAN, ROLES.RECEPTIONIST],
+  'hospitals:edit': [],
+  'doctors:edit': [],
+  'medical:edit': [ROLES.VETERINARIAN],
+  'visits:edit': [ROLES.VETERINARIAN, ROLES.RECEPTIONIST],
+  'appointments:edit': [ROLES.VETERINARIAN, ROLES.RECEPTIONIST],
+  // Doctors' weekly shifts
+  'schedules:edit': [ROLES.RECEPTIONIST],
+  // Asking for and withdrawing doctors' time off; only administrators approve it
+  'timeoff:request': [ROLES.VETERINARIAN, ROLES.RECEPTIONIST],
+  'timeoff:approve': [],
+  'billing:view': [ROLES.BILLING_CLERK, ROLES.RECEPTIONIST, ROLES.READ_ONLY],
+  'billing:edit': [ROLES.BILLING_CLERK],
+  'insurance:view': [ROLES.BILLING_CLERK, ROLES.RECEPTIONIST, ROLES.READ_ONLY],
+  // Providers, plans and settling claims
+  'insurance:manage': [ROLES.BILLING_CLERK],
+  // Policies and filing claims
+  'insurance:file': [ROLES.RECEPTIONIST, ROLES.BILLING_CLERK],
+};
+
+export const hasPermission = (user, permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission ${permission}`);
+  }
+  return Boolean(user) && (user.role === ROLES.ADMIN || PERMISSIONS[permission].includes(user.role));
+};
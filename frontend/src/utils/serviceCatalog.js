@@ -0,0 +1,48 @@
+// Mirrors SERVICE_CATEGORIES in backend/hospital-service/serviceCatalog.js
+export const SERVICE_CATEGORIES = [
+  'consultation',
+  'vaccination',
+  'diagnostics',
+  'dental',
+  'surgery',
+  'treatment',
+  'medication',
+  'hospitalization',
+  'grooming',
+  'other',
+];
+
+export const CATEGORY_LABELS = {
+  consultation: 'Consultation',
+  vaccination: 'Vaccination',
+  diagnostics: 'Diagnostics',
+  dental: 'Dental',
+  surgery: 'Surgery',
+  treatment: 'Treatment',
+  medication: 'Medication',
+  hospitalization: 'Hospitalization',
+  grooming: 'Grooming',
+  other: 'Other',
+};
+
+const money = (amount) => `$${amount.toFixed(2)}`;
+
+// "$50.00", or "$200.00-$400.00" for a service priced per case. Takes a price from a
+// catalog entry or a service as the API prices it on a date, whose fixed price is null
+// when it has a range.
+export const priceLabel = (price) => (
+  price.price === undefined || price.price === null
+    ? `${money(price.minPrice)}-${money(price.maxPrice)}`
+    : money(price.price)
+);
+
+// The price of a catalog entry in force on a date, and the next one to take over after
+// it; either is null when there is none
+export const pricesAround = (entry, date) => {
+  const prices = [...entry.prices].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  const started = prices.filter(price => price.effectiveFrom <= date);
+  return {
+    current: started.length > 0 ? started[started.length - 1] : null,
+    next: prices.find(price => price.effectiveFrom > date) || null,
+  };
+};
@@ -0,0 +1,36 @@
+// How soon before a vaccination runs out it is flagged, matching the 30 day
+// window the front desk works through from the Vaccinations Due page
+export const EXPIRING_SOON_DAYS = 30;
+
+const daysUntil = (date) => {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  return Math.floor((new Date(date) - today) / (1000 * 60 * 60 * 24));
+};
+
+// Whether a dose is still protecting the pet. Only the latest dose of each vaccine
+// has a dueDate; earlier ones have been superseded by it.
+export const vaccinationStatus = (dose) => {
+  if (!dose.dueDate) {
+    return { status: 'Superseded', color: 'default' };
+  }
+
+  const days = daysUntil(dose.dueDate);
+
+  if (days < 0) {
+    return { status: 'Expired', color: 'error' };
+  } else if (days < EXPIRING_SOON_DAYS) {
+    return { status: 'Expiring Soon', color: 'warning' };
+  }
+  return { status: 'Valid', color: 'success' };
+};
+
+// "Due in 5 days", "Due today" or "Overdue by 12 days"
+export const dueLabel = (dueDate) => {
+  const days = daysUntil(dueDate);
+  const plural = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+  if (days < 0) {
+    return `Overdue by ${plural(-days)}`;
+  }
+  return days === 0 ? 'Due today' : `Due in ${plural(days)}`;
+};
@@ -0,0 +1,13 @@
+// The API rejects invalid input with { error: 'Validation failed', details: [{ field, message }] }.
+// Turn those details into a { formField: message } map for inline helper text; `fieldMap`
+// renames API fields whose form input is named differently.
+export const toFieldErrors = (details = [], fieldMap = {}) => (
+  details.reduce((errors, { field, message }) => {
+    const formField = fieldMap[field] || field;
+    const label = formField === field ? message : `${field} ${message}`;
+    return {
+      ...errors,
+      [formField]: errors[formField] ? `${errors[formField]}; ${label}` : label
+    };
+  }, {})
+);
@@ -0,0 +1,40 @@
+// Visit statuses, matching the ones visit-service accepts
+export const VISIT_STATUSES = ['Scheduled', 'Completed', 'Cancelled', 'No-Show'];
+
+// The palette colour a visit is shown in, for chips and calendar entries alike
+export const getStatusColor = (status) => {
+  switch (status) {
+    case 'Completed':
+      return 'success';
+    case 'Scheduled':
+      return 'primary';
+    case 'Cancelled':
+      return 'error';
+    case 'No-Show':
+      return 'warning';
+    default:
+      return 'default';
+  }
+};
+
+// Dates are "YYYY-MM-DD" strings; these do their arithmetic in UTC so a day is
+// always a day, whatever the browser's time zone
+export const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+// The Monday of the week a date falls in
+export const startOfWeek = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, day === 0 ? -6 : 1 - day);
+};
+
+// "Mon 26 Oct"
+export const shortDateLabel = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  timeZone: 'UTC',
+});
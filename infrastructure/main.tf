@@ -70,6 +70,7 @@ module "eks" {
 module "dynamodb" {
   source = "./modules/dynamodb"
 
+  # Tables are tracked by their position in this list, so add new ones at the end
   tables = [
     {
       name         = "${local.prefix}-pets"
@@ -79,6 +80,16 @@ module "dynamodb" {
         {
           name = "id"
           type = "S"
+        },
+        {
+          name = "ownerId"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name     = "ownerId-index"
+          hash_key = "ownerId"
         }
       ]
     },
@@ -101,6 +112,16 @@ module "dynamodb" {
         {
           name = "id"
           type = "S"
+        },
+        {
+          name = "hospitalId"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name     = "hospitalId-index"
+          hash_key = "hospitalId"
         }
       ]
     },
@@ -112,6 +133,30 @@ module "dynamodb" {
         {
           name = "id"
           type = "S"
+        },
+        {
+          name = "petId"
+          type = "S"
+        },
+        {
+          name = "doctorId"
+          type = "S"
+        },
+        {
+          name = "date"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name      = "petId-date-index"
+          hash_key  = "petId"
+          range_key = "date"
+        },
+        {
+          name      = "doctorId-date-index"
+          hash_key  = "doctorId"
+          range_key = "date"
         }
       ]
     },
@@ -123,6 +168,16 @@ module "dynamodb" {
         {
           name = "id"
           type = "S"
+        },
+        {
+          name = "visitId"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name     = "visitId-index"
+          hash_key = "visitId"
         }
       ]
     },
@@ -136,6 +191,272 @@ module "dynamodb" {
           type = "S"
         }
       ]
+    },
+    {
+      # Change history for pets, hospitals and doctors, one item per record version
+      name         = "${local.prefix}-audit"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "resourceKey"
+      range_key    = "version"
+      attributes = [
+        {
+          name = "resourceKey"
+          type = "S"
+        },
+        {
+          name = "version"
+          type = "N"
+        }
+      ]
+    },
+    {
+      # Sign-in accounts for staff, keyed by username
+      name         = "${local.prefix}-users"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "username"
+      attributes = [
+        {
+          name = "username"
+          type = "S"
+        }
+      ]
+    },
+    {
+      name         = "${local.prefix}-owners"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "id"
+      attributes = [
+        {
+          name = "id"
+          type = "S"
+        },
+        {
+          name = "email"
+          type = "S"
+        },
+        {
+          name = "phone"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name     = "email-index"
+          hash_key = "email"
+        },
+        {
+          name     = "phone-index"
+          hash_key = "phone"
+        }
+      ]
+    },
+    {
+      # Co-owners and other contacts linked to a pet, keyed by the person linked
+      name         = "${local.prefix}-pet-owner-links"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "ownerId"
+      range_key    = "petId"
+      attributes = [
+        {
+          name = "ownerId"
+          type = "S"
+        },
+        {
+          name = "petId"
+          type = "S"
+        }
+      ]
+    },
+    {
+      # Pets' allergies, conditions, medications and vaccinations, told apart by category
+      name         = "${local.prefix}-medical-records"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "petId"
+      range_key    = "id"
+      attributes = [
+        {
+          name = "petId"
+          type = "S"
+        },
+        {
+          name = "id"
+          type = "S"
+        },
+        {
+          name = "category"
+          type = "S"
+        },
+        {
+          name = "dueDate"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          # Sparse: only the latest dose of each vaccine has a dueDate
+          name      = "category-dueDate-index"
+          hash_key  = "category"
+          range_key = "dueDate"
+        }
+      ]
+    },
+    {
+      name         = "${local.prefix}-appointments"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "id"
+      attributes = [
+        {
+          name = "id"
+          type = "S"
+        },
+        {
+          name = "doctorId"
+          type = "S"
+        },
+        {
+          name = "date"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name      = "doctorId-date-index"
+          hash_key  = "doctorId"
+          range_key = "date"
+        }
+      ]
+    },
+    {
+      # One item per 15-minute slot a booked appointment holds, for a doctor or a
+      # room, so that a second booking of the same slot fails its condition
+      name         = "${local.prefix}-appointment-slots"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "slotKey"
+      attributes = [
+        {
+          name = "slotKey"
+          type = "S"
+        }
+      ]
+    },
+    {
+      # Each doctor's weekly shifts, one item per doctor
+      name         = "${local.prefix}-doctor-schedules"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "doctorId"
+      attributes = [
+        {
+          name = "doctorId"
+          type = "S"
+        }
+      ]
+    },
+    {
+      # Doctors' requests for leave, pending until approved or rejected
+      name         = "${local.prefix}-doctor-time-off"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "doctorId"
+      range_key    = "id"
+      attributes = [
+        {
+          name = "doctorId"
+          type = "S"
+        },
+        {
+          name = "id"
+          type = "S"
+        }
+      ]
+    },
+    {
+      # Doctors' licenses and certifications, told apart by kind
+      name         = "${local.prefix}-doctor-credentials"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "doctorId"
+      range_key    = "id"
+      attributes = [
+        {
+          name = "doctorId"
+          type = "S"
+        },
+        {
+          name = "id"
+          type = "S"
+        },
+        {
+          name = "kind"
+          type = "S"
+        },
+        {
+          name = "expiryDate"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name      = "kind-expiryDate-index"
+          hash_key  = "kind"
+          range_key = "expiryDate"
+        }
+      ]
+    },
+    {
+      # One item per recorded license, keyed by issuing state and number, so that a
+      # number cannot be recorded twice for the same state
+      name         = "${local.prefix}-license-numbers"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "licenseKey"
+      attributes = [
+        {
+          name = "licenseKey"
+          type = "S"
+        }
+      ]
+    },
+    {
+      # Doctors' affiliations with hospitals, listed per hospital by start date
+      name         = "${local.prefix}-doctor-affiliations"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "doctorId"
+      range_key    = "id"
+      attributes = [
+        {
+          name = "doctorId"
+          type = "S"
+        },
+        {
+          name = "id"
+          type = "S"
+        },
+        {
+          name = "hospitalId"
+          type = "S"
+        },
+        {
+          name = "startDate"
+          type = "S"
+        }
+      ]
+      global_secondary_indexes = [
+        {
+          name      = "hospitalId-startDate-index"
+          hash_key  = "hospitalId"
+          range_key = "startDate"
+        }
+      ]
+    },
+    {
+      # One item per invoiced visit, naming its invoice, so that a visit cannot be
+      # invoiced twice
+      name         = "${local.prefix}-invoice-visits"
+      billing_mode = "PAY_PER_REQUEST"
+      hash_key     = "visitId"
+      attributes = [
+        {
+          name = "visitId"
+          type = "S"
+        }
+      ]
     }
   ]
 
@@ -149,6 +470,7 @@ module "dynamodb" {
 module "ecr" {
   source = "./modules/ecr"
 
+  # Repositories are tracked by their position in this list, so add new ones at the end
   repositories = [
     "${local.prefix}-pet-service",
     "${local.prefix}-hospital-service",
@@ -157,7 +479,10 @@ module "ecr" {
     "${local.prefix}-insurance-service",
     "${local.prefix}-visit-service",
     "${local.prefix}-vet-service",
-    "${local.prefix}-frontend"
+    "${local.prefix}-frontend",
+    "${local.prefix}-auth-service",
+    "${local.prefix}-owner-service",
+    "${local.prefix}-appointment-service"
   ]
 
   tags = {
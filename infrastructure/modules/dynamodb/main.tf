@@ -4,7 +4,9 @@ resource "aws_dynamodb_table" "this" {
   name           = var.tables[count.index].name
   billing_mode   = var.tables[count.index].billing_mode
   hash_key       = var.tables[count.index].hash_key
+  range_key      = var.tables[count.index].range_key
   
+  # Every key attribute of the table and its indexes must be declared here
   dynamic "attribute" {
     for_each = var.tables[count.index].attributes
     content {
@@ -13,6 +15,16 @@ resource "aws_dynamodb_table" "this" {
     }
   }
 
+  dynamic "global_secondary_index" {
+    for_each = var.tables[count.index].global_secondary_indexes
+    content {
+      name            = global_secondary_index.value.name
+      hash_key        = global_secondary_index.value.hash_key
+      range_key       = global_secondary_index.value.range_key
+      projection_type = global_secondary_index.value.projection_type
+    }
+  }
+
   point_in_time_recovery {
     enabled = true
   }
@@ -4,10 +4,17 @@ variable "tables" {
     name         = string
     billing_mode = string
     hash_key     = string
+    range_key    = optional(string)
     attributes = list(object({
       name = string
       type = string
     }))
+    global_secondary_indexes = optional(list(object({
+      name            = string
+      hash_key        = string
+      range_key       = optional(string)
+      projection_type = optional(string, "ALL")
+    })), [])
   }))
 }
 